@@ -125,6 +125,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return false;
   }
   
+  // Operation milestones reported by content scripts (e.g. response completed)
+  if (request.type === 'operation_milestone' && sender.tab) {
+    if (relayClient) {
+      const { type, operationId, milestone, ...data } = request;
+      relayClient.sendOperationMilestone(operationId, milestone, { ...data, tabId: sender.tab.id });
+    }
+    return false;
+  }
+  
   if (request.type === 'offscreen_heartbeat') {
     // Acknowledge heartbeat from offscreen document
     return false;
@@ -274,6 +283,10 @@ setTimeout(async () => {
 
 // Handle tab cleanup with proper dependency ordering
 chrome.tabs.onRemoved.addListener(async (tabId) => {
+  if (relayClient) {
+    relayClient.sendTabEvent('removed', tabId);
+  }
+  
   if (relayClient && typeof relayClient.cleanupTabResources === 'function') {
     // Use centralized cleanup method with proper ordering
     try {
@@ -326,6 +339,12 @@ chrome.debugger.onEvent.addListener((source, method, params) => {
 
 // Handle tab navigation/reload - content scripts are lost during navigation
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Report Claude.ai tab navigations so MCP resource subscribers are notified
+  if (relayClient && tab.url && tab.url.includes('claude.ai') && 
+      (changeInfo.url || changeInfo.status === 'complete')) {
+    relayClient.sendTabEvent('navigated', tabId, { url: tab.url, status: tab.status });
+  }
+  
   // Only clear content script tracking for actual navigation (not initial loads during tab creation)
   if (changeInfo.url && extensionScriptManager) {
     // Check if this is a significant URL change (not just claude.ai -> claude.ai/new during creation)
@@ -0,0 +1,291 @@
+// Branch Operations for Chrome Extension
+// Editing earlier messages, regenerating responses and switching between response branches in a Claude tab
+
+import { generateOperationId } from '../utils/utils.js';
+import { withErrorHandling, withLockManagement, validateParams } from '../utils/error-handler.js';
+
+export const branchOperations = {
+  /**
+   * Edit a user message and resend it; the response is tracked like sendTabMessage's
+   * @param {Object} params - { tabId, messageIndex, message, operationId }
+   * @returns {Promise<Object>} { success, operationId, timestamp }
+   */
+  async editMessage(params) {
+    const validationError = validateParams(params, ['tabId', 'messageIndex', 'message'], {
+      messageIndex: (value) => (Number.isInteger(value) && value >= 0) || 'messageIndex must be a non-negative integer'
+    });
+    if (validationError) {
+      return validationError;
+    }
+
+    const { tabId, messageIndex, message } = params;
+    return await this.runBranchResponseAction(tabId, params.operationId, 'edit', { messageIndex, message });
+  },
+
+  /**
+   * Retry the last response; the new response is tracked like sendTabMessage's
+   * @param {Object} params - { tabId, operationId }
+   * @returns {Promise<Object>} { success, operationId, timestamp }
+   */
+  async regenerateResponse(params) {
+    const validationError = validateParams(params, ['tabId']);
+    if (validationError) {
+      return validationError;
+    }
+
+    return await this.runBranchResponseAction(params.tabId, params.operationId, 'regenerate', {});
+  },
+
+  /**
+   * @param {Object} params - { tabId, messageIndex, branch }
+   * @returns {Promise<Object>} { success, tabId, messageIndex, branch, branchCount }
+   */
+  async switchBranch(params) {
+    const validationError = validateParams(params, ['tabId', 'messageIndex', 'branch'], {
+      messageIndex: (value) => (Number.isInteger(value) && value >= 0) || 'messageIndex must be a non-negative integer',
+      branch: (value) => (Number.isInteger(value) && value >= 1) || 'branch must be a positive integer'
+    });
+    if (validationError) {
+      return validationError;
+    }
+
+    const { tabId, messageIndex, branch } = params;
+    const lockId = generateOperationId();
+    const coreSwitchLogic = async () => {
+      const result = await this.runBranchActionScript(tabId, 'switch', { messageIndex, branch });
+      if (!result.success) {
+        return result;
+      }
+      return { success: true, tabId, messageIndex, branch: result.branch, branchCount: result.branchCount };
+    };
+
+    return await withLockManagement(
+      coreSwitchLogic,
+      `CCM Extension: Failed to switch branch in tab ${tabId}`,
+      (lockKey) => this.operationLock.acquireLock(lockKey, 'switch_branch', { operationId: lockId }),
+      (lockKey) => this.operationLock.releaseLock(lockKey, lockId),
+      () => tabId
+    )();
+  },
+
+  /**
+   * Register the operation with the content script, act on the page, then mark the
+   * operation as waiting, so the observer reports response_completed for the new response
+   */
+  async runBranchResponseAction(tabId, serverOperationId, action, options) {
+    const operationId = serverOperationId || generateOperationId();
+
+    const coreActionLogic = async () => {
+      try {
+        await chrome.tabs.sendMessage(tabId, {
+          type: 'register_operation',
+          operationId,
+          operationType: 'send_message',
+          params: { message: options.message || '', tabId, action }
+        });
+      } catch {
+        return {
+          success: false,
+          error: 'Content script not available in target tab. Tab may not have content script injected or may be on a non-Claude.ai page.',
+          errorType: 'content_script_missing',
+          tabId
+        };
+      }
+
+      const result = await this.runBranchActionScript(tabId, action, options);
+      if (!result.success) {
+        return result;
+      }
+
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        world: 'MAIN',
+        func: function(opId) {
+          const operation = window.conversationObserver?.operationRegistry.get(opId);
+          if (operation && operation.status === 'sending') {
+            operation.status = 'waiting_response';
+            operation.lastUpdate = Date.now();
+          }
+        },
+        args: [operationId]
+      });
+
+      return { success: true, operationId, timestamp: Date.now() };
+    };
+
+    return await withLockManagement(
+      coreActionLogic,
+      `CCM Extension: Failed to ${action} in tab ${tabId}`,
+      (lockKey) => this.operationLock.acquireLock(lockKey, action === 'edit' ? 'edit_message' : 'regenerate_response', { operationId }),
+      (lockKey) => this.operationLock.releaseLock(lockKey, operationId),
+      () => tabId
+    )();
+  },
+
+  async runBranchActionScript(tabId, action, options) {
+    const runScript = async () => {
+      const results = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: branchActionInPage,
+        args: [action, options]
+      });
+      return results[0]?.result || { success: false, error: 'Branch action script returned no result' };
+    };
+
+    return await withErrorHandling(runScript, `CCM Extension: Branch action ${action} failed in tab ${tabId}`)();
+  }
+};
+
+/**
+ * Runs in the page, so it must be self-contained
+ * Messages are addressed by their position among the displayed user and assistant
+ * messages; each message's action buttons are looked up inside its own container.
+ * @param {string} action - 'edit', 'regenerate' or 'switch'
+ * @param {Object} options - { messageIndex, message } for edit, { messageIndex, branch } for switch
+ * @returns {Promise<Object>} { success, ... } or { success: false, error }
+ */
+async function branchActionInPage(action, options) {
+  const MESSAGE_SELECTOR = '[data-testid="user-message"], .font-claude-message';
+  const COUNTER_PATTERN = /^\s*(\d+)\s*\/\s*(\d+)\s*$/;
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const waitFor = async (find, timeoutMs) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const found = find();
+      if (found || Date.now() > deadline) {
+        return found || null;
+      }
+      await sleep(100);
+    }
+  };
+  const label = element => `${element.getAttribute('aria-label') || ''} ${element.getAttribute('data-testid') || ''} ${element.textContent || ''}`.toLowerCase();
+  const messages = () => Array.from(document.querySelectorAll(MESSAGE_SELECTOR));
+  const messageAt = (index) => messages()[index] || null;
+  const countMessages = element => element.querySelectorAll(MESSAGE_SELECTOR).length + (element.matches(MESSAGE_SELECTOR) ? 1 : 0);
+
+  // Walk up from the message until a container holds the wanted element, without
+  // leaving the message's own container (one holding other messages)
+  const findInMessage = (messageElement, selector, matches = () => true) => {
+    for (let node = messageElement; node && node !== document.body; node = node.parentElement) {
+      if (countMessages(node) > 1) {
+        return null;
+      }
+      const found = Array.from(node.querySelectorAll(selector)).find(matches);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  };
+  const hover = (element) => {
+    for (const type of ['pointerover', 'pointerenter', 'mouseover', 'mouseenter']) {
+      element.dispatchEvent(new MouseEvent(type, { bubbles: true }));
+    }
+  };
+  const readCounter = (messageElement) => {
+    const counter = findInMessage(messageElement, 'span, div', element => element.children.length === 0 && COUNTER_PATTERN.test(element.textContent));
+    if (!counter) {
+      return null;
+    }
+    const [, current, total] = counter.textContent.match(COUNTER_PATTERN);
+    return { current: Number(current), total: Number(total) };
+  };
+
+  if (action === 'edit') {
+    const target = messageAt(options.messageIndex);
+    if (!target) {
+      return { success: false, error: `No message at position ${options.messageIndex} (${messages().length} displayed)` };
+    }
+    if (target.getAttribute('data-testid') !== 'user-message') {
+      return { success: false, error: `Message ${options.messageIndex} is not a user message` };
+    }
+
+    hover(target);
+    const editButton = findInMessage(target, 'button', button => label(button).includes('edit'));
+    if (!editButton) {
+      return { success: false, error: `No edit button for message ${options.messageIndex}` };
+    }
+    editButton.click();
+
+    const editor = await waitFor(() => document.querySelector('textarea:focus') || findInMessage(messageAt(options.messageIndex) || target, 'textarea'), 3000)
+      || await waitFor(() => document.querySelector('textarea'), 1000);
+    if (!editor) {
+      return { success: false, error: 'The message editor did not open' };
+    }
+
+    // The native setter makes React see the change on the next input event
+    Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set.call(editor, options.message);
+    editor.dispatchEvent(new Event('input', { bubbles: true }));
+    await sleep(200);
+
+    const form = editor.closest('form') || editor.parentElement?.parentElement?.parentElement || document;
+    const submitButton = Array.from(form.querySelectorAll('button'))
+      .find(button => button.type === 'submit' || /save|send|submit/.test(label(button)));
+    if (!submitButton || submitButton.disabled) {
+      return { success: false, error: 'No enabled save button in the message editor' };
+    }
+    submitButton.click();
+    return { success: true };
+  }
+
+  if (action === 'regenerate') {
+    const assistantMessages = messages().filter(element => element.matches('.font-claude-message'));
+    const last = assistantMessages[assistantMessages.length - 1];
+    if (!last) {
+      return { success: false, error: 'There is no response to regenerate' };
+    }
+
+    hover(last);
+    const retryButton = findInMessage(last, 'button', button => /retry|regenerate/.test(label(button)));
+    if (!retryButton) {
+      return { success: false, error: 'No retry button for the last response' };
+    }
+    retryButton.click();
+
+    // Newer pages open a menu (retry, or retry with another model) instead of retrying
+    const menuItem = await waitFor(() => Array.from(document.querySelectorAll('[role="menu"] [role="menuitem"]'))
+      .find(item => /retry|regenerate/.test(label(item))), 700);
+    if (menuItem) {
+      menuItem.click();
+    }
+    return { success: true };
+  }
+
+  if (action === 'switch') {
+    for (let step = 0; step < 50; step++) {
+      const target = messageAt(options.messageIndex);
+      if (!target) {
+        return { success: false, error: `No message at position ${options.messageIndex} (${messages().length} displayed)` };
+      }
+      const counter = readCounter(target);
+      if (!counter) {
+        return { success: false, error: `Message ${options.messageIndex} has no other branches` };
+      }
+      if (options.branch > counter.total) {
+        return { success: false, error: `Message ${options.messageIndex} has ${counter.total} branches` };
+      }
+      if (counter.current === options.branch) {
+        return { success: true, branch: counter.current, branchCount: counter.total };
+      }
+
+      hover(target);
+      const direction = options.branch < counter.current ? 'previous' : 'next';
+      const button = findInMessage(target, 'button', candidate => label(candidate).includes(direction));
+      if (!button || button.disabled) {
+        return { success: false, error: `No ${direction} branch button for message ${options.messageIndex}` };
+      }
+      button.click();
+
+      // The branch's messages replace the displayed ones; wait for the counter to move
+      await waitFor(() => {
+        const updated = messageAt(options.messageIndex);
+        const next = updated && readCounter(updated);
+        return next && next.current !== counter.current;
+      }, 3000);
+    }
+    return { success: false, error: 'Gave up switching branches after 50 steps' };
+  }
+
+  return { success: false, error: `Unknown branch action: ${action}` };
+}
@@ -7,6 +7,33 @@ export const RECONNECT_INTERVAL = 2000;
 export const OPERATION_TIMEOUT = 180000; // 3 minutes
 export const COMPLETION_TIMEOUT = 600000; // 10 minutes
 
+// Tab pool: ready /new tabs kept for tab_pool_lease
+// No tabs are warmed until a lease asks for a pool size
+export const TAB_POOL_SIZE = 0;
+export const TAB_POOL_LEASE_TTL = 600000; // 10 minutes
+export const TAB_POOL_RECLAIM_INTERVAL = 30000;
+
+// How long tab loads (new tabs, pool tab resets) may take
+export const TAB_LOAD_TIMEOUT = 30000;
+
+// Tab message queue: tab_enqueue_messages delivery
+export const TAB_QUEUE_ITEM_TIMEOUT = 600000; // 10 minutes per response
+export const TAB_QUEUE_DELIVERY_DELAY = 1000;
+
+// Cancellations of operations without a tab are kept this long for the loops that check them
+export const CANCELLED_OPERATION_TTL = 600000; // 10 minutes
+
+// Conversation search: conversations scanned per request (the server pages between requests)
+export const CONVERSATION_PAGE_SIZE = 50;
+
+// Conversation settings: wait for the composer (model selector) to render. Tabs are
+// loaded before settings are applied, and the menus still need time within the MCP
+// server's 10 second relay request timeout
+export const SETTINGS_READY_TIMEOUT = 3000;
+
+// Message attachments: wait for each upload, within the MCP server's 10 second relay request timeout
+export const ATTACHMENT_UPLOAD_TIMEOUT = 8000;
+
 export const MESSAGE_TYPES = {
   // WebSocket messages
   CONNECTION_REQUEST: 'connection_request',
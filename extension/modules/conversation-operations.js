@@ -2,6 +2,8 @@
 // Methods for managing Claude conversations, metadata, and transcripts
 
 import { ensureClaudeTabForApi, ensureConversationTab, getClaudeTabsWithConversations } from '../utils/tab-management.js';
+import { CONVERSATION_PAGE_SIZE, CLAUDE_AI_URL } from './config.js';
+import { installMarkdownConverter } from '../utils/markdown.js';
 import { 
   withErrorHandling, 
   withErrorThrow, 
@@ -9,96 +11,233 @@ import {
 } from '../utils/error-handler.js';
 
 export const conversationOperations = {
-  async listConversations() {
+  /**
+   * List one page of conversations from the Claude API, newest first
+   * The server pages through the whole account one request at a time, so a
+   * request never outlives the relay timeout.
+   * @param {Object} params - { offset, limit, cursor }
+   * @returns {Promise<Object>} { success, conversations, offset, limit, hasMore, nextCursor, pagesFetched }
+   */
+  async listConversations(params = {}) {
+    const { limit = 30 } = params;
+    
     // Extract core logic for error handling
     const coreGetConversationsLogic = async () => {
-      // Get current Claude tabs with conversation ID mapping
-      const tabsResult = await getClaudeTabsWithConversations(this);
-      if (!tabsResult.success) {
-        throw new Error(`Failed to get Claude tabs: ${tabsResult.error}`);
-      }
-      const { tabsByConversationId } = tabsResult;
+      const offset = params.cursor ? decodeConversationCursor(params.cursor) : (params.offset || 0);
+      const { conversations, hasMore } = await this.fetchConversationList(offset, limit);
+      
+      return {
+        success: true,
+        conversations,
+        offset,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeConversationCursor(offset + conversations.length) : null,
+        pagesFetched: 1
+      };
+    };
+
+    // Use error handler utility with throw pattern
+    const wrappedGetConversations = withErrorThrow(
+      coreGetConversationsLogic,
+      'CCM Extension: Error fetching conversations',
+      'Failed to fetch conversations'
+    );
+
+    return await wrappedGetConversations();
+  },
+
+  /**
+   * Fetch one page of conversations from the Claude API, with the tab of each open one
+   * @param {number} offset - Conversations to skip
+   * @param {number} limit - Conversations in the page
+   * @returns {Promise<Object>} { conversations, hasMore }
+   */
+  async fetchConversationList(offset, limit) {
+    // Get current Claude tabs with conversation ID mapping
+    const tabsResult = await getClaudeTabsWithConversations(this);
+    if (!tabsResult.success) {
+      throw new Error(`Failed to get Claude tabs: ${tabsResult.error}`);
+    }
+    const { tabsByConversationId } = tabsResult;
+
+    // Ensure we have a Claude tab for the API call
+    const claudeTabResult = await ensureClaudeTabForApi(this);
+    if (!claudeTabResult.success) {
+      throw new Error(`Failed to ensure Claude tab: ${claudeTabResult.error}`);
+    }
+    const claudeTab = claudeTabResult.tab;
+
+    // Attach debugger to execute script
+    await this.ensureDebuggerAttached(claudeTab.id);
 
-      // Ensure we have a Claude tab for the API call
+    const apiData = await this.fetchConversationPage(claudeTab.id, offset, limit);
+
+    // Transform the conversations to include tab IDs
+    const conversations = apiData.map(conv => ({
+      id: conv.uuid,
+      title: conv.name || 'Untitled Conversation',
+      created_at: conv.created_at,
+      updated_at: conv.updated_at,
+      message_count: conv.chat_messages?.length || 0,
+      tabId: tabsByConversationId.get(conv.uuid) || null,
+      isOpen: tabsByConversationId.has(conv.uuid)
+    }));
+
+    // A short page is the last one
+    return { conversations, hasMore: apiData.length === limit };
+  },
+
+  async fetchConversationPage(tabId, offset, limit) {
+    // Execute script to fetch conversations from Claude API
+    const conversationsScript = `
+      (async function() {
+        try {
+          // Extract organization ID from cookies
+          const cookies = document.cookie;
+          const orgMatch = cookies.match(/lastActiveOrg=([^;]+)/);
+          if (!orgMatch) {
+            throw new Error('Organization ID not found in cookies');
+          }
+          const orgId = orgMatch[1];
+          
+          const response = await fetch('/api/organizations/' + orgId + '/chat_conversations?offset=${Number(offset)}&limit=${Number(limit)}', {
+            method: 'GET',
+            headers: {
+              'Accept': 'application/json',
+              'Content-Type': 'application/json'
+            },
+            credentials: 'include'
+          });
+          
+          if (!response.ok) {
+            throw new Error('Failed to fetch conversations: ' + response.status);
+          }
+          
+          const data = await response.json();
+          return data;
+        } catch (error) {
+          return { error: error.toString() };
+        }
+      })()
+    `;
+
+    const result = await this.executeScript({ 
+      tabId, 
+      script: conversationsScript 
+    });
+
+    const apiData = result.result?.value;
+    
+    if (apiData?.error) {
+      throw new Error('API Error: ' + apiData.error);
+    }
+
+    if (!apiData || !Array.isArray(apiData)) {
+      throw new Error('Invalid API response format');
+    }
+
+    return apiData;
+  },
+
+  /**
+   * Fetch conversations with their whole message tree through the conversation endpoint
+   * Used by the server's conversation mirror; a conversation that fails to load is
+   * reported in errors without failing the others.
+   * @param {Object} params - { conversationIds }
+   * @returns {Promise<Object>} { success, conversations: [{ conversationId, title, created_at, updated_at, model, projectId, starred, currentLeafUuid, messages }], errors }
+   */
+  async getConversationTrees(params) {
+    const validationError = validateParams(params, ['conversationIds']);
+    if (validationError) {
+      return validationError;
+    }
+
+    const coreGetTreesLogic = async () => {
       const claudeTabResult = await ensureClaudeTabForApi(this);
       if (!claudeTabResult.success) {
         throw new Error(`Failed to ensure Claude tab: ${claudeTabResult.error}`);
       }
-      const claudeTab = claudeTabResult.tab;
+      const tabId = claudeTabResult.tab.id;
+      await this.ensureDebuggerAttached(tabId);
 
-      // Attach debugger to execute script
-      await this.ensureDebuggerAttached(claudeTab.id);
+      const conversations = [];
+      const errors = [];
+      for (const conversationId of params.conversationIds) {
+        // The ID is embedded in the script, so only UUIDs get that far
+        if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(conversationId)) {
+          errors.push({ conversationId, error: 'Invalid conversation ID' });
+          continue;
+        }
 
-      // Execute script to fetch conversations from Claude API
-      const conversationsScript = `
-        (async function() {
-          try {
-            // Extract organization ID from cookies
-            const cookies = document.cookie;
-            const orgMatch = cookies.match(/lastActiveOrg=([^;]+)/);
-            if (!orgMatch) {
-              throw new Error('Organization ID not found in cookies');
-            }
-            const orgId = orgMatch[1];
-            
-            const response = await fetch('/api/organizations/' + orgId + '/chat_conversations?offset=0&limit=30', {
-              method: 'GET',
-              headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json'
-              },
-              credentials: 'include'
-            });
-            
-            if (!response.ok) {
-              throw new Error('Failed to fetch conversations: ' + response.status);
-            }
-            
-            const data = await response.json();
-            return data;
-          } catch (error) {
-            return { error: error.toString() };
-          }
-        })()
-      `;
+        const script = `
+          (async function() {
+            try {
+              const orgMatch = document.cookie.match(/lastActiveOrg=([^;]+)/);
+              if (!orgMatch) {
+                throw new Error('Organization ID not found in cookies');
+              }
 
-      const result = await this.executeScript({ 
-        tabId: claudeTab.id, 
-        script: conversationsScript 
-      });
+              const response = await fetch('/api/organizations/' + orgMatch[1] + '/chat_conversations/${conversationId}?tree=True&rendering_mode=messages&render_all_tools=true', {
+                method: 'GET',
+                headers: { 'Accept': 'application/json' },
+                credentials: 'include'
+              });
+              if (!response.ok) {
+                throw new Error('Failed to fetch conversation: ' + response.status);
+              }
 
-      const apiData = result.result?.value;
-      
-      if (apiData?.error) {
-        throw new Error('API Error: ' + apiData.error);
-      }
+              const data = await response.json();
+              return {
+                title: data.name || 'Untitled Conversation',
+                created_at: data.created_at,
+                updated_at: data.updated_at,
+                model: data.model || null,
+                projectId: data.project_uuid || null,
+                starred: Boolean(data.is_starred),
+                currentLeafUuid: data.current_leaf_message_uuid || null,
+                messages: (data.chat_messages || []).map((message, position) => {
+                  const blocks = Array.isArray(message.content) ? message.content : [];
+                  return {
+                    uuid: message.uuid,
+                    parentUuid: message.parent_message_uuid || null,
+                    index: typeof message.index === 'number' ? message.index : position,
+                    role: message.sender === 'human' ? 'user' : 'assistant',
+                    // Newer messages carry content blocks; older ones only text
+                    text: blocks.length > 0
+                      ? blocks.filter(block => block.type === 'text').map(block => block.text).join('\\n\\n')
+                      : (message.text || ''),
+                    created_at: message.created_at || null,
+                    artifactCount: blocks.filter(block => block.type === 'tool_use' && block.name === 'artifacts').length
+                  };
+                })
+              };
+            } catch (error) {
+              return { error: error.toString() };
+            }
+          })()
+        `;
 
-      if (!apiData || !Array.isArray(apiData)) {
-        throw new Error('Invalid API response format');
+        try {
+          const result = await this.executeScript({ tabId, script });
+          const data = result.result?.value;
+          if (!data || data.error) {
+            throw new Error(data?.error || 'Script execution failed');
+          }
+          conversations.push({ conversationId, ...data });
+        } catch (error) {
+          errors.push({ conversationId, error: error.message });
+        }
       }
 
-      // Transform the conversations to include tab IDs
-      const conversations = apiData.map(conv => ({
-        id: conv.uuid,
-        title: conv.name || 'Untitled Conversation',
-        created_at: conv.created_at,
-        updated_at: conv.updated_at,
-        message_count: conv.chat_messages?.length || 0,
-        tabId: tabsByConversationId.get(conv.uuid) || null,
-        isOpen: tabsByConversationId.has(conv.uuid)
-      }));
-
-      return conversations;
+      return { success: true, conversations, errors };
     };
 
-    // Use error handler utility with throw pattern
-    const wrappedGetConversations = withErrorThrow(
-      coreGetConversationsLogic,
-      'CCM Extension: Error fetching conversations',
-      'Failed to fetch conversations'
-    );
-
-    return await wrappedGetConversations();
+    return await withErrorThrow(
+      coreGetTreesLogic,
+      'CCM Extension: Error fetching conversation trees',
+      'Failed to fetch conversation trees'
+    )();
   },
 
   async exportConversationTranscript(params) {
@@ -117,15 +256,17 @@ export const conversationOperations = {
       
       await this.ensureDebuggerAttached(tabId);
       
-      // Simpler script focused on message extraction
+      // Messages come as markdown from the conversation API (current branch); pages
+      // without a saved conversation fall back to markdown rebuilt from the rendered messages
       const messageScript = `
-        (function() {
+        (async function() {
           const messages = [];
           const metadata = {
             url: window.location.href,
             title: document.title,
             exportedAt: new Date().toISOString(),
-            conversationId: null
+            conversationId: null,
+            source: 'api'
           };
           
           // Extract conversation ID
@@ -134,45 +275,89 @@ export const conversationOperations = {
             metadata.conversationId = urlMatch[1];
           }
           
-          // Multiple strategies to find messages
-          const messageSelectors = [
-            '[data-testid="user-message"]',
-            '.font-claude-message',
-            '[data-message-role]',
-            '.prose'
-          ];
-          
-          // Collect all potential message elements
-          const messageElements = new Set();
-          messageSelectors.forEach(selector => {
-            document.querySelectorAll(selector).forEach(el => messageElements.add(el));
-          });
-          
-          // Convert to array and sort by DOM position
-          const sortedMessages = Array.from(messageElements).sort((a, b) => {
-            const position = a.compareDocumentPosition(b);
-            if (position & Node.DOCUMENT_POSITION_PRECEDING) return 1;
-            if (position & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
-            return 0;
-          });
+          try {
+            const orgMatch = document.cookie.match(/lastActiveOrg=([^;]+)/);
+            if (!metadata.conversationId || !orgMatch) {
+              throw new Error('No saved conversation');
+            }
+            const response = await fetch('/api/organizations/' + orgMatch[1] + '/chat_conversations/' + metadata.conversationId + '?tree=True&rendering_mode=messages&render_all_tools=true', {
+              method: 'GET',
+              headers: { 'Accept': 'application/json' },
+              credentials: 'include'
+            });
+            if (!response.ok) {
+              throw new Error('Failed to fetch conversation: ' + response.status);
+            }
+            
+            const data = await response.json();
+            const byUuid = new Map((data.chat_messages || []).map(message => [message.uuid, message]));
+            const branch = [];
+            for (let message = byUuid.get(data.current_leaf_message_uuid); message; message = byUuid.get(message.parent_message_uuid)) {
+              branch.unshift(message);
+            }
+            
+            branch.forEach((message, index) => {
+              // Newer messages carry content blocks; older ones only text
+              const blocks = Array.isArray(message.content) ? message.content : [];
+              const text = blocks.length > 0
+                ? blocks.filter(block => block.type === 'text').map(block => block.text).join('\\n\\n')
+                : (message.text || '');
+              if (!text.trim()) return;
+              
+              messages.push({
+                index,
+                role: message.sender === 'human' ? 'user' : 'assistant',
+                content: text.trim(),
+                length: text.length
+              });
+            });
+          } catch (error) {
+            metadata.source = 'dom';
+          }
           
-          // Process messages
-          sortedMessages.forEach((el, index) => {
-            const text = el.textContent || el.innerText || '';
-            if (!text.trim()) return;
+          if (metadata.source === 'dom') {
+            (${installMarkdownConverter})();
             
-            // Determine role
-            const isUser = el.getAttribute('data-testid') === 'user-message' ||
-                          el.getAttribute('data-message-role') === 'user' ||
-                          el.className.includes('user');
+            // Multiple strategies to find messages
+            const messageSelectors = [
+              '[data-testid="user-message"]',
+              '.font-claude-message',
+              '[data-message-role]',
+              '.prose'
+            ];
             
-            messages.push({
-              index,
-              role: isUser ? 'user' : 'assistant',
-              content: text.trim(),
-              length: text.length
+            // Collect all potential message elements
+            const messageElements = new Set();
+            messageSelectors.forEach(selector => {
+              document.querySelectorAll(selector).forEach(el => messageElements.add(el));
             });
-          });
+            
+            // Convert to array and sort by DOM position
+            const sortedMessages = Array.from(messageElements).sort((a, b) => {
+              const position = a.compareDocumentPosition(b);
+              if (position & Node.DOCUMENT_POSITION_PRECEDING) return 1;
+              if (position & Node.DOCUMENT_POSITION_FOLLOWING) return -1;
+              return 0;
+            });
+            
+            // Process messages
+            sortedMessages.forEach((el, index) => {
+              const text = window.ccmRenderedToMarkdown(el);
+              if (!text.trim()) return;
+              
+              // Determine role
+              const isUser = el.getAttribute('data-testid') === 'user-message' ||
+                            el.getAttribute('data-message-role') === 'user' ||
+                            el.className.includes('user');
+              
+              messages.push({
+                index,
+                role: isUser ? 'user' : 'assistant',
+                content: text.trim(),
+                length: text.length
+              });
+            });
+          }
           
           return {
             metadata,
@@ -705,15 +890,8 @@ export const conversationOperations = {
   async searchClaudeConversations(params) {
     // Extract core logic for error handling
     const coreSearchLogic = async () => {
-      // First get all conversations
-      const allConversations = await this.listConversations();
-      
-      if (!Array.isArray(allConversations)) {
-        return { success: false, error: 'Failed to retrieve conversations' };
-      }
-      
-      // Apply filters
-      let filtered = allConversations.filter(conv => {
+      // Filters each conversation must pass
+      const matches = (conv) => {
         // Title search
         if (params.titleSearch) {
           const title = conv.title || '';
@@ -756,17 +934,20 @@ export const conversationOperations = {
         }
         
         return true;
-      });
+      };
       
-      // Apply limit
-      if (params.limit) {
-        filtered = filtered.slice(0, params.limit);
-      }
+      // One page per request; the server pages until enough match
+      const offset = params.cursor ? decodeConversationCursor(params.cursor) : (params.offset || 0);
+      const { conversations, hasMore } = await this.fetchConversationList(offset, CONVERSATION_PAGE_SIZE);
+      const filtered = conversations.filter(matches);
       
       return {
         success: true,
         conversations: filtered,
-        total: filtered.length
+        total: filtered.length,
+        scanned: conversations.length,
+        hasMore,
+        nextCursor: hasMore ? encodeConversationCursor(offset + conversations.length) : null
       };
     };
 
@@ -780,7 +961,7 @@ export const conversationOperations = {
   },
 
   async bulkDeleteConversations(params) {
-    const { conversationIds, batchSize = 5, delayMs = 1000 } = params;
+    const { conversationIds, batchSize = 5, delayMs = 1000, operationId } = params;
     
     if (!Array.isArray(conversationIds) || conversationIds.length === 0) {
       return { success: false, error: 'conversationIds array is required' };
@@ -792,8 +973,16 @@ export const conversationOperations = {
       total: conversationIds.length
     };
     
+    let cancelled = false;
+    
     // Process in batches
     for (let i = 0; i < conversationIds.length; i += batchSize) {
+      // Stop before the next batch if an MCP server cancelled the operation
+      if (operationId && this.cancelledOperations.has(operationId)) {
+        cancelled = true;
+        break;
+      }
+      
       const batch = conversationIds.slice(i, i + batchSize);
       
       // Process batch in parallel
@@ -812,19 +1001,147 @@ export const conversationOperations = {
       
       await Promise.all(batchPromises);
       
+      // Report per-batch progress to the MCP server owning the operation
+      await this.sendOperationMilestone(operationId, 'batch_completed', {
+        processed: Math.min(i + batchSize, conversationIds.length),
+        total: results.total,
+        deletedCount: results.deleted.length,
+        failedCount: results.failed.length
+      });
+      
       // Delay between batches
       if (i + batchSize < conversationIds.length) {
         await new Promise(resolve => setTimeout(resolve, delayMs));
       }
     }
     
+    if (operationId) {
+      this.cancelledOperations.delete(operationId);
+    }
+    
     return {
       success: results.failed.length === 0,
       deleted: results.deleted,
       failed: results.failed,
       deletedCount: results.deleted.length,
       failedCount: results.failed.length,
-      totalProcessed: results.total
+      totalProcessed: results.total,
+      cancelled: cancelled
+    };
+  },
+
+  /**
+   * Apply partial updates (rename, star, archive, project) to conversations in batches
+   * Each update PUTs its body to an org-scoped conversation URL built by the server,
+   * with an {orgId} placeholder filled in from the page. Reports batch_completed
+   * milestones and stops between batches once the operation is cancelled.
+   * @param {Object} params - { updates: [{ conversationId, url, body }], batchSize, delayMs, operationId }
+   * @returns {Promise<Object>} { success, updated, failed, updatedCount, failedCount, totalProcessed, cancelled }
+   */
+  async bulkUpdateConversations(params) {
+    const validationError = validateParams(params, ['updates'], {
+      updates: (value) => {
+        if (!Array.isArray(value) || value.length === 0) {
+          return 'updates must be a non-empty array';
+        }
+        const conversationPrefix = `${CLAUDE_AI_URL}/api/organizations/{orgId}/chat_conversations/`;
+        if (!value.every(update => typeof update.url === 'string' && update.url.startsWith(conversationPrefix))) {
+          return 'update URLs must be Claude conversation endpoints';
+        }
+        return true;
+      }
+    });
+    if (validationError) {
+      throw new Error(validationError.error);
+    }
+
+    const { updates, batchSize = 5, delayMs = 1000, operationId } = params;
+
+    const claudeTabResult = await ensureClaudeTabForApi(this);
+    if (!claudeTabResult.success) {
+      throw new Error(`Failed to ensure Claude tab: ${claudeTabResult.error}`);
+    }
+    const tabId = claudeTabResult.tab.id;
+    await this.ensureDebuggerAttached(tabId);
+
+    const results = {
+      updated: [],
+      failed: []
+    };
+    let cancelled = false;
+
+    for (let i = 0; i < updates.length; i += batchSize) {
+      // Stop before the next batch if an MCP server cancelled the operation
+      if (operationId && this.cancelledOperations.has(operationId)) {
+        cancelled = true;
+        break;
+      }
+
+      const batch = updates.slice(i, i + batchSize);
+      await Promise.all(batch.map(async ({ conversationId, url, body }) => {
+        const script = `
+          (async function() {
+            try {
+              const orgMatch = document.cookie.match(/lastActiveOrg=([^;]+)/);
+              if (!orgMatch) {
+                throw new Error('Organization ID not found in cookies');
+              }
+
+              const response = await fetch(${JSON.stringify(url)}.replace('{orgId}', orgMatch[1]), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: ${JSON.stringify(JSON.stringify(body))},
+                credentials: 'include'
+              });
+              if (!response.ok) {
+                return { success: false, error: 'API call failed: ' + response.status + ' ' + await response.text() };
+              }
+              return { success: true };
+            } catch (error) {
+              return { success: false, error: error.toString() };
+            }
+          })()
+        `;
+
+        try {
+          const result = await this.executeScript({ tabId, script });
+          const outcome = result.result?.value || { success: false, error: 'Script execution failed' };
+          if (outcome.success) {
+            results.updated.push(conversationId);
+          } else {
+            results.failed.push({ id: conversationId, error: outcome.error });
+          }
+        } catch (error) {
+          results.failed.push({ id: conversationId, error: error.message });
+        }
+      }));
+
+      // Report per-batch progress to the MCP server owning the operation
+      await this.sendOperationMilestone(operationId, 'batch_completed', {
+        processed: Math.min(i + batchSize, updates.length),
+        total: updates.length,
+        updatedCount: results.updated.length,
+        failedCount: results.failed.length
+      });
+
+      // Delay between batches
+      if (i + batchSize < updates.length) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+
+    if (operationId) {
+      this.cancelledOperations.delete(operationId);
+    }
+
+    return {
+      success: results.failed.length === 0,
+      updated: results.updated,
+      failed: results.failed,
+      updatedCount: results.updated.length,
+      failedCount: results.failed.length,
+      totalProcessed: updates.length,
+      cancelled: cancelled
     };
   },
 
@@ -851,7 +1168,8 @@ export const conversationOperations = {
       conversationId, 
       activate = true, 
       waitForLoad = true, 
-      loadTimeoutMs = 10000 
+      loadTimeoutMs = 10000,
+      injectContentScript = false
     } = params;
 
     // Extract core logic for error handling
@@ -929,6 +1247,15 @@ export const conversationOperations = {
         }
       }
 
+      // Content scripts are needed to send messages to the conversation
+      let injectionResult = null;
+      if (injectContentScript) {
+        injectionResult = await this.extensionScriptManager.injectContentScript(tabResult.tabId);
+        if (!injectionResult.success) {
+          throw new Error(`Content script injection failed: ${injectionResult.error}`);
+        }
+      }
+
       return {
         success: true,
         tabId: tabResult.tabId,
@@ -941,7 +1268,8 @@ export const conversationOperations = {
         loadVerified: loadVerified,
         loadTimeMs: tabResult.loadTimeMs || 0,
         conversationTitle: conversationTitle,
-        hasMessages: hasMessages
+        hasMessages: hasMessages,
+        ...(injectionResult && { injectionResult })
       };
     };
 
@@ -1017,7 +1345,7 @@ export const conversationOperations = {
       throw new Error(validationError.error);
     }
 
-    const { conversationIds, batchSize = 5, delayMs = 1000 } = params;
+    const { conversationIds, batchSize = 5, delayMs = 1000, operationId } = params;
     
     // Handle single vs bulk deletion
     if (conversationIds.length === 1) {
@@ -1028,8 +1356,26 @@ export const conversationOperations = {
       return await this.bulkDeleteConversations({
         conversationIds: conversationIds,
         batchSize: batchSize,
-        delayMs: delayMs
+        delayMs: delayMs,
+        operationId: operationId
       });
     }
   }
-};
\ No newline at end of file
+};
+
+// Cursors are opaque to clients; they encode the offset of the next page
+function encodeConversationCursor(offset) {
+  return btoa(JSON.stringify({ offset }));
+}
+
+function decodeConversationCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(atob(cursor));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error('Invalid cursor');
+}
@@ -0,0 +1,264 @@
+// Conversation Settings for Chrome Extension
+// Reads and changes the model, extended thinking, web search and style selected in a Claude tab
+
+import { validateParams, withErrorHandling } from '../utils/error-handler.js';
+import { SETTINGS_READY_TIMEOUT } from './config.js';
+
+export const conversationSettingsOperations = {
+  /**
+   * @param {Object} params - { tabId }
+   * @returns {Promise<Object>} { success, tabId, settings: { model, extendedThinking, webSearch, style } }
+   */
+  async getConversationSettings(params) {
+    const validationError = validateParams(params, ['tabId']);
+    if (validationError) {
+      return validationError;
+    }
+
+    const coreGetLogic = async () => {
+      const { settings, error } = await this.runConversationSettingsScript(params.tabId, null);
+      if (error) {
+        throw new Error(error);
+      }
+      return { success: true, tabId: params.tabId, settings };
+    };
+
+    return await withErrorHandling(
+      coreGetLogic,
+      `CCM Extension: Failed to read conversation settings in tab ${params.tabId}`
+    )();
+  },
+
+  /**
+   * Select settings in the tab's composer, then read them back
+   * Fails, listing the mismatches, unless every requested setting reads back as requested.
+   * @param {Object} params - { tabId, model, extendedThinking, webSearch, style }
+   * @returns {Promise<Object>} { success, tabId, requested, settings, mismatches }
+   */
+  async setConversationSettings(params) {
+    const validationError = validateParams(params, ['tabId']);
+    if (validationError) {
+      return validationError;
+    }
+
+    const { tabId, model, extendedThinking, webSearch, style } = params;
+    const requested = Object.fromEntries(
+      Object.entries({ model, extendedThinking, webSearch, style }).filter(([, value]) => value !== undefined)
+    );
+
+    const coreSetLogic = async () => {
+      const { settings, selected = {}, errors = [], error } = await this.runConversationSettingsScript(tabId, requested);
+      if (error) {
+        throw new Error(error);
+      }
+
+      // A model or style is verified against the full name of the option it picked
+      const mismatches = Object.entries(requested)
+        .filter(([key, value]) => !settingMatches(selected[key] ?? value, settings[key]))
+        .map(([key, value]) => ({ setting: key, requested: value, actual: settings[key] ?? null }));
+
+      const result = { success: mismatches.length === 0, tabId, requested, settings, mismatches };
+      if (mismatches.length > 0) {
+        const details = mismatches.map(m => `${m.setting} (requested ${m.requested}, got ${m.actual})`);
+        result.error = `Conversation settings not applied: ${[...errors, ...details].join('; ')}`;
+      }
+      return result;
+    };
+
+    return await withErrorHandling(
+      coreSetLogic,
+      `CCM Extension: Failed to set conversation settings in tab ${tabId}`
+    )();
+  },
+
+  async runConversationSettingsScript(tabId, requested) {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      func: conversationSettingsInPage,
+      args: [requested, SETTINGS_READY_TIMEOUT]
+    });
+    return results[0]?.result || { error: 'Settings script returned no result' };
+  }
+};
+
+function settingMatches(expected, actual) {
+  if (typeof expected === 'boolean') {
+    return actual === expected;
+  }
+  const normalize = name => name.replace(/\s+/g, ' ').trim().toLowerCase();
+  return typeof actual === 'string' && normalize(actual) === normalize(expected);
+}
+
+/**
+ * Runs in the page (MAIN world), so it must be self-contained
+ * Applies the requested settings through the composer's menus (when requested is
+ * not null), then opens the menus again to read what is selected. A model or style
+ * is the option whose name equals the requested one (ignoring case), or else the
+ * only option whose name contains it; several such options fail as ambiguous.
+ * @returns {Promise<Object>} { settings, selected, errors } or { error }; selected
+ *   holds the full names of the model and style options picked
+ */
+async function conversationSettingsInPage(requested, readyTimeoutMs) {
+  const MODEL_SELECTOR = '[data-testid="model-selector-dropdown"]';
+  const TOOLS_MENU_SELECTOR = '[data-testid="input-menu-tools"], #input-tools-menu-trigger, button[aria-label*="tools" i]';
+  const MENU_ITEM_SELECTOR = '[role="menuitem"], [role="menuitemradio"], [role="menuitemcheckbox"]';
+  const TOGGLE_SELECTOR = '[role="switch"], input[type="checkbox"]';
+  const TOGGLE_LABELS = { extendedThinking: 'extended thinking', webSearch: 'web search' };
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const textOf = element => (element?.textContent || '').replace(/\s+/g, ' ').trim();
+  const waitFor = async (find, timeoutMs) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const found = find();
+      if (found || Date.now() > deadline) {
+        return found || null;
+      }
+      await sleep(50);
+    }
+  };
+  const menus = () => Array.from(document.querySelectorAll('[role="menu"]'));
+  // Menus open on pointerdown; click covers triggers that listen for it instead
+  const openMenu = async (trigger) => {
+    const before = menus().length;
+    trigger.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, button: 0, pointerType: 'mouse' }));
+    if (!await waitFor(() => menus().length > before, 500)) {
+      trigger.click();
+    }
+    await waitFor(() => menus().length > before, 2000);
+    return menus()[menus().length - 1] || null;
+  };
+  const closeMenus = async () => {
+    for (let i = 0; i < 3 && menus().length > 0; i++) {
+      document.activeElement?.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', bubbles: true }));
+      await sleep(150);
+    }
+  };
+  const isOn = toggle => toggle.getAttribute('aria-checked') === 'true'
+    || toggle.getAttribute('data-state') === 'checked'
+    || toggle.checked === true;
+  const isChecked = item => item.getAttribute('aria-checked') === 'true' || item.getAttribute('data-state') === 'checked';
+  const findItem = (menu, fragment) => Array.from(menu.querySelectorAll(MENU_ITEM_SELECTOR))
+    .find(item => textOf(item).toLowerCase().includes(fragment.toLowerCase()));
+  // An option's name is the element holding its first text; a description may follow
+  const nameOf = (item) => {
+    const walker = document.createTreeWalker(item, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.textContent.trim()) {
+        return textOf(node.parentElement);
+      }
+    }
+    return textOf(item);
+  };
+  const pickOption = (menu, wanted, setting) => {
+    const options = Array.from(menu.querySelectorAll(MENU_ITEM_SELECTOR)).map(item => ({ item, name: nameOf(item) }));
+    const key = wanted.replace(/\s+/g, ' ').trim().toLowerCase();
+    const exact = options.filter(option => option.name.toLowerCase() === key);
+    if (exact.length === 1) {
+      return { option: exact[0] };
+    }
+    const partial = options.filter(option => option.name.toLowerCase().includes(key));
+    if (partial.length === 1) {
+      return { option: partial[0] };
+    }
+    if (partial.length > 1) {
+      return { error: `${setting} ${wanted} is ambiguous (${partial.map(option => option.name).join(', ')})` };
+    }
+    return { error: `${setting} ${wanted} is not offered` };
+  };
+  // The checked model option, or the selector's label when the menu marks none
+  const readModel = async (button) => {
+    const menu = await openMenu(button);
+    const checked = menu && Array.from(menu.querySelectorAll(MENU_ITEM_SELECTOR)).find(isChecked);
+    await closeMenus();
+    return checked ? nameOf(checked) : (textOf(button) || null);
+  };
+
+  const modelButton = await waitFor(() => document.querySelector(MODEL_SELECTOR), readyTimeoutMs);
+  if (!modelButton) {
+    return { error: 'Model selector not found; is the tab on a loaded Claude conversation?' };
+  }
+
+  const errors = [];
+  const selected = {};
+  const wants = requested || {};
+
+  if (wants.model) {
+    const menu = await openMenu(modelButton);
+    const { option, error } = menu ? pickOption(menu, wants.model, 'model') : { error: 'model menu did not open' };
+    if (option) {
+      selected.model = option.name;
+      if (!isChecked(option.item)) {
+        option.item.click();
+        await sleep(300);
+      }
+    } else {
+      errors.push(error);
+    }
+    await closeMenus();
+  }
+
+  // Toggles and styles live in the tools menu
+  const visitToolsMenu = async (apply) => {
+    const state = { extendedThinking: null, webSearch: null, style: null };
+    const trigger = document.querySelector(TOOLS_MENU_SELECTOR);
+    const menu = trigger && await openMenu(trigger);
+    if (!menu) {
+      return state;
+    }
+
+    for (const [key, label] of Object.entries(TOGGLE_LABELS)) {
+      const item = Array.from(menu.querySelectorAll(`${MENU_ITEM_SELECTOR}, button, label`))
+        .find(candidate => textOf(candidate).toLowerCase().includes(label) && candidate.querySelector(TOGGLE_SELECTOR));
+      if (!item) continue;
+
+      const toggle = item.querySelector(TOGGLE_SELECTOR);
+      if (apply && typeof wants[key] === 'boolean' && isOn(toggle) !== wants[key]) {
+        toggle.click();
+        await sleep(200);
+      }
+      state[key] = isOn(toggle);
+    }
+
+    const styleItem = findItem(menu, 'style');
+    if (styleItem && (!apply || wants.style)) {
+      styleItem.click();
+      const styleMenu = await waitFor(() => menus().find(candidate => candidate !== menu), 1500);
+      if (styleMenu) {
+        const checked = Array.from(styleMenu.querySelectorAll(MENU_ITEM_SELECTOR)).find(isChecked);
+        state.style = checked ? nameOf(checked) : null;
+
+        if (apply) {
+          const { option, error } = pickOption(styleMenu, wants.style, 'style');
+          if (option) {
+            selected.style = option.name;
+            if (!isChecked(option.item)) {
+              option.item.click();
+              await sleep(200);
+            }
+          } else {
+            errors.push(error);
+          }
+        }
+      }
+    }
+
+    await closeMenus();
+    return state;
+  };
+
+  if (requested) {
+    await visitToolsMenu(true);
+  }
+  const toolsState = await visitToolsMenu(false);
+
+  return {
+    settings: {
+      model: await readModel(document.querySelector(MODEL_SELECTOR) || modelButton),
+      ...toolsState
+    },
+    selected,
+    errors
+  };
+}
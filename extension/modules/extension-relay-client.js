@@ -7,14 +7,20 @@ import {
   RECONNECT_INTERVAL,
   MESSAGE_TYPES,
   OPERATION_TYPES,
-  CLAUDE_AI_URL
+  CLAUDE_AI_URL,
+  TAB_POOL_SIZE,
+  TAB_POOL_RECLAIM_INTERVAL
 } from './config.js';
 import { MessageRelayQueue } from './message-relay-queue.js';
 import { TabOperationLock } from './tab-operation-lock.js';
+import { TabMessageQueue } from './tab-message-queue.js';
 import { MCPRelayClient } from './mcp-relay-client.js';
 import { tabOperations } from './tab-operations.js';
 import { createLogger, extensionLogger } from '../utils/logger.js';
 import { conversationOperations } from './conversation-operations.js';
+import { projectOperations } from './project-operations.js';
+import { conversationSettingsOperations } from './conversation-settings.js';
+import { branchOperations } from './branch-operations.js';
 import { tabBatchOperations } from './tab-batch-operations.js';
 import { chromeDebugOperations } from './chrome-debug-operations.js';
 import { updateBadge } from '../utils/utils.js';
@@ -27,6 +33,18 @@ export class ExtensionRelayClient {
     this.requestCounter = 0;
     this.messageQueue = new MessageRelayQueue();
     this.operationLock = new TabOperationLock();
+    this.cancelledOperations = new Set(); // Operation IDs cancelled by MCP servers
+    this.tabMessageQueue = new TabMessageQueue({
+      deliver: (item) => this.sendTabMessage(item),
+      reportMilestone: (operationId, milestone, data) => this.sendOperationMilestone(operationId, milestone, data)
+    });
+    // Pre-warmed Claude tabs: ready tab IDs, leases by tab ID, tabs being prepared
+    this.tabPool = {
+      ready: new Set(),
+      leases: new Map(),
+      warming: 0,
+      targetSize: TAB_POOL_SIZE
+    };
     // ExtensionScriptManager will be passed in from background script
     this.extensionScriptManager = null;
     
@@ -64,6 +82,20 @@ export class ExtensionRelayClient {
       });
     }, 5 * 60 * 1000);
     
+    // Reclaim pooled tabs whose lease has expired
+    this.tabPoolReclaimInterval = setInterval(() => {
+      this.reclaimExpiredLeases().catch(error => {
+        this.logger.error('Tab pool lease reclaim failed', { error: error.message });
+      });
+    }, TAB_POOL_RECLAIM_INTERVAL);
+    
+    // Resume message queues saved before the service worker stopped
+    try {
+      await this.tabMessageQueue.restore();
+    } catch (error) {
+      this.logger.error('Failed to restore message queues', { error: error.message });
+    }
+    
     this.logger.info('WebSocket ExtensionRelayClient initialized');
   }
 
@@ -92,6 +124,9 @@ export class ExtensionRelayClient {
         case 'system_wait_operation':
           result = await this.waitForOperation(command.params || {});
           break;
+        case 'cancel_operation':
+          result = await this.cancelOperation(command.params || {});
+          break;
         case 'system_get_extension_logs':
           result = await this.getExtensionLogs(command.params || {});
           break;
@@ -152,6 +187,9 @@ export class ExtensionRelayClient {
             result = await this.sendMessageAsync(command.params || {});
           }
           break;
+        case 'tab_attach_file':
+          result = await this.attachFileToTab(command.params || {});
+          break;
         case 'tab_get_response':
           result = await this.getClaudeResponse(command.params || {});
           break;
@@ -164,6 +202,21 @@ export class ExtensionRelayClient {
         case 'tab_extract_elements':
           result = await this.extractConversationElements(command.params || {});
           break;
+        case 'tab_edit_message':
+          result = await this.editMessage(command.params || {});
+          break;
+        case 'tab_regenerate_response':
+          result = await this.regenerateResponse(command.params || {});
+          break;
+        case 'tab_switch_branch':
+          result = await this.switchBranch(command.params || {});
+          break;
+        case 'tab_get_conversation_settings':
+          result = await this.getConversationSettings(command.params || {});
+          break;
+        case 'tab_set_conversation_settings':
+          result = await this.setConversationSettings(command.params || {});
+          break;
         case 'tab_export_conversation':
           result = await this.exportConversationTranscript(command.params || {});
           break;
@@ -173,6 +226,34 @@ export class ExtensionRelayClient {
         case 'tab_batch_operations':
           result = await this.handleTabBatchOperations(command.params || {});
           break;
+        case 'tab_pool_lease':
+          result = await this.leasePoolTab({ ...command.params, clientId: command.fromClient });
+          break;
+        case 'tab_pool_return':
+          result = await this.returnPoolTab({ ...command.params, clientId: command.fromClient });
+          break;
+        case 'tab_enqueue_messages':
+          result = await this.enqueueTabMessages({ ...command.params, clientId: command.fromClient });
+          break;
+        case 'tab_get_queue':
+          result = await this.getTabQueue(command.params || {});
+          break;
+        case 'tab_reorder_queue':
+          result = await this.reorderTabQueue(command.params || {});
+          break;
+        case 'tab_clear_queue':
+          result = await this.clearTabQueue(command.params || {});
+          break;
+
+        // Scheduler (reopens a conversation before a scheduled send)
+        case 'open_claude_conversation_tab':
+          result = await this.openClaudeConversationTab(command.params || {});
+          break;
+
+        // Conversation mirror (sync fetches message trees of new or updated conversations)
+        case 'get_conversation_trees':
+          result = await this.getConversationTrees(command.params || {});
+          break;
 
         // API tools
         case 'api_list_conversations':
@@ -190,6 +271,29 @@ export class ExtensionRelayClient {
         case 'api_delete_conversations':
           result = await this.handleApiDeleteConversations(command.params || {});
           break;
+        case 'api_update_conversations':
+          result = await this.bulkUpdateConversations(command.params || {});
+          break;
+
+        // Project tools
+        case 'api_list_projects':
+          result = await this.listProjects(command.params || {});
+          break;
+        case 'api_get_project':
+          result = await this.getProject(command.params || {});
+          break;
+        case 'api_list_project_docs':
+          result = await this.listProjectDocs(command.params || {});
+          break;
+        case 'api_add_project_docs':
+          result = await this.addProjectDocs(command.params || {});
+          break;
+        case 'api_remove_project_docs':
+          result = await this.removeProjectDocs(command.params || {});
+          break;
+        case 'api_create_conversation_in_project':
+          result = await this.createConversationInProject(command.params || {});
+          break;
 
         default:
           throw new Error(`Unknown command type: ${command.type}`);
@@ -224,6 +328,11 @@ export class ExtensionRelayClient {
       this.debuggerCleanupInterval = null;
     }
     
+    if (this.tabPoolReclaimInterval) {
+      clearInterval(this.tabPoolReclaimInterval);
+      this.tabPoolReclaimInterval = null;
+    }
+    
     console.log('CCM Extension: WebSocket relay disconnected');
   }
 
@@ -287,7 +396,7 @@ export class ExtensionRelayClient {
   // Async message sending
   async sendMessageAsync(params) {
     console.log('CCM Extension: sendMessageAsync called with params:', JSON.stringify(params, null, 2));
-    const { tabId, message, operationId } = params;
+    const { tabId, message, operationId, stream } = params;
     
     if (!tabId || !message) {
       console.log('CCM Extension: Missing required parameters - tabId:', tabId, 'message:', message);
@@ -300,7 +409,8 @@ export class ExtensionRelayClient {
         tabId,
         message,
         waitForReady: true,
-        operationId  // OPERATION ID UNIFICATION: Pass through server operation ID
+        operationId,  // OPERATION ID UNIFICATION: Pass through server operation ID
+        stream
       });
       
       if (result.success) {
@@ -435,7 +545,7 @@ export class ExtensionRelayClient {
       return { success: false, error: 'Failed to get response from source tab', sourceTabId };
     }
 
-    // Extract text from response object
+    // The response's markdown, so code fences and their languages reach the target intact
     const responseText = sourceResponse.response?.text || sourceResponse.response || '';
     
     if (!responseText || responseText.trim() === '') {
@@ -450,7 +560,8 @@ export class ExtensionRelayClient {
     // Transform response if template provided
     let messageToSend = responseText;
     if (transformTemplate) {
-      messageToSend = transformTemplate.replace('${response}', responseText);
+      // A replacer function keeps "$" sequences in the response (LaTeX, shell) literal
+      messageToSend = transformTemplate.replace('${response}', () => responseText);
     }
 
     // Send to target tab with enhanced error handling
@@ -942,7 +1053,8 @@ export class ExtensionRelayClient {
         this.executeCommand({
           type: message.type,
           params: message.params || {},
-          requestId: message.id
+          requestId: message.id,
+          fromClient: fromClient
         }).then(result => {
           // Send response back via relay
           this.sendToRelay({
@@ -1227,6 +1339,51 @@ export class ExtensionRelayClient {
     }
   }
 
+  // Multicast a notification to every connected MCP server via relay
+  async notifyMCPClients(data) {
+    if (!this.relayConnected || this.connectedClients.size === 0) {
+      return;
+    }
+
+    try {
+      await this.sendToRelay({
+        type: 'multicast',
+        targetType: 'mcp-client',
+        data: {
+          ...data,
+          timestamp: Date.now()
+        }
+      });
+    } catch (error) {
+      this.logger.error('Failed to notify MCP clients', { error: error.message, type: data.type });
+    }
+  }
+
+  // Report an operation milestone; only the MCP server owning the operation acts on it
+  async sendOperationMilestone(operationId, milestone, data = {}) {
+    if (!operationId) {
+      return;
+    }
+    // Completion of a queued message lets its tab's queue send the next one
+    await this.tabMessageQueue.handleMilestone(operationId, milestone);
+    await this.notifyMCPClients({
+      type: 'operation_milestone',
+      operationId,
+      milestone,
+      ...data
+    });
+  }
+
+  // Report a tab lifecycle event: 'created', 'navigated' or 'removed'
+  async sendTabEvent(event, tabId, data = {}) {
+    await this.notifyMCPClients({
+      type: 'tab_event',
+      event,
+      tabId,
+      ...data
+    });
+  }
+
   // Centralized tab resource cleanup with proper dependency ordering
   async cleanupTabResources(tabId, options = {}) {
     const { closeTab = false, reason = 'cleanup' } = options;
@@ -1332,7 +1489,30 @@ export class ExtensionRelayClient {
         }
       }
 
-      // Step 6: Close tab (only if requested)
+      // Step 6: Drop the tab from the tab pool
+      if (this.tabPool) {
+        const wasReady = this.tabPool.ready.delete(tabId);
+        const wasLeased = this.tabPool.leases.delete(tabId);
+        if (wasReady || wasLeased) {
+          cleanupSteps.push('tab_pool_removed');
+          this.refillTabPool();
+        }
+      }
+
+      // Step 7: Discard the tab's message queue
+      if (this.tabMessageQueue) {
+        try {
+          const dropped = await this.tabMessageQueue.dropTab(tabId, `Tab cleanup: ${reason}`);
+          if (dropped > 0) {
+            cleanupSteps.push('message_queue_dropped');
+          }
+        } catch (error) {
+          errors.push({ step: 'message_queue', error: error.message });
+          this.logger.warn(`Message queue cleanup failed for tab ${tabId}`, { error: error.message });
+        }
+      }
+
+      // Step 8: Close tab (only if requested)
       if (closeTab) {
         try {
           await chrome.tabs.remove(tabId);
@@ -1376,5 +1556,8 @@ export class ExtensionRelayClient {
 // Mix in all operation methods
 Object.assign(ExtensionRelayClient.prototype, tabOperations);
 Object.assign(ExtensionRelayClient.prototype, conversationOperations);
+Object.assign(ExtensionRelayClient.prototype, projectOperations);
+Object.assign(ExtensionRelayClient.prototype, conversationSettingsOperations);
+Object.assign(ExtensionRelayClient.prototype, branchOperations);
 Object.assign(ExtensionRelayClient.prototype, tabBatchOperations);
 Object.assign(ExtensionRelayClient.prototype, chromeDebugOperations);
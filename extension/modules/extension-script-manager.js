@@ -2,6 +2,7 @@
 
 import { CLAUDE_AI_URL } from './config.js';
 import { withErrorHandling } from '../utils/error-handler.js';
+import { installMarkdownConverter } from '../utils/markdown.js';
 
 export class ExtensionScriptManager {
   constructor() {
@@ -26,6 +27,13 @@ export class ExtensionScriptManager {
         return { success: false, error: 'Not a Claude.ai tab' };
       }
 
+      // The observer falls back to reconstructing markdown from the rendered response
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        func: installMarkdownConverter,
+        world: 'MAIN'
+      });
+
       // Execute conversation observer in MAIN world
       const [mainWorldResult] = await chrome.scripting.executeScript({
         target: { tabId: tabId },
@@ -121,66 +129,231 @@ export class ExtensionScriptManager {
             operation.lastUpdate = Date.now();
           }
           return operation;
+        },
+
+        // Report a milestone to the ISOLATED world bridge, which forwards it to the MCP server
+        emitMilestone(operationId, milestone, data = {}) {
+          document.dispatchEvent(new CustomEvent('ccm_operation_milestone', {
+            detail: { operationId, milestone, ...data }
+          }));
         }
       };
 
-      // Network interceptor setup
+      // Network interceptor: completion requests answer with a server-sent event stream,
+      // which is read from a copy of the response as it arrives
+      const COMPLETION_URL_PATTERN = /\/api\/organizations\/[^/]+\/chat_conversations\/[^/]+\/(retry_)?completion$/;
       const originalFetch = window.fetch;
       window.fetch = async function(...args) {
-        const [url, options] = args;
+        const response = await originalFetch.apply(this, args);
         
         try {
-          const response = await originalFetch.apply(this, args);
-          
-          if (typeof url === 'string' && url.includes('/api/organizations/') && url.includes('/chat_conversations/')) {
-            const clonedResponse = response.clone();
-            
-            clonedResponse.text().then(responseText => {
-              try {
-                const responseData = JSON.parse(responseText);
-                
-                if (url.endsWith('/completion')) {
-                  window.conversationObserver.handleNetworkResponse('stream_complete', {
-                    url,
-                    data: responseData,
-                    timestamp: Date.now()
-                  });
-                }
-              } catch (e) {
-                console.error('CCM: Error parsing response:', e);
-              }
-            }).catch(err => {
-              console.error('CCM: Error reading response:', err);
-            });
+          const [resource] = args;
+          const url = String(resource instanceof Request ? resource.url : resource).split('?')[0];
+          if (COMPLETION_URL_PATTERN.test(url) && response.body) {
+            window.conversationObserver.trackCompletionStream(response.clone().body);
           }
-          
-          return response;
         } catch (error) {
-          console.error('CCM: Fetch error:', error);
-          throw error;
+          console.error('CCM: Could not observe completion stream:', error);
         }
+        
+        return response;
       };
 
-      window.conversationObserver.handleNetworkResponse = function(type, data) {
-        for (const [operationId, operation] of this.operationRegistry) {
-          if (operation.status === 'waiting_response' || operation.status === 'receiving') {
-            operation.networkResponses.push({ type, data, timestamp: Date.now() });
-            
-            if (type === 'stream_complete') {
-              operation.status = 'completed';
-              operation.completedAt = Date.now();
-              operation.response = data.data;
-              this.lastObservedResponse = { operationId, response: data.data, timestamp: Date.now() };
+      // Markdown reconstructed from a rendered message (installMarkdownConverter), or its text
+      const renderedMarkdown = (element) => {
+        if (!element) {
+          return '';
+        }
+        return window.ccmRenderedToMarkdown ? window.ccmRenderedToMarkdown(element) : (element.textContent?.trim() || '');
+      };
+
+      const parseStreamEvent = (block) => {
+        let event = null;
+        const dataLines = [];
+        for (const line of block.split(/\r?\n/)) {
+          if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trimStart());
+          }
+        }
+        try {
+          return { event, data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : null };
+        } catch (e) {
+          return { event, data: null };
+        }
+      };
+
+      // The stream belongs to the newest operation still waiting for its response
+      // (a tab sends one message at a time)
+      window.conversationObserver.trackCompletionStream = async function(body) {
+        const operation = [...this.operationRegistry.values()]
+          .filter(candidate => !candidate.sse && ['sending', 'waiting_response', 'receiving'].includes(candidate.status))
+          .pop();
+        if (!operation) {
+          return;
+        }
+        operation.sse = { text: '', thinkingLength: 0, stopReason: null, messageId: null, messageUuid: null, model: null, ended: false, lastProgressAt: 0 };
+        operation.networkResponses.push({ type: 'completion_stream', timestamp: Date.now() });
+        
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        try {
+          for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+              break;
             }
+            buffer += decoder.decode(value, { stream: true });
+            const blocks = buffer.split(/\r?\n\r?\n/);
+            buffer = blocks.pop();
+            blocks.forEach(block => this.handleStreamEvent(operation, parseStreamEvent(block)));
+          }
+          if (buffer.trim()) {
+            this.handleStreamEvent(operation, parseStreamEvent(buffer));
           }
+        } catch (error) {
+          console.warn(`CCM: Completion stream for ${operation.id} broke off:`, error);
+        } finally {
+          operation.sse.ended = true;
+          // Older streams end with a stop reason but no message_stop; a stream that broke
+          // off without either leaves completion to the DOM observer
+          if (!operation.sse.stopped && operation.status !== 'completed' && operation.sse.stopReason) {
+            this.completeFromStream(operation);
+          }
+        }
+      };
+
+      window.conversationObserver.handleStreamEvent = function(operation, { event, data }) {
+        if (!data || operation.sse.stopped || ['completed', 'cancelled', 'failed'].includes(operation.status)) {
+          return;
+        }
+        const sse = operation.sse;
+        operation.lastUpdate = Date.now();
+        
+        switch (data.type || event) {
+          case 'message_start':
+            sse.messageId = data.message?.id || null;
+            sse.messageUuid = data.message?.uuid || null;
+            sse.model = data.message?.model || null;
+            operation.status = 'receiving';
+            this.emitMilestone(operation.id, 'response_started', {
+              source: 'stream',
+              messageId: sse.messageId,
+              model: sse.model
+            });
+            break;
+          case 'content_block_start':
+            // Text blocks separated by tool use or thinking are separate paragraphs
+            if (data.content_block?.type === 'text' && sse.text && !sse.text.endsWith('\n\n')) {
+              sse.text += '\n\n';
+            }
+            break;
+          case 'content_block_delta':
+            if (data.delta?.type === 'text_delta') {
+              sse.text += data.delta.text || '';
+            } else if (data.delta?.type === 'thinking_delta') {
+              sse.thinkingLength += (data.delta.thinking || '').length;
+            }
+            this.reportStreamProgress(operation);
+            break;
+          case 'completion':
+            // Older event format: text and stop reason in one event
+            sse.text += data.completion || '';
+            sse.stopReason = data.stop_reason || sse.stopReason;
+            this.reportStreamProgress(operation);
+            break;
+          case 'message_delta':
+            sse.stopReason = data.delta?.stop_reason || sse.stopReason;
+            break;
+          case 'message_stop':
+            this.completeFromStream(operation);
+            break;
+          case 'error':
+            operation.status = 'failed';
+            operation.error = data.error?.message || 'Completion stream error';
+            this.emitMilestone(operation.id, 'error', { source: 'stream', error: operation.error });
+            break;
         }
       };
 
+      // At most once per second; thinking counts as progress, so long pauses are visible
+      window.conversationObserver.reportStreamProgress = function(operation) {
+        const sse = operation.sse;
+        if (Date.now() - sse.lastProgressAt < 1000) {
+          return;
+        }
+        sse.lastProgressAt = Date.now();
+        this.emitMilestone(operation.id, 'response_progress', {
+          source: 'stream',
+          responseLength: sse.text.length,
+          thinkingLength: sse.thinkingLength
+        });
+      };
+
+      window.conversationObserver.completeFromStream = function(operation) {
+        const sse = operation.sse;
+        sse.stopped = true;
+        
+        // Give the page a moment to render the last chunk, so streamed deltas end with it
+        setTimeout(() => {
+          if (operation.status === 'cancelled') {
+            return;
+          }
+          // The stream carries the response's markdown; the rendered message is only
+          // needed when it had no text
+          const text = sse.text.trim() || renderedMarkdown(operation.messageElement);
+          operation.flushDelta?.(text);
+          operation.status = 'completed';
+          operation.completedAt = Date.now();
+          operation.response = {
+            text,
+            source: sse.text.trim() ? 'stream' : 'dom',
+            stopReason: sse.stopReason,
+            messageId: sse.messageId,
+            messageUuid: sse.messageUuid
+          };
+          this.lastObservedResponse = { operationId: operation.id, response: operation.response, timestamp: Date.now() };
+          console.log(`CCM: Operation ${operation.id} completed by stream (${sse.stopReason})`);
+          this.emitMilestone(operation.id, 'response_completed', {
+            source: 'stream',
+            stopReason: sse.stopReason,
+            messageId: sse.messageId,
+            responseLength: text.length
+          });
+        }, 300);
+      };
+
       // Observer for individual message content changes
       const observeMessageContent = (messageElement, operationId) => {
         let lastContent = '';
         let noChangeCount = 0;
         let checkCount = 0;
+        let lastProgressAt = 0;
+        let streamedContent = '';
+        let lastDeltaAt = 0;
+        const streaming = !!window.conversationObserver.operationRegistry.get(operationId)?.params?.stream;
+        
+        // Report text added since the last delta. offset is where the delta starts:
+        // when the page re-renders earlier text, everything from offset is replaced.
+        const emitDelta = (content) => {
+          if (content === streamedContent) {
+            return;
+          }
+          let offset = 0;
+          const sharedLength = Math.min(content.length, streamedContent.length);
+          while (offset < sharedLength && content[offset] === streamedContent[offset]) {
+            offset++;
+          }
+          window.conversationObserver.emitMilestone(operationId, 'response_delta', {
+            offset,
+            delta: content.slice(offset),
+            responseLength: content.length
+          });
+          streamedContent = content;
+          lastDeltaAt = Date.now();
+        };
         
         const getFullContent = (element) => {
           // Simply get all text content from the message element
@@ -188,32 +361,78 @@ export class ExtensionScriptManager {
           return element.textContent?.trim() || '';
         };
         
+        // Completion by the stream flushes held-back text before reporting
+        if (streaming) {
+          window.conversationObserver.operationRegistry.get(operationId).flushDelta = (text) => emitDelta(text);
+        }
+        
+        // While the completion stream is open it decides when the response is done,
+        // so pauses in rendering (thinking, tool use) are not taken for the end
+        const streamOpen = () => {
+          const sse = window.conversationObserver.operationRegistry.get(operationId)?.sse;
+          return !!sse && (!sse.ended || sse.stopped);
+        };
+        
+        // Deltas follow the text the completed response will report, so their offsets
+        // hold for response.text: the stream's markdown while it is open, else the rendered message's
+        const responseText = () => {
+          const sse = window.conversationObserver.operationRegistry.get(operationId)?.sse;
+          return (streamOpen() && sse.text.trim()) || renderedMarkdown(messageElement);
+        };
+        
         const checkCompletion = () => {
+          const operation = window.conversationObserver.operationRegistry.get(operationId);
+          if (!operation || ['completed', 'cancelled', 'failed'].includes(operation.status)) {
+            return true;
+          }
+          
           const currentContent = getFullContent(messageElement);
           checkCount++;
           
           if (currentContent === lastContent && currentContent.length > 0) {
             noChangeCount++;
             // Wait for more consecutive no-changes and ensure we've checked at least 5 times
-            if (noChangeCount >= 5 && checkCount >= 5) {
-              const operation = window.conversationObserver.operationRegistry.get(operationId);
-              if (operation && operation.status === 'receiving') {
+            if (noChangeCount >= 5 && checkCount >= 5 && !streamOpen()) {
+              const text = renderedMarkdown(messageElement);
+              // Flush text held back by delta throttling before completion is reported
+              if (streaming) {
+                emitDelta(text);
+              }
+              if (operation.status === 'receiving') {
                 operation.status = 'completed';
                 operation.completedAt = Date.now();
-                operation.response = { text: currentContent };
+                operation.response = { text, source: 'dom' };
                 window.conversationObserver.lastObservedResponse = {
                   operationId,
-                  response: { text: currentContent },
+                  response: operation.response,
                   timestamp: Date.now()
                 };
-                console.log(`CCM: Operation ${operationId} completed with ${currentContent.length} chars`);
+                console.log(`CCM: Operation ${operationId} completed with ${text.length} chars`);
+                window.conversationObserver.emitMilestone(operationId, 'response_completed', {
+                  source: 'dom',
+                  responseLength: text.length
+                });
                 return true;
               }
             }
           } else if (currentContent !== lastContent) {
             noChangeCount = 0;
             lastContent = currentContent;
+            resetIdleTimeout();
             console.log(`CCM: Content still changing for ${operationId}, length: ${currentContent.length}`);
+            
+            // Streamed deltas (at most four per second)
+            if (streaming && Date.now() - lastDeltaAt >= 250) {
+              emitDelta(responseText());
+            }
+            
+            // Throttled streaming progress (at most once per second); the stream reports its own
+            if (!operation.sse && Date.now() - lastProgressAt >= 1000) {
+              lastProgressAt = Date.now();
+              window.conversationObserver.emitMilestone(operationId, 'response_progress', {
+                responseLength: currentContent.length
+              });
+            }
           }
           return false;
         };
@@ -239,11 +458,21 @@ export class ExtensionScriptManager {
           }
         }, 200); // Check more frequently
         
-        // Clear interval after 30 seconds to prevent memory leak
-        setTimeout(() => {
-          clearInterval(checkInterval);
-          contentObserver.disconnect();
-        }, 30000);
+        // Stop observing once content has not changed for 30 seconds to prevent memory leak;
+        // measured from the last change so long generations stay observed
+        let idleTimeout = null;
+        function resetIdleTimeout() {
+          clearTimeout(idleTimeout);
+          idleTimeout = setTimeout(() => {
+            if (streamOpen()) {
+              resetIdleTimeout();
+              return;
+            }
+            clearInterval(checkInterval);
+            contentObserver.disconnect();
+          }, 30000);
+        }
+        resetIdleTimeout();
       };
 
       // DOM Observer for message detection
@@ -263,9 +492,10 @@ export class ExtensionScriptManager {
                   let messageElement = node.classList?.contains('font-claude-message') ? node : node.querySelector('.font-claude-message');
                   if (!messageElement) return;
                   
-                  // Update operations with streaming status
+                  // Update operations with streaming status; the completion stream may already
+                  // have moved its operation to receiving before the message rendered
                   for (const [operationId, operation] of window.conversationObserver.operationRegistry) {
-                    if (operation.status === 'sending' || operation.status === 'waiting_response') {
+                    if (['sending', 'waiting_response', 'receiving'].includes(operation.status) && !operation.messageElement) {
                       operation.status = 'receiving';
                       operation.messageElement = messageElement;
                       console.log(`CCM: Operation ${operationId} now receiving stream`);
@@ -339,6 +569,16 @@ export class ExtensionScriptManager {
         return false;
       });
 
+      // Forward operation milestones from MAIN world observer to background
+      document.addEventListener('ccm_operation_milestone', (event) => {
+        window.ccmBridge.sendToBackground({
+          type: 'operation_milestone',
+          ...event.detail
+        }).catch(err => {
+          console.error('CCM: Failed to forward milestone:', err);
+        });
+      });
+
       console.log('CCM: Communication bridge ready in ISOLATED world');
       return 'Bridge initialized in ISOLATED world';
     };
@@ -0,0 +1,248 @@
+// Project Operations for Chrome Extension
+// Methods for claude.ai Projects: listing, project knowledge documents and new conversations in a project
+
+import { ensureClaudeTabForApi } from '../utils/tab-management.js';
+import { withErrorThrow, validateParams } from '../utils/error-handler.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// IDs end up in API paths, so anything but a UUID is refused
+const uuidValidator = (name) => (value) => UUID_PATTERN.test(value) || `${name} must be a valid UUID`;
+
+export const projectOperations = {
+  /**
+   * Call an org-scoped Claude API endpoint from the API tab
+   * The organization comes from the lastActiveOrg cookie, as in listConversations().
+   * @param {string} path - Path below /api/organizations/{orgId}, e.g. '/projects'
+   * @param {Object} options - { method, body }
+   * @returns {Promise<*>} Parsed JSON response (null for empty responses)
+   */
+  async claudeApiRequest(path, { method = 'GET', body } = {}) {
+    const claudeTabResult = await ensureClaudeTabForApi(this);
+    if (!claudeTabResult.success) {
+      throw new Error(`Failed to ensure Claude tab: ${claudeTabResult.error}`);
+    }
+    const tabId = claudeTabResult.tab.id;
+    await this.ensureDebuggerAttached(tabId);
+
+    const script = `
+      (async function() {
+        try {
+          const orgMatch = document.cookie.match(/lastActiveOrg=([^;]+)/);
+          if (!orgMatch) {
+            throw new Error('Organization ID not found in cookies');
+          }
+
+          const response = await fetch('/api/organizations/' + orgMatch[1] + ${JSON.stringify(path)}, {
+            method: ${JSON.stringify(method)},
+            headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+            ${body !== undefined ? `body: ${JSON.stringify(JSON.stringify(body))},` : ''}
+            credentials: 'include'
+          });
+          const text = await response.text();
+          if (!response.ok) {
+            return { error: response.status + ' ' + text };
+          }
+          return { data: text ? JSON.parse(text) : null };
+        } catch (error) {
+          return { error: error.toString() };
+        }
+      })()
+    `;
+
+    const result = await this.executeScript({ tabId, script });
+    const value = result.result?.value;
+    if (!value) {
+      throw new Error('Script execution failed');
+    }
+    if (value.error) {
+      throw new Error(`API Error (${method} ${path}): ${value.error}`);
+    }
+    return value.data;
+  },
+
+  /**
+   * @param {Object} params - { includeArchived }
+   * @returns {Promise<Object>} { success, projects, total }
+   */
+  async listProjects(params = {}) {
+    const { includeArchived = false } = params;
+
+    const coreListLogic = async () => {
+      const data = await this.claudeApiRequest('/projects');
+      const projects = (data || [])
+        .map(toProjectSummary)
+        .filter(project => includeArchived || !project.archived);
+      return { success: true, projects, total: projects.length };
+    };
+
+    return await withErrorThrow(coreListLogic, 'CCM Extension: Error listing projects', 'Failed to list projects')();
+  },
+
+  /**
+   * @param {Object} params - { projectId }
+   * @returns {Promise<Object>} { success, project, docs } with the project's instructions and knowledge documents (without content)
+   */
+  async getProject(params) {
+    const validationError = validateParams(params, ['projectId'], { projectId: uuidValidator('projectId') });
+    if (validationError) {
+      throw new Error(validationError.error);
+    }
+
+    const coreGetLogic = async () => {
+      const project = await this.claudeApiRequest(`/projects/${params.projectId}`);
+      const docs = await this.claudeApiRequest(`/projects/${params.projectId}/docs`);
+      return {
+        success: true,
+        project: {
+          ...toProjectSummary(project),
+          instructions: project.prompt_template || ''
+        },
+        docs: (docs || []).map(doc => toProjectDoc(doc, false))
+      };
+    };
+
+    return await withErrorThrow(coreGetLogic, 'CCM Extension: Error getting project', 'Failed to get project')();
+  },
+
+  /**
+   * @param {Object} params - { projectId, includeContent }
+   * @returns {Promise<Object>} { success, projectId, docs, total }
+   */
+  async listProjectDocs(params) {
+    const validationError = validateParams(params, ['projectId'], { projectId: uuidValidator('projectId') });
+    if (validationError) {
+      throw new Error(validationError.error);
+    }
+
+    const { projectId, includeContent = false } = params;
+    const coreListLogic = async () => {
+      const docs = (await this.claudeApiRequest(`/projects/${projectId}/docs`) || [])
+        .map(doc => toProjectDoc(doc, includeContent));
+      return { success: true, projectId, docs, total: docs.length };
+    };
+
+    return await withErrorThrow(coreListLogic, 'CCM Extension: Error listing project documents', 'Failed to list project documents')();
+  },
+
+  /**
+   * Upload text documents to a project's knowledge, one request each
+   * @param {Object} params - { projectId, docs: [{ fileName, content }] }
+   * @returns {Promise<Object>} { success, projectId, added, failed }
+   */
+  async addProjectDocs(params) {
+    const validationError = validateParams(params, ['projectId', 'docs'], { projectId: uuidValidator('projectId') });
+    if (validationError) {
+      throw new Error(validationError.error);
+    }
+
+    const { projectId, docs } = params;
+    const added = [];
+    const failed = [];
+    for (const { fileName, content } of docs) {
+      try {
+        const doc = await this.claudeApiRequest(`/projects/${projectId}/docs`, {
+          method: 'POST',
+          body: { file_name: fileName, content }
+        });
+        added.push(toProjectDoc(doc, false));
+      } catch (error) {
+        failed.push({ fileName, error: error.message });
+      }
+    }
+
+    return { success: failed.length === 0, projectId, added, failed };
+  },
+
+  /**
+   * @param {Object} params - { projectId, docIds }
+   * @returns {Promise<Object>} { success, projectId, removed, failed }
+   */
+  async removeProjectDocs(params) {
+    const validationError = validateParams(params, ['projectId', 'docIds'], {
+      projectId: uuidValidator('projectId'),
+      docIds: (value) => (Array.isArray(value) && value.every(id => UUID_PATTERN.test(id))) || 'docIds must be an array of UUIDs'
+    });
+    if (validationError) {
+      throw new Error(validationError.error);
+    }
+
+    const { projectId, docIds } = params;
+    const removed = [];
+    const failed = [];
+    for (const docId of docIds) {
+      try {
+        await this.claudeApiRequest(`/projects/${projectId}/docs/${docId}`, { method: 'DELETE' });
+        removed.push(docId);
+      } catch (error) {
+        failed.push({ id: docId, error: error.message });
+      }
+    }
+
+    return { success: failed.length === 0, projectId, removed, failed };
+  },
+
+  /**
+   * Create an empty conversation inside a project and, by default, open it in a tab
+   * ready for tab_send_message
+   * @param {Object} params - { projectId, name, openTab, activate }
+   * @returns {Promise<Object>} { success, conversationId, projectId, name, url, tabId }
+   */
+  async createConversationInProject(params) {
+    const validationError = validateParams(params, ['projectId'], { projectId: uuidValidator('projectId') });
+    if (validationError) {
+      throw new Error(validationError.error);
+    }
+
+    const { projectId, name = '', openTab = true, activate = false } = params;
+    const coreCreateLogic = async () => {
+      const conversation = await this.claudeApiRequest('/chat_conversations', {
+        method: 'POST',
+        body: { uuid: crypto.randomUUID(), name, project_uuid: projectId }
+      });
+
+      let tab = null;
+      if (openTab) {
+        tab = await this.openClaudeConversationTab({
+          conversationId: conversation.uuid,
+          activate,
+          waitForLoad: true,
+          injectContentScript: true
+        });
+      }
+
+      return {
+        success: true,
+        conversationId: conversation.uuid,
+        projectId,
+        name: conversation.name || name,
+        url: tab?.url || null,
+        tabId: tab?.tabId || null
+      };
+    };
+
+    return await withErrorThrow(coreCreateLogic, 'CCM Extension: Error creating project conversation', 'Failed to create conversation in project')();
+  }
+};
+
+function toProjectSummary(project) {
+  return {
+    id: project.uuid,
+    name: project.name,
+    description: project.description || '',
+    isPrivate: Boolean(project.is_private),
+    created_at: project.created_at || null,
+    updated_at: project.updated_at || null,
+    archived: Boolean(project.archived_at)
+  };
+}
+
+function toProjectDoc(doc, includeContent) {
+  return {
+    id: doc.uuid,
+    fileName: doc.file_name,
+    created_at: doc.created_at || null,
+    size: (doc.content || '').length,
+    ...(includeContent && { content: doc.content || '' })
+  };
+}
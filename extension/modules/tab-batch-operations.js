@@ -32,7 +32,18 @@ export const tabBatchOperations = {
       };
     }
 
-    const { messages, sequential = false } = params;
+    const { messages, sequential = false, operationId } = params;
+    const isCancelled = () => Boolean(operationId) && this.cancelledOperations.has(operationId);
+    const cancelledResult = (tabId) => ({ tabId, success: false, error: 'Cancelled', cancelled: true, timestamp: Date.now() });
+    
+    // Report per-tab completion to the MCP server owning the operation
+    let completedCount = 0;
+    const reportTabDone = (tabId) => this.sendOperationMilestone(operationId, 'batch_progress', {
+      phase: 'send_messages',
+      tabId,
+      completed: ++completedCount,
+      total: messages.length
+    });
     
     // Extract core logic for error handling
     const coreBatchSendLogic = async () => {
@@ -40,8 +51,14 @@ export const tabBatchOperations = {
       const startTime = Date.now();
       
       if (sequential) {
-        // Send messages one by one, waiting for each to complete
+        // Send messages one by one, waiting for each to complete; a cancellation
+        // of the batch skips the messages not sent yet
         for (const msg of messages) {
+          if (isCancelled()) {
+            results.push(cancelledResult(msg.tabId));
+            continue;
+          }
+          
           const wrappedSendMessage = withErrorHandling(
             async () => {
               const sendResult = await this.sendTabMessage({
@@ -72,15 +89,20 @@ export const tabBatchOperations = {
           } else {
             results.push(messageResult);
           }
+          await reportTabDone(msg.tabId);
           
           // Small delay between sequential messages
-          if (messages.indexOf(msg) < messages.length - 1) {
+          if (messages.indexOf(msg) < messages.length - 1 && !isCancelled()) {
             await new Promise(resolve => setTimeout(resolve, 500));
           }
         }
       } else {
         // Send all messages in parallel
         const promises = messages.map(async (msg) => {
+          if (isCancelled()) {
+            return cancelledResult(msg.tabId);
+          }
+          
           const wrappedSendMessage = withErrorHandling(
             async () => {
               const sendResult = await this.sendTabMessage({
@@ -99,6 +121,7 @@ export const tabBatchOperations = {
           );
           
           const messageResult = await wrappedSendMessage();
+          await reportTabDone(msg.tabId);
           
           // Handle error case by converting to expected format
           if (!messageResult.success) {
@@ -133,6 +156,7 @@ export const tabBatchOperations = {
       
       return {
         success: failureCount === 0,
+        cancelled: isCancelled(),
         summary: {
           total: results.length,
           successful: successCount,
@@ -159,8 +183,19 @@ export const tabBatchOperations = {
       tabIds,
       timeoutMs = 30000,
       waitForAll = true,
-      pollIntervalMs = 1000
+      pollIntervalMs = 1000,
+      operationId
     } = params;
+    const isCancelled = () => Boolean(operationId) && this.cancelledOperations.has(operationId);
+    
+    // Report per-tab completion to the MCP server owning the operation
+    let completedCount = 0;
+    const reportTabDone = (tabId) => this.sendOperationMilestone(operationId, 'batch_progress', {
+      phase: 'get_responses',
+      tabId,
+      completed: ++completedCount,
+      total: tabIds.length
+    });
     
     // Extract core logic for error handling
     const coreBatchGetLogic = async () => {
@@ -172,7 +207,7 @@ export const tabBatchOperations = {
           const startTabTime = Date.now();
           
           // Poll for completion
-          while (Date.now() - startTime < timeoutMs) {
+          while (Date.now() - startTime < timeoutMs && !isCancelled()) {
             const status = await this.getClaudeResponseStatus({ tabId });
             
             if (status.status === 'complete' || status.status === 'error') {
@@ -181,6 +216,7 @@ export const tabBatchOperations = {
                 waitForCompletion: false,
                 timeoutMs: 5000
               });
+              await reportTabDone(tabId);
               
               return {
                 tabId,
@@ -195,15 +231,16 @@ export const tabBatchOperations = {
             await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
           }
           
-          // Timeout reached
+          // Timeout reached, or the batch was cancelled
+          await reportTabDone(tabId);
           return {
             tabId,
             response: null,
-            status: 'timeout',
+            status: isCancelled() ? 'cancelled' : 'timeout',
             completedAt: Date.now(),
             duration: Date.now() - startTabTime,
             success: false,
-            error: 'Response timeout'
+            error: isCancelled() ? 'Cancelled' : 'Response timeout'
           };
         });
         
@@ -214,7 +251,7 @@ export const tabBatchOperations = {
         // Return responses as they complete
         const pendingTabs = [...tabIds];
         
-        while (pendingTabs.length > 0 && Date.now() - startTime < timeoutMs) {
+        while (pendingTabs.length > 0 && Date.now() - startTime < timeoutMs && !isCancelled()) {
           for (let i = pendingTabs.length - 1; i >= 0; i--) {
             const tabId = pendingTabs[i];
             const status = await this.getClaudeResponseStatus({ tabId });
@@ -234,6 +271,7 @@ export const tabBatchOperations = {
                 duration: Date.now() - startTime,
                 success: status.status === 'complete'
               });
+              await reportTabDone(tabId);
               
               pendingTabs.splice(i, 1);
             }
@@ -244,16 +282,16 @@ export const tabBatchOperations = {
           }
         }
         
-        // Add timeout results for remaining tabs
+        // Add timeout (or cancellation) results for remaining tabs
         pendingTabs.forEach(tabId => {
           results.push({
             tabId,
             response: null,
-            status: 'timeout',
+            status: isCancelled() ? 'cancelled' : 'timeout',
             completedAt: Date.now(),
             duration: timeoutMs,
             success: false,
-            error: 'Response timeout'
+            error: isCancelled() ? 'Cancelled' : 'Response timeout'
           });
         });
       }
@@ -263,6 +301,7 @@ export const tabBatchOperations = {
         completed: results.filter(r => r.success).length,
         failed: results.filter(r => !r.success).length,
         timedOut: results.filter(r => r.status === 'timeout').length,
+        cancelled: results.filter(r => r.status === 'cancelled').length,
         totalTime: Date.now() - startTime,
         averageResponseTime: results
           .filter(r => r.success)
@@ -435,8 +474,19 @@ export const tabBatchOperations = {
       throw new Error(validationError.error);
     }
 
-    const { operation, messages, tabIds, ...batchParams } = params;
+    const { operation, messages, tabIds, operationId, ...batchParams } = params;
     
+    try {
+      return await this.runTabBatchOperation(operation, messages, tabIds, operationId, batchParams);
+    } finally {
+      // The loops above checked this batch's cancellation; nothing else will
+      if (operationId) {
+        this.cancelledOperations.delete(operationId);
+      }
+    }
+  },
+
+  async runTabBatchOperation(operation, messages, tabIds, operationId, batchParams) {
     switch (operation) {
       case 'send_messages':
         // Validate messages parameter
@@ -460,7 +510,8 @@ export const tabBatchOperations = {
           messages: messages,
           sequential: batchParams.sequential,
           delayMs: batchParams.delayMs,
-          maxConcurrent: batchParams.maxConcurrent
+          maxConcurrent: batchParams.maxConcurrent,
+          operationId: operationId
         });
         
       case 'get_responses':
@@ -485,7 +536,8 @@ export const tabBatchOperations = {
           tabIds: tabIds,
           timeoutMs: batchParams.timeoutMs,
           waitForAll: batchParams.waitForAll,
-          pollIntervalMs: batchParams.pollIntervalMs
+          pollIntervalMs: batchParams.pollIntervalMs,
+          operationId: operationId
         });
         
       case 'send_and_get':
@@ -511,17 +563,19 @@ export const tabBatchOperations = {
           messages: messages,
           sequential: batchParams.sequential,
           delayMs: batchParams.delayMs,
-          maxConcurrent: batchParams.maxConcurrent
+          maxConcurrent: batchParams.maxConcurrent,
+          operationId: operationId
         });
         
-        if (sendResult.success) {
+        if (sendResult.success && !this.cancelledOperations.has(operationId)) {
           // Extract tabIds from messages for getting responses
           const responseTabIds = messages.map(msg => msg.tabId);
           const getResult = await this.batchGetResponses({
             tabIds: responseTabIds,
             timeoutMs: batchParams.timeoutMs,
             waitForAll: batchParams.waitForAll,
-            pollIntervalMs: batchParams.pollIntervalMs
+            pollIntervalMs: batchParams.pollIntervalMs,
+            operationId: operationId
           });
           return { sendResult, getResult };
         }
@@ -0,0 +1,311 @@
+// Per-tab prompt queue: delivers each message once the previous response has completed
+
+import { TAB_QUEUE_ITEM_TIMEOUT, TAB_QUEUE_DELIVERY_DELAY } from './config.js';
+
+const STORAGE_KEY = 'ccm-tab-message-queues';
+
+/**
+ * TabMessageQueue - Durable per-tab queues for tab_enqueue_messages
+ *
+ * Items are identified by the MCP server operation created for them, so the
+ * content script's milestones (response_completed) reach the enqueuing server
+ * and drive the queue forward. Queues are kept in chrome.storage.local and
+ * restored when the service worker restarts; an item that was being answered
+ * keeps waiting for its completion milestone until TAB_QUEUE_ITEM_TIMEOUT.
+ */
+export class TabMessageQueue {
+  /**
+   * @param {Object} handlers
+   * @param {function(Object): Promise<Object>} handlers.deliver - Send { tabId, message, operationId } to the tab
+   * @param {function(string, string, Object): Promise<void>} handlers.reportMilestone - Report a milestone on an item's operation
+   */
+  constructor({ deliver, reportMilestone }) {
+    this.deliver = deliver;
+    this.reportMilestone = reportMilestone;
+    this.queues = new Map(); // tabId -> items; only the first item can be 'delivering'
+    this.timers = new Map(); // tabId -> response timeout of the delivering item
+    this.pumping = new Set(); // tabIds whose next item is being sent
+  }
+
+  /**
+   * Reload queues saved before the service worker stopped and resume delivery
+   */
+  async restore() {
+    const stored = (await chrome.storage.local.get(STORAGE_KEY))[STORAGE_KEY] || {};
+
+    for (const [key, items] of Object.entries(stored)) {
+      const tabId = Number(key);
+      if (items.length === 0) continue;
+      this.queues.set(tabId, items);
+
+      try {
+        await chrome.tabs.get(tabId);
+      } catch (error) {
+        await this.dropTab(tabId, 'Tab no longer exists');
+        continue;
+      }
+
+      const head = items[0];
+      if (head.status === 'delivering') {
+        this.armTimeout(tabId, head, TAB_QUEUE_ITEM_TIMEOUT - (Date.now() - head.deliveredAt));
+      } else {
+        this.pump(tabId);
+      }
+    }
+
+    console.log(`CCM: Restored message queues for ${this.queues.size} tab(s)`);
+  }
+
+  /**
+   * Append messages to a tab's queue
+   * @param {number} tabId
+   * @param {Array<Object>} items - { operationId, message }
+   * @param {string} [clientId] - Relay client that enqueued them
+   * @returns {Promise<Array<Object>>} Snapshot of the queue
+   */
+  async enqueue(tabId, items, clientId = null) {
+    const queue = this.queues.get(tabId) || [];
+    for (const { operationId, message } of items) {
+      queue.push({ operationId, message, clientId, status: 'pending', enqueuedAt: Date.now() });
+    }
+    this.queues.set(tabId, queue);
+
+    await this.persist();
+    this.pump(tabId);
+    return this.list(tabId);
+  }
+
+  /**
+   * @returns {Array<Object>} { operationId, position, status, messagePreview, enqueuedAt, deliveredAt }
+   */
+  list(tabId) {
+    return (this.queues.get(tabId) || []).map((item, position) => ({
+      operationId: item.operationId,
+      position,
+      status: item.status,
+      messagePreview: item.message.slice(0, 100),
+      clientId: item.clientId,
+      enqueuedAt: item.enqueuedAt,
+      ...(item.deliveredAt && { deliveredAt: item.deliveredAt })
+    }));
+  }
+
+  /**
+   * Move pending items to the front of the queue in the given order;
+   * pending items not listed keep their relative order behind them
+   */
+  async reorder(tabId, operationIds) {
+    const queue = this.queues.get(tabId) || [];
+    const delivering = queue.filter(item => item.status === 'delivering');
+    const pending = queue.filter(item => item.status === 'pending');
+
+    const byId = new Map(pending.map(item => [item.operationId, item]));
+    for (const operationId of operationIds) {
+      if (!byId.has(operationId)) {
+        const isDelivering = delivering.some(item => item.operationId === operationId);
+        throw new Error(isDelivering
+          ? `Item ${operationId} is already being delivered`
+          : `Item ${operationId} is not queued for tab ${tabId}`);
+      }
+    }
+
+    const listed = new Set(operationIds);
+    this.queues.set(tabId, [
+      ...delivering,
+      ...operationIds.map(operationId => byId.get(operationId)),
+      ...pending.filter(item => !listed.has(item.operationId))
+    ]);
+
+    await this.persist();
+    return this.list(tabId);
+  }
+
+  /**
+   * Remove pending items (all of them, or those listed); their operations are cancelled
+   * @returns {Promise<Array<string>>} Operation IDs removed
+   */
+  async clear(tabId, operationIds = null) {
+    const queue = this.queues.get(tabId) || [];
+    const removed = queue.filter(item =>
+      item.status === 'pending' && (!operationIds || operationIds.includes(item.operationId)));
+    if (removed.length === 0) {
+      return [];
+    }
+
+    this.setQueue(tabId, queue.filter(item => !removed.includes(item)));
+    await this.persist();
+
+    for (const item of removed) {
+      await this.reportMilestone(item.operationId, 'cancelled', { tabId, reason: 'Removed from queue' });
+    }
+    return removed.map(item => item.operationId);
+  }
+
+  /**
+   * Take an item out of the queue because its operation was cancelled by an MCP server
+   * A delivering item is finished so the next one can be sent.
+   * @returns {Promise<string|null>} Status the item had, or null if it is not queued
+   */
+  async cancel(operationId) {
+    for (const [tabId, queue] of this.queues) {
+      const item = queue.find(queued => queued.operationId === operationId);
+      if (!item) continue;
+
+      if (item.status === 'delivering') {
+        await this.finish(tabId, null);
+      } else {
+        this.setQueue(tabId, queue.filter(queued => queued !== item));
+        await this.persist();
+      }
+      return item.status;
+    }
+    return null;
+  }
+
+  /**
+   * Discard a tab's queue (tab closed or reset); every item's operation is cancelled
+   */
+  async dropTab(tabId, reason) {
+    const queue = this.queues.get(tabId);
+    if (!queue) {
+      return 0;
+    }
+
+    this.clearTimeout(tabId);
+    this.queues.delete(tabId);
+    await this.persist();
+
+    for (const item of queue) {
+      await this.reportMilestone(item.operationId, 'cancelled', { tabId, reason });
+    }
+    return queue.length;
+  }
+
+  /**
+   * Advance the queue when the delivering item's response completes or fails
+   * Called for every milestone reported by content scripts.
+   */
+  async handleMilestone(operationId, milestone) {
+    if (!['response_completed', 'error', 'cancelled'].includes(milestone)) {
+      return;
+    }
+    for (const [tabId, queue] of this.queues) {
+      const head = queue[0];
+      if (head?.operationId === operationId && head.status === 'delivering') {
+        await this.finish(tabId, milestone === 'response_completed' ? 'queue_item_completed' : null);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Send the next pending item unless one is already being answered
+   */
+  async pump(tabId) {
+    if (this.pumping.has(tabId)) {
+      return;
+    }
+    this.pumping.add(tabId);
+
+    try {
+      let head;
+      while ((head = this.queues.get(tabId)?.[0]) && head.status === 'pending') {
+        head.status = 'delivering';
+        head.deliveredAt = Date.now();
+        await this.persist();
+
+        let result;
+        try {
+          result = await this.deliver({ tabId, message: head.message, operationId: head.operationId });
+        } catch (error) {
+          result = { success: false, error: error.message };
+        }
+
+        if (result.success) {
+          await this.reportMilestone(head.operationId, 'queue_item_delivered', {
+            tabId,
+            remaining: this.queues.get(tabId).length - 1
+          });
+          // The item may have completed (or been cancelled) while it was being sent
+          if (this.queues.get(tabId)?.[0] === head) {
+            this.armTimeout(tabId, head, TAB_QUEUE_ITEM_TIMEOUT);
+          }
+          return;
+        }
+
+        console.warn(`CCM: Queued message for tab ${tabId} could not be sent:`, result.error);
+        this.shift(tabId, head);
+        await this.persist();
+        await this.reportMilestone(head.operationId, 'error', {
+          tabId,
+          phase: 'queue_delivery_failed',
+          error: result.error || 'Unknown error'
+        });
+      }
+    } finally {
+      this.pumping.delete(tabId);
+    }
+  }
+
+  /**
+   * Remove the delivering item and schedule the next one
+   * @param {string|null} milestone - Reported on the item's operation (null = none)
+   */
+  async finish(tabId, milestone, data = {}) {
+    const head = this.queues.get(tabId)?.[0];
+    if (!head) {
+      return;
+    }
+
+    this.clearTimeout(tabId);
+    this.shift(tabId, head);
+    await this.persist();
+
+    if (milestone) {
+      await this.reportMilestone(head.operationId, milestone, {
+        tabId,
+        remaining: this.queues.get(tabId)?.length || 0,
+        ...data
+      });
+    }
+
+    // Give Claude's UI a moment to settle before the next message
+    setTimeout(() => this.pump(tabId), TAB_QUEUE_DELIVERY_DELAY);
+  }
+
+  armTimeout(tabId, item, timeoutMs) {
+    this.clearTimeout(tabId);
+    this.timers.set(tabId, setTimeout(() => {
+      console.warn(`CCM: Queued message ${item.operationId} on tab ${tabId} timed out`);
+      this.finish(tabId, 'error', {
+        phase: 'queue_response_timeout',
+        error: `Response did not complete within ${TAB_QUEUE_ITEM_TIMEOUT}ms`
+      });
+    }, Math.max(timeoutMs, 0)));
+  }
+
+  clearTimeout(tabId) {
+    clearTimeout(this.timers.get(tabId));
+    this.timers.delete(tabId);
+  }
+
+  shift(tabId, item) {
+    this.setQueue(tabId, (this.queues.get(tabId) || []).filter(queued => queued !== item));
+  }
+
+  setQueue(tabId, queue) {
+    if (queue.length > 0) {
+      this.queues.set(tabId, queue);
+    } else {
+      this.queues.delete(tabId);
+    }
+  }
+
+  async persist() {
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEY]: Object.fromEntries(this.queues) });
+    } catch (error) {
+      console.error('CCM: Failed to persist message queues:', error);
+    }
+  }
+}
@@ -2,11 +2,18 @@
 
 export class TabOperationLock {
   constructor() {
-    this.locks = new Map(); // tabId -> { operation, timestamp, resolver }
+    this.locks = new Map(); // tabId -> { operation, operationId, timestamp, resolver }
     this.lockTimeouts = new Map(); // tabId -> timeoutId
   }
 
-  async acquireLock(tabId, operation, timeout = 30000) {
+  /**
+   * @param {number} tabId
+   * @param {string} operation - Operation type, for logs
+   * @param {Object} [options]
+   * @param {string} [options.operationId] - Operation holding the lock; only it may release the lock early
+   * @param {number} [options.timeout] - Auto-release after this long
+   */
+  async acquireLock(tabId, operation, { operationId = null, timeout = 30000 } = {}) {
     // Check if there's an existing lock
     if (this.locks.has(tabId)) {
       const existingLock = this.locks.get(tabId);
@@ -27,6 +34,7 @@ export class TabOperationLock {
 
     this.locks.set(tabId, {
       operation,
+      operationId,
       timestamp: Date.now(),
       promise,
       resolver
@@ -35,7 +43,7 @@ export class TabOperationLock {
     // Set timeout for auto-release
     const timeoutId = setTimeout(() => {
       console.warn(`CCM: Lock timeout for tab ${tabId}, operation: ${operation}`);
-      this.releaseLock(tabId);
+      this.releaseLock(tabId, operationId);
     }, timeout);
 
     this.lockTimeouts.set(tabId, timeoutId);
@@ -43,8 +51,17 @@ export class TabOperationLock {
     console.log(`CCM: Lock acquired for tab ${tabId}, operation: ${operation}`);
   }
 
-  releaseLock(tabId) {
+  /**
+   * @param {number} tabId
+   * @param {string} [operationId] - Release only if this operation holds the lock
+   * @returns {boolean} Whether a lock was released
+   */
+  releaseLock(tabId, operationId = null) {
     const lock = this.locks.get(tabId);
+    if (lock && operationId && lock.operationId !== operationId) {
+      console.log(`CCM: Lock for tab ${tabId} is held by ${lock.operationId || lock.operation}, not ${operationId}; keeping it`);
+      return false;
+    }
     if (lock) {
       // Clear timeout
       const timeoutId = this.lockTimeouts.get(tabId);
@@ -60,7 +77,9 @@ export class TabOperationLock {
       this.locks.delete(tabId);
 
       console.log(`CCM: Lock released for tab ${tabId}, operation: ${lock.operation}`);
+      return true;
     }
+    return false;
   }
 
   isLocked(tabId) {
@@ -77,6 +96,7 @@ export class TabOperationLock {
       lockInfo.push({
         tabId,
         operation: lock.operation,
+        operationId: lock.operationId,
         duration: Date.now() - lock.timestamp
       });
     }
@@ -1,7 +1,8 @@
 // Chrome Tab Operations for ExtensionRelayClient
 
 import { generateOperationId, isClaudeAiUrl } from '../utils/utils.js';
-import { OPERATION_TIMEOUT, COMPLETION_TIMEOUT } from './config.js';
+import { waitForTabComplete } from '../utils/tab-management.js';
+import { OPERATION_TIMEOUT, COMPLETION_TIMEOUT, CLAUDE_AI_URL, TAB_POOL_LEASE_TTL, TAB_LOAD_TIMEOUT, ATTACHMENT_UPLOAD_TIMEOUT, CANCELLED_OPERATION_TTL } from './config.js';
 import { 
   withErrorHandling, 
   withLockManagement, 
@@ -26,17 +27,15 @@ export const tabOperations = {
       
       // Wait for tab to load if requested
       if (params.waitForLoad) {
-        await new Promise((resolve) => {
-          const listener = (tabId, changeInfo) => {
-            if (tabId === tab.id && changeInfo.status === 'complete') {
-              chrome.tabs.onUpdated.removeListener(listener);
-              resolve();
-            }
-          };
-          chrome.tabs.onUpdated.addListener(listener);
-        });
+        await waitForTabComplete(tab.id, TAB_LOAD_TIMEOUT);
       }
       
+      const result = {
+        success: true,
+        tabId: tab.id,
+        tab: tab
+      };
+      
       // Inject content script if requested
       if (params.injectContentScript && this.extensionScriptManager) {
         console.log(`CCM Extension: Injecting content script into spawned tab ${tab.id}`);
@@ -56,20 +55,10 @@ export const tabOperations = {
         
         const injectionResult = await this.extensionScriptManager.injectContentScript(tab.id);
         console.log(`CCM Extension: Injection result:`, injectionResult);
-        
-        return {
-          success: true,
-          tabId: tab.id,
-          tab: tab,
-          injectionResult: injectionResult
-        };
+        result.injectionResult = injectionResult;
       }
       
-      return {
-        success: true,
-        tabId: tab.id,
-        tab: tab
-      };
+      return result;
     };
 
     // Use error handler utility
@@ -293,7 +282,7 @@ export const tabOperations = {
 
   async sendTabMessage(params) {
     console.log(`CCM Extension: sendTabMessage received params:`, params);
-    const { tabId, message, waitForReady = true, operationId: serverOperationId } = params;
+    const { tabId, message, waitForReady = true, operationId: serverOperationId, stream = false } = params;
     console.log(`CCM Extension: extracted serverOperationId:`, serverOperationId);
     
     // Validate parameters
@@ -311,12 +300,12 @@ export const tabOperations = {
       }
     };
     
+    // OPERATION ID UNIFICATION: Use server operation ID if provided, otherwise generate one
+    const operationId = serverOperationId || generateOperationId();
+    console.log(`CCM Extension: Using operation ID: ${operationId} (from server: ${!!serverOperationId})`);
+    
     // Extract core message sending logic
     const coreMessageSendLogic = async () => {
-      // OPERATION ID UNIFICATION: Use server operation ID if provided, otherwise generate one
-      const operationId = serverOperationId || generateOperationId();
-      console.log(`CCM Extension: Using operation ID: ${operationId} (from server: ${!!serverOperationId})`);
-      
       // Register operation in content script with Chrome API error handling
       const wrappedSendMessage = withChromeAPIErrorHandling(
         async () => {
@@ -324,7 +313,8 @@ export const tabOperations = {
             type: 'register_operation',
             operationId: operationId,
             operationType: 'send_message',
-            params: { message, tabId }
+            // stream makes the content script report response_delta milestones
+            params: { message, tabId, stream }
           });
         },
         `CCM Extension: Failed to register operation for tab ${tabId}`,
@@ -391,14 +381,15 @@ export const tabOperations = {
       
       const result = results[0].result;
       if (result.success) {
-        // Update operation status to waiting_response
+        // Update operation status to waiting_response, unless the completion stream or the
+        // DOM observer has already moved it on
         await chrome.scripting.executeScript({
           target: { tabId: tabId },
           world: 'MAIN',
           func: function(opId) {
             if (window.conversationObserver) {
               const operation = window.conversationObserver.operationRegistry.get(opId);
-              if (operation) {
+              if (operation && operation.status === 'sending') {
                 operation.status = 'waiting_response';
                 operation.lastUpdate = Date.now();
                 console.log(`CCM: Operation ${opId} status updated to waiting_response`);
@@ -422,14 +413,136 @@ export const tabOperations = {
     const wrappedWithLock = withLockManagement(
       coreMessageSendLogic,
       `CCM Extension: Failed to send message to tab ${tabId}`,
-      (lockKey) => this.operationLock.acquireLock(lockKey, 'send_message'),
-      (lockKey) => this.operationLock.releaseLock(lockKey),
+      (lockKey) => this.operationLock.acquireLock(lockKey, 'send_message', { operationId }),
+      (lockKey) => this.operationLock.releaseLock(lockKey, operationId),
       () => tabId
     );
 
     return await wrappedWithLock();
   },
 
+  /**
+   * Attach one file to the composer of a Claude tab, ahead of sendTabMessage
+   * Tries the page's file input, then a synthetic paste and drop, stopping at the
+   * first that adds an attachment chip, and succeeds only once the chip for the
+   * file shows up with its upload finished.
+   * @param {Object} params - { tabId, fileName, mimeType, data } with data base64
+   * @returns {Promise<Object>} { success, tabId, fileName, method }
+   */
+  async attachFileToTab(params) {
+    const validationError = validateParams(params, ['tabId', 'fileName', 'mimeType', 'data']);
+    if (validationError) {
+      return validationError;
+    }
+
+    const { tabId, fileName, mimeType, data } = params;
+    const coreAttachLogic = async () => {
+      const results = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: async function(fileName, mimeType, data, timeoutMs) {
+          const CHIP_SELECTOR = '[data-testid="file-thumbnail"], [data-testid*="attachment"], [data-testid*="upload-preview"]';
+          const BUSY_SELECTOR = '[role="progressbar"], [aria-busy="true"], .animate-spin';
+          const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+          const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+          const transfer = new DataTransfer();
+          transfer.items.add(new File([bytes], fileName, { type: mimeType }));
+
+          const inputField = document.querySelector('div[contenteditable="true"]');
+          const chips = () => Array.from(document.querySelectorAll(CHIP_SELECTOR));
+          const chipsBefore = new Set(chips());
+          const newChips = () => chips().filter(chip => !chipsBefore.has(chip));
+          const baseName = fileName.replace(/\.[^.]+$/, '').toLowerCase();
+          // Chips show the file name; an image thumbnail may not, so it is taken only
+          // when it is the one new chip
+          const findChip = () => {
+            const added = newChips();
+            const named = added.find(chip => [chip.textContent, chip.getAttribute('title'), chip.querySelector('img')?.getAttribute('alt')]
+              .some(label => (label || '').toLowerCase().includes(baseName)));
+            if (named) return named;
+            return added.length === 1 && added[0].querySelector('img') ? added[0] : null;
+          };
+          const waitForChip = async (ms) => {
+            const deadline = Date.now() + ms;
+            while (Date.now() < deadline) {
+              const chip = findChip();
+              if (chip) return chip;
+              await sleep(100);
+            }
+            return null;
+          };
+
+          const methods = {
+            file_input: () => {
+              const fileInput = document.querySelector('input[type="file"]');
+              if (!fileInput) return false;
+              fileInput.files = transfer.files;
+              fileInput.dispatchEvent(new Event('change', { bubbles: true }));
+              return true;
+            },
+            paste: () => {
+              if (!inputField) return false;
+              inputField.focus();
+              inputField.dispatchEvent(new ClipboardEvent('paste', { clipboardData: transfer, bubbles: true, cancelable: true }));
+              return true;
+            },
+            drop: () => {
+              if (!inputField) return false;
+              for (const type of ['dragenter', 'dragover', 'drop']) {
+                inputField.dispatchEvent(new DragEvent(type, { dataTransfer: transfer, bubbles: true, cancelable: true }));
+              }
+              return true;
+            }
+          };
+
+          const deadline = Date.now() + timeoutMs;
+          const attemptMs = Math.floor(timeoutMs / 4);
+          let method = null;
+          let chip = null;
+          for (const [name, attach] of Object.entries(methods)) {
+            // Any new chip means an earlier method took, if late; another method would attach the file twice
+            if (newChips().length > 0) break;
+            if (!attach()) continue;
+
+            method = name;
+            chip = await waitForChip(attemptMs);
+            if (chip) break;
+          }
+          if (!chip && newChips().length > 0) {
+            chip = await waitForChip(deadline - Date.now());
+          }
+
+          if (!chip) {
+            return newChips().length > 0
+              ? { success: false, error: `An attachment appeared but could not be matched to ${fileName}` }
+              : { success: false, error: `No attachment chip appeared for ${fileName}; the page may not accept ${mimeType}` };
+          }
+
+          // Claude disables sending until the upload completes
+          while (chip.isConnected && chip.querySelector(BUSY_SELECTOR)) {
+            if (Date.now() > deadline) {
+              return { success: false, error: `Upload of ${fileName} did not finish within ${timeoutMs}ms` };
+            }
+            await sleep(100);
+          }
+          if (!chip.isConnected) {
+            return { success: false, error: `Claude rejected ${fileName} (${mimeType})` };
+          }
+          return { success: true, method };
+        },
+        args: [fileName, mimeType, data, ATTACHMENT_UPLOAD_TIMEOUT]
+      });
+
+      const result = results[0]?.result || { success: false, error: 'Attachment script returned no result' };
+      return result.success ? { success: true, tabId, fileName, method: result.method } : { ...result, tabId, fileName };
+    };
+
+    return await withErrorHandling(
+      coreAttachLogic,
+      `CCM Extension: Failed to attach ${fileName} in tab ${tabId}`
+    )();
+  },
+
   async getClaudeResponse(params) {
     // Validate parameters
     const validationError = validateParams(params, ['tabId']);
@@ -476,6 +589,7 @@ export const tabOperations = {
             return {
               status: operation.status,
               response: operation.response,
+              error: operation.error,
               operationId: opId,
               duration: operation.completedAt ? 
                 operation.completedAt - operation.registeredAt : null
@@ -503,6 +617,22 @@ export const tabOperations = {
           };
         }
         
+        if (result.status === 'cancelled') {
+          return {
+            success: false,
+            error: 'cancelled',
+            description: 'Operation was cancelled before the response completed'
+          };
+        }
+        
+        if (result.status === 'failed') {
+          return {
+            success: false,
+            error: 'failed',
+            description: result.error || 'The completion stream reported an error'
+          };
+        }
+        
         // Wait before next check
         await new Promise(resolve => setTimeout(resolve, checkInterval));
       }
@@ -522,5 +652,403 @@ export const tabOperations = {
     );
 
     return await wrappedGetResponse();
+  },
+
+  async stopClaudeGeneration(params) {
+    // Validate parameters
+    const validationError = validateParams(params, ['tabId']);
+    if (validationError) {
+      return validationError;
+    }
+    
+    const { tabId, operationId } = params;
+    
+    // Extract core logic for error handling
+    const coreStopLogic = async () => {
+      const results = await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        world: 'MAIN',
+        func: function(opId) {
+          // Given an operation, stop only the response that operation is waiting for:
+          // the tab's newest one still in flight (a tab sends one message at a time)
+          if (opId) {
+            const activeStatuses = ['sending', 'waiting_response', 'receiving'];
+            const generating = [...(window.conversationObserver?.operationRegistry.values() || [])]
+              .filter(operation => activeStatuses.includes(operation.status))
+              .pop();
+            if (!generating || generating.id !== opId) {
+              return { stopped: false, reason: 'Operation is not generating in this tab' };
+            }
+            // Mark the operation cancelled first so the observer never reports completion
+            window.conversationObserver.updateOperation(opId, { status: 'cancelled' });
+          }
+          
+          const stopButton = document.querySelector('button[aria-label*="Stop"], button[title*="Stop"]');
+          if (stopButton && stopButton.offsetParent !== null) {
+            stopButton.click();
+            return { stopped: true };
+          }
+          return { stopped: false, reason: 'No active generation' };
+        },
+        args: [operationId || null]
+      });
+      
+      return {
+        success: true,
+        tabId,
+        ...results[0].result
+      };
+    };
+
+    // Use error handler utility
+    const wrappedStop = withErrorHandling(
+      coreStopLogic,
+      `CCM Extension: Failed to stop generation in tab ${tabId}`
+    );
+
+    return await wrappedStop();
+  },
+
+  /**
+   * Append messages to a tab's durable queue; each is sent once the previous response completes
+   * @param {Object} params - { tabId, items: [{ operationId, message }], clientId }
+   */
+  async enqueueTabMessages(params) {
+    const validationError = validateParams(params, ['tabId', 'items']);
+    if (validationError) {
+      return validationError;
+    }
+    
+    const { tabId, items, clientId } = params;
+    
+    const coreEnqueueLogic = async () => {
+      await chrome.tabs.get(tabId);
+      const queue = await this.tabMessageQueue.enqueue(tabId, items, clientId);
+      const enqueued = new Set(items.map(item => item.operationId));
+      
+      return {
+        success: true,
+        tabId,
+        items: queue.filter(item => enqueued.has(item.operationId)),
+        queueLength: queue.length
+      };
+    };
+    
+    const wrappedEnqueue = withErrorHandling(
+      coreEnqueueLogic,
+      `CCM Extension: Failed to enqueue messages for tab ${tabId}`
+    );
+    
+    return await wrappedEnqueue();
+  },
+
+  async getTabQueue(params) {
+    const validationError = validateParams(params, ['tabId']);
+    if (validationError) {
+      return validationError;
+    }
+    
+    const items = this.tabMessageQueue.list(params.tabId);
+    return { success: true, tabId: params.tabId, items, queueLength: items.length };
+  },
+
+  /**
+   * Move pending items to the front of a tab's queue in the given order
+   * @param {Object} params - { tabId, operationIds }
+   */
+  async reorderTabQueue(params) {
+    const validationError = validateParams(params, ['tabId', 'operationIds']);
+    if (validationError) {
+      return validationError;
+    }
+    
+    const { tabId, operationIds } = params;
+    const wrappedReorder = withErrorHandling(
+      async () => {
+        const items = await this.tabMessageQueue.reorder(tabId, operationIds);
+        return { success: true, tabId, items, queueLength: items.length };
+      },
+      `CCM Extension: Failed to reorder queue for tab ${tabId}`
+    );
+    
+    return await wrappedReorder();
+  },
+
+  /**
+   * Remove pending items from a tab's queue (all, or the listed operationIds)
+   * The item being answered is left alone; cancel its operation to stop it.
+   * @param {Object} params - { tabId, operationIds }
+   */
+  async clearTabQueue(params) {
+    const validationError = validateParams(params, ['tabId']);
+    if (validationError) {
+      return validationError;
+    }
+    
+    const { tabId, operationIds } = params;
+    const removed = await this.tabMessageQueue.clear(tabId, operationIds);
+    const items = this.tabMessageQueue.list(tabId);
+    return { success: true, tabId, removed, items, queueLength: items.length };
+  },
+
+  /**
+   * Lease a ready Claude tab from the pool (opening one if the pool is empty)
+   * The lease is tagged with the leasing MCP client and reclaimed once it expires.
+   * @param {Object} params - { clientId, leaseTtlMs, poolSize }
+   */
+  async leasePoolTab(params = {}) {
+    const { clientId, leaseTtlMs = TAB_POOL_LEASE_TTL, poolSize } = params;
+    
+    const coreLeaseLogic = async () => {
+      // The pool only warms once a lease has set its size
+      if (poolSize !== undefined) {
+        this.tabPool.targetSize = poolSize;
+      }
+      await this.reclaimExpiredLeases();
+      
+      let tabId = await this.takeReadyPoolTab();
+      const fromPool = tabId !== null;
+      if (!fromPool) {
+        tabId = await this.preparePoolTab();
+      }
+      
+      const lease = {
+        tabId,
+        clientId: clientId || null,
+        clientName: this.connectedClients.get(clientId)?.name || null,
+        leasedAt: Date.now(),
+        expiresAt: Date.now() + leaseTtlMs
+      };
+      this.tabPool.leases.set(tabId, lease);
+      console.log(`CCM Extension: Leased pool tab ${tabId} to ${lease.clientName || lease.clientId}`);
+      
+      // Top the pool back up in the background
+      this.refillTabPool();
+      
+      return {
+        success: true,
+        ...lease,
+        fromPool,
+        pool: this.getTabPoolStats()
+      };
+    };
+    
+    const wrappedLease = withErrorHandling(
+      coreLeaseLogic,
+      'CCM Extension: Failed to lease pool tab'
+    );
+    
+    return await wrappedLease();
+  },
+
+  /**
+   * Return a leased tab: reset it to a new conversation and keep it ready,
+   * or close it when the pool is already full
+   * @param {Object} params - { tabId, clientId }
+   */
+  async returnPoolTab(params) {
+    const validationError = validateParams(params, ['tabId']);
+    if (validationError) {
+      return validationError;
+    }
+    
+    const { tabId, clientId } = params;
+    const lease = this.tabPool.leases.get(tabId);
+    if (!lease) {
+      return { success: false, error: `Tab ${tabId} is not leased from the pool`, tabId };
+    }
+    if (lease.clientId && clientId && lease.clientId !== clientId) {
+      return {
+        success: false,
+        error: `Tab ${tabId} is leased by ${lease.clientName || lease.clientId}`,
+        tabId
+      };
+    }
+    
+    const returnedToPool = await this.releasePoolTab(tabId, 'returned');
+    return {
+      success: true,
+      tabId,
+      returnedToPool,
+      pool: this.getTabPoolStats()
+    };
+  },
+
+  /**
+   * Reclaim tabs whose lease has expired (runs every TAB_POOL_RECLAIM_INTERVAL)
+   */
+  async reclaimExpiredLeases() {
+    const now = Date.now();
+    const expired = Array.from(this.tabPool.leases.values()).filter(lease => lease.expiresAt <= now);
+    
+    for (const lease of expired) {
+      console.warn(`CCM Extension: Lease on pool tab ${lease.tabId} by ${lease.clientName || lease.clientId} expired, reclaiming`);
+      await this.releasePoolTab(lease.tabId, 'lease_expired');
+    }
+    return expired.length;
+  },
+
+  /**
+   * End a lease; the tab rejoins the pool if there is room and it resets cleanly
+   * @returns {Promise<boolean>} Whether the tab went back into the pool
+   */
+  async releasePoolTab(tabId, reason) {
+    this.tabPool.leases.delete(tabId);
+    await this.tabMessageQueue.dropTab(tabId, `Pool tab ${reason}`);
+    
+    if (this.tabPool.ready.size + this.tabPool.warming < this.tabPool.targetSize) {
+      this.tabPool.warming++;
+      try {
+        await this.resetPoolTab(tabId);
+        this.tabPool.ready.add(tabId);
+        console.log(`CCM Extension: Pool tab ${tabId} ready again (${reason})`);
+        return true;
+      } catch (error) {
+        console.warn(`CCM Extension: Could not reset pool tab ${tabId}, closing it:`, error.message);
+      } finally {
+        this.tabPool.warming--;
+      }
+    }
+    
+    await this.cleanupTabResources(tabId, { closeTab: true, reason: `tab_pool_${reason}` });
+    this.refillTabPool();
+    return false;
+  },
+
+  /**
+   * Take a ready tab out of the pool, skipping tabs that were closed or lost their scripts
+   * @returns {Promise<number|null>} Tab ID, or null if none is ready
+   */
+  async takeReadyPoolTab() {
+    for (const tabId of this.tabPool.ready) {
+      this.tabPool.ready.delete(tabId);
+      try {
+        await chrome.tabs.get(tabId);
+      } catch (error) {
+        continue;
+      }
+      
+      const injection = await this.extensionScriptManager.injectContentScript(tabId);
+      if (injection.success) {
+        return tabId;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Open a background /new tab with content scripts injected
+   * @returns {Promise<number>} Tab ID
+   */
+  async preparePoolTab() {
+    const result = await this.createTab({
+      url: `${CLAUDE_AI_URL}/new`,
+      active: false,
+      waitForLoad: true,
+      injectContentScript: true
+    });
+    if (!result.success || !result.injectionResult?.success) {
+      if (result.tabId) {
+        await this.cleanupTabResources(result.tabId, { closeTab: true, reason: 'tab_pool_prepare_failed' });
+      }
+      throw new Error(result.error || result.injectionResult?.error || 'Content script injection failed');
+    }
+    return result.tabId;
+  },
+
+  /**
+   * Bring a returned or reclaimed pool tab back to /new
+   * Waits for a message send still holding the tab's lock, then holds the lock itself,
+   * so the leftover generation it stops belongs to the lease that just ended.
+   */
+  async resetPoolTab(tabId) {
+    const operationId = `pool_reset_${tabId}_${Date.now()}`;
+    await this.operationLock.acquireLock(tabId, 'pool_reset', { operationId });
+    try {
+      await this.stopClaudeGeneration({ tabId });
+      this.extensionScriptManager.removeTab(tabId);
+      
+      await chrome.tabs.update(tabId, { url: `${CLAUDE_AI_URL}/new`, active: false });
+      await waitForTabComplete(tabId, TAB_LOAD_TIMEOUT);
+      
+      const injection = await this.extensionScriptManager.injectContentScript(tabId);
+      if (!injection.success) {
+        throw new Error(injection.error || 'Content script injection failed');
+      }
+    } finally {
+      this.operationLock.releaseLock(tabId, operationId);
+    }
+  },
+
+  /**
+   * Open tabs until the pool holds targetSize ready tabs; never throws
+   * Runs after every lease, return or reclaim, and when a pool tab closes.
+   */
+  async refillTabPool() {
+    while (this.tabPool.ready.size + this.tabPool.warming < this.tabPool.targetSize) {
+      this.tabPool.warming++;
+      try {
+        this.tabPool.ready.add(await this.preparePoolTab());
+      } catch (error) {
+        console.warn('CCM Extension: Failed to warm pool tab:', error.message);
+        return;
+      } finally {
+        this.tabPool.warming--;
+      }
+    }
+  },
+
+  getTabPoolStats() {
+    return {
+      ready: this.tabPool.ready.size,
+      leased: this.tabPool.leases.size,
+      warming: this.tabPool.warming,
+      targetSize: this.tabPool.targetSize
+    };
+  },
+
+  async cancelOperation(params) {
+    // Validate parameters
+    const validationError = validateParams(params, ['operationId']);
+    if (validationError) {
+      return validationError;
+    }
+    
+    const { operationId, operationType, tabId } = params;
+    console.log(`CCM Extension: Cancelling operation ${operationId} (${operationType})`);
+    
+    const result = {
+      success: true,
+      operationId,
+      generationStopped: false,
+      lockReleased: false
+    };
+    
+    // A queued message that has not been sent yet is just taken out of the queue;
+    // for the one being answered, generation is stopped and the queue moves on
+    const queuedStatus = await this.tabMessageQueue.cancel(operationId);
+    if (queuedStatus === 'pending') {
+      result.removedFromQueue = true;
+      return result;
+    }
+    
+    if (!tabId) {
+      // Batch loops (bulk deletion, tab_batch_operations) check this set between items
+      // and clear their entry when they finish; entries no loop owns expire
+      this.cancelledOperations.add(operationId);
+      setTimeout(() => this.cancelledOperations.delete(operationId), CANCELLED_OPERATION_TTL);
+      return result;
+    }
+    
+    // Both are left alone when another operation holds the tab
+    const stopResult = await this.stopClaudeGeneration({ tabId, operationId });
+    result.generationStopped = !!stopResult.stopped;
+    if (!stopResult.success) {
+      result.stopError = stopResult.error;
+    }
+    
+    result.lockReleased = this.operationLock.releaseLock(tabId, operationId);
+    
+    return result;
   }
 };
\ No newline at end of file
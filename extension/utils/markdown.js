@@ -0,0 +1,143 @@
+// Markdown Reconstruction from Rendered Messages
+// Fallback for when a response's markdown is not available from the completion stream or the API
+
+/**
+ * Installs window.ccmRenderedToMarkdown(element) in the page
+ * Runs in the page (MAIN world, or embedded into debugger scripts with toString()),
+ * so it must be self-contained.
+ * Code blocks keep their fences and language, math its TeX source; buttons and icons
+ * (the "Copy" label, code block headers) are left out.
+ */
+export function installMarkdownConverter() {
+  if (window.ccmRenderedToMarkdown) {
+    return;
+  }
+
+  const SKIP_SELECTOR = 'button, svg, style, script, [role="button"]';
+  const BLOCK_SELECTOR = 'p, ul, ol, h1, h2, h3, h4, h5, h6, table, blockquote';
+  const LANGUAGE_PATTERN = /language-([\w+#.-]+)/;
+  const LABEL_PATTERN = /^[\w+#.-]{1,20}$/;
+
+  const tidy = text => text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  const block = text => `\n\n${text}\n\n`;
+  const texOf = element => element.querySelector('annotation[encoding="application/x-tex"]')?.textContent;
+  const languageOf = element => {
+    for (const candidate of [element, ...element.querySelectorAll('[class*="language-"]')]) {
+      const match = (candidate.getAttribute('class') || '').match(LANGUAGE_PATTERN);
+      if (match) {
+        return match[1];
+      }
+    }
+    return '';
+  };
+
+  const fence = (pre, label = '') => {
+    const code = (pre.querySelector('code') || pre).textContent.replace(/\n$/, '');
+    const marker = code.includes('```') ? '````' : '```';
+    return block(`${marker}${languageOf(pre) || label}\n${code}\n${marker}`);
+  };
+
+  // Code blocks render inside a wrapper whose header shows the language
+  const codeBlockWrapper = (element) => {
+    const pres = element.querySelectorAll('pre');
+    if (pres.length !== 1 || element.querySelector(BLOCK_SELECTOR)) {
+      return null;
+    }
+    const pre = pres[0];
+    const header = Array.from(element.querySelectorAll('div, span'))
+      .find(candidate => !candidate.contains(pre) && !pre.contains(candidate) && LABEL_PATTERN.test(candidate.textContent.trim()));
+    return { pre, label: header ? header.textContent.trim() : '' };
+  };
+
+  const convertChildren = element => Array.from(element.childNodes).map(convert).join('');
+
+  const convertList = (list, ordered) => {
+    const start = Number(list.getAttribute('start') || 1);
+    const items = Array.from(list.children)
+      .filter(child => child.tagName === 'LI')
+      .map((item, index) => {
+        const marker = ordered ? `${start + index}. ` : '- ';
+        let body = tidy(convertChildren(item));
+        if (!body.includes('```')) {
+          body = body.replace(/\n\n/g, '\n');
+        }
+        return marker + body.split('\n').join(`\n${' '.repeat(marker.length)}`);
+      });
+    return block(items.join('\n'));
+  };
+
+  const convertTable = (table) => {
+    const rows = Array.from(table.querySelectorAll('tr')).map(row => Array.from(row.children)
+      .map(cell => tidy(convertChildren(cell)).replace(/\n+/g, ' ').replace(/\|/g, '\\|')));
+    if (rows.length === 0) {
+      return '';
+    }
+    const line = cells => `| ${cells.join(' | ')} |`;
+    return block([line(rows[0]), line(rows[0].map(() => '---')), ...rows.slice(1).map(line)].join('\n'));
+  };
+
+  function convert(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(SKIP_SELECTOR)) {
+      return '';
+    }
+
+    if (node.classList.contains('katex-display') && texOf(node)) {
+      return block(`$$${texOf(node)}$$`);
+    }
+    if (node.classList.contains('katex') && texOf(node)) {
+      return `$${texOf(node)}$`;
+    }
+
+    const tag = node.tagName.toLowerCase();
+    switch (tag) {
+      case 'pre':
+        return fence(node);
+      case 'code': {
+        const ticks = node.textContent.includes('`') ? '``' : '`';
+        return `${ticks}${node.textContent}${ticks}`;
+      }
+      case 'strong':
+      case 'b':
+        return `**${convertChildren(node)}**`;
+      case 'em':
+      case 'i':
+        return `*${convertChildren(node)}*`;
+      case 'del':
+      case 's':
+        return `~~${convertChildren(node)}~~`;
+      case 'a':
+        return `[${convertChildren(node)}](${node.getAttribute('href') || ''})`;
+      case 'img':
+        return `![${node.getAttribute('alt') || ''}](${node.getAttribute('src') || ''})`;
+      case 'br':
+        return '\n';
+      case 'hr':
+        return block('---');
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return block(`${'#'.repeat(Number(tag[1]))} ${tidy(convertChildren(node))}`);
+      case 'p':
+        return block(tidy(convertChildren(node)));
+      case 'blockquote':
+        return block(tidy(convertChildren(node)).split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+      case 'ul':
+      case 'ol':
+        return convertList(node, tag === 'ol');
+      case 'table':
+        return convertTable(node);
+      default: {
+        const wrapper = codeBlockWrapper(node);
+        return wrapper ? fence(wrapper.pre, wrapper.label) : convertChildren(node);
+      }
+    }
+  }
+
+  window.ccmRenderedToMarkdown = element => tidy(convert(element));
+}
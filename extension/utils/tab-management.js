@@ -228,4 +228,39 @@ export async function getClaudeTabsWithConversations(tabOperations) {
       tabsByConversationId: new Map()
     };
   }
-}
\ No newline at end of file
+}
+/**
+ * Wait for a tab to finish loading
+ * Listeners are removed however the wait ends.
+ * @param {number} tabId - Tab that is loading (call after starting the navigation)
+ * @param {number} timeoutMs - How long to wait for status 'complete'
+ * @returns {Promise<void>} Rejects if the tab is closed or does not load in time
+ */
+export function waitForTabComplete(tabId, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const finish = (error) => {
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    const onUpdated = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        finish();
+      }
+    };
+    const onRemoved = (removedTabId) => {
+      if (removedTabId === tabId) {
+        finish(new Error(`Tab ${tabId} was closed while loading`));
+      }
+    };
+    const timeout = setTimeout(() => finish(new Error(`Tab ${tabId} did not load within ${timeoutMs}ms`)), timeoutMs);
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+  });
+}
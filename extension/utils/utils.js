@@ -36,7 +36,7 @@ export function updateBadge(status, count = null) {
 }
 
 // Operation IDs are generated by MCP server, not extension
-// Format: op_{tool_name}_{timestamp}
+// Format: op_{tool_name}_{timestamp}_{random}
 // TEMPORARY: Extension still generates some internal operation IDs
 export function generateOperationId() {
   return `ext_op_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
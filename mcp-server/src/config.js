@@ -54,6 +54,17 @@ const HTTP_PROTOCOL = 'http://';
 const HEALTH_PATH = '/health';
 const TAKEOVER_PATH = '/takeover';
 
+// ============================================
+// MCP RESOURCE CONSTANTS
+// ============================================
+
+// Resource scheme and URI templates
+const RESOURCE_SCHEME = 'ccm://';
+const RESOURCE_PATH_TABS = 'tabs';
+const RESOURCE_PATH_TAB_TRANSCRIPT = `${RESOURCE_PATH_TABS}/{tabId}/transcript`;
+const RESOURCE_PATH_CONVERSATION = 'conversations/{conversationId}';
+const RESOURCE_PATH_OPERATION = 'operations/{operationId}';
+
 // ============================================
 // TIMEOUT CONSTANTS (milliseconds)
 // ============================================
@@ -70,6 +81,17 @@ const TIMEOUT_RELAY_CONNECTION = 10000;  // 10 seconds
 const TIMEOUT_GRACE_PERIOD = 2000;       // 2 seconds
 const TIMEOUT_STALE_THRESHOLD = 300000;  // 5 minutes
 const TIMEOUT_CLEANUP_AGE = 3600000;     // 1 hour
+const TIMEOUT_COMPACTION = 600000;       // 10 minutes
+const TIMEOUT_STORE_LOCK_STALE = 10000;  // 10 seconds
+const TIMEOUT_CONFIRMATION = 300000;     // 5 minutes
+const TIMEOUT_TAB_POOL_LEASE = 600000;   // 10 minutes
+const TIMEOUT_SCHEDULER_TICK = 15000;    // 15 seconds
+const TIMEOUT_SCHEDULE_MIN_INTERVAL = 60000; // 1 minute
+const TIMEOUT_SCHEDULE_RETRY = 60000;    // 1 minute, doubled per failed attempt
+const TIMEOUT_SCHEDULE_MAX_RETRY = 3600000; // 1 hour
+const TIMEOUT_SCHEDULE_CLAIM = 300000;   // 5 minutes
+const TIMEOUT_SCHEDULE_TAB_LOAD = 15000; // 15 seconds
+const TIMEOUT_TAB_CREATE = 40000;        // 40 seconds: page load (extension TAB_LOAD_TIMEOUT, 30 seconds) plus script injection
 
 // ============================================
 // OPERATIONAL CONSTANTS
@@ -84,6 +106,11 @@ const OP_POLL_INTERVAL = 1000;
 const OP_SEQUENTIAL_DELAY = 1000;
 const OP_MAX_ELEMENTS = 1000;
 const OP_LOG_BATCH_INTERVAL = 2000;
+const OP_AUDIT_MAX_ARG_LENGTH = 200;
+const OP_WORKFLOW_MAX_STEPS = 200;
+const OP_PROJECT_DOC_MAX_BYTES = 5 * 1024 * 1024; // 5 MB per knowledge document
+const OP_ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024; // 5 MB per message attachment
+const OP_TAB_POOL_SIZE = 0; // Ready tabs kept once a lease runs; 0 = none
 
 // ============================================
 // ENVIRONMENT & VERSION SETUP
@@ -127,6 +154,26 @@ function getVersion() {
   }
 }
 
+// Read the tool permission policy (see utils/tool-policy.js for the format)
+// A missing file means no policy; an unreadable one is reported so the policy fails closed
+function loadToolPolicy(policyFile) {
+  let content;
+  try {
+    content = fs.readFileSync(policyFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    return { loadError: `${policyFile}: ${error.message}` };
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return { loadError: `${policyFile}: ${error.message}` };
+  }
+}
+
 // ============================================
 // RESOLVED CONFIGURATION VALUES
 // All environment overrides resolved here
@@ -155,6 +202,17 @@ const RELAY_CONNECTION_TIMEOUT = parseInt(process.env.MCP_RELAY_CONNECTION_TIMEO
 const GRACE_PERIOD_MS = parseInt(process.env.MCP_GRACE_PERIOD || TIMEOUT_GRACE_PERIOD, 10);
 const STALE_THRESHOLD_MS = parseInt(process.env.MCP_STALE_THRESHOLD || TIMEOUT_STALE_THRESHOLD, 10);
 const OPERATION_CLEANUP_AGE = parseInt(process.env.MCP_OPERATION_CLEANUP_AGE || TIMEOUT_CLEANUP_AGE, 10);
+const OPERATION_COMPACTION_INTERVAL = parseInt(process.env.MCP_OPERATION_COMPACTION_INTERVAL || TIMEOUT_COMPACTION, 10);
+const STORE_LOCK_STALE_MS = parseInt(process.env.MCP_STORE_LOCK_STALE || TIMEOUT_STORE_LOCK_STALE, 10);
+const CONFIRMATION_TTL = parseInt(process.env.MCP_CONFIRMATION_TTL || TIMEOUT_CONFIRMATION, 10);
+const TAB_POOL_LEASE_TTL = parseInt(process.env.MCP_TAB_POOL_LEASE_TTL || TIMEOUT_TAB_POOL_LEASE, 10);
+const SCHEDULER_INTERVAL = parseInt(process.env.MCP_SCHEDULER_INTERVAL || TIMEOUT_SCHEDULER_TICK, 10);
+const SCHEDULE_MIN_INTERVAL = parseInt(process.env.MCP_SCHEDULE_MIN_INTERVAL || TIMEOUT_SCHEDULE_MIN_INTERVAL, 10);
+const SCHEDULE_RETRY_DELAY = parseInt(process.env.MCP_SCHEDULE_RETRY_DELAY || TIMEOUT_SCHEDULE_RETRY, 10);
+const SCHEDULE_MAX_RETRY_DELAY = parseInt(process.env.MCP_SCHEDULE_MAX_RETRY_DELAY || TIMEOUT_SCHEDULE_MAX_RETRY, 10);
+const SCHEDULE_CLAIM_TIMEOUT = parseInt(process.env.MCP_SCHEDULE_CLAIM_TIMEOUT || TIMEOUT_SCHEDULE_CLAIM, 10);
+const SCHEDULE_TAB_LOAD_TIMEOUT = parseInt(process.env.MCP_SCHEDULE_TAB_LOAD_TIMEOUT || TIMEOUT_SCHEDULE_TAB_LOAD, 10);
+const TAB_CREATE_TIMEOUT = parseInt(process.env.MCP_TAB_CREATE_TIMEOUT || TIMEOUT_TAB_CREATE, 10);
 
 // Operations (resolved from env)
 const MAX_RETRIES = parseInt(process.env.MCP_MAX_RETRIES || OP_MAX_RETRIES, 10);
@@ -166,11 +224,23 @@ const SEQUENTIAL_DELAY_MS = parseInt(process.env.MCP_SEQUENTIAL_DELAY || OP_SEQU
 const API_BATCH_SIZE = parseInt(process.env.MCP_API_BATCH_SIZE || OP_API_BATCH_SIZE, 10);
 const MAX_ELEMENTS_DEFAULT = parseInt(process.env.MCP_MAX_ELEMENTS_DEFAULT || OP_MAX_ELEMENTS, 10);
 const LOG_BATCH_INTERVAL_MS = parseInt(process.env.MCP_LOG_BATCH_INTERVAL || OP_LOG_BATCH_INTERVAL, 10);
+const AUDIT_MAX_ARG_LENGTH = parseInt(process.env.MCP_AUDIT_MAX_ARG_LENGTH || OP_AUDIT_MAX_ARG_LENGTH, 10);
+const WORKFLOW_MAX_STEPS = parseInt(process.env.MCP_WORKFLOW_MAX_STEPS || OP_WORKFLOW_MAX_STEPS, 10);
+const PROJECT_DOC_MAX_BYTES = parseInt(process.env.MCP_PROJECT_DOC_MAX_BYTES || OP_PROJECT_DOC_MAX_BYTES, 10);
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.MCP_ATTACHMENT_MAX_BYTES || OP_ATTACHMENT_MAX_BYTES, 10);
+const TAB_POOL_SIZE = parseInt(process.env.MCP_TAB_POOL_SIZE || OP_TAB_POOL_SIZE, 10);
 
 // Other settings
 const CLIENT_NAME_OVERRIDE = process.env.CCM_CLIENT_NAME || null;
 const VERBOSE_MODE = process.env.CCM_VERBOSE === '1';
 const LOG_DIR = process.env.MCP_LOG_DIR || path.join(os.homedir(), '.claude-chrome-mcp', 'logs');
+const DATA_DIR = process.env.MCP_DATA_DIR || path.join(os.homedir(), '.claude-chrome-mcp');
+const OPERATIONS_FILE = path.join(DATA_DIR, 'operations.jsonl');
+const SCHEDULES_FILE = process.env.MCP_SCHEDULES_FILE || path.join(DATA_DIR, 'schedules.json');
+const CONVERSATION_MIRROR_FILE = process.env.MCP_CONVERSATION_MIRROR_FILE || path.join(DATA_DIR, 'conversations.json');
+const AUDIT_LOG_FILE = process.env.MCP_AUDIT_LOG_FILE || path.join(DATA_DIR, 'audit.jsonl');
+const POLICY_FILE = process.env.MCP_POLICY_FILE || path.join(DATA_DIR, 'policy.json');
+const TOOL_POLICY = loadToolPolicy(POLICY_FILE);
 const DEBUG_MODE = process.env.MCP_DEBUG_MODE === 'true';
 const LOG_LEVEL = process.env.MCP_LOG_LEVEL || 'info';
 const ENABLE_HEALTH_CHECK = process.env.MCP_ENABLE_HEALTH_CHECK !== 'false';
@@ -238,6 +308,29 @@ const RELAY_URLS = {
   }
 };
 
+// ============================================
+// RESOURCE URI BUILDERS - Using resolved constants
+// ============================================
+
+const RESOURCE_URIS = {
+  tabs() { return `${RESOURCE_SCHEME}${RESOURCE_PATH_TABS}`; },
+  tabTranscript(tabId) {
+    return `${RESOURCE_SCHEME}${buildPath(RESOURCE_PATH_TAB_TRANSCRIPT, { tabId })}`;
+  },
+  conversation(conversationId) {
+    return `${RESOURCE_SCHEME}${buildPath(RESOURCE_PATH_CONVERSATION, { conversationId })}`;
+  },
+  operation(operationId) {
+    return `${RESOURCE_SCHEME}${buildPath(RESOURCE_PATH_OPERATION, { operationId })}`;
+  },
+  // URI templates for resource registration
+  templates: {
+    TAB_TRANSCRIPT: `${RESOURCE_SCHEME}${RESOURCE_PATH_TAB_TRANSCRIPT}`,
+    CONVERSATION: `${RESOURCE_SCHEME}${RESOURCE_PATH_CONVERSATION}`,
+    OPERATION: `${RESOURCE_SCHEME}${RESOURCE_PATH_OPERATION}`
+  }
+};
+
 // ============================================
 // MAIN CONFIGURATION OBJECT
 // Now just assembles all the resolved values
@@ -268,6 +361,17 @@ const config = {
   GRACE_PERIOD_MS,
   STALE_THRESHOLD_MS,
   OPERATION_CLEANUP_AGE,
+  OPERATION_COMPACTION_INTERVAL,
+  STORE_LOCK_STALE_MS,
+  CONFIRMATION_TTL,
+  TAB_POOL_LEASE_TTL,
+  SCHEDULER_INTERVAL,
+  SCHEDULE_MIN_INTERVAL,
+  SCHEDULE_RETRY_DELAY,
+  SCHEDULE_MAX_RETRY_DELAY,
+  SCHEDULE_CLAIM_TIMEOUT,
+  SCHEDULE_TAB_LOAD_TIMEOUT,
+  TAB_CREATE_TIMEOUT,
   
   // Operational limits
   MAX_RETRIES,
@@ -279,11 +383,23 @@ const config = {
   API_BATCH_SIZE,
   MAX_ELEMENTS_DEFAULT,
   LOG_BATCH_INTERVAL_MS,
+  AUDIT_MAX_ARG_LENGTH,
+  WORKFLOW_MAX_STEPS,
+  PROJECT_DOC_MAX_BYTES,
+  ATTACHMENT_MAX_BYTES,
+  TAB_POOL_SIZE,
   
   // Other settings
   CLIENT_NAME_OVERRIDE,
   VERBOSE_MODE,
   LOG_DIR,
+  DATA_DIR,
+  OPERATIONS_FILE,
+  SCHEDULES_FILE,
+  CONVERSATION_MIRROR_FILE,
+  AUDIT_LOG_FILE,
+  POLICY_FILE,
+  TOOL_POLICY,
   DEBUG_MODE,
   LOG_LEVEL,
   ENABLE_HEALTH_CHECK,
@@ -291,6 +407,7 @@ const config = {
   // URL builders
   CLAUDE_URLS,
   RELAY_URLS,
+  RESOURCE_URIS,
   
   // Version checking utilities
   parseVersion(version) {
@@ -7,6 +7,7 @@ const EventEmitter = require('events');
 const { AutoElectionRelay } = require('./relay-index');
 const { ErrorTracker } = require('../utils/error-tracker');
 const { createLogger } = require('../utils/logger');
+const config = require('../config');
 
 class MCPRelayClient extends EventEmitter {
   constructor(clientInfo = {}, operationManager = null, notificationManager = null) {
@@ -148,6 +149,12 @@ class MCPRelayClient extends EventEmitter {
       return;
     }
     
+    // Handle tab lifecycle events (created, navigated, removed)
+    if (message.type === 'tab_event') {
+      this.emit('tab_event', message);
+      return;
+    }
+    
     // Emit other messages for application handling
     this.emit('message', message);
   }
@@ -155,8 +162,25 @@ class MCPRelayClient extends EventEmitter {
   async handleOperationMilestone(message) {
     const { operationId, milestone, timestamp, tabId, ...data } = message;
     
-    this.logger.info('Received milestone', { operationId, milestone });
+    // Milestones are multicast to every MCP server; only the owner tracks the operation
+    if (this.operationManager && !this.operationManager.ownsOperation(operationId)) {
+      this.logger.debug('Ignoring milestone for operation owned elsewhere', { operationId, milestone });
+      return;
+    }
     
+    // Streamed text deltas are relayed to the client but not recorded on the operation
+    if (milestone === 'response_delta') {
+      if (this.operationManager) {
+        this.operationManager.emitDelta(operationId, { tabId, ...data });
+      }
+      if (this.notificationManager) {
+        await this.notificationManager.sendProgress(operationId, milestone, { tabId, ...data });
+      }
+      return;
+    }
+
+    this.logger.info('Received milestone', { operationId, milestone });
+
     // Update operation manager
     if (this.operationManager) {
       this.operationManager.updateOperation(operationId, milestone, { tabId, ...data });
@@ -232,13 +256,18 @@ class MCPRelayClient extends EventEmitter {
     return levelMap[extensionLevel] || 'info';
   }
   
-  async sendRequest(type, params = {}) {
+  /**
+   * Send a command to the extension and wait for its response
+   * @param {string} type - Extension command
+   * @param {Object} params - Command parameters
+   * @param {number} [timeoutMs] - How long to wait for the response; commands that load pages need more than the default
+   */
+  async sendRequest(type, params = {}, timeoutMs = config.RELAY_REQUEST_TIMEOUT) {
     if (!this.relay || !this.connected) {
       throw new Error('Not connected to relay');
     }
     
     const requestId = `req-${++this.requestCounter}`;
-    const timeoutMs = 10000;
     
     return new Promise((resolve, reject) => {
       // Set up timeout
@@ -0,0 +1,63 @@
+// Resources Index
+// MCP resources exposing tab, conversation and operation state as subscribable URIs
+
+const config = require('../config');
+
+/**
+ * Resource definitions for MCP server registration
+ *
+ * Each resource has either a fixed `uri` or a `uriTemplate` with {variables}.
+ * `read` returns plain data which MCPResourceManager serializes as JSON.
+ * `list` (templates only) enumerates concrete URIs for resources/list.
+ */
+const allResources = [
+  {
+    name: 'tabs',
+    uri: config.RESOURCE_URIS.tabs(),
+    description: 'Currently open Claude.ai tabs with their IDs, status and content script state. Updated when tabs open, navigate or close.',
+    read: async (server) => {
+      return await server.sendToExtension('tab_list', {});
+    }
+  },
+  {
+    name: 'tab_transcript',
+    uriTemplate: config.RESOURCE_URIS.templates.TAB_TRANSCRIPT,
+    description: 'Conversation transcript of a Claude.ai tab in JSON format. Updated when the tab navigates or a response finishes.',
+    read: async (server, { tabId }) => {
+      return await server.sendToExtension('tab_export_conversation', {
+        tabId: parseInt(tabId, 10),
+        format: 'json'
+      });
+    }
+  },
+  {
+    name: 'conversation',
+    uriTemplate: config.RESOURCE_URIS.templates.CONVERSATION,
+    description: 'Metadata for a Claude conversation by UUID. Updated when a response finishes in a tab showing the conversation.',
+    read: async (server, { conversationId }) => {
+      return await server.sendToExtension('api_get_conversation_metadata', { conversationId });
+    }
+  },
+  {
+    name: 'operation',
+    uriTemplate: config.RESOURCE_URIS.templates.OPERATION,
+    description: 'State and milestones of an async operation tracked by the MCP server. Updated on every milestone.',
+    list: async (server) => {
+      return Array.from(server.operationManager.operations.values()).map(operation => ({
+        uri: config.RESOURCE_URIS.operation(operation.id),
+        name: `${operation.type} (${operation.status})`
+      }));
+    },
+    read: async (server, { operationId }) => {
+      const operation = server.operationManager.getOperation(operationId);
+      if (!operation) {
+        throw new Error(`Operation ${operationId} not found`);
+      }
+      return operation;
+    }
+  }
+];
+
+module.exports = {
+  allResources
+};
@@ -38,6 +38,7 @@ const { z } = require('zod');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 
 // Import modular components
 const { ErrorTracker } = require('./utils/error-tracker');
@@ -45,11 +46,21 @@ const { createLogger } = require('./utils/logger');
 const { MCPOperationManager } = require('./utils/mcp-operation-manager');
 const { ResourceStateManager } = require('./utils/resource-state-manager');
 const { MCPNotificationManager } = require('./utils/mcp-notification-manager');
+const { MCPResourceManager } = require('./utils/mcp-resource-manager');
 const { MCPRelayClient } = require('./relay/mcp-relay-client');
-const { formatMCPResponse } = require('./utils/response-formatter');
+const { ToolPolicy, PolicyError } = require('./utils/tool-policy');
+const { AuditLog } = require('./utils/audit-log');
+const { Scheduler } = require('./utils/scheduler');
+const { ConversationMirror } = require('./utils/conversation-mirror');
+const { MessageIndex } = require('./utils/message-index');
+const { formatMCPResponse, extractResultData, formatMCPToolError } = require('./utils/response-formatter');
 
 // Import modular tools
 const { allTools, getToolHandler, hasHandler } = require('./tools/index');
+const { failureSchema } = require('./tools/output-schemas');
+
+// Import MCP resources
+const { allResources } = require('./resources/index');
 
 /**
  * Main Chrome MCP Server class with modular architecture
@@ -64,6 +75,7 @@ class ChromeMCPServer {
     }, {
       capabilities: {
         tools: {},
+        resources: { subscribe: true, listChanged: true },
         logging: {}  // Enable logging capabilities for notifications/message
       }
     });
@@ -74,6 +86,16 @@ class ChromeMCPServer {
     this.operationManager = new MCPOperationManager();
     this.resourceStateManager = new ResourceStateManager();
     this.notificationManager = new MCPNotificationManager(this.server, this.errorTracker);
+    this.resourceManager = new MCPResourceManager(this.server, this.errorTracker);
+    this.toolPolicy = new ToolPolicy(config.TOOL_POLICY);
+    this.auditLog = new AuditLog();
+    this.scheduler = new Scheduler(this);
+    this.conversationMirror = new ConversationMirror();
+    this.messageIndex = new MessageIndex(this.conversationMirror);
+    
+    // Tool registrations by name, and calls held for confirmation by confirmationToken
+    this.registeredTools = new Map();
+    this.pendingConfirmations = new Map();
     
     // Initialize relay client  
     this.relayClient = null;
@@ -112,6 +134,7 @@ class ChromeMCPServer {
     };
 
     this.setupTools();
+    this.setupResources();
   }
 
   startRelay(clientInfo) {
@@ -121,6 +144,11 @@ class ChromeMCPServer {
       this.notificationManager
     );
     
+    // Keep tab resources in sync with tab lifecycle events from the extension
+    this.relayClient.on('tab_event', (event) => {
+      this.resourceManager.handleTabEvent(event);
+    });
+    
     // Start relay connection asynchronously (don't await)
     this.relayClient.connect().catch(error => {
       this.debug.error('Failed to connect relay', error);
@@ -128,7 +156,7 @@ class ChromeMCPServer {
   }
 
   setupTools() {
-    // Register each tool using modern MCP server.tool() method
+    // Register each tool using modern MCP server.registerTool() method
     for (const tool of allTools) {
       const handler = getToolHandler(tool.name);
       
@@ -136,39 +164,213 @@ class ChromeMCPServer {
         this.debug.warn(`Warning: No handler found for tool: ${tool.name}`);
         continue;
       }
+      
+      const outputSchema = tool.outputSchema ? z.object(tool.outputSchema) : null;
+      if (!outputSchema) {
+        this.debug.warn(`Warning: No output schema declared for tool: ${tool.name}`);
+      }
+      this.registeredTools.set(tool.name, { tool, handler, outputSchema });
 
-      // Register tool with proper MCP syntax using Zod schema
-      this.server.tool(
+      // Failures are isError results without structuredContent, so the full schema is advertised
+      this.server.registerTool(
         tool.name,
-        tool.description,
-        tool.zodSchema || {},
+        {
+          description: tool.description,
+          inputSchema: tool.zodSchema || {},
+          outputSchema: outputSchema ? outputSchema.shape : undefined
+        },
         async (args, extra) => {
+          const startedAt = Date.now();
           try {
-            // Modern MCP SDK passes args as first parameter
-                  const result = await handler(this, args);
-            
-            // Convert result to MCP format if needed
-            if (result && typeof result === 'object' && !result.content) {
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
-                  }
-                ]
-              };
+            // Modern MCP SDK passes args as first parameter; request metadata goes to handlers as context
+            const context = {
+              progressToken: extra?._meta?.progressToken,
+              signal: extra?.signal
+            };
+            // Confirmations only run calls the policy already held, and re-check them
+            if (tool.name !== 'system_confirm_tool_call') {
+              await this.enforcePolicy(tool.name, args);
             }
+            const result = await handler(this, args, context);
             
-            return result;
+            const toolResult = this.buildToolResult(tool, outputSchema, result);
+            this.recordAudit(tool.name, args, startedAt, toolResult);
+            return toolResult;
           } catch (error) {
-            this.errorTracker.logError(error, { tool: tool.name, args });
-            throw error;
+            if (error instanceof PolicyError) {
+              this.debug.warn(`Tool call stopped by policy: ${tool.name}`, error.toJSON());
+            } else {
+              this.errorTracker.logError(error, { tool: tool.name, args });
+            }
+            const toolResult = formatMCPToolError(error);
+            this.recordAudit(tool.name, args, startedAt, toolResult);
+            return toolResult;
           }
         }
       );
     }
     
-    this.debug.info(`Registered ${allTools.length} tools using modern MCP server.tool() method`);
+    this.debug.info(`Registered ${allTools.length} tools using modern MCP server.registerTool() method`);
+  }
+
+  /**
+   * Convert a handler's return value into a CallToolResult
+   * The text block keeps the full JSON; structuredContent holds the fields declared in
+   * the tool's output schema. Results reporting success: false become isError results
+   * and must carry an error or reason string.
+   * @param {Object} tool - Tool definition
+   * @param {z.ZodObject|null} outputSchema - Declared output schema
+   * @param {*} result - Handler return value
+   * @returns {Object} CallToolResult
+   */
+  buildToolResult(tool, outputSchema, result) {
+    const { content } = formatMCPResponse(result);
+    if (!outputSchema) {
+      return { content };
+    }
+    
+    let data = extractResultData(result);
+    if (Array.isArray(data) && tool.outputArrayKey) {
+      data = { [tool.outputArrayKey]: data };
+    }
+    
+    let problem;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      problem = `expected an object but got ${Array.isArray(data) ? 'an array' : typeof data}`;
+    } else {
+      const failed = data.success === false;
+      const parsed = (failed ? failureSchema : outputSchema).safeParse(data);
+      if (parsed.success) {
+        return failed
+          ? { content, isError: true, _meta: { failure: parsed.data } }
+          : { content, structuredContent: parsed.data };
+      }
+      problem = parsed.error.issues
+        .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+        .join('; ');
+    }
+    
+    const error = new Error(`Malformed result from ${tool.name}: ${problem}`);
+    this.errorTracker.logError(error, { tool: tool.name, result: content[0]?.text });
+    return formatMCPToolError(error);
+  }
+
+  /**
+   * Apply the tool permission policy to a call from the connected client
+   * Calls needing confirmation are held under a token for system_confirm_tool_call.
+   * @param {string} toolName
+   * @param {Object} args - Validated tool arguments
+   * @param {Object} options
+   * @param {boolean} options.confirmed - The call was already confirmed; constraints still apply
+   * @throws {PolicyError} policy_denied or confirmation_required
+   */
+  async enforcePolicy(toolName, args, { confirmed = false } = {}) {
+    const clientName = this.server.server.getClientVersion()?.name || null;
+    const decision = await this.toolPolicy.check(toolName, args, clientName, {
+      isClaudeTab: (tabId) => this.isClaudeTab(tabId)
+    });
+    const details = { tool: toolName, client: clientName, rule: decision.rule };
+    
+    if (decision.action === 'deny') {
+      throw new PolicyError('policy_denied', `Policy denied ${toolName}: ${decision.reason}`, {
+        ...details,
+        reason: decision.reason
+      });
+    }
+    
+    if (decision.action === 'confirm' && !confirmed) {
+      this.expireConfirmations();
+      const confirmationToken = crypto.randomBytes(16).toString('hex');
+      const expiresAt = Date.now() + config.CONFIRMATION_TTL;
+      this.pendingConfirmations.set(confirmationToken, { toolName, args, clientName, expiresAt });
+      
+      throw new PolicyError(
+        'confirmation_required',
+        `${toolName} requires confirmation: call system_confirm_tool_call with confirmationToken ${confirmationToken}`,
+        { ...details, confirmationToken, expiresAt }
+      );
+    }
+  }
+
+  /**
+   * Run a tool call that was held for confirmation
+   * @param {string} confirmationToken - Token from the confirmation_required error
+   * @param {Object} context - Request context passed on to the tool handler
+   * @returns {Object} { success, tool, result } with the tool's structured result
+   */
+  async confirmToolCall(confirmationToken, context = {}) {
+    this.expireConfirmations();
+    const clientName = this.server.server.getClientVersion()?.name || null;
+    const pending = this.pendingConfirmations.get(confirmationToken);
+    if (!pending || pending.clientName !== clientName) {
+      throw new Error(`Confirmation ${confirmationToken} not found or expired`);
+    }
+    this.pendingConfirmations.delete(confirmationToken);
+    
+    // Re-check in case the policy's constraints no longer hold (e.g. the tab navigated away)
+    await this.enforcePolicy(pending.toolName, pending.args, { confirmed: true });
+    
+    const { tool, handler, outputSchema } = this.registeredTools.get(pending.toolName);
+    const startedAt = Date.now();
+    let toolResult;
+    try {
+      toolResult = this.buildToolResult(tool, outputSchema, await handler(this, pending.args, context));
+    } catch (error) {
+      toolResult = formatMCPToolError(error);
+    }
+    this.recordAudit(pending.toolName, pending.args, startedAt, toolResult, { confirmed: true });
+    
+    if (toolResult.isError) {
+      throw new Error(toolResult.content[0].text);
+    }
+    
+    return {
+      success: true,
+      tool: pending.toolName,
+      result: toolResult.structuredContent
+    };
+  }
+
+  /**
+   * Append a finished tool call to the audit log
+   * @param {string} toolName
+   * @param {Object} args - Tool arguments
+   * @param {number} startedAt - Call start timestamp
+   * @param {Object} toolResult - CallToolResult returned to the client
+   * @param {Object} extra - Additional entry fields (e.g. confirmed)
+   */
+  recordAudit(toolName, args, startedAt, toolResult, extra = {}) {
+    const data = toolResult.structuredContent || toolResult._meta?.failure || {};
+    this.auditLog.record({
+      client: this.server.server.getClientVersion()?.name || null,
+      tool: toolName,
+      args,
+      result: data,
+      durationMs: Date.now() - startedAt,
+      outcome: toolResult.isError ? (data.policy?.code || 'error') : 'success',
+      error: toolResult.isError ? data.error : undefined,
+      ...extra
+    });
+  }
+
+  expireConfirmations() {
+    const now = Date.now();
+    for (const [token, pending] of this.pendingConfirmations) {
+      if (pending.expiresAt <= now) {
+        this.pendingConfirmations.delete(token);
+      }
+    }
+  }
+
+  async isClaudeTab(tabId) {
+    // tab_list only reports tabs open on claude.ai
+    const result = await this.sendToExtension('tab_list', {});
+    return (result.tabs || []).some(tab => tab.id === tabId);
+  }
+
+  setupResources() {
+    this.resourceManager.registerResources(allResources, this);
+    this.resourceManager.attachOperationManager(this.operationManager);
   }
 
   async getConnectionHealth() {
@@ -245,7 +447,15 @@ class ChromeMCPServer {
     }
   }
 
-  async forwardToExtension(toolName, params) {
+  /**
+   * Send a command to the extension and return its raw (unformatted) result
+   * @param {string} toolName - Extension command to call
+   * @param {Object} params - Command parameters
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Relay request timeout (default RELAY_REQUEST_TIMEOUT)
+   * @returns {Object} Extension result
+   */
+  async sendToExtension(toolName, params, options = {}) {
     if (!this.relayClient) {
       throw new Error('Relay client not initialized. MCP client must connect first.');
     }
@@ -253,12 +463,17 @@ class ChromeMCPServer {
     // Wait for relay connection if not ready yet
     await this.waitForRelayConnection();
     
-    const result = await this.relayClient.sendRequest(toolName, params);
+    const result = await this.relayClient.sendRequest(toolName, params, options.timeoutMs);
     
     if (result.error) {
       throw new Error(result.error);
     }
 
+    return result;
+  }
+
+  async forwardToExtension(toolName, params, options = {}) {
+    const result = await this.sendToExtension(toolName, params, options);
     return formatMCPResponse(result);
   }
 
@@ -267,12 +482,13 @@ class ChromeMCPServer {
    * @param {string} toolName - Extension tool to call
    * @param {Object} params - Tool parameters
    * @param {Function} syncHandler - (response, server, params) => void - Called on success to sync state
+   * @param {Object} [options] - As for sendToExtension
    * @returns {Object} Formatted result
    */
-  async forwardWithResourceSync(toolName, params, syncHandler) {
+  async forwardWithResourceSync(toolName, params, syncHandler, options = {}) {
     try {
       // Forward to extension for actual operation
-      const result = await this.forwardToExtension(toolName, params);
+      const result = await this.forwardToExtension(toolName, params, options);
       
       // Parse the extension response
       const extensionResponse = JSON.parse(result.content[0].text);
@@ -299,6 +515,79 @@ class ChromeMCPServer {
     return formatMCPResponse(operation);
   }
 
+  /**
+   * Cancel an operation and stop its work in the extension
+   * Marks the operation cancelled first so waiters see it immediately, then asks the
+   * extension to stop generation in the operation's tab, abort remaining batches and
+   * release the tab lock.
+   * @param {string} operationId - Operation to cancel
+   * @param {string} reason - Cancellation reason recorded on the operation
+   * @returns {Object} Cancellation result
+   */
+  async cancelOperation(operationId, reason = 'Cancelled by client') {
+    const operation = this.operationManager.getOperation(operationId);
+    if (!operation) {
+      throw new Error(`Operation ${operationId} not found`);
+    }
+    
+    if (!this.operationManager.cancelOperation(operationId, reason)) {
+      return {
+        success: false,
+        operationId,
+        status: operation.status,
+        error: `Operation already ${operation.status}`
+      };
+    }
+    
+    let extensionResult = null;
+    try {
+      extensionResult = await this.sendToExtension('cancel_operation', {
+        operationId,
+        operationType: operation.type,
+        tabId: operation.params?.tabId
+      });
+    } catch (error) {
+      // The operation stays cancelled; the extension may be unreachable
+      this.debug.warn('Extension did not confirm cancellation', { operationId, error: error.message });
+      extensionResult = { success: false, error: error.message };
+    }
+    
+    return {
+      success: true,
+      operationId,
+      status: 'cancelled',
+      reason,
+      extension: extensionResult
+    };
+  }
+
+  /**
+   * Cancel an operation when the MCP request that owns it is cancelled
+   * (notifications/cancelled aborts the request's signal)
+   * @param {string} operationId - Operation to cancel
+   * @param {AbortSignal} signal - Request signal from the tool context
+   * @returns {Function} Detach function to call once the request has finished
+   */
+  cancelOnAbort(operationId, signal) {
+    if (!signal) {
+      return () => {};
+    }
+    
+    const onAbort = () => {
+      this.cancelOperation(operationId, 'Request cancelled by client').catch(error => {
+        this.debug.warn('Failed to cancel operation on request abort', { operationId, error: error.message });
+      });
+    };
+    
+    if (signal.aborted) {
+      onAbort();
+      return () => {};
+    }
+    
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+  }
+
 
   async start() {
     try {
@@ -312,6 +601,9 @@ class ChromeMCPServer {
       // Load saved operations
       await this.operationManager.loadState();
       
+      // Fire scheduled sends (shared with other server processes)
+      this.scheduler.start();
+      
       // Connect to stdio transport
       const transport = new StdioServerTransport();
       
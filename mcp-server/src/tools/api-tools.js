@@ -1,6 +1,8 @@
 // API Tools
-// Claude.ai API operations via conversationId only - managing conversations, metadata, and URLs
+// Claude.ai API operations via conversationId only - managing conversations, metadata, URLs and Projects
 
+const fs = require('fs');
+const path = require('path');
 const { z } = require('zod');
 const { createForwardingTool, createCustomTool, extractToolsAndHandlers } = require('../utils/tool-factory');
 const config = require('../config');
@@ -9,26 +11,303 @@ const config = require('../config');
  * Create tools using factory patterns to reduce code duplication
  */
 
-// Simple forwarding tools (no special logic needed) 
+// Simple forwarding tools (no special logic needed)
 const forwardingToolResults = [
-  createForwardingTool('api_list_conversations', 'Get list of recent Claude conversations from API with UUIDs and current tab IDs (if open). Returns up to 30 recent conversations.', {}),
-  createForwardingTool('api_search_conversations', 'Search and filter Claude conversations with advanced criteria (title search, date ranges, message counts, open status)', {
+  createForwardingTool('api_list_projects', 'List the claude.ai Projects of the active organization with their UUIDs', {
+    includeArchived: z.boolean().default(false).describe('Include archived projects')
+  }),
+  createForwardingTool('api_get_project', 'Get a claude.ai Project: name, description, instructions and its knowledge documents (without content)', {
+    projectId: z.string().describe('The UUID of the Project')
+  }),
+  createForwardingTool('api_create_conversation_in_project', 'Create a new conversation inside a claude.ai Project. By default it is opened in a background tab with content scripts, ready for tab_send_message.', {
+    projectId: z.string().describe('The UUID of the Project'),
+    name: z.string().optional().describe('Conversation title (claude.ai names it after the first message otherwise)'),
+    openTab: z.boolean().default(true).describe('Open the conversation in a tab'),
+    activate: z.boolean().default(false).describe('Focus the opened tab')
+  }),
+  createForwardingTool('api_list_project_docs', 'List the knowledge documents of a claude.ai Project', {
+    projectId: z.string().describe('The UUID of the Project'),
+    includeContent: z.boolean().default(false).describe('Include each document\'s text')
+  }),
+  createForwardingTool('api_remove_project_docs', 'Remove knowledge documents from a claude.ai Project', {
+    projectId: z.string().describe('The UUID of the Project'),
+    docIds: z.array(z.string()).min(1).describe('UUIDs of the documents to remove (see api_list_project_docs)')
+  })
+];
+
+// Read tools answer live through the extension, or offline from the conversation mirror
+const sourceParam = z.enum(['live', 'mirror']).default('live').describe('live fetches through a Claude tab; mirror answers offline from the local conversation mirror (see api_sync_conversations)');
+
+/**
+ * Page through the account's conversations with one extension request per page
+ * Each page is fetched in its own relay request, so paging any number of
+ * conversations never runs into the relay request timeout.
+ * @param {Object} server
+ * @param {string} command - api_list_conversations or api_search_conversations
+ * @param {Object} params - First page's parameters; later pages follow its nextCursor
+ * @param {Object} options
+ * @param {number} options.delayMs - Pause between pages
+ * @param {function(Object): boolean} options.onPage - Called with each page result; return true to fetch the next page
+ */
+async function scanConversationPages(server, command, params, { delayMs, onPage }) {
+  let request = params;
+  for (;;) {
+    const page = await server.sendToExtension(command, request);
+    if (!onPage(page) || !page.hasMore) {
+      return;
+    }
+    request = { ...params, cursor: page.nextCursor };
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
+// Conversation update tools share delete's batching, progress and cancellation
+const BATCH_TOOL_NOTE = 'Processed in batches with progress tracking: returns an operationId immediately; if the request carries a progressToken the call instead stays open, reports per-batch progress and returns the final result.';
+
+const batchParams = {
+  batchSize: z.number().default(5).describe('Number of conversations to update per batch (default: 5)'),
+  delayMs: z.number().default(config.SEQUENTIAL_DELAY_MS).describe(`Delay between batches in milliseconds (default: ${config.SEQUENTIAL_DELAY_MS})`)
+};
+
+// The org ID is only known in the page, so the extension fills it in
+const ORG_ID_PLACEHOLDER = '{orgId}';
+
+/**
+ * Apply partial updates to conversations through the org-scoped conversation endpoint
+ * @param {Array<{conversationId: string, body: Object}>} changes - Fields to change per conversation
+ */
+async function runConversationUpdates(server, context, toolName, args, changes) {
+  const { batchSize = config.API_BATCH_SIZE, delayMs = config.SEQUENTIAL_DELAY_MS } = args;
+  const updates = changes.map(({ conversationId, body }) => ({
+    conversationId,
+    url: config.CLAUDE_URLS.apiConversation(ORG_ID_PLACEHOLDER, conversationId),
+    body
+  }));
+
+  return await runConversationBatch(server, context, {
+    toolName,
+    command: 'api_update_conversations',
+    params: { updates, batchSize, delayMs },
+    total: updates.length,
+    action: 'Update',
+    describeProgress: data => `Updated ${data.updatedCount}, failed ${data.failedCount} of ${updates.length}`,
+    countDone: result => result.updatedCount
+  });
+}
+
+/**
+ * Run a batched conversation command in the extension as a tracked operation
+ * The extension reports a batch_completed milestone after each batch and skips the
+ * remaining batches once the operation is cancelled.
+ * @param {Object} server
+ * @param {Object} context - Handler context (progressToken, signal)
+ * @param {Object} batch
+ * @param {string} batch.toolName - Operation type
+ * @param {string} [batch.command] - Extension command (defaults to toolName)
+ * @param {Object} batch.params - Command params; operationId is added
+ * @param {number} batch.total - Number of conversations
+ * @param {string} batch.action - Noun for operation messages, e.g. 'Deletion'
+ * @param {function(Object): string} batch.describeProgress - Progress message from batch_completed data
+ * @param {function(Object): number} batch.countDone - Conversations processed in a cancelled result
+ * @returns {Promise<Object>} Operation handle, or the final result when a progressToken was given
+ */
+async function runConversationBatch(server, context, { toolName, command = toolName, params, total, action, describeProgress, countDone }) {
+  const reportProgress = server.notificationManager.createProgressReporter(context.progressToken);
+  
+  // Create operation for async tracking
+  const operationId = server.operationManager.createOperation(toolName, { ...params, total });
+  
+  const runBatches = async () => {
+    server.operationManager.updateOperation(operationId, 'started', {
+      message: `Starting ${action.toLowerCase()} of ${total} conversation(s)`
+    });
+    
+    // Extension reports a batch_completed milestone after each batch
+    const detachProgress = server.operationManager.onMilestone(operationId, (milestone, data) => {
+      if (milestone === 'batch_completed') {
+        reportProgress(data.processed, total, describeProgress(data));
+      }
+    });
+    
+    try {
+      const result = await server.sendToExtension(command, { ...params, operationId });
+      
+      // Remaining batches were skipped if the operation was cancelled meanwhile
+      if (result.cancelled) {
+        server.operationManager.updateOperation(operationId, 'batches_aborted', {
+          message: `${action} stopped after ${countDone(result)} conversation(s)`,
+          result: result
+        });
+        return result;
+      }
+      
+      await reportProgress(total, total, `${action} completed`);
+      
+      // Update operation with completion
+      server.operationManager.updateOperation(operationId, 'completed', {
+        message: `${action} completed`,
+        result: result
+      });
+      return result;
+      
+    } catch (error) {
+      if (!server.operationManager.isFinished(operationId)) {
+        server.operationManager.updateOperation(operationId, 'error', {
+          message: `${action} failed`,
+          error: error.message
+        });
+      }
+      throw error;
+    } finally {
+      detachProgress();
+    }
+  };
+  
+  // Progress can only be reported while the request is open, so stay open when asked for it
+  if (context.progressToken !== undefined) {
+    const detachCancel = server.cancelOnAbort(operationId, context.signal);
+    const result = await runBatches().finally(detachCancel);
+    return {
+      success: true,
+      operationId: operationId,
+      status: server.operationManager.getOperation(operationId).status,
+      result: result,
+      timestamp: Date.now()
+    };
+  }
+  
+  // Start processing in background
+  setImmediate(() => {
+    runBatches().catch(() => {
+      // Failure already recorded on the operation
+    });
+  });
+  
+  // Return immediately with operation ID
+  return {
+    success: true,
+    operationId: operationId,
+    message: `Queued ${action.toLowerCase()} of ${total} conversation(s)`,
+    status: 'async_queued',
+    timestamp: Date.now()
+  };
+}
+
+// Custom logic tools (require specialized business logic)
+const customToolResults = [
+  createCustomTool('api_list_conversations', 'Get Claude conversations from API, newest first, with UUIDs and current tab IDs (if open). Returns one page (offset/limit, or the nextCursor of a previous page) or, with all: true, every conversation in the account, fetched one page per request with delayMs between requests. With source: mirror the list comes from the local mirror instead, without opening a tab.', {
+    offset: z.number().int().min(0).default(0).describe('Number of conversations to skip'),
+    limit: z.number().int().min(1).default(30).describe('Maximum number of conversations in the page (default: 30)'),
+    cursor: z.string().optional().describe('nextCursor from a previous page; takes precedence over offset'),
+    all: z.boolean().default(false).describe('Return every conversation instead of one page'),
+    delayMs: z.number().default(config.SEQUENTIAL_DELAY_MS).describe(`Delay between page requests when all is set, in milliseconds (default: ${config.SEQUENTIAL_DELAY_MS})`),
+    source: sourceParam
+  }, async (server, args) => {
+    const { source = 'live', ...params } = args;
+    if (source === 'mirror') {
+      return server.conversationMirror.list(params);
+    }
+
+    const { all = false, delayMs = config.SEQUENTIAL_DELAY_MS, ...pageParams } = params;
+    if (!all) {
+      return await server.sendToExtension('api_list_conversations', pageParams);
+    }
+
+    let first = null;
+    const conversations = [];
+    let pagesFetched = 0;
+    await scanConversationPages(server, 'api_list_conversations', { ...pageParams, limit: config.BATCH_SIZE }, {
+      delayMs,
+      onPage: page => {
+        first = first || page;
+        conversations.push(...page.conversations);
+        pagesFetched++;
+        return true;
+      }
+    });
+    return {
+      success: true,
+      conversations,
+      offset: first.offset,
+      limit: null,
+      hasMore: false,
+      nextCursor: null,
+      pagesFetched
+    };
+  }),
+
+  createCustomTool('api_search_conversations', 'Search and filter Claude conversations with advanced criteria (title search, date ranges, message counts, open status). Pages through the whole account, newest first, until limit conversations match; with source: mirror searches the local mirror instead.', {
     titleSearch: z.string().optional().describe('Search text to match against conversation titles (supports partial matching)'),
     titleRegex: z.string().optional().describe('Regular expression pattern for title matching'),
     createdAfter: z.string().optional().describe('ISO date string - only return conversations created after this date'),
     createdBefore: z.string().optional().describe('ISO date string - only return conversations created before this date'),
     minMessages: z.number().optional().describe('Minimum number of messages in conversation'),
     maxMessages: z.number().optional().describe('Maximum number of messages in conversation'),
-    openOnly: z.boolean().default(false).describe('Only return conversations currently open in tabs'),
-    limit: z.number().default(30).describe('Maximum number of results to return (default: 30)')
+    openOnly: z.boolean().default(false).describe('Only return conversations currently open in tabs (live only)'),
+    limit: z.number().default(30).describe('Maximum number of results to return (default: 30)'),
+    delayMs: z.number().default(config.SEQUENTIAL_DELAY_MS).describe(`Delay between page requests in milliseconds (default: ${config.SEQUENTIAL_DELAY_MS})`),
+    source: sourceParam
+  }, async (server, args) => {
+    const { source = 'live', ...params } = args;
+    if (source === 'mirror') {
+      return server.conversationMirror.search(params);
+    }
+
+    // Each request filters one page; stop once enough conversations match
+    const { limit, delayMs = config.SEQUENTIAL_DELAY_MS, ...filters } = params;
+    let conversations = [];
+    let scanned = 0;
+    let scannedAll = true;
+    await scanConversationPages(server, 'api_search_conversations', { ...filters, offset: 0 }, {
+      delayMs,
+      onPage: page => {
+        scanned += page.scanned;
+        conversations.push(...page.conversations);
+        const enough = Boolean(limit) && conversations.length >= limit;
+        scannedAll = !page.hasMore || !enough;
+        return !enough;
+      }
+    });
+
+    if (limit) {
+      conversations = conversations.slice(0, limit);
+    }
+    return {
+      success: true,
+      conversations,
+      total: conversations.length,
+      scanned,
+      scannedAll
+    };
+  }),
+
+  createCustomTool('api_get_conversation_metadata', 'Get metadata for a specific conversation including title, message count, creation date. Live metadata is read from the conversation page (opening a tab if needed); source: mirror reads the local mirror instead.', {
+    conversationId: z.string().describe('The UUID of the Claude conversation (format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx)'),
+    includeMessages: z.boolean().default(false).describe('Include a per-message summary'),
+    source: sourceParam
+  }, async (server, args) => {
+    const { source = 'live', ...params } = args;
+    if (source === 'mirror') {
+      return server.conversationMirror.getMetadata(params.conversationId, params);
+    }
+    return await server.sendToExtension('api_get_conversation_metadata', params);
+  }),
+
+  createCustomTool('api_sync_conversations', 'Sync the local conversation mirror (metadata and message trees) with the account. Incremental by default: conversations are listed newest first and only those whose updated_at changed are fetched again; full also lists older conversations and drops deleted ones. Reports which conversations were added, updated, removed or failed.', {
+    full: z.boolean().default(false).describe('List every conversation and remove deleted ones from the mirror'),
+    delayMs: z.number().default(config.SEQUENTIAL_DELAY_MS).describe(`Delay between API requests in milliseconds (default: ${config.SEQUENTIAL_DELAY_MS})`)
+  }, async (server, args, context = {}) => {
+    const { full = false, delayMs = config.SEQUENTIAL_DELAY_MS } = args;
+    const reportProgress = server.notificationManager.createProgressReporter(context.progressToken);
+
+    const result = await server.conversationMirror.sync(server, {
+      full,
+      delayMs,
+      onProgress: (fetched, total) => reportProgress(fetched, total, `Synced ${fetched} of ${total} conversation(s)`)
+    });
+    return { success: true, ...result };
   }),
-  createForwardingTool('api_get_conversation_metadata', 'Get metadata for a specific conversation including title, message count, creation date', {
-    conversationId: z.string().describe('The UUID of the Claude conversation (format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx)')
-  })
-];
 
-// Custom logic tools (require specialized business logic)
-const customToolResults = [
   createCustomTool('api_get_conversation_url', 'Generate Claude.ai URL for a specific conversation ID. Enables api_get_conversation_url → tab_create workflow.', {
     conversationId: z.string().describe('The UUID of the Claude conversation (format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx)')
   }, async (server, args) => {
@@ -43,57 +322,109 @@ const customToolResults = [
     };
   }),
 
-  createCustomTool('api_delete_conversations', 'Delete Claude conversations permanently - supports single or bulk deletion with progress tracking', {
+  createCustomTool('api_search_messages', 'Full-text search over the messages of every conversation in the local conversation mirror. The mirror is first synced incrementally (only conversations whose updated_at changed are fetched again; the first search mirrors the whole account). Each hit has the conversationId, messageIndex, role and a snippet; a message matches when it contains every query word.', {
+    query: z.string().min(1).describe('Words to search for'),
+    limit: z.number().int().min(1).default(20).describe('Maximum number of hits to return (default: 20)'),
+    conversationId: z.string().optional().describe('Only search this conversation'),
+    role: z.enum(['user', 'assistant']).optional().describe('Only search messages with this role'),
+    refresh: z.enum(['incremental', 'full', 'none']).default('incremental').describe('Mirror sync before searching: incremental (changed conversations), full (also drops deleted conversations) or none'),
+    delayMs: z.number().default(config.SEQUENTIAL_DELAY_MS).describe(`Delay between API requests while syncing, in milliseconds (default: ${config.SEQUENTIAL_DELAY_MS})`)
+  }, async (server, args, context = {}) => {
+    const { query, limit = 20, conversationId, role, refresh = 'incremental', delayMs = config.SEQUENTIAL_DELAY_MS } = args;
+    const reportProgress = server.notificationManager.createProgressReporter(context.progressToken);
+
+    let refreshed = null;
+    if (refresh !== 'none') {
+      refreshed = await server.conversationMirror.sync(server, {
+        full: refresh === 'full',
+        delayMs,
+        onProgress: (fetched, total) => reportProgress(fetched, total, `Synced ${fetched} of ${total} conversation(s)`)
+      });
+    }
+
+    const { hits, total } = server.messageIndex.search(query, { limit, conversationId, role });
+    return {
+      success: true,
+      query,
+      hits,
+      total,
+      indexedConversations: server.conversationMirror.size,
+      refreshed
+    };
+  }),
+
+  createCustomTool('api_add_project_docs', `Add local text files to a claude.ai Project's knowledge, one document per file (up to ${config.PROJECT_DOC_MAX_BYTES} bytes each)`, {
+    projectId: z.string().describe('The UUID of the Project'),
+    filePaths: z.array(z.string()).min(1).describe('Paths of local UTF-8 text files, relative to the server\'s working directory or absolute; the file name becomes the document name')
+  }, async (server, args) => {
+    const docs = args.filePaths.map(filePath => {
+      const resolved = path.resolve(filePath);
+      const { size } = fs.statSync(resolved);
+      if (size > config.PROJECT_DOC_MAX_BYTES) {
+        throw new Error(`${resolved} is ${size} bytes; the limit is ${config.PROJECT_DOC_MAX_BYTES} (MCP_PROJECT_DOC_MAX_BYTES)`);
+      }
+      return { fileName: path.basename(resolved), content: fs.readFileSync(resolved, 'utf8') };
+    });
+
+    return await server.sendToExtension('api_add_project_docs', { projectId: args.projectId, docs });
+  }),
+
+  createCustomTool('api_delete_conversations', 'Delete Claude conversations permanently - supports single or bulk deletion with progress tracking. Returns an operationId immediately; if the request carries a progressToken the call instead stays open, reports per-batch progress and returns the final result.', {
     conversationIds: z.array(z.string()).describe('Array of conversation UUIDs to delete (single item for individual deletion)'),
     batchSize: z.number().default(5).describe('Number of deletions to process per batch (default: 5)'),
     delayMs: z.number().default(config.SEQUENTIAL_DELAY_MS).describe(`Delay between batches in milliseconds (default: ${config.SEQUENTIAL_DELAY_MS})`)
-  }, async (server, args) => {
+  }, async (server, args, context = {}) => {
     const { conversationIds, batchSize = config.API_BATCH_SIZE, delayMs = config.SEQUENTIAL_DELAY_MS } = args;
-    
-    // Create operation for async tracking
-    const operationId = server.operationManager.createOperation('api_delete_conversations', {
-      conversationIds,
-      batchSize,
-      delayMs,
-      total: conversationIds.length
-    });
-    
-    // Start deletion process in background
-    setImmediate(async () => {
-      try {
-        server.operationManager.updateOperation(operationId, 'started', {
-          message: `Starting deletion of ${conversationIds.length} conversation(s)`
-        });
-        
-        // Always use bulk deletion format (extension handles single items in array)
-        const result = await server.forwardToExtension('api_delete_conversations', {
-          conversationIds: conversationIds,
-          batchSize: batchSize,
-          delayMs: delayMs
-        });
-        
-        // Update operation with completion
-        server.operationManager.updateOperation(operationId, 'completed', {
-          message: 'Deletion completed',
-          result: result
-        });
-        
-      } catch (error) {
-        server.operationManager.updateOperation(operationId, 'error', {
-          message: 'Deletion failed',
-          error: error.message
-        });
-      }
+
+    // Always use bulk deletion format (extension handles single items in array)
+    return await runConversationBatch(server, context, {
+      toolName: 'api_delete_conversations',
+      params: { conversationIds, batchSize, delayMs },
+      total: conversationIds.length,
+      action: 'Deletion',
+      describeProgress: data => `Deleted ${data.deletedCount}, failed ${data.failedCount} of ${conversationIds.length}`,
+      countDone: result => result.deletedCount
     });
-    
-    // Return immediately with operation ID
-    return {
-      success: true,
-      operationId: operationId,
-      message: `Queued deletion of ${conversationIds.length} conversation(s)`,
-      status: 'async_queued',
-      timestamp: Date.now()
-    };
+  }),
+
+  createCustomTool('api_rename_conversations', `Rename Claude conversations. ${BATCH_TOOL_NOTE}`, {
+    renames: z.array(z.object({
+      conversationId: z.string().describe('The UUID of the Claude conversation'),
+      name: z.string().min(1).describe('New title')
+    })).min(1).describe('Conversations to rename with their new titles'),
+    ...batchParams
+  }, async (server, args, context = {}) => {
+    return await runConversationUpdates(server, context, 'api_rename_conversations', args,
+      args.renames.map(({ conversationId, name }) => ({ conversationId, body: { name } })));
+  }),
+
+  createCustomTool('api_star_conversations', `Star or unstar Claude conversations. ${BATCH_TOOL_NOTE}`, {
+    conversationIds: z.array(z.string()).min(1).describe('Array of conversation UUIDs'),
+    starred: z.boolean().default(true).describe('true to star, false to unstar'),
+    ...batchParams
+  }, async (server, args, context = {}) => {
+    const { starred = true } = args;
+    return await runConversationUpdates(server, context, 'api_star_conversations', args,
+      args.conversationIds.map(conversationId => ({ conversationId, body: { is_starred: starred } })));
+  }),
+
+  createCustomTool('api_archive_conversations', `Archive or unarchive Claude conversations. ${BATCH_TOOL_NOTE}`, {
+    conversationIds: z.array(z.string()).min(1).describe('Array of conversation UUIDs'),
+    archived: z.boolean().default(true).describe('true to archive, false to unarchive'),
+    ...batchParams
+  }, async (server, args, context = {}) => {
+    const { archived = true } = args;
+    return await runConversationUpdates(server, context, 'api_archive_conversations', args,
+      args.conversationIds.map(conversationId => ({ conversationId, body: { is_archived: archived } })));
+  }),
+
+  createCustomTool('api_move_conversations', `Move Claude conversations into a Project, or out of their Project with projectId: null. ${BATCH_TOOL_NOTE}`, {
+    conversationIds: z.array(z.string()).min(1).describe('Array of conversation UUIDs'),
+    projectId: z.string().nullable().describe('UUID of the target Project, or null to remove the conversations from their Project'),
+    ...batchParams
+  }, async (server, args, context = {}) => {
+    return await runConversationUpdates(server, context, 'api_move_conversations', args,
+      args.conversationIds.map(conversationId => ({ conversationId, body: { project_uuid: args.projectId } })));
   })
 ];
 
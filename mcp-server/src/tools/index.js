@@ -7,6 +7,8 @@ const { chromeTools, chromeHandlers } = require('./chrome-tools');
 const { tabTools, tabHandlers } = require('./tab-tools');
 const { apiTools, apiHandlers } = require('./api-tools');
 const { resourceTools, resourceHandlers } = require('./resource-tools');
+const { scheduleTools, scheduleHandlers } = require('./schedule-tools');
+const { outputSchemas, arrayResultKeys } = require('./output-schemas');
 
 /**
  * Combined tools array for MCP server registration
@@ -17,8 +19,9 @@ const { resourceTools, resourceHandlers } = require('./resource-tools');
  * - tab_*: Tab operations via tabId only
  * - api_*: Claude.ai API operations via conversationId only
  * - resource_*: Critical resource state management
+ * - schedule_*: Scheduled and recurring messages to conversations
  */
-const allTools = [
+const domainTools = [
   // System infrastructure tools
   ...systemTools,
   
@@ -32,9 +35,21 @@ const allTools = [
   ...apiTools,
   
   // Critical resource state management
-  ...resourceTools
+  ...resourceTools,
+  
+  // Scheduled messages to conversations
+  ...scheduleTools
 ];
 
+/**
+ * Tools with their declared output schemas attached (see output-schemas.js)
+ */
+const allTools = domainTools.map(tool => ({
+  ...tool,
+  outputSchema: outputSchemas[tool.name],
+  outputArrayKey: arrayResultKeys[tool.name]
+}));
+
 /**
  * Combined handlers object for tool execution
  */
@@ -44,7 +59,8 @@ const allHandlers = {
   ...chromeHandlers,
   ...tabHandlers,
   ...apiHandlers,
-  ...resourceHandlers
+  ...resourceHandlers,
+  ...scheduleHandlers
 };
 
 /**
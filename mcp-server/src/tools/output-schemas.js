@@ -0,0 +1,784 @@
+// Output Schemas
+// Declared structuredContent shapes for every tool, keyed by tool name
+
+const { z } = require('zod');
+
+/**
+ * Fields any tool result may carry
+ * Failures are not held to the tool's schema but to failureSchema.
+ */
+const envelope = {
+  success: z.boolean().optional(),
+  error: z.string().optional(),
+  reason: z.string().optional()
+};
+
+/**
+ * Results reporting success: false, sent as isError results
+ */
+const failureSchema = z.object({
+  success: z.literal(false),
+  error: z.string().optional(),
+  reason: z.string().optional()
+}).passthrough().refine(
+  failure => typeof failure.error === 'string' || typeof failure.reason === 'string',
+  { message: 'a failure must give an error or reason' }
+);
+
+// Nested values whose contents come straight from Chrome or the page are kept open
+const openObject = z.object({}).passthrough();
+
+const milestone = z.object({
+  milestone: z.string(),
+  timestamp: z.number(),
+  data: z.any()
+}).passthrough();
+
+const operation = z.object({
+  id: z.string(),
+  type: z.string(),
+  params: openObject,
+  status: z.enum(['pending', 'in_progress', 'completed', 'failed', 'cancelled']),
+  ownerPid: z.number().optional(),
+  milestones: z.array(milestone),
+  createdAt: z.number(),
+  lastUpdated: z.number()
+});
+
+const operationSummary = operation.extend({
+  milestoneCount: z.number()
+});
+
+const conversation = z.object({
+  id: z.string(),
+  title: z.string(),
+  created_at: z.string().nullable().optional(),
+  updated_at: z.string().nullable().optional(),
+  message_count: z.number(),
+  tabId: z.number().nullable(),
+  isOpen: z.boolean()
+});
+
+const project = z.object({
+  id: z.string(),
+  name: z.string(),
+  description: z.string(),
+  isPrivate: z.boolean(),
+  created_at: z.string().nullable(),
+  updated_at: z.string().nullable(),
+  archived: z.boolean()
+});
+
+const projectDoc = z.object({
+  id: z.string(),
+  fileName: z.string(),
+  created_at: z.string().nullable(),
+  size: z.number(),
+  content: z.string().optional()
+});
+
+// Batched conversation tools: an operation handle, or the final result when progress was requested
+const conversationBatch = {
+  ...envelope,
+  operationId: z.string(),
+  status: z.string(),
+  message: z.string().optional(),
+  result: openObject.optional(),
+  timestamp: z.number()
+};
+
+// Results answered from the conversation mirror say so
+const mirrorSource = {
+  source: z.literal('mirror').optional(),
+  syncedAt: z.number().nullable().optional()
+};
+
+const mirroredConversationRef = z.object({ id: z.string(), title: z.string() });
+
+const mirrorSync = {
+  listed: z.number(),
+  added: z.array(mirroredConversationRef),
+  updated: z.array(mirroredConversationRef),
+  removed: z.array(mirroredConversationRef),
+  failed: z.array(z.object({ conversationId: z.string(), error: z.string() })),
+  total: z.number(),
+  syncedAt: z.number()
+};
+
+const messageHit = z.object({
+  conversationId: z.string(),
+  title: z.string(),
+  updatedAt: z.string().nullable().optional(),
+  messageIndex: z.number(),
+  messageUuid: z.string().nullable(),
+  role: z.enum(['user', 'assistant']),
+  snippet: z.string(),
+  score: z.number()
+});
+
+const auditEntry = z.object({
+  timestamp: z.number(),
+  pid: z.number(),
+  client: z.string().nullable(),
+  tool: z.string(),
+  args: openObject,
+  targets: z.object({
+    tabIds: z.array(z.number()),
+    conversationIds: z.array(z.string())
+  }),
+  operationId: z.string().optional(),
+  durationMs: z.number(),
+  outcome: z.enum(['success', 'error', 'policy_denied', 'confirmation_required']),
+  error: z.string().optional(),
+  confirmed: z.boolean().optional()
+});
+
+const claudeTab = z.object({
+  id: z.number(),
+  title: z.string().optional(),
+  url: z.string().optional(),
+  active: z.boolean(),
+  status: z.string().optional(),
+  hasContentScript: z.boolean()
+});
+
+const tabPoolStats = z.object({
+  ready: z.number(),
+  leased: z.number(),
+  warming: z.number(),
+  targetSize: z.number()
+});
+
+const conversationSettings = z.object({
+  model: z.string().nullable(),
+  extendedThinking: z.boolean().nullable(),
+  webSearch: z.boolean().nullable(),
+  style: z.string().nullable()
+});
+
+const settingsMismatch = z.object({
+  setting: z.string(),
+  requested: z.union([z.string(), z.boolean()]),
+  actual: z.union([z.string(), z.boolean()]).nullable()
+});
+
+const queueItem = z.object({
+  operationId: z.string(),
+  position: z.number(),
+  status: z.enum(['pending', 'delivering']),
+  messagePreview: z.string(),
+  clientId: z.string().nullable(),
+  enqueuedAt: z.number(),
+  deliveredAt: z.number().optional()
+});
+
+// Tools that make Claude generate a response and track it as an operation
+const responseOperation = {
+  ...envelope,
+  operationId: z.string(),
+  message: z.string().optional(),
+  timestamp: z.number().optional(),
+  // Present when waitForCompletion returned the final response
+  status: z.string().optional(),
+  response: z.any().optional(),
+  duration: z.number().nullable().optional()
+};
+
+const branchMessage = z.object({
+  uuid: z.string(),
+  parentUuid: z.string().nullable(),
+  role: z.enum(['user', 'assistant']),
+  position: z.number().nullable(),
+  preview: z.string(),
+  childUuids: z.array(z.string())
+});
+
+const branchPoint = z.object({
+  parentUuid: z.string().nullable(),
+  position: z.number().nullable(),
+  selected: z.number().nullable(),
+  branches: z.array(z.object({
+    branch: z.number(),
+    uuid: z.string(),
+    role: z.enum(['user', 'assistant']),
+    preview: z.string()
+  }))
+});
+
+const tabQueue = {
+  ...envelope,
+  tabId: z.number(),
+  items: z.array(queueItem),
+  queueLength: z.number()
+};
+
+const schedule = z.object({
+  id: z.string(),
+  name: z.string().optional(),
+  conversationId: z.string(),
+  message: z.string(),
+  intervalMs: z.number().nullable(),
+  nextRunAt: z.number(),
+  createdAt: z.number(),
+  createdBy: z.string().nullable(),
+  runCount: z.number(),
+  lastRunAt: z.number().nullable(),
+  lastOperationId: z.string().nullable(),
+  lastError: z.string().nullable(),
+  failures: z.number().optional(),
+  inFlight: z.object({ pid: z.number(), claimedAt: z.number() }).nullable().optional()
+});
+
+const outputSchemas = {
+  // System tools
+  system_health: {
+    ...envelope,
+    relayClient: openObject,
+    server: z.object({
+      uptime: z.number(),
+      operationsCount: z.number(),
+      errorsCount: z.number(),
+      role: z.string()
+    }),
+    relayMode: z.boolean(),
+    relayConnected: z.boolean(),
+    extension: openObject.nullable(),
+    relay: openObject.nullable()
+  },
+  system_wait_operation: {
+    ...envelope,
+    ...operation.shape
+  },
+  system_list_operations: {
+    ...envelope,
+    operations: z.array(operationSummary),
+    total: z.number(),
+    offset: z.number(),
+    hasMore: z.boolean()
+  },
+  system_get_operation: {
+    ...envelope,
+    operation: operationSummary.extend({
+      milestoneOffset: z.number(),
+      hasMoreMilestones: z.boolean()
+    })
+  },
+  system_get_audit_log: {
+    ...envelope,
+    entries: z.array(auditEntry),
+    total: z.number(),
+    offset: z.number(),
+    hasMore: z.boolean()
+  },
+  system_cancel_operation: {
+    ...envelope,
+    operationId: z.string(),
+    status: z.string(),
+    extension: openObject.nullable().optional()
+  },
+  system_confirm_tool_call: {
+    ...envelope,
+    tool: z.string(),
+    result: openObject
+  },
+  system_relay_takeover: {
+    ...envelope,
+    status: z.string(),
+    message: z.string(),
+    currentClients: z.number(),
+    previousRelay: z.object({
+      version: z.string().optional(),
+      uptime: z.number().optional(),
+      clients: z.number().optional()
+    })
+  },
+  system_get_extension_logs: {
+    ...envelope,
+    logs: z.union([z.array(openObject), z.string()]),
+    count: z.number(),
+    filters: openObject,
+    config: z.any().optional()
+  },
+  system_enable_extension_debug_mode: {
+    ...envelope,
+    message: z.string(),
+    settings: z.object({
+      components: z.array(z.string()),
+      errorOnly: z.boolean(),
+      batchIntervalMs: z.number()
+    })
+  },
+  system_disable_extension_debug_mode: {
+    ...envelope,
+    message: z.string()
+  },
+  system_set_extension_log_level: {
+    ...envelope,
+    message: z.string(),
+    level: z.string()
+  },
+
+  // Chrome tools
+  chrome_reload_extension: {
+    ...envelope,
+    message: z.string()
+  },
+  chrome_debug_attach: {
+    ...envelope,
+    alreadyAttached: z.boolean(),
+    external: z.boolean().optional()
+  },
+  chrome_debug_detach: {
+    ...envelope,
+    wasDetached: z.boolean()
+  },
+  chrome_debug_status: {
+    ...envelope,
+    tabId: z.number().optional(),
+    attached: z.boolean().optional(),
+    functional: z.boolean().optional(),
+    session: openObject.nullable().optional(),
+    totalSessions: z.number().optional(),
+    sessions: z.array(openObject).optional()
+  },
+  chrome_execute_script: {
+    ...envelope,
+    // Chrome DevTools Protocol Runtime.evaluate result
+    result: z.object({ type: z.string() }).passthrough(),
+    exceptionDetails: openObject.optional()
+  },
+  chrome_get_dom_elements: {
+    ...envelope,
+    elements: z.array(z.object({ tagName: z.string() }).passthrough())
+  },
+  chrome_start_network_monitoring: {
+    ...envelope,
+    message: z.string()
+  },
+  chrome_stop_network_monitoring: {
+    ...envelope,
+    message: z.string()
+  },
+  chrome_get_network_requests: {
+    ...envelope,
+    requests: z.array(openObject),
+    count: z.number()
+  },
+
+  // Tab tools
+  tab_create: {
+    ...envelope,
+    tabId: z.number(),
+    tab: openObject,
+    injectionResult: openObject.optional(),
+    settings: conversationSettings.optional()
+  },
+  tab_list: {
+    ...envelope,
+    tabs: z.array(claudeTab),
+    count: z.number()
+  },
+  tab_close: {
+    ...envelope,
+    cleanupSteps: z.array(z.any()).optional(),
+    cleanupErrors: z.array(z.any()).optional()
+  },
+  tab_send_message: responseOperation,
+  tab_edit_message: responseOperation,
+  tab_regenerate_response: responseOperation,
+  tab_get_branches: {
+    ...envelope,
+    tabId: z.number(),
+    conversationId: z.string(),
+    currentLeafUuid: z.string().nullable(),
+    messages: z.array(branchMessage),
+    branchPoints: z.array(branchPoint)
+  },
+  tab_fork_conversation: {
+    ...envelope,
+    tabId: z.number(),
+    conversationId: z.string().nullable(),
+    url: z.string().nullable(),
+    operationId: z.string(),
+    seed: z.object({
+      type: z.literal('transcript'),
+      transcriptMessages: z.number()
+    }),
+    parent: z.object({
+      conversationId: z.string(),
+      title: z.string(),
+      messageIndex: z.number(),
+      messageUuid: z.string(),
+      url: z.string()
+    }),
+    response: z.any().optional()
+  },
+  tab_switch_branch: {
+    ...envelope,
+    tabId: z.number(),
+    messageIndex: z.number(),
+    branch: z.number(),
+    branchCount: z.number()
+  },
+  tab_stream_response: {
+    ...envelope,
+    operationId: z.string(),
+    status: z.string(),
+    response: z.any().optional(),
+    duration: z.number().nullable().optional(),
+    deltaCount: z.number(),
+    streamedLength: z.number()
+  },
+  tab_get_response: {
+    ...envelope,
+    status: z.string(),
+    response: z.any().optional(),
+    operationId: z.string().nullable().optional(),
+    duration: z.number().nullable().optional(),
+    timestamp: z.number().optional(),
+    description: z.string().optional()
+  },
+  tab_get_response_status: {
+    ...envelope,
+    tabId: z.number(),
+    status: z.string().optional(),
+    progress: z.any().optional(),
+    isStreaming: z.boolean().optional(),
+    lastUpdate: z.number().optional(),
+    tools: z.any().optional(),
+    responseLength: z.number().optional(),
+    hasErrors: z.boolean().optional(),
+    errorMessages: z.array(z.string()).optional(),
+    hasStopButton: z.boolean().optional()
+  },
+  tab_forward_response: {
+    ...envelope,
+    sourceTabId: z.number(),
+    targetTabId: z.number(),
+    sourceResponse: z.string().optional(),
+    transformedMessage: z.string().optional(),
+    sendResult: openObject.optional()
+  },
+  tab_extract_elements: {
+    ...envelope,
+    elements: openObject
+  },
+  tab_export_conversation: {
+    ...envelope,
+    format: z.enum(['markdown', 'json']),
+    content: z.union([z.string(), openObject]),
+    metadata: z.any().optional(),
+    statistics: z.any().optional()
+  },
+  tab_get_conversation_settings: {
+    ...envelope,
+    tabId: z.number(),
+    settings: conversationSettings
+  },
+  tab_set_conversation_settings: {
+    ...envelope,
+    tabId: z.number(),
+    requested: openObject,
+    settings: conversationSettings,
+    mismatches: z.array(settingsMismatch)
+  },
+  tab_pool_lease: {
+    ...envelope,
+    tabId: z.number(),
+    clientId: z.string().nullable(),
+    clientName: z.string().nullable(),
+    leasedAt: z.number(),
+    expiresAt: z.number(),
+    fromPool: z.boolean(),
+    pool: tabPoolStats
+  },
+  tab_pool_return: {
+    ...envelope,
+    tabId: z.number(),
+    returnedToPool: z.boolean(),
+    pool: tabPoolStats
+  },
+  tab_enqueue_messages: tabQueue,
+  tab_get_queue: tabQueue,
+  tab_reorder_queue: tabQueue,
+  tab_clear_queue: {
+    ...tabQueue,
+    removed: z.array(z.string())
+  },
+  tab_debug_page: {
+    ...envelope,
+    pageReady: z.boolean(),
+    inputAvailable: z.boolean().optional(),
+    sendButtonAvailable: z.boolean().optional(),
+    url: z.string().optional(),
+    title: z.string().optional()
+  },
+  tab_run_workflow: {
+    ...envelope,
+    operationId: z.string(),
+    status: z.string(),
+    message: z.string().optional(),
+    // Present when the call waited for the workflow to finish
+    result: z.object({
+      stepsExecuted: z.number(),
+      responses: z.record(z.string()),
+      vars: z.record(z.string()),
+      collected: z.array(z.object({
+        as: z.string().optional(),
+        tabId: z.number(),
+        iteration: z.number(),
+        response: z.string()
+      }))
+    }).optional()
+  },
+  tab_debate: {
+    ...envelope,
+    operationId: z.string(),
+    status: z.string(),
+    message: z.string().optional(),
+    // Present when the call waited for the debate to finish
+    result: z.object({
+      participants: z.array(z.object({
+        participant: z.number(),
+        tabId: z.number(),
+        role: z.string()
+      })),
+      rounds: z.array(z.object({
+        round: z.number(),
+        phase: z.enum(['propose', 'critique', 'final']),
+        entries: z.array(z.object({
+          participant: z.number(),
+          tabId: z.number(),
+          response: z.string()
+        }))
+      })),
+      summary: z.object({
+        positions: z.array(z.object({
+          participant: z.number(),
+          tabId: z.number(),
+          position: z.string().nullable(),
+          agreeWith: z.array(z.number()),
+          agreedPoints: z.array(z.string())
+        })),
+        agreeingPairs: z.array(z.array(z.number())),
+        unanimous: z.boolean(),
+        agreedPoints: z.array(z.object({
+          point: z.string(),
+          participants: z.array(z.number())
+        })),
+        unparsed: z.array(z.number())
+      })
+    }).optional()
+  },
+  tab_batch_operations: {
+    ...envelope,
+    operationId: z.string(),
+    summary: openObject.optional(),
+    results: z.array(openObject).optional(),
+    waitForAll: z.boolean().optional(),
+    requestedTabs: z.number().optional(),
+    // send_and_get returns both phases
+    sendResult: openObject.optional(),
+    getResult: openObject.optional()
+  },
+
+  // API tools
+  api_list_conversations: {
+    ...envelope,
+    conversations: z.array(conversation),
+    offset: z.number(),
+    limit: z.number().nullable(),
+    hasMore: z.boolean(),
+    nextCursor: z.string().nullable(),
+    pagesFetched: z.number(),
+    ...mirrorSource
+  },
+  api_search_conversations: {
+    ...envelope,
+    conversations: z.array(conversation),
+    total: z.number(),
+    scanned: z.number(),
+    scannedAll: z.boolean(),
+    ...mirrorSource
+  },
+  api_search_messages: {
+    ...envelope,
+    query: z.string(),
+    hits: z.array(messageHit),
+    total: z.number(),
+    indexedConversations: z.number(),
+    refreshed: z.object(mirrorSync).nullable()
+  },
+  api_sync_conversations: {
+    ...envelope,
+    ...mirrorSync
+  },
+  api_get_conversation_metadata: {
+    ...envelope,
+    url: z.string(),
+    title: z.string(),
+    conversationId: z.string().nullable(),
+    messageCount: z.number(),
+    messages: z.array(openObject),
+    lastActivity: z.number().nullable(),
+    hasArtifacts: z.boolean(),
+    artifactCount: z.number(),
+    features: openObject,
+    estimatedTokens: z.number().optional(),
+    isActive: z.boolean().optional(),
+    ...mirrorSource
+  },
+  api_get_conversation_url: {
+    ...envelope,
+    conversationId: z.string(),
+    url: z.string()
+  },
+  api_delete_conversations: conversationBatch,
+  api_rename_conversations: conversationBatch,
+  api_star_conversations: conversationBatch,
+  api_archive_conversations: conversationBatch,
+  api_move_conversations: conversationBatch,
+  api_list_projects: {
+    ...envelope,
+    projects: z.array(project),
+    total: z.number()
+  },
+  api_get_project: {
+    ...envelope,
+    project: project.extend({ instructions: z.string() }),
+    docs: z.array(projectDoc)
+  },
+  api_create_conversation_in_project: {
+    ...envelope,
+    conversationId: z.string(),
+    projectId: z.string(),
+    name: z.string(),
+    url: z.string().nullable(),
+    tabId: z.number().nullable()
+  },
+  api_list_project_docs: {
+    ...envelope,
+    projectId: z.string(),
+    docs: z.array(projectDoc),
+    total: z.number()
+  },
+  api_add_project_docs: {
+    ...envelope,
+    projectId: z.string(),
+    added: z.array(projectDoc),
+    failed: z.array(z.object({ fileName: z.string(), error: z.string() }))
+  },
+  api_remove_project_docs: {
+    ...envelope,
+    projectId: z.string(),
+    removed: z.array(z.string()),
+    failed: z.array(z.object({ id: z.string(), error: z.string() }))
+  },
+
+  // Resource state tools
+  resource_state_summary: {
+    ...envelope,
+    debuggerSessions: z.number(),
+    operationLocks: z.number(),
+    networkMonitoring: z.number(),
+    contentScripts: z.number(),
+    pendingRequests: z.number(),
+    relayClients: z.number(),
+    metadata: openObject
+  },
+  resource_register_debugger_session: {
+    ...envelope,
+    tabId: z.number(),
+    source: z.string(),
+    purpose: z.string()
+  },
+  resource_detach_debugger_session: {
+    ...envelope,
+    tabId: z.number()
+  },
+  resource_verify_debugger_session: {
+    ...envelope,
+    tabId: z.number(),
+    exists: z.boolean(),
+    session: openObject.optional(),
+    canDetach: z.boolean().optional(),
+    age: z.number().optional()
+  },
+  resource_acquire_operation_lock: {
+    ...envelope,
+    tabId: z.number(),
+    operation: z.string(),
+    clientId: z.string(),
+    timeout: z.number()
+  },
+  resource_release_operation_lock: {
+    ...envelope,
+    tabId: z.number()
+  },
+  resource_start_network_monitoring: {
+    ...envelope,
+    tabId: z.number(),
+    debuggerSessionId: z.string().optional()
+  },
+  resource_stop_network_monitoring: {
+    ...envelope,
+    tabId: z.number()
+  },
+  resource_register_content_script: {
+    ...envelope,
+    tabId: z.number(),
+    version: z.string(),
+    worlds: z.array(z.string())
+  },
+  resource_unregister_content_script: {
+    ...envelope,
+    tabId: z.number()
+  },
+  resource_cleanup_orphaned: {
+    ...envelope,
+    dryRun: z.boolean(),
+    found: z.object({
+      debuggerSessions: z.number(),
+      operationLocks: z.number()
+    }),
+    cleanupActions: z.array(z.string())
+  },
+  resource_extension_restart_recovery: {
+    ...envelope,
+    debuggerSessionsFound: z.number(),
+    operationLocksFound: z.number(),
+    networkMonitoringFound: z.number(),
+    contentScriptsFound: z.number(),
+    cleanupRequired: z.array(openObject),
+    recoveryActions: z.array(z.string())
+  },
+
+  // Schedule tools
+  schedule_create: {
+    ...envelope,
+    schedule
+  },
+  schedule_list: {
+    ...envelope,
+    schedules: z.array(schedule),
+    count: z.number()
+  },
+  schedule_delete: {
+    ...envelope,
+    schedule
+  }
+};
+
+/**
+ * Tools whose handlers return a bare array; structuredContent must be an
+ * object, so the array is placed under this key
+ */
+const arrayResultKeys = {
+  chrome_get_dom_elements: 'elements'
+};
+
+module.exports = {
+  outputSchemas,
+  arrayResultKeys,
+  failureSchema
+};
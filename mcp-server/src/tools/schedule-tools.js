@@ -0,0 +1,52 @@
+// Schedule Tools
+// Scheduled and recurring messages to Claude conversations
+
+const { z } = require('zod');
+const { createCustomTool, extractToolsAndHandlers } = require('../utils/tool-factory');
+const config = require('../config');
+
+const customToolResults = [
+  createCustomTool('schedule_create', 'Schedule a message to a conversation, once or on an interval. When it fires the conversation\'s tab is reopened if it was closed, and the send is recorded as a tab_send_message operation (see system_list_operations). Failed sends are retried with backoff; schedule_list shows the last error. Schedules persist across server restarts and are shared by all MCP server processes.', {
+    conversationId: z.string().describe('UUID of the conversation to send to'),
+    message: z.string().describe('Message to send'),
+    at: z.string().optional().describe('First (or only) send: ISO 8601 time, or HH:MM for the next local occurrence (default: one interval from now)'),
+    intervalMs: z.number().int().optional().describe(`Repeat every intervalMs milliseconds (at least ${config.SCHEDULE_MIN_INTERVAL}); omit for a one-off send`),
+    name: z.string().optional().describe('Schedule name')
+  }, async (server, args) => {
+    return {
+      success: true,
+      schedule: server.scheduler.create(args, server.server.server.getClientVersion()?.name)
+    };
+  }),
+
+  createCustomTool('schedule_list', 'List scheduled messages, soonest first, with their next run and the operation of their last send', {
+    conversationId: z.string().optional().describe('Only schedules for this conversation')
+  }, async (server, args) => {
+    const schedules = server.scheduler.list(args);
+    return {
+      success: true,
+      schedules,
+      count: schedules.length
+    };
+  }),
+
+  createCustomTool('schedule_delete', 'Delete a scheduled message', {
+    scheduleId: z.string().describe('Schedule ID from schedule_create or schedule_list')
+  }, async (server, args) => {
+    return {
+      success: true,
+      schedule: server.scheduler.delete(args.scheduleId)
+    };
+  })
+];
+
+// Extract tools and handlers from factory results
+const customTools = extractToolsAndHandlers(customToolResults);
+
+const scheduleTools = customTools.tools;
+const scheduleHandlers = customTools.handlers;
+
+module.exports = {
+  scheduleTools,
+  scheduleHandlers
+};
@@ -48,16 +48,79 @@ const customToolResults = [
     return await server.waitForOperation(args);
   }),
   
+  createCustomTool('system_list_operations', 'List async operations tracked by this MCP server (survives client restarts). Filter by type, status, tab and creation time; results are newest first and paginated.', {
+    type: z.string().optional().describe('Operation type, e.g. tab_send_message or api_delete_conversations'),
+    status: z.enum(['pending', 'in_progress', 'completed', 'failed', 'cancelled']).optional().describe('Operation status'),
+    tabId: z.number().optional().describe('Only operations targeting this tab'),
+    since: z.number().optional().describe('Unix timestamp (ms) - only operations created at or after this time'),
+    until: z.number().optional().describe('Unix timestamp (ms) - only operations created at or before this time'),
+    offset: z.number().default(0).describe('Number of operations to skip'),
+    limit: z.number().default(20).describe('Maximum number of operations to return'),
+    milestoneLimit: z.number().default(5).describe('Most recent milestones to include per operation (0 = none)')
+  }, async (server, args) => {
+    return {
+      success: true,
+      ...server.operationManager.listOperations(args)
+    };
+  }),
+  
+  createCustomTool('system_get_audit_log', 'Query the audit log of tool calls made by all MCP clients (client, tool, redacted arguments, target tabs and conversations, duration, outcome). Newest first and paginated.', {
+    since: z.number().optional().describe('Unix timestamp (ms) - only calls at or after this time'),
+    until: z.number().optional().describe('Unix timestamp (ms) - only calls at or before this time'),
+    client: z.string().optional().describe('MCP client name (clientInfo.name), e.g. claude-code'),
+    tool: z.string().optional().describe('Tool name, e.g. api_delete_conversations'),
+    outcome: z.enum(['success', 'error', 'policy_denied', 'confirmation_required']).optional().describe('Call outcome'),
+    tabId: z.number().optional().describe('Only calls targeting this tab'),
+    conversationId: z.string().optional().describe('Only calls targeting this conversation'),
+    offset: z.number().default(0).describe('Number of entries to skip'),
+    limit: z.number().default(50).describe('Maximum number of entries to return')
+  }, async (server, args) => {
+    return {
+      success: true,
+      ...server.auditLog.query(args)
+    };
+  }),
+  
+  createCustomTool('system_get_operation', 'Get the current state of an async operation immediately (no waiting), with paginated milestones', {
+    operationId: z.string().describe('Operation ID to look up'),
+    milestoneOffset: z.number().default(0).describe('Number of milestones to skip (oldest first)'),
+    milestoneLimit: z.number().default(50).describe('Maximum number of milestones to return')
+  }, async (server, args) => {
+    const operation = server.operationManager.getOperationPage(
+      args.operationId,
+      args.milestoneOffset,
+      args.milestoneLimit
+    );
+    if (!operation) {
+      throw new Error(`Operation ${args.operationId} not found`);
+    }
+    return {
+      success: true,
+      operation
+    };
+  }),
+  
+  createCustomTool('system_cancel_operation', 'Cancel an async operation: stops Claude generation for tab_send_message, tab_edit_message and tab_regenerate_response, aborts the remaining batches of api_delete_conversations and the conversation update tools (rename, star, archive, move) and releases the tab lock. The operation ends in the cancelled state.', {
+    operationId: z.string().describe('Operation ID to cancel'),
+    reason: z.string().optional().describe('Reason recorded on the cancelled operation')
+  }, async (server, args) => {
+    return await server.cancelOperation(args.operationId, args.reason);
+  }),
+  
+  createCustomTool('system_confirm_tool_call', 'Confirm a tool call that the permission policy held for confirmation, then run it. Only the client that made the call can confirm it, before the token expires.', {
+    confirmationToken: z.string().describe('confirmationToken from the confirmation_required policy error')
+  }, async (server, args, context) => {
+    return await server.confirmToolCall(args.confirmationToken, context);
+  }),
+  
   createCustomTool('system_relay_takeover', 'Request the current relay to shut down gracefully, allowing a new relay to take over. Use with caution.', {}, async (server, args) => {
     try {
       // Check current relay health first
       const healthResponse = await fetch(config.RELAY_URLS.health());
       if (!healthResponse.ok) {
         return {
-          content: [{
-            type: 'text',
-            text: `No relay server found running on ${config.RELAY_HOST}:${config.WEBSOCKET_PORT}`
-          }]
+          success: false,
+          error: `No relay server found running on ${config.RELAY_HOST}:${config.WEBSOCKET_PORT}`
         };
       }
       
@@ -72,34 +135,26 @@ const customToolResults = [
       if (!takeoverResponse.ok) {
         const error = await takeoverResponse.json();
         return {
-          content: [{
-            type: 'text',
-            text: `Takeover failed: ${error.error || 'Unknown error'}`
-          }]
+          success: false,
+          error: `Takeover failed: ${error.error || 'Unknown error'}`
         };
       }
       
       const result = await takeoverResponse.json();
       
       return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify({
-            ...result,
-            previousRelay: {
-              version: health.version,
-              uptime: health.uptime,
-              clients: health.metrics.currentClients
-            }
-          }, null, 2)
-        }]
+        success: true,
+        ...result,
+        previousRelay: {
+          version: health.version,
+          uptime: health.uptime,
+          clients: health.metrics.currentClients
+        }
       };
     } catch (error) {
       return {
-        content: [{
-          type: 'text',
-          text: `Failed to request relay takeover: ${error.message}`
-        }]
+        success: false,
+        error: `Failed to request relay takeover: ${error.message}`
       };
     }
   })
@@ -1,9 +1,139 @@
 // Tab Tools
 // Tab operations via tabId only - creating, messaging, and managing Claude.ai tabs
 
+const fs = require('fs');
+const path = require('path');
 const { z } = require('zod');
 const { createForwardingTool, extractToolsAndHandlers } = require('../utils/tool-factory');
+const { WorkflowRunner } = require('../utils/workflow-runner');
+const { DebateRunner } = require('../utils/debate-runner');
 const config = require('../config');
+const { branchTree, currentBranch } = require('../utils/conversation-mirror');
+
+/**
+ * Workflow step schemas for tab_run_workflow (branch and loop nest further steps)
+ */
+const workflowCondition = z.object({
+  tabId: z.number().optional().describe('Tab whose latest response is tested (default: the most recent response)'),
+  regex: z.string().optional().describe('Regular expression the response must match'),
+  flags: z.string().optional().describe('Regular expression flags, e.g. "i"'),
+  json: z.object({
+    path: z.string().describe('Dotted path into the JSON found in the response, e.g. "review.approved"'),
+    equals: z.any().optional().describe('Value the path must equal'),
+    exists: z.boolean().optional().describe('Whether the path must exist')
+  }).optional().describe('Test JSON in the response (whole text, ```json block or first {...}); without equals/exists the value must be truthy'),
+  negate: z.boolean().optional().describe('Invert the result')
+});
+
+const workflowStep = z.lazy(() => z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('send'),
+    tabId: z.number().describe('Tab to send to'),
+    message: z.string().describe('Message template')
+  }),
+  z.object({
+    type: z.literal('wait'),
+    tabId: z.number().describe('Tab whose response to wait for'),
+    timeoutMs: z.number().optional().describe('Maximum wait in milliseconds'),
+    saveAs: z.string().optional().describe('Save the response as ${vars.<saveAs>}')
+  }),
+  z.object({
+    type: z.literal('forward'),
+    sourceTabId: z.number().describe('Tab whose latest response is forwarded'),
+    targetTabId: z.number().describe('Tab to send to'),
+    template: z.string().optional().describe('Message template; ${response} is the source response (default: "${response}")')
+  }),
+  z.object({
+    type: z.literal('branch'),
+    if: workflowCondition,
+    then: z.array(workflowStep).describe('Steps run when the condition holds'),
+    else: z.array(workflowStep).optional().describe('Steps run otherwise')
+  }),
+  z.object({
+    type: z.literal('loop'),
+    maxIterations: z.number().int().min(1).describe('Maximum number of iterations'),
+    steps: z.array(workflowStep).describe('Steps run each iteration'),
+    until: workflowCondition.optional().describe('Stop once this holds after an iteration')
+  }),
+  z.object({
+    type: z.literal('collect'),
+    tabIds: z.array(z.number()).optional().describe('Tabs whose latest responses are collected (default: the most recent response)'),
+    as: z.string().optional().describe('Label for the collected responses')
+  })
+]));
+
+/**
+ * Conversation settings fields, shared by tab_set_conversation_settings and tab_create
+ */
+const conversationSettingsFields = {
+  model: z.string().optional().describe('Model to select by name, e.g. "Claude Opus 4.1"; a fragment such as "opus 4.1" works when only one model name contains it'),
+  extendedThinking: z.boolean().optional().describe('Turn extended thinking on or off'),
+  webSearch: z.boolean().optional().describe('Turn web search on or off'),
+  style: z.string().optional().describe('Response style to use by name, e.g. "Concise"; a fragment works when only one style name contains it')
+};
+
+const CONVERSATION_URL_PATTERN = /\/chat\/([a-f0-9-]{36})/;
+
+/**
+ * Message attachment schema for tab_send_message: a local file or a base64 blob
+ */
+const messageAttachment = z.object({
+  path: z.string().optional().describe('Local file path, relative to the server\'s working directory or absolute'),
+  data: z.string().optional().describe('Base64 file content, instead of path'),
+  mimeType: z.string().optional().describe('MIME type; required with data, inferred from the file extension with path'),
+  fileName: z.string().optional().describe('File name shown in Claude (default: the base name of path, or "attachment")')
+});
+
+// MIME types by file extension, for attachments given as paths
+const ATTACHMENT_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.xml': 'application/xml'
+};
+
+/**
+ * Read attachments into { fileName, mimeType, data } (data base64) for the extension
+ * Everything is checked before anything is sent, so a bad attachment fails the call early.
+ */
+function loadAttachments(attachments) {
+  return attachments.map((attachment, index) => {
+    if (Boolean(attachment.path) === Boolean(attachment.data)) {
+      throw new Error(`Attachment ${index} needs exactly one of path or data`);
+    }
+
+    if (attachment.data) {
+      if (!attachment.mimeType) {
+        throw new Error(`Attachment ${index} has data but no mimeType`);
+      }
+      const size = Buffer.from(attachment.data, 'base64').length;
+      if (size > config.ATTACHMENT_MAX_BYTES) {
+        throw new Error(`Attachment ${index} is ${size} bytes; the limit is ${config.ATTACHMENT_MAX_BYTES} (MCP_ATTACHMENT_MAX_BYTES)`);
+      }
+      return { fileName: attachment.fileName || 'attachment', mimeType: attachment.mimeType, data: attachment.data };
+    }
+
+    const resolved = path.resolve(attachment.path);
+    const { size } = fs.statSync(resolved);
+    if (size > config.ATTACHMENT_MAX_BYTES) {
+      throw new Error(`${resolved} is ${size} bytes; the limit is ${config.ATTACHMENT_MAX_BYTES} (MCP_ATTACHMENT_MAX_BYTES)`);
+    }
+    return {
+      fileName: attachment.fileName || path.basename(resolved),
+      mimeType: attachment.mimeType || ATTACHMENT_MIME_TYPES[path.extname(resolved).toLowerCase()] || 'application/octet-stream',
+      data: fs.readFileSync(resolved).toString('base64')
+    };
+  });
+}
 
 /**
  * Tab tool definitions
@@ -11,11 +141,12 @@ const config = require('../config');
 const tabTools = [
   {
     name: 'tab_create',
-    description: 'Open a new Claude.ai tab with optional content script injection',
+    description: 'Open a new Claude.ai tab with optional content script injection and conversation settings (model, extended thinking, web search, style)',
     zodSchema: {
       url: z.string().describe('URL to open').default(config.CLAUDE_URL),
       injectContentScript: z.boolean().describe('Whether to inject content script for interaction').default(true),
-      waitForLoad: z.boolean().describe('Wait for page to fully load').default(true)
+      waitForLoad: z.boolean().describe('Wait for page to fully load').default(true),
+      settings: z.object(conversationSettingsFields).optional().describe('Conversation settings to apply once the page has loaded; they are verified as in tab_set_conversation_settings, and the tab is closed if they do not take')
     }
   },
   {
@@ -28,16 +159,91 @@ const tabTools = [
   },
   {
     name: 'tab_send_message',
-    description: 'Send message to Claude tab with configurable async/sync behavior',
+    description: `Send message to Claude tab with configurable async/sync behavior, optionally with file and image attachments (up to ${config.ATTACHMENT_MAX_BYTES} bytes each)`,
     zodSchema: {
       tabId: z.number().describe('Tab ID to send message to'),
       message: z.string().describe('Message to send to Claude'),
+      attachments: z.array(messageAttachment).optional().describe('Files to attach, in order; each is uploaded and confirmed in the composer before the message is sent'),
       waitForCompletion: z.boolean().describe('Whether to wait for response completion (false = async, true = sync)').default(false),
       waitForReady: z.boolean().describe('Whether to wait for Claude to be ready before sending').default(true),
       maxRetries: z.number().describe('Maximum number of retry attempts if sending fails').default(config.MAX_RETRIES),
       retryDelayMs: z.number().describe('Delay between retry attempts in milliseconds').default(config.RETRY_DELAY_MS)
     }
   },
+  {
+    name: 'tab_edit_message',
+    description: 'Edit an earlier user message in a Claude tab and resend it, which starts a new branch from that message. Completion is tracked as for tab_send_message.',
+    zodSchema: {
+      tabId: z.number().describe('Tab ID of the Claude conversation'),
+      messageIndex: z.number().int().min(0).describe('Position of the user message in the displayed conversation, counting user and assistant messages from 0 (see tab_get_branches)'),
+      message: z.string().describe('New text of the message'),
+      waitForCompletion: z.boolean().describe('Whether to wait for the new response (false = async, true = sync)').default(false)
+    }
+  },
+  {
+    name: 'tab_regenerate_response',
+    description: 'Retry the last response in a Claude tab, adding a new branch beside it; call repeatedly to sample several candidate answers. Completion is tracked as for tab_send_message.',
+    zodSchema: {
+      tabId: z.number().describe('Tab ID of the Claude conversation'),
+      waitForCompletion: z.boolean().describe('Whether to wait for the new response (false = async, true = sync)').default(false)
+    }
+  },
+  {
+    name: 'tab_get_branches',
+    description: 'Get the branch tree of the conversation in a Claude tab: every message with its children, and each branch point with its numbered branches and the one selected on the current path',
+    zodSchema: {
+      tabId: z.number().describe('Tab ID of the Claude conversation')
+    }
+  },
+  {
+    name: 'tab_fork_conversation',
+    description: 'Fork a conversation at a message into a new conversation in a new tab, leaving the original untouched. The messages are not copied: the new conversation starts with a single user message holding the transcript of the current branch up to and including that message, which Claude answers. Returns the new tab and conversation IDs, what the seed message holds and a link back to the parent.',
+    zodSchema: {
+      conversationId: z.string().optional().describe('UUID of the conversation to fork (instead of tabId)'),
+      tabId: z.number().optional().describe('Tab showing the conversation to fork (instead of conversationId)'),
+      messageIndex: z.number().int().min(0).describe('Position of the last message to keep, counting user and assistant messages from 0 (see tab_get_branches)'),
+      waitForCompletion: z.boolean().describe('Whether to wait for the response to the seed message').default(false)
+    }
+  },
+  {
+    name: 'tab_stream_response',
+    description: 'Send message to Claude tab and stream the response while it is generated. Text deltas are sent as notifications/operation/progress (milestone response_delta, tagged with the operationId) and, when the request carries a progressToken, as standard progress messages; apply each delta at its offset. Returns the final response.',
+    zodSchema: {
+      tabId: z.number().describe('Tab ID to send message to'),
+      message: z.string().describe('Message to send to Claude'),
+      timeoutMs: z.number().describe('Maximum time to wait for the response to complete in milliseconds').default(config.COMPLETION_TIMEOUT)
+    }
+  },
+  {
+    name: 'tab_run_workflow',
+    description: 'Run a declarative multi-tab workflow as one tracked operation: send, wait, forward (with template), branch on a regex or JSON condition, loop (with maxIterations and an until condition) and collect. Templates substitute ${response}, ${tab.<tabId>}, ${vars.<name>} and ${iteration}. Each step records step_started/step_completed milestones. Returns an operationId immediately (use system_wait_operation for the result) unless waitForCompletion is set or the request carries a progressToken.',
+    zodSchema: {
+      steps: z.array(workflowStep).min(1).describe('Workflow steps, run in order'),
+      name: z.string().optional().describe('Workflow name recorded on the operation'),
+      waitForCompletion: z.boolean().default(false).describe('Stay open and return the workflow result')
+    }
+  },
+  {
+    name: 'tab_debate',
+    description: 'Run a multi-round debate between Claude tabs as one tracked operation. Round 1 collects each tab\'s position under its role prompt; each later round sends every tab the other tabs\' responses with a critique template; the final round asks for a JSON verdict. Returns a transcript of every round and a summary of where the tabs agreed. Returns an operationId immediately (use system_wait_operation for the result) unless waitForCompletion is set or the request carries a progressToken.',
+    zodSchema: {
+      tabIds: z.array(z.number()).min(2).describe('Tabs taking part, one participant each'),
+      topic: z.string().describe('Debate topic or question'),
+      rounds: z.number().int().min(2).default(3).describe('Number of rounds, including the opening and final rounds'),
+      roles: z.array(z.string()).optional().describe('Role prompt for each tab, in tabIds order'),
+      critiqueTemplate: z.string().optional().describe('Message for rounds after the first; substitutes ${round}, ${topic}, ${role} and ${responses} (the other participants\' latest responses)'),
+      timeoutMs: z.number().default(config.COMPLETION_TIMEOUT).describe('Maximum wait for each response in milliseconds'),
+      waitForCompletion: z.boolean().default(false).describe('Stay open and return the debate result')
+    }
+  },
+  {
+    name: 'tab_enqueue_messages',
+    description: 'Append messages to a tab\'s durable queue in the extension. Each message is sent only after the response to the previous one completes, and queues survive extension restarts. Every message gets its own operationId: its progress notifications (queue_item_delivered, response_completed, queue_item_completed) report as it finishes, and system_wait_operation waits for it. Manage the queue with tab_get_queue, tab_reorder_queue and tab_clear_queue.',
+    zodSchema: {
+      tabId: z.number().describe('Tab ID to queue messages for'),
+      messages: z.array(z.string()).min(1).describe('Messages to send, in order')
+    }
+  },
   {
     name: 'tab_batch_operations',
     description: 'Perform batch operations on multiple tabs: send messages and/or get responses. ASYNC-BY-DEFAULT: Optimal for parallel operations.',
@@ -64,14 +270,14 @@ const tabTools = [
  */
 const simpleForwardingToolResults = [
   createForwardingTool('tab_list', 'Get list of all currently open Claude.ai tabs with their IDs, status, and conversation IDs (if available).', {}),
-  createForwardingTool('tab_get_response', 'Get the latest response from Claude tab with auto-completion detection', {
+  createForwardingTool('tab_get_response', 'Get the latest response from Claude tab with auto-completion detection. The response text is the original markdown (code fences, lists, tables, LaTeX)', {
     tabId: z.number().describe('Tab ID to get response from'),
     timeoutMs: z.number().default(30000).describe('Timeout in milliseconds')
   }),
   createForwardingTool('tab_get_response_status', 'Get real-time status of Claude response generation including progress estimation', {
     tabId: z.number().describe('The tab ID to check response status for')
   }),
-  createForwardingTool('tab_forward_response', 'Forward Claude response from source tab to target tab', {
+  createForwardingTool('tab_forward_response', 'Forward Claude response from source tab to target tab as markdown, keeping code fences and their languages', {
     sourceTabId: z.number().describe('Source tab ID to get response from'),
     targetTabId: z.number().describe('Target tab ID to send response to'),
     transformTemplate: z.string().optional().describe('Optional transformation template with  placeholder')
@@ -81,10 +287,40 @@ const simpleForwardingToolResults = [
     batchSize: z.number().default(50).describe('Max elements to process per type (default: 50)'),
     maxElements: z.number().default(config.MAX_ELEMENTS_DEFAULT).describe(`Max total elements to extract before stopping (default: ${config.MAX_ELEMENTS_DEFAULT})`)
   }),
-  createForwardingTool('tab_export_conversation', 'Export a full conversation transcript with metadata in markdown or JSON format', {
+  createForwardingTool('tab_export_conversation', 'Export a full conversation transcript with metadata in markdown or JSON format. Messages are the original markdown of the current branch, from the conversation API', {
     tabId: z.number().describe('The tab ID of the Claude conversation to export'),
     format: z.enum(['markdown', 'json']).default('markdown').describe('Export format (markdown or json)')
   }),
+  createForwardingTool('tab_get_conversation_settings', 'Read the model, extended thinking, web search and style currently selected in a Claude tab. Settings the page does not offer are null.', {
+    tabId: z.number().describe('The tab ID of the Claude conversation')
+  }),
+  createForwardingTool('tab_set_conversation_settings', 'Select the model and toggle extended thinking, web search or a style in a Claude tab, then read the settings back. Fails with the list of mismatches unless every requested setting reads back as requested. Settings apply to messages sent afterwards.', {
+    tabId: z.number().describe('The tab ID of the Claude conversation'),
+    ...conversationSettingsFields
+  }),
+  createForwardingTool('tab_switch_branch', 'Show another branch at a branch point in a Claude tab, as with Claude\'s "2 / 3" switcher. The messages after it change to that branch\'s.', {
+    tabId: z.number().describe('Tab ID of the Claude conversation'),
+    messageIndex: z.number().int().min(0).describe('Position of a message with sibling branches in the displayed conversation, counting from 0 (see tab_get_branches)'),
+    branch: z.number().int().min(1).describe('Branch to show, numbered from 1')
+  }),
+  createForwardingTool('tab_pool_lease', 'Lease a ready Claude.ai tab (on /new, content script injected) from the extension\'s pre-warmed tab pool, avoiding tab_create load time. The lease is tagged with this client and reclaimed when it expires; call tab_pool_return when done.', {
+    leaseTtlMs: z.number().default(config.TAB_POOL_LEASE_TTL).describe('Lease duration in milliseconds; the tab is reset and reclaimed afterwards'),
+    poolSize: z.number().int().min(0).default(config.TAB_POOL_SIZE).describe('Number of ready tabs the pool keeps from this lease on (0 = no pre-warming; tabs open on demand)')
+  }),
+  createForwardingTool('tab_pool_return', 'Return a leased tab to the pool. It is reset to a new conversation and kept ready, or closed if the pool is full.', {
+    tabId: z.number().describe('Leased tab ID')
+  }),
+  createForwardingTool('tab_get_queue', 'List a tab\'s queued messages in delivery order; the first may be delivering (sent and awaiting its response)', {
+    tabId: z.number().describe('Tab ID whose queue to list')
+  }),
+  createForwardingTool('tab_reorder_queue', 'Move pending queued messages to the front of a tab\'s queue in the given order; pending messages not listed keep their order behind them', {
+    tabId: z.number().describe('Tab ID whose queue to reorder'),
+    operationIds: z.array(z.string()).min(1).describe('Operation IDs of pending messages, in their new order')
+  }),
+  createForwardingTool('tab_clear_queue', 'Remove pending messages from a tab\'s queue and cancel their operations. The message being answered is not affected; cancel its operation to stop it.', {
+    tabId: z.number().describe('Tab ID whose queue to clear'),
+    operationIds: z.array(z.string()).optional().describe('Operation IDs to remove (default: every pending message)')
+  }),
   createForwardingTool('tab_debug_page', 'Debug Claude page readiness and get page information', {
     tabId: z.number().describe('The tab ID of the Claude page to debug')
   })
@@ -126,16 +362,209 @@ const resourceSyncHandlers = {
   }
 };
 
+/**
+ * Run a tab action that makes Claude generate a response (send, edit, regenerate)
+ * as a tracked operation. The extension registers the operation with the content
+ * script before acting, so the content script's response_completed ends it; with
+ * waitForCompletion the call waits for that and returns the response.
+ * @param {Object} options - { operationType, command, operationParams, extensionArgs, beforeForward }
+ */
+async function runResponseOperation(server, args, context, { operationType, command, operationParams, extensionArgs, beforeForward }) {
+  const reportProgress = server.notificationManager.createProgressReporter(context.progressToken);
+  
+  // OPERATION ID UNIFICATION FIX: Create MCP server operation first
+  const operationId = server.operationManager.createOperation(operationType, {
+    ...operationParams,
+    waitForCompletion: args.waitForCompletion
+  });
+  
+  // Add server operation ID to args for extension to use
+  const argsWithOpId = {
+    ...extensionArgs,
+    operationId: operationId
+  };
+  
+  server.operationManager.updateOperation(operationId, 'started', { 
+    phase: 'forwarding_to_extension'
+  });
+  
+  // MCP notifications/cancelled for this request cancels the operation (stops generation)
+  const detachCancel = server.cancelOnAbort(operationId, context.signal);
+  
+  let result;
+  try {
+    if (beforeForward) {
+      await beforeForward();
+    }
+    
+    result = await server.forwardToExtension(command, argsWithOpId);
+  } catch (error) {
+    detachCancel();
+    server.operationManager.updateOperation(operationId, 'error', { 
+      phase: 'forwarding_failed',
+      error: error.message
+    });
+    throw error;
+  }
+  
+  // Parse MCP-wrapped response from forwardToExtension
+  let actualResult;
+  try {
+    if (result && result.content && result.content[0] && result.content[0].text) {
+      actualResult = JSON.parse(result.content[0].text);
+    } else {
+      actualResult = result;
+    }
+  } catch (parseError) {
+    actualResult = result;
+  }
+  
+  if (!actualResult || !actualResult.success) {
+    detachCancel();
+    server.operationManager.updateOperation(operationId, 'error', { 
+      phase: 'extension_failed',
+      error: actualResult?.error || 'Unknown error'
+    });
+    return result;
+  }
+  
+  // The operation completes when the content script reports response_completed,
+  // so it stays cancellable while Claude is generating
+  server.operationManager.updateOperation(operationId, 'message_sent', { 
+    phase: 'waiting_response',
+    result: actualResult
+  });
+  
+  if (!args.waitForCompletion) {
+    detachCancel();
+    return result;
+  }
+  
+  // Sync mode: wait for response completion, reporting streamed characters as progress
+  
+  const detachProgress = server.operationManager.onMilestone(operationId, (milestone, data) => {
+    if (milestone === 'response_progress' && data.responseLength) {
+      reportProgress(data.responseLength, null, `Received ${data.responseLength} characters`);
+    }
+  });
+  
+  try {
+    await server.operationManager.waitForCompletion(operationId, config.COMPLETION_TIMEOUT);
+  } catch (error) {
+    if (!server.operationManager.isFinished(operationId)) {
+      server.operationManager.updateOperation(operationId, 'error', { 
+        phase: 'response_timeout',
+        error: error.message
+      });
+    }
+    throw error;
+  } finally {
+    detachProgress();
+    detachCancel();
+  }
+  
+  return await server.forwardToExtension('tab_get_response', {
+    tabId: args.tabId,
+    operationId: operationId
+  });
+}
+
+/**
+ * @returns {Promise<string>} ID of the conversation shown in a tab
+ */
+async function resolveTabConversation(server, tabId) {
+  const { tabs = [] } = await server.sendToExtension('tab_list', {});
+  const tab = tabs.find(candidate => candidate.id === tabId);
+  if (!tab) {
+    throw new Error(`Tab ${tabId} not found`);
+  }
+  const match = (tab.url || '').match(CONVERSATION_URL_PATTERN);
+  if (!match) {
+    throw new Error(`Tab ${tabId} is not showing a saved conversation`);
+  }
+  return match[1];
+}
+
+/**
+ * Wait for a tab to move to a saved conversation's URL
+ * @returns {Promise<string|null>} The conversation ID, or null if it did not within timeoutMs
+ */
+async function waitForTabConversation(server, tabId, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { tabs = [] } = await server.sendToExtension('tab_list', {});
+    const match = (tabs.find(candidate => candidate.id === tabId)?.url || '').match(CONVERSATION_URL_PATTERN);
+    if (match) {
+      return match[1];
+    }
+    await new Promise(resolve => setTimeout(resolve, config.POLL_INTERVAL_MS));
+  }
+  return null;
+}
+
+/**
+ * Fetch a conversation's message tree through the API
+ * The API also records the branch selected in the page (currentLeafUuid).
+ */
+async function fetchConversationTree(server, conversationId) {
+  const result = await server.sendToExtension('get_conversation_trees', { conversationIds: [conversationId] });
+  const [conversation] = result.conversations || [];
+  if (!conversation) {
+    throw new Error(result.errors?.[0]?.error || `Conversation ${conversationId} could not be fetched`);
+  }
+  return conversation;
+}
+
+/**
+ * First message of a forked conversation: the parent's transcript up to the fork point
+ */
+function formatForkSeed(parent, messages) {
+  const transcript = messages
+    .map(message => `[${message.role === 'user' ? 'User' : 'Assistant'}]\n${message.text}`)
+    .join('\n\n');
+  const last = messages[messages.length - 1];
+  return [
+    `This conversation is a fork of an earlier one ("${parent.title}"). Its transcript up to the fork point:`,
+    `<transcript>\n${transcript}\n</transcript>`,
+    last.role === 'user'
+      ? 'Continue from here by answering the last user message.'
+      : 'Continue from here; the next message will follow on from the last assistant message.'
+  ].join('\n\n');
+}
+
+/**
+ * Open a Claude tab, then apply conversation settings in a request of their own
+ * Loading the page and the settings script each need most of a relay request's
+ * time, so they are never combined in one.
+ * @returns {Object} The extension's tab_create result, with the applied settings
+ * @throws {Error} If the settings do not take; the tab is closed rather than left half-configured
+ */
+async function createTab(server, { settings, ...args }) {
+  const created = JSON.parse((await server.forwardWithResourceSync('tab_create', {
+    ...args,
+    // Settings can only be applied to a loaded page
+    waitForLoad: args.waitForLoad || Boolean(settings)
+  }, resourceSyncHandlers.tabCreate, { timeoutMs: config.TAB_CREATE_TIMEOUT })).content[0].text);
+  if (!settings || !created.success) {
+    return created;
+  }
+
+  try {
+    const applied = await server.sendToExtension('tab_set_conversation_settings', { ...settings, tabId: created.tabId });
+    return { ...created, settings: applied.settings };
+  } catch (error) {
+    await server.forwardWithResourceSync('tab_close', { tabId: created.tabId, force: true }, resourceSyncHandlers.tabClose)
+      .catch(() => {});
+    throw new Error(`${error.message} (tab ${created.tabId} closed)`);
+  }
+}
+
 /**
  * Tab tool handlers
  */
 const tabHandlers = {
   'tab_create': async (server, args) => {
-    return await server.forwardWithResourceSync(
-      'tab_create', 
-      args, 
-      resourceSyncHandlers.tabCreate
-    );
+    return await createTab(server, args);
   },
 
   'tab_close': async (server, args) => {
@@ -146,109 +575,401 @@ const tabHandlers = {
     );
   },
 
-  'tab_send_message': async (server, args) => {
-    // OPERATION ID UNIFICATION FIX: Create MCP server operation first
-    const operationId = server.operationManager.createOperation('tab_send_message', {
+  'tab_send_message': async (server, args, context = {}) => {
+    const { attachments: requestedAttachments, ...sendArgs } = args;
+    const attachments = requestedAttachments ? loadAttachments(requestedAttachments) : [];
+    
+    // Forward to unified tab_send_message command (routes internally based on waitForCompletion)
+    return await runResponseOperation(server, args, context, {
+      operationType: 'tab_send_message',
+      command: 'tab_send_message',
+      operationParams: {
+        tabId: args.tabId,
+        message: args.message,
+        ...(attachments.length > 0 && { attachments: attachments.map(attachment => attachment.fileName) })
+      },
+      extensionArgs: sendArgs,
+      // One request per attachment keeps each upload within the relay request timeout
+      beforeForward: async () => {
+        for (const attachment of attachments) {
+          await server.sendToExtension('tab_attach_file', { tabId: args.tabId, ...attachment });
+        }
+      }
+    });
+  },
+  
+  'tab_edit_message': async (server, args, context = {}) => {
+    return await runResponseOperation(server, args, context, {
+      operationType: 'tab_edit_message',
+      command: 'tab_edit_message',
+      operationParams: { tabId: args.tabId, messageIndex: args.messageIndex, message: args.message },
+      extensionArgs: args
+    });
+  },
+  
+  'tab_regenerate_response': async (server, args, context = {}) => {
+    return await runResponseOperation(server, args, context, {
+      operationType: 'tab_regenerate_response',
+      command: 'tab_regenerate_response',
+      operationParams: { tabId: args.tabId },
+      extensionArgs: args
+    });
+  },
+  
+  'tab_get_branches': async (server, args) => {
+    const conversationId = await resolveTabConversation(server, args.tabId);
+    const conversation = await fetchConversationTree(server, conversationId);
+    
+    return {
+      success: true,
       tabId: args.tabId,
-      message: args.message,
-      waitForCompletion: args.waitForCompletion
+      conversationId,
+      ...branchTree(conversation)
+    };
+  },
+  
+  'tab_fork_conversation': async (server, args, context = {}) => {
+    if ((args.conversationId === undefined) === (args.tabId === undefined)) {
+      throw new Error('Give exactly one of conversationId or tabId');
+    }
+    const parentId = args.conversationId || await resolveTabConversation(server, args.tabId);
+    const parent = await fetchConversationTree(server, parentId);
+    const thread = currentBranch(parent);
+    if (args.messageIndex >= thread.length) {
+      throw new Error(`Conversation ${parentId} has ${thread.length} messages on its current branch`);
+    }
+    const seeded = thread.slice(0, args.messageIndex + 1);
+    
+    const created = await createTab(server, {
+      url: config.CLAUDE_URLS.newConversation(),
+      injectContentScript: true,
+      waitForLoad: true
     });
+    if (!created.success) {
+      throw new Error(`Could not open a tab for the fork: ${created.error}`);
+    }
+    
+    const sent = JSON.parse((await runResponseOperation(server, { tabId: created.tabId, waitForCompletion: args.waitForCompletion }, context, {
+      operationType: 'tab_fork_conversation',
+      command: 'tab_send_message',
+      operationParams: { tabId: created.tabId, parentConversationId: parentId, messageIndex: args.messageIndex },
+      extensionArgs: { tabId: created.tabId, message: formatForkSeed(parent, seeded), waitForCompletion: args.waitForCompletion }
+    })).content[0].text);
+    if (!sent.success) {
+      throw new Error(`Could not seed the fork in tab ${created.tabId}: ${sent.error}`);
+    }
     
-    // Add server operation ID to args for extension to use
-    const argsWithOpId = {
-      ...args,
-      operationId: operationId
+    // claude.ai assigns the conversation ID when the first message is sent
+    const conversationId = await waitForTabConversation(server, created.tabId, config.DEFAULT_TIMEOUT);
+    
+    return {
+      success: true,
+      tabId: created.tabId,
+      conversationId,
+      url: conversationId ? config.CLAUDE_URLS.conversation(conversationId) : null,
+      operationId: sent.operationId,
+      // One user message carries the transcript; the fork has none of the parent's messages
+      seed: { type: 'transcript', transcriptMessages: seeded.length },
+      parent: {
+        conversationId: parentId,
+        title: parent.title,
+        messageIndex: args.messageIndex,
+        messageUuid: seeded[seeded.length - 1].uuid,
+        url: config.CLAUDE_URLS.conversation(parentId)
+      },
+      ...(args.waitForCompletion && { response: sent.response })
     };
+  },
+  
+  'tab_stream_response': async (server, args, context = {}) => {
+    const reportProgress = server.notificationManager.createProgressReporter(context.progressToken);
+    
+    const operationId = server.operationManager.createOperation('tab_stream_response', {
+      tabId: args.tabId,
+      message: args.message
+    });
     
-    server.operationManager.updateOperation(operationId, 'started', { 
-      phase: 'forwarding_to_extension'
+    // Rebuild the streamed text so progress reports its length; a delta replaces
+    // everything from its offset (the page may re-render earlier text)
+    let streamedText = '';
+    let deltaCount = 0;
+    const detachDelta = server.operationManager.onDelta(operationId, (data) => {
+      streamedText = streamedText.slice(0, data.offset) + data.delta;
+      deltaCount++;
+      reportProgress(deltaCount, null, data.delta);
     });
+    const detachCancel = server.cancelOnAbort(operationId, context.signal);
     
     try {
-      // Forward to unified tab_send_message command (routes internally based on waitForCompletion)
-      const result = await server.forwardToExtension('tab_send_message', argsWithOpId);
+      server.operationManager.updateOperation(operationId, 'started', { 
+        phase: 'forwarding_to_extension'
+      });
       
-      // Parse MCP-wrapped response from forwardToExtension
-      let actualResult;
-      try {
-        if (result && result.content && result.content[0] && result.content[0].text) {
-          actualResult = JSON.parse(result.content[0].text);
-        } else {
-          actualResult = result;
-        }
-      } catch (parseError) {
-        actualResult = result;
-      }
+      const sendResult = await server.sendToExtension('tab_send_message', {
+        tabId: args.tabId,
+        message: args.message,
+        operationId: operationId,
+        stream: true
+      });
       
-      // Update operation based on parsed result
-      if (actualResult && actualResult.success) {
-        server.operationManager.updateOperation(operationId, 'completed', { 
-          phase: 'extension_completed',
-          result: actualResult
-        });
-      } else {
+      if (!sendResult.success) {
         server.operationManager.updateOperation(operationId, 'error', { 
           phase: 'extension_failed',
-          error: actualResult?.error || 'Unknown error'
+          error: sendResult.error || 'Unknown error'
         });
+        return { ...sendResult, operationId };
       }
       
-      return result;
-    } catch (error) {
-      server.operationManager.updateOperation(operationId, 'error', { 
-        phase: 'forwarding_failed',
-        error: error.message
+      server.operationManager.updateOperation(operationId, 'message_sent', { 
+        phase: 'streaming_response'
+      });
+      
+      await server.operationManager.waitForCompletion(operationId, args.timeoutMs);
+      
+      const response = await server.sendToExtension('tab_get_response', {
+        tabId: args.tabId,
+        operationId: operationId
       });
+      
+      return {
+        ...response,
+        operationId,
+        deltaCount,
+        streamedLength: streamedText.length
+      };
+    } catch (error) {
+      if (!server.operationManager.isFinished(operationId)) {
+        server.operationManager.updateOperation(operationId, 'error', { error: error.message });
+      }
       throw error;
+    } finally {
+      detachDelta();
+      detachCancel();
     }
   },
 
-  'tab_batch_operations': async (server, args) => {
-    // Route to appropriate batch operations based on operation type
-    switch (args.operation) {
-      case 'send_messages':
-        return await server.forwardToExtension('tab_batch_operations', {
-          messages: args.messages,
-          sequential: args.sequential,
-          delayMs: args.delayMs,
-          maxConcurrent: args.maxConcurrent
-        });
-      case 'get_responses':
-        return await server.forwardToExtension('tab_batch_operations', {
-          tabIds: args.tabIds,
-          timeoutMs: args.timeoutMs,
-          waitForAll: args.waitForAll,
-          pollIntervalMs: args.pollIntervalMs
-        });
-      case 'send_and_get':
-        // First send messages, then get responses
-        const sendResult = await server.forwardToExtension('tab_batch_operations', {
-          messages: args.messages,
-          sequential: args.sequential,
-          delayMs: args.delayMs,
-          maxConcurrent: args.maxConcurrent
+  'tab_run_workflow': async (server, args, context = {}) => {
+    const reportProgress = server.notificationManager.createProgressReporter(context.progressToken);
+    
+    const operationId = server.operationManager.createOperation('tab_run_workflow', {
+      name: args.name,
+      stepCount: args.steps.length
+    });
+    const runner = new WorkflowRunner(server, operationId, { reportProgress });
+    
+    const runWorkflow = async () => {
+      server.operationManager.updateOperation(operationId, 'started', { name: args.name });
+      
+      try {
+        const result = await runner.run(args.steps);
+        server.operationManager.updateOperation(operationId, 'completed', { result });
+        return result;
+      } catch (error) {
+        if (!server.operationManager.isFinished(operationId)) {
+          server.operationManager.updateOperation(operationId, 'error', { error: error.message });
+        }
+        throw error;
+      }
+    };
+    
+    // Stay open when the caller wants the result or progress
+    if (args.waitForCompletion || context.progressToken !== undefined) {
+      const detachCancel = server.cancelOnAbort(operationId, context.signal);
+      const result = await runWorkflow().finally(detachCancel);
+      return {
+        success: true,
+        operationId,
+        status: server.operationManager.getOperation(operationId).status,
+        result
+      };
+    }
+    
+    setImmediate(() => {
+      runWorkflow().catch(() => {
+        // Failure already recorded on the operation
+      });
+    });
+    
+    return {
+      success: true,
+      operationId,
+      status: 'async_queued',
+      message: `Started workflow${args.name ? ` ${args.name}` : ''} with ${args.steps.length} step(s)`
+    };
+  },
+
+  'tab_debate': async (server, args, context = {}) => {
+    if (args.roles && args.roles.length !== args.tabIds.length) {
+      throw new Error(`roles has ${args.roles.length} entries but tabIds has ${args.tabIds.length}`);
+    }
+    if (new Set(args.tabIds).size !== args.tabIds.length) {
+      throw new Error('Each tab can take part in a debate only once');
+    }
+    
+    const reportProgress = server.notificationManager.createProgressReporter(context.progressToken);
+    const operationId = server.operationManager.createOperation('tab_debate', {
+      tabIds: args.tabIds,
+      topic: args.topic,
+      rounds: args.rounds
+    });
+    const runner = new DebateRunner(server, operationId, args, { reportProgress });
+    
+    const runDebate = async () => {
+      server.operationManager.updateOperation(operationId, 'started', { participants: args.tabIds.length });
+      
+      try {
+        const result = await runner.run();
+        server.operationManager.updateOperation(operationId, 'completed', { result });
+        return result;
+      } catch (error) {
+        if (!server.operationManager.isFinished(operationId)) {
+          server.operationManager.updateOperation(operationId, 'error', { error: error.message });
+        }
+        throw error;
+      }
+    };
+    
+    // Stay open when the caller wants the result or progress
+    if (args.waitForCompletion || context.progressToken !== undefined) {
+      const detachCancel = server.cancelOnAbort(operationId, context.signal);
+      const result = await runDebate().finally(detachCancel);
+      return {
+        success: true,
+        operationId,
+        status: server.operationManager.getOperation(operationId).status,
+        result
+      };
+    }
+    
+    setImmediate(() => {
+      runDebate().catch(() => {
+        // Failure already recorded on the operation
+      });
+    });
+    
+    return {
+      success: true,
+      operationId,
+      status: 'async_queued',
+      message: `Started ${args.rounds}-round debate between ${args.tabIds.length} tabs`
+    };
+  },
+
+  'tab_enqueue_messages': async (server, args) => {
+    // Each message is tracked as its own send so content script milestones complete it
+    const items = args.messages.map((message, index) => {
+      const operationId = server.operationManager.createOperation('tab_send_message', {
+        tabId: args.tabId,
+        message,
+        queued: true
+      });
+      server.operationManager.updateOperation(operationId, 'queued', { index });
+      return { operationId, message };
+    });
+    
+    try {
+      return await server.sendToExtension('tab_enqueue_messages', { tabId: args.tabId, items });
+    } catch (error) {
+      for (const { operationId } of items) {
+        server.operationManager.updateOperation(operationId, 'error', {
+          phase: 'enqueue_failed',
+          error: error.message
         });
-        
-        if (sendResult.success) {
-          // Extract tabIds from messages for getting responses
-          const tabIds = args.messages.map(msg => msg.tabId);
-          const getResult = await server.forwardToExtension('tab_batch_operations', {
-            tabIds: tabIds,
-            timeoutMs: args.timeoutMs,
-            waitForAll: args.waitForAll,
-            pollIntervalMs: args.pollIntervalMs
-          });
+      }
+      throw error;
+    }
+  },
+
+  'tab_batch_operations': async (server, args, context = {}) => {
+    const reportProgress = server.notificationManager.createProgressReporter(context.progressToken);
+    const tabCount = args.operation === 'get_responses' ? 
+      (args.tabIds || []).length : (args.messages || []).length;
+    
+    // Track the batch as an operation so the extension can report per-tab milestones
+    const operationId = server.operationManager.createOperation('tab_batch_operations', {
+      operation: args.operation,
+      tabCount
+    });
+    
+    // send_and_get runs two phases; each tab counts once per phase
+    const phases = args.operation === 'send_and_get' ? 2 : 1;
+    let phaseOffset = 0;
+    
+    const detachProgress = server.operationManager.onMilestone(operationId, (milestone, data) => {
+      if (milestone === 'batch_progress') {
+        reportProgress(
+          phaseOffset + data.completed,
+          tabCount * phases,
+          `${data.phase}: ${data.completed}/${data.total} tabs done`
+        );
+      }
+    });
+    
+    const sendMessages = () => server.sendToExtension('tab_batch_operations', {
+      operation: 'send_messages',
+      operationId,
+      messages: args.messages,
+      sequential: args.sequential,
+      delayMs: args.delayMs,
+      maxConcurrent: args.maxConcurrent
+    });
+    
+    const getResponses = (tabIds) => server.sendToExtension('tab_batch_operations', {
+      operation: 'get_responses',
+      operationId,
+      tabIds: tabIds,
+      timeoutMs: args.timeoutMs,
+      waitForAll: args.waitForAll,
+      pollIntervalMs: args.pollIntervalMs
+    });
+    
+    server.operationManager.updateOperation(operationId, 'started', { operation: args.operation });
+    const detachCancel = server.cancelOnAbort(operationId, context.signal);
+    
+    try {
+      let result;
+      
+      // Route to appropriate batch operations based on operation type
+      switch (args.operation) {
+        case 'send_messages':
+          result = await sendMessages();
+          break;
+        case 'get_responses':
+          result = await getResponses(args.tabIds);
+          break;
+        case 'send_and_get': {
+          // First send messages, then get responses
+          const sendResult = await sendMessages();
           
-          return {
-            success: getResult.success,
-            sendResult: sendResult,
-            getResult: getResult
-          };
-        } else {
-          return sendResult;
+          // The extension clears a batch's cancellation when each request ends,
+          // so a batch cancelled during the send phase is not asked for responses
+          if (sendResult.success && !server.operationManager.isFinished(operationId)) {
+            phaseOffset = tabCount;
+            // Extract tabIds from messages for getting responses
+            const getResult = await getResponses(args.messages.map(msg => msg.tabId));
+            
+            result = {
+              success: getResult.success,
+              sendResult: sendResult,
+              getResult: getResult
+            };
+          } else {
+            result = sendResult;
+          }
+          break;
         }
-      default:
-        throw new Error();
+        default:
+          throw new Error(`Unknown batch operation: ${args.operation}`);
+      }
+      
+      server.operationManager.updateOperation(operationId, 'completed', { success: result.success });
+      return { ...result, operationId };
+    } catch (error) {
+      server.operationManager.updateOperation(operationId, 'error', { error: error.message });
+      throw error;
+    } finally {
+      detachProgress();
+      detachCancel();
     }
   }
 };
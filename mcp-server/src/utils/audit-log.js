@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const config = require('../config');
+
+// Argument keys whose values never reach the audit log
+const SECRET_KEY_PATTERN = /token|secret|password|cookie|auth|api[-_]?key/i;
+
+// Argument and result keys naming the tabs or conversations a call targets
+const TAB_KEYS = ['tabId', 'sourceTabId', 'targetTabId', 'tabIds'];
+const CONVERSATION_KEYS = ['conversationId', 'conversationIds'];
+
+/**
+ * AuditLog - Append-only record of every tool call, shared by all MCP server processes
+ *
+ * Each call is one JSON line: { timestamp, pid, client, tool, args, targets,
+ * operationId, durationMs, outcome, error }. Lines are written with a single
+ * O_APPEND write, so concurrent servers never interleave records, and the file
+ * is never rewritten.
+ */
+class AuditLog {
+  constructor(filePath = config.AUDIT_LOG_FILE) {
+    this.filePath = filePath;
+    this.logger = createLogger('AuditLog');
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * Append an entry for a finished tool call
+   * Failures are logged, never thrown: auditing must not break the call itself.
+   * @param {Object} call
+   * @param {string|null} call.client - clientInfo.name of the calling MCP client
+   * @param {string} call.tool
+   * @param {Object} call.args - Tool arguments as received
+   * @param {Object} call.result - structuredContent of the result
+   * @param {number} call.durationMs
+   * @param {string} call.outcome - success, error, policy_denied or confirmation_required
+   * @param {string} [call.error] - Error message for failed calls
+   * @param {boolean} [call.confirmed] - Call ran via system_confirm_tool_call
+   */
+  record({ client, tool, args = {}, result = {}, durationMs, outcome, error, confirmed }) {
+    const entry = {
+      timestamp: Date.now(),
+      pid: process.pid,
+      client,
+      tool,
+      args: redact(args),
+      targets: {
+        tabIds: collectIds(args, result, TAB_KEYS),
+        conversationIds: collectIds(args, result, CONVERSATION_KEYS)
+      },
+      ...(result.operationId && { operationId: result.operationId }),
+      durationMs,
+      outcome,
+      ...(error && { error }),
+      ...(confirmed && { confirmed })
+    };
+
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (appendError) {
+      this.logger.warn('Failed to append audit entry', { tool, error: appendError.message });
+    }
+  }
+
+  /**
+   * Query audit entries, newest first
+   * @param {Object} filters
+   * @param {number} [filters.since] - Only entries at or after this timestamp
+   * @param {number} [filters.until] - Only entries at or before this timestamp
+   * @param {string} [filters.client] - clientInfo.name
+   * @param {string} [filters.tool] - Tool name
+   * @param {string} [filters.outcome] - success, error, policy_denied or confirmation_required
+   * @param {number} [filters.tabId] - Only calls targeting this tab
+   * @param {string} [filters.conversationId] - Only calls targeting this conversation
+   * @param {number} [filters.offset=0] - Entries to skip
+   * @param {number} [filters.limit=50] - Maximum entries to return
+   * @returns {Object} { entries, total, offset, hasMore }
+   */
+  query(filters = {}) {
+    const { since, until, client, tool, outcome, tabId, conversationId, offset = 0, limit = 50 } = filters;
+
+    const matching = this.load()
+      .filter(entry => since === undefined || entry.timestamp >= since)
+      .filter(entry => until === undefined || entry.timestamp <= until)
+      .filter(entry => !client || entry.client === client)
+      .filter(entry => !tool || entry.tool === tool)
+      .filter(entry => !outcome || entry.outcome === outcome)
+      .filter(entry => tabId === undefined || entry.targets.tabIds.includes(tabId))
+      .filter(entry => !conversationId || entry.targets.conversationIds.includes(conversationId))
+      .reverse();
+
+    const page = matching.slice(offset, offset + limit);
+    return {
+      entries: page,
+      total: matching.length,
+      offset,
+      hasMore: offset + page.length < matching.length
+    };
+  }
+
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('Failed to read audit log', { error: error.message });
+      }
+      return [];
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A torn trailing line from a crashed writer; skip it
+        continue;
+      }
+    }
+    return entries;
+  }
+}
+
+/**
+ * Copy arguments with secrets removed and long strings (messages, scripts) truncated
+ */
+function redact(value, key = '') {
+  if (SECRET_KEY_PATTERN.test(key)) {
+    return '[REDACTED]';
+  }
+  if (typeof value === 'string' && value.length > config.AUDIT_MAX_ARG_LENGTH) {
+    return `${value.slice(0, config.AUDIT_MAX_ARG_LENGTH)}…[+${value.length - config.AUDIT_MAX_ARG_LENGTH} chars]`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([childKey, child]) => [childKey, redact(child, childKey)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Gather the distinct tab or conversation IDs a call targets
+ * Arguments are searched one level deep (tab_batch_operations nests tabIds in its
+ * messages array); results only at the top level, where e.g. tab_create reports
+ * the new tabId, since listed items are not targets.
+ */
+function collectIds(args, result, keys) {
+  const ids = new Set();
+  const visit = (object) => {
+    for (const key of keys) {
+      [].concat(object[key] ?? []).forEach(id => ids.add(id));
+    }
+  };
+
+  visit(args);
+  for (const value of Object.values(args)) {
+    if (Array.isArray(value)) {
+      value.filter(item => item && typeof item === 'object').forEach(visit);
+    }
+  }
+  visit(result);
+  return Array.from(ids);
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,440 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { FileLock } = require('./file-lock');
+const config = require('../config');
+
+const BRANCH_PREVIEW_LENGTH = 100;
+
+/**
+ * ConversationMirror - Local copy of the account's conversations and message trees
+ *
+ * Conversations live in one JSON file next to the operation journal, shared by all
+ * server processes (each rereads it when another has rewritten it). A sync lists
+ * conversations newest first and only fetches the message tree of those whose
+ * updated_at changed, stopping at the first page that reaches an unchanged
+ * conversation; a full sync lists everything and also drops deleted conversations.
+ * The API tools answer from the mirror with source: 'mirror', without a tab.
+ */
+class ConversationMirror {
+  constructor(filePath = config.CONVERSATION_MIRROR_FILE) {
+    this.filePath = filePath;
+    this.lock = new FileLock(`${filePath}.lock`, 'conversation mirror');
+    this.logger = createLogger('ConversationMirror');
+    this.conversations = new Map();
+    this.syncedAt = null;
+    this.loadedMtimeMs = null;
+    this.syncing = null;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * Read the mirror file if it changed since it was last read
+   */
+  load() {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      return;
+    }
+    if (mtimeMs === this.loadedMtimeMs) {
+      return;
+    }
+
+    const saved = this.readFile();
+    if (saved) {
+      this.conversations = saved.conversations;
+      this.syncedAt = saved.syncedAt;
+    }
+    this.loadedMtimeMs = mtimeMs;
+  }
+
+  /**
+   * @returns {Object|null} { syncedAt, conversations } as saved, or null if there is no readable file
+   */
+  readFile() {
+    try {
+      const { syncedAt = null, conversations = {} } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return { syncedAt, conversations: new Map(Object.entries(conversations)) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error('Conversation mirror file is unreadable; the next sync rebuilds it', { error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Write one sync's changes into the mirror file
+   * The file is read again under the lock and only these conversations are replaced
+   * or dropped, so a sync of another process saved meanwhile is kept. While another
+   * process holds the lock the write waits for it.
+   * @param {Map<string, Object>} changed - Conversations added or updated, by ID
+   * @param {Array<string>} removed - IDs of conversations to drop
+   */
+  save(changed, removed) {
+    const syncedAt = this.syncedAt;
+    this.lock.withLockDeferred(() => {
+      const saved = this.readFile() || { syncedAt: null, conversations: new Map(this.conversations) };
+      for (const [conversationId, conversation] of changed) {
+        saved.conversations.set(conversationId, conversation);
+      }
+      for (const conversationId of removed) {
+        saved.conversations.delete(conversationId);
+      }
+      saved.syncedAt = Math.max(saved.syncedAt || 0, syncedAt);
+
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        syncedAt: saved.syncedAt,
+        conversations: Object.fromEntries(saved.conversations)
+      }));
+      fs.renameSync(tmpPath, this.filePath);
+      this.conversations = saved.conversations;
+      this.syncedAt = saved.syncedAt;
+      this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+    });
+  }
+
+  /**
+   * Bring the mirror up to date with the account
+   * Concurrent calls share one sync.
+   * @param {Object} server - MCP server (for sendToExtension)
+   * @param {Object} options
+   * @param {boolean} [options.full] - List every conversation and drop deleted ones
+   * @param {number} [options.delayMs] - Pause between API requests
+   * @param {function(number, number): void} [options.onProgress] - Called with (fetched, total) after each batch
+   * @returns {Promise<Object>} { listed, added, updated, removed, failed, total, syncedAt }
+   */
+  sync(server, options = {}) {
+    if (!this.syncing) {
+      this.syncing = this.runSync(server, options).finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async runSync(server, { full = false, delayMs = config.SEQUENTIAL_DELAY_MS, onProgress = () => {} }) {
+    this.load();
+
+    const listed = [];
+    let offset = 0;
+    for (;;) {
+      const page = await server.sendToExtension('api_list_conversations', { offset, limit: config.BATCH_SIZE });
+      listed.push(...page.conversations);
+
+      // Listing is newest first, so everything past an unchanged conversation is unchanged too
+      const reachedMirrored = page.conversations.some(conversation => !this.isStale(conversation));
+      if (!page.hasMore || (reachedMirrored && !full)) {
+        break;
+      }
+      offset += page.conversations.length;
+      await sleep(delayMs);
+    }
+
+    const removed = [];
+    if (full) {
+      const listedIds = new Set(listed.map(conversation => conversation.id));
+      for (const [conversationId, conversation] of this.conversations) {
+        if (!listedIds.has(conversationId)) {
+          this.conversations.delete(conversationId);
+          removed.push({ id: conversationId, title: conversation.title });
+        }
+      }
+    }
+
+    const stale = listed.filter(conversation => this.isStale(conversation));
+    const changed = new Map();
+    const added = [];
+    const updated = [];
+    const failed = [];
+    try {
+      for (let start = 0; start < stale.length; start += config.API_BATCH_SIZE) {
+        if (start > 0) {
+          await sleep(delayMs);
+        }
+        const batch = stale.slice(start, start + config.API_BATCH_SIZE);
+        const result = await server.sendToExtension('get_conversation_trees', {
+          conversationIds: batch.map(conversation => conversation.id)
+        });
+
+        for (const { conversationId, ...tree } of result.conversations) {
+          const listedConversation = batch.find(candidate => candidate.id === conversationId);
+          (this.conversations.has(conversationId) ? updated : added).push({ id: conversationId, title: tree.title });
+          changed.set(conversationId, {
+            id: conversationId,
+            ...tree,
+            // The listed updated_at is what the next sync compares against
+            updated_at: listedConversation.updated_at
+          });
+          this.conversations.set(conversationId, changed.get(conversationId));
+        }
+        failed.push(...result.errors);
+        onProgress(Math.min(start + batch.length, stale.length), stale.length);
+      }
+    } finally {
+      // Keep whatever was fetched even if a batch failed
+      this.syncedAt = Date.now();
+      this.save(changed, removed.map(conversation => conversation.id));
+    }
+
+    this.logger.info('Conversation mirror synced', {
+      listed: listed.length,
+      added: added.length,
+      updated: updated.length,
+      removed: removed.length,
+      failed: failed.length
+    });
+    return {
+      listed: listed.length,
+      added,
+      updated,
+      removed,
+      failed,
+      total: this.conversations.size,
+      syncedAt: this.syncedAt
+    };
+  }
+
+  isStale(conversation) {
+    return this.conversations.get(conversation.id)?.updated_at !== conversation.updated_at;
+  }
+
+  get(conversationId) {
+    this.load();
+    return this.conversations.get(conversationId) || null;
+  }
+
+  /**
+   * @returns {Array<Object>} Mirrored conversations, most recently updated first
+   */
+  all() {
+    this.load();
+    return [...this.conversations.values()]
+      .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+  }
+
+  get size() {
+    this.load();
+    return this.conversations.size;
+  }
+
+  /**
+   * api_list_conversations from the mirror
+   * @param {Object} params - { offset, limit, cursor, all }
+   */
+  list({ offset = 0, limit = 30, cursor, all = false } = {}) {
+    const start = cursor ? decodeCursor(cursor) : offset;
+    const conversations = this.all();
+    const page = all ? conversations.slice(start) : conversations.slice(start, start + limit);
+    const hasMore = start + page.length < conversations.length;
+
+    return {
+      success: true,
+      conversations: page.map(toSummary),
+      offset: start,
+      limit: all ? null : limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(start + page.length) : null,
+      pagesFetched: 0,
+      source: 'mirror',
+      syncedAt: this.syncedAt
+    };
+  }
+
+  /**
+   * api_search_conversations from the mirror
+   * @param {Object} params - Same filters as the live search; openOnly is not known offline
+   */
+  search(params = {}) {
+    if (params.openOnly) {
+      throw new Error('openOnly needs source: live (open tabs are not mirrored)');
+    }
+
+    let titleRegex = null;
+    if (params.titleRegex) {
+      try {
+        titleRegex = new RegExp(params.titleRegex, 'i');
+      } catch (error) {
+        // Invalid regex is ignored, as in the live search
+      }
+    }
+
+    const conversations = this.all().map(toSummary).filter(conversation => {
+      const title = conversation.title.toLowerCase();
+      if (params.titleSearch && !title.includes(params.titleSearch.toLowerCase())) return false;
+      if (titleRegex && !titleRegex.test(conversation.title)) return false;
+      if (params.createdAfter && new Date(conversation.created_at) < new Date(params.createdAfter)) return false;
+      if (params.createdBefore && new Date(conversation.created_at) > new Date(params.createdBefore)) return false;
+      if (params.minMessages !== undefined && conversation.message_count < params.minMessages) return false;
+      if (params.maxMessages !== undefined && conversation.message_count > params.maxMessages) return false;
+      return true;
+    });
+    const matched = params.limit ? conversations.slice(0, params.limit) : conversations;
+
+    return {
+      success: true,
+      conversations: matched,
+      total: matched.length,
+      scanned: this.conversations.size,
+      scannedAll: true,
+      source: 'mirror',
+      syncedAt: this.syncedAt
+    };
+  }
+
+  /**
+   * api_get_conversation_metadata from the mirror, in the shape the live (DOM) version returns
+   * @param {string} conversationId
+   * @param {Object} options - { includeMessages }
+   */
+  getMetadata(conversationId, { includeMessages = false } = {}) {
+    const conversation = this.get(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation ${conversationId} is not in the mirror; run api_sync_conversations`);
+    }
+
+    const branch = currentBranch(conversation);
+    const text = branch.map(message => message.text).join('\n');
+    const artifactCount = branch.reduce((sum, message) => sum + (message.artifactCount || 0), 0);
+
+    return {
+      success: true,
+      url: config.CLAUDE_URLS.conversation(conversationId),
+      title: conversation.title,
+      conversationId,
+      messageCount: branch.length,
+      messages: includeMessages ? branch.map((message, position) => ({
+        index: position,
+        type: message.role,
+        textLength: message.text.length,
+        textPreview: message.text.substring(0, 200) + (message.text.length > 200 ? '...' : ''),
+        hasCode: message.text.includes('```'),
+        hasArtifact: (message.artifactCount || 0) > 0,
+        timestamp: message.created_at ? Date.parse(message.created_at) : null
+      })) : [],
+      lastActivity: Date.parse(conversation.updated_at) || null,
+      hasArtifacts: artifactCount > 0,
+      artifactCount,
+      features: {
+        hasCodeBlocks: text.includes('```'),
+        hasImages: false,
+        hasTables: /^\s*\|.*\|\s*$/m.test(text),
+        hasLists: /^\s*([-*+]|\d+\.)\s/m.test(text)
+      },
+      estimatedTokens: Math.round(text.length / 4),
+      source: 'mirror',
+      syncedAt: this.syncedAt
+    };
+  }
+}
+
+/**
+ * @returns {Array<Object>} Messages from the root to the current leaf (every message
+ *   in order when the tree has no leaf recorded)
+ */
+function currentBranch(conversation) {
+  const byUuid = new Map(conversation.messages.map(message => [message.uuid, message]));
+  if (!conversation.currentLeafUuid || !byUuid.has(conversation.currentLeafUuid)) {
+    return [...conversation.messages].sort((a, b) => a.index - b.index);
+  }
+
+  const branch = [];
+  for (let message = byUuid.get(conversation.currentLeafUuid); message; message = byUuid.get(message.parentUuid)) {
+    branch.unshift(message);
+  }
+  return branch;
+}
+
+/**
+ * Describe a conversation's message tree for tab_get_branches
+ * Positions count the messages of the current branch from 0, the way tab_edit_message
+ * and tab_switch_branch address them (null off the current branch). Siblings are
+ * numbered from 1 in creation order, like Claude's "2 / 3" branch switcher.
+ * @returns {Object} { currentLeafUuid, messages, branchPoints }
+ */
+function branchTree(conversation) {
+  const positions = new Map(currentBranch(conversation).map((message, position) => [message.uuid, position]));
+  const children = new Map();
+  for (const message of conversation.messages) {
+    const parentUuid = message.parentUuid || null;
+    children.set(parentUuid, [...(children.get(parentUuid) || []), message]);
+  }
+  for (const siblings of children.values()) {
+    siblings.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)) || a.index - b.index);
+  }
+
+  const messages = [...conversation.messages]
+    .sort((a, b) => a.index - b.index)
+    .map(message => ({
+      uuid: message.uuid,
+      parentUuid: message.parentUuid || null,
+      role: message.role,
+      position: positions.has(message.uuid) ? positions.get(message.uuid) : null,
+      preview: preview(message.text),
+      childUuids: (children.get(message.uuid) || []).map(child => child.uuid)
+    }));
+
+  const branchPoints = [...children.entries()]
+    .filter(([, siblings]) => siblings.length > 1)
+    .map(([parentUuid, siblings]) => {
+      const selected = siblings.findIndex(sibling => positions.has(sibling.uuid));
+      return {
+        parentUuid,
+        position: selected === -1 ? null : positions.get(siblings[selected].uuid),
+        selected: selected === -1 ? null : selected + 1,
+        branches: siblings.map((sibling, number) => ({
+          branch: number + 1,
+          uuid: sibling.uuid,
+          role: sibling.role,
+          preview: preview(sibling.text)
+        }))
+      };
+    });
+
+  return { currentLeafUuid: conversation.currentLeafUuid || null, messages, branchPoints };
+}
+
+function preview(text) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > BRANCH_PREVIEW_LENGTH ? `${flat.slice(0, BRANCH_PREVIEW_LENGTH)}…` : flat;
+}
+
+function toSummary(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+    message_count: currentBranch(conversation).length,
+    // Open tabs are only known live
+    tabId: null,
+    isOpen: false
+  };
+}
+
+// Same cursor format as the extension's live listing
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error('Invalid cursor');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { ConversationMirror, currentBranch, branchTree };
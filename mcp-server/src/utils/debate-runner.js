@@ -0,0 +1,185 @@
+const { WorkflowRunner, parseJsonResponse } = require('./workflow-runner');
+
+const DEFAULT_CRITIQUE_TEMPLATE = [
+  'Round ${round} of the debate on: ${topic}',
+  '',
+  'The other participants said:',
+  '',
+  '${responses}',
+  '',
+  'Critique their arguments, then give your revised position.'
+].join('\n');
+
+const FINAL_INSTRUCTIONS = [
+  'This is the final round. Give your final position, then end with a JSON block:',
+  '```json',
+  '{"position": "<your final position in one sentence>", "agreeWith": [<numbers of the participants you substantially agree with>], "agreedPoints": ["<points you believe every participant agrees on>"]}',
+  '```'
+].join('\n');
+
+/**
+ * DebateRunner - Runs a tab_debate between several Claude tabs as one tracked operation
+ *
+ * Round 1 asks every tab for its position under its role prompt. Each later
+ * round sends every tab the other participants' latest responses through the
+ * critique template (${round}, ${topic}, ${role} and ${responses}); the last
+ * round also asks for a JSON verdict, from which the agreement summary is built.
+ * Tabs answer each round in parallel. Rounds report round_started /
+ * round_completed milestones on the debate operation.
+ */
+class DebateRunner {
+  /**
+   * @param {Object} server - MCP server
+   * @param {string} operationId - tab_debate operation
+   * @param {Object} debate - { tabIds, topic, rounds, roles, critiqueTemplate, timeoutMs }
+   * @param {Object} options
+   * @param {function} options.reportProgress - Progress reporter for the request
+   */
+  constructor(server, operationId, debate, { reportProgress = async () => false } = {}) {
+    this.server = server;
+    this.operations = server.operationManager;
+    this.operationId = operationId;
+    this.debate = debate;
+    this.reportProgress = reportProgress;
+
+    // Sending, waiting and cancellation work exactly as for workflow steps
+    this.tabs = new WorkflowRunner(server, operationId);
+
+    this.participants = debate.tabIds.map((tabId, index) => ({
+      participant: index + 1,
+      tabId,
+      role: debate.roles?.[index] || ''
+    }));
+  }
+
+  /**
+   * Run every round
+   * @returns {Promise<Object>} { participants, rounds, summary }
+   */
+  async run() {
+    const detachCancel = this.tabs.watchCancellation();
+    const rounds = [];
+
+    try {
+      for (let round = 1; round <= this.debate.rounds; round++) {
+        this.tabs.throwIfCancelled();
+        const phase = round === 1 ? 'propose' : round === this.debate.rounds ? 'final' : 'critique';
+        this.operations.updateOperation(this.operationId, 'round_started', { round, phase });
+
+        const previous = rounds[rounds.length - 1];
+        const entries = await this.runRound(round, phase, previous);
+        rounds.push({ round, phase, entries });
+
+        this.operations.updateOperation(this.operationId, 'round_completed', {
+          round,
+          phase,
+          responseLengths: entries.map(entry => entry.response.length)
+        });
+        await this.reportProgress(round, this.debate.rounds, `Round ${round} (${phase}) completed`);
+      }
+    } finally {
+      detachCancel();
+    }
+
+    return {
+      participants: this.participants,
+      rounds,
+      summary: this.summarize(rounds[rounds.length - 1].entries)
+    };
+  }
+
+  async runRound(round, phase, previous) {
+    for (const participant of this.participants) {
+      await this.tabs.send(participant.tabId, this.prompt(participant, round, phase, previous));
+    }
+
+    return await Promise.all(this.participants.map(async (participant) => ({
+      participant: participant.participant,
+      tabId: participant.tabId,
+      response: await this.tabs.wait(participant.tabId, this.debate.timeoutMs)
+    })));
+  }
+
+  prompt(participant, round, phase, previous) {
+    const { topic } = this.debate;
+    const intro = `You are Participant ${participant.participant} of ${this.participants.length}.`;
+
+    if (phase === 'propose') {
+      return [
+        participant.role,
+        `${intro} Debate topic: ${topic}`,
+        'State your position and your main arguments.'
+      ].filter(Boolean).join('\n\n');
+    }
+
+    const responses = previous.entries
+      .filter(entry => entry.participant !== participant.participant)
+      .map(entry => {
+        const { role } = this.participants[entry.participant - 1];
+        return `Participant ${entry.participant}${role ? ` (${role})` : ''}:\n${entry.response}`;
+      })
+      .join('\n\n');
+
+    const values = { round: String(round), topic, role: participant.role, responses };
+    const critique = (this.debate.critiqueTemplate || DEFAULT_CRITIQUE_TEMPLATE)
+      .replace(/\$\{(round|topic|role|responses)\}/g, (placeholder, name) => values[name]);
+
+    return [intro, critique, phase === 'final' && FINAL_INSTRUCTIONS].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Build the agreement summary from the final round's JSON verdicts
+   * @returns {Object} { positions, agreeingPairs, unanimous, agreedPoints, unparsed }
+   */
+  summarize(finalEntries) {
+    const positions = [];
+    const unparsed = [];
+    for (const entry of finalEntries) {
+      const verdict = parseJsonResponse(entry.response);
+      if (!verdict || typeof verdict !== 'object') {
+        unparsed.push(entry.participant);
+        continue;
+      }
+      positions.push({
+        participant: entry.participant,
+        tabId: entry.tabId,
+        position: typeof verdict.position === 'string' ? verdict.position : null,
+        agreeWith: [...new Set((Array.isArray(verdict.agreeWith) ? verdict.agreeWith : []).map(Number))]
+          .filter(other => other !== entry.participant && this.participants[other - 1]),
+        agreedPoints: Array.isArray(verdict.agreedPoints) ? verdict.agreedPoints.map(String) : []
+      });
+    }
+
+    // A pair agrees when both participants named each other
+    const byParticipant = new Map(positions.map(position => [position.participant, position]));
+    const agreeingPairs = [];
+    for (const position of positions) {
+      for (const other of position.agreeWith) {
+        if (other > position.participant && byParticipant.get(other)?.agreeWith.includes(position.participant)) {
+          agreeingPairs.push([position.participant, other]);
+        }
+      }
+    }
+
+    const count = this.participants.length;
+    const agreedPoints = new Map();
+    for (const position of positions) {
+      for (const point of position.agreedPoints) {
+        const key = point.trim().toLowerCase();
+        const existing = agreedPoints.get(key) || { point: point.trim(), participants: [] };
+        existing.participants.push(position.participant);
+        agreedPoints.set(key, existing);
+      }
+    }
+
+    return {
+      positions,
+      agreeingPairs,
+      unanimous: unparsed.length === 0 && agreeingPairs.length === count * (count - 1) / 2,
+      agreedPoints: Array.from(agreedPoints.values()),
+      unparsed
+    };
+  }
+}
+
+module.exports = { DebateRunner };
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const config = require('../config');
+
+// Holders only append a line or rename a file, so the lock is normally free within
+// a few milliseconds; waiting blocks the server thread, so the wait stays short
+const LOCK_RETRY_MS = 2;
+const LOCK_MAX_WAIT_MS = 50;
+const LOCK_DEFER_RETRY_MS = 100;
+
+/**
+ * FileLockError - The lock could not be taken within LOCK_MAX_WAIT_MS
+ * The guarded write did not run.
+ */
+class FileLockError extends Error {
+  constructor(name, lockPath) {
+    super(`Timed out waiting for ${name} lock (${lockPath})`);
+    this.name = 'FileLockError';
+    this.code = 'lock_timeout';
+  }
+}
+
+/**
+ * FileLock - Exclusive lock file shared by all MCP server processes
+ *
+ * The lock is taken by creating the file with O_EXCL (holding the owner's PID
+ * and a token unique to this acquisition) and released by unlinking it, once the
+ * file is checked to still be ours. A lock is stale, and broken, when its owner
+ * process is gone or it is older than STORE_LOCK_STALE_MS; a breaker first renames
+ * it to a name of its own, so of several processes that found it stale only one
+ * removes it, and never a lock taken after it was found stale. Writes never run
+ * without the lock: withLock() fails and withLockDeferred() retries later.
+ */
+class FileLock {
+  /**
+   * @param {string} lockPath - Path of the lock file
+   * @param {string} name - What the lock protects, for log messages
+   */
+  constructor(lockPath, name) {
+    this.lockPath = lockPath;
+    this.name = name;
+    this.logger = createLogger('FileLock');
+    this.sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+    this.content = null; // What this instance wrote into the lock file while it holds it
+    this.deferred = [];
+    this.deferTimer = null;
+  }
+
+  /**
+   * Run fn while holding the lock
+   * @throws {FileLockError} If the lock stays taken; fn does not run
+   */
+  withLock(fn) {
+    if (!this.acquire()) {
+      throw new FileLockError(this.name, this.lockPath);
+    }
+    try {
+      return fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Run fn while holding the lock, now or, while the lock is taken, from a timer
+   * Deferred calls run in call order; calls made while others wait queue behind
+   * them without trying the lock.
+   */
+  withLockDeferred(fn) {
+    this.deferred.push(fn);
+    if (!this.deferTimer) {
+      this.runDeferred();
+    }
+  }
+
+  runDeferred() {
+    this.deferTimer = null;
+    if (!this.acquire()) {
+      this.logger.warn(`${this.name} lock is taken; deferring ${this.deferred.length} write(s)`, { lockPath: this.lockPath });
+      this.deferTimer = setTimeout(() => this.runDeferred(), LOCK_DEFER_RETRY_MS);
+      return;
+    }
+    try {
+      while (this.deferred.length > 0) {
+        const fn = this.deferred.shift();
+        try {
+          fn();
+        } catch (error) {
+          this.logger.error(`Deferred ${this.name} write failed`, { error: error.message });
+        }
+      }
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire() {
+    const deadline = Date.now() + LOCK_MAX_WAIT_MS;
+
+    const content = `${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockPath, content, { flag: 'wx' });
+        this.content = content;
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          this.logger.warn(`Failed to create ${this.name} lock`, { error: error.message });
+          return false;
+        }
+      }
+
+      if (this.breakIfStale()) {
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        return false;
+      }
+
+      // Synchronous sleep keeps callers (saveState paths) synchronous
+      Atomics.wait(this.sleepBuffer, 0, 0, LOCK_RETRY_MS);
+    }
+  }
+
+  release() {
+    const content = this.content;
+    this.content = null;
+    try {
+      // A lock held past STORE_LOCK_STALE_MS may have been broken and taken by another process
+      if (fs.readFileSync(this.lockPath, 'utf8') !== content) {
+        this.logger.warn(`${this.name} lock was broken while held; leaving the new owner's lock`, { lockPath: this.lockPath });
+        return;
+      }
+      fs.unlinkSync(this.lockPath);
+    } catch (error) {
+      this.logger.warn(`Failed to release ${this.name} lock`, { error: error.message });
+    }
+  }
+
+  /**
+   * @returns {boolean} True if the lock is gone or was stale and has been removed
+   */
+  breakIfStale() {
+    const found = readLock(this.lockPath);
+    if (!found) {
+      // Lock vanished between open and read; retry immediately
+      return true;
+    }
+    if (!isStale(found)) {
+      return false;
+    }
+
+    // Only one breaker can move the lock file away; whatever it moved is checked
+    // again, since another process may have broken the lock and taken it meanwhile
+    const brokenPath = `${this.lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.broken`;
+    try {
+      fs.renameSync(this.lockPath, brokenPath);
+    } catch (error) {
+      // Someone else broke it first
+      return true;
+    }
+
+    const moved = readLock(brokenPath);
+    if (moved && !isStale(moved)) {
+      // A live lock: put it back unless the lock has been taken again
+      try {
+        fs.linkSync(brokenPath, this.lockPath);
+      } catch (error) {
+        this.logger.warn(`Could not restore a live ${this.name} lock`, { lockPath: this.lockPath, error: error.message });
+      }
+      fs.rmSync(brokenPath, { force: true });
+      return false;
+    }
+
+    this.logger.warn(`Breaking stale ${this.name} lock`, { lockPath: this.lockPath, owner: found.owner, ownerGone: found.ownerGone });
+    fs.rmSync(brokenPath, { force: true });
+    return true;
+  }
+}
+
+/**
+ * @returns {Object|null} { content, owner, ownerGone, mtimeMs }, or null if there is no lock file
+ */
+function readLock(lockPath) {
+  try {
+    const content = fs.readFileSync(lockPath, 'utf8');
+    const { mtimeMs } = fs.statSync(lockPath);
+    const owner = parseInt(content, 10);
+    // An empty file is a lock being written right now, not a dead owner
+    const ownerGone = Number.isInteger(owner) && !isProcessAlive(owner);
+    return { content, owner, ownerGone, mtimeMs };
+  } catch (error) {
+    return null;
+  }
+}
+
+function isStale(lock) {
+  return lock.ownerGone || Date.now() - lock.mtimeMs > config.STORE_LOCK_STALE_MS;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+module.exports = { FileLock, FileLockError, isProcessAlive };
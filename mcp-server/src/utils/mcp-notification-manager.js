@@ -144,6 +144,28 @@ class MCPNotificationManager {
       return false;
     }
   }
+
+  /**
+   * Create a progress reporter bound to a request's progressToken
+   * Returns a no-op when the client did not ask for progress. Non-increasing
+   * progress values are dropped since MCP requires progress to increase.
+   * @param {string|number} progressToken - From the request's _meta.progressToken
+   * @returns {function(number, number=, string=): Promise<boolean>}
+   */
+  createProgressReporter(progressToken) {
+    if (progressToken === undefined || progressToken === null) {
+      return async () => false;
+    }
+
+    let lastProgress = -1;
+    return async (progress, total = null, message = null) => {
+      if (progress <= lastProgress) {
+        return false;
+      }
+      lastProgress = progress;
+      return await this.sendStandardProgress(progressToken, progress, total, message);
+    };
+  }
 }
 
 module.exports = { MCPNotificationManager };
\ No newline at end of file
@@ -1,40 +1,63 @@
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
 const { createLogger } = require('./logger');
+const { OperationStore } = require('./operation-store');
 const config = require('../config');
 
 // Manages async operations with state persistence for MCP operations
 class MCPOperationManager extends EventEmitter {
-  constructor() {
+  constructor(store = new OperationStore()) {
     super();
     this.operations = new Map();
-    this.stateFile = path.join(__dirname, '../../.operations-state.json');
+    this.store = store;
+    this.loadedVersion = null; // Journal version (OperationStore.version) last replayed
     this.pendingCompletions = new Map(); // Track completion promises
     this.logger = createLogger('MCPOperationManager');
     this.loadState();
+    
+    // Expire old operations and compact the shared journal on a schedule
+    this.compactionTimer = setInterval(() => this.cleanup(), config.OPERATION_COMPACTION_INTERVAL);
+    this.compactionTimer.unref();
   }
 
   createOperation(type, params = {}) {
-    // Generate operation ID with tool name format: op_{tool_name}_{timestamp}
-    const operationId = `op_${type}_${Date.now()}`;
+    // Generate operation ID with tool name format: op_{tool_name}_{timestamp}_{random}
+    // The random suffix keeps IDs unique within a millisecond and across processes
+    const operationId = `op_${type}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
     const operation = {
       id: operationId,
       type,
       params,
       status: 'pending',
+      ownerPid: process.pid,
       milestones: [],
       createdAt: Date.now(),
       lastUpdated: Date.now()
     };
     
     this.operations.set(operationId, operation);
-    this.saveState();
+    this.store.appendOperation(operation);
     
     console.error(`[OperationManager] Created operation ${operationId} of type ${type}`);
     return operationId;
   }
 
+  /**
+   * Add parameters resolved after the operation was created (such as the tabId
+   * that cancellation targets) and persist them
+   * @returns {boolean} False if the operation does not exist
+   */
+  setOperationParams(operationId, params) {
+    const operation = this.operations.get(operationId);
+    if (!operation) {
+      return false;
+    }
+    operation.params = { ...operation.params, ...params };
+    operation.lastUpdated = Date.now();
+    this.store.appendOperation(operation);
+    return true;
+  }
+
   updateOperation(operationId, milestone, data = {}) {
     const operation = this.operations.get(operationId);
     if (!operation) {
@@ -42,15 +65,20 @@ class MCPOperationManager extends EventEmitter {
       return false;
     }
 
-    operation.milestones.push({
+    const milestoneEntry = {
       milestone,
       timestamp: Date.now(),
       data
-    });
+    };
+    operation.milestones.push(milestoneEntry);
     operation.lastUpdated = Date.now();
     
-    // Update status based on milestone
-    if (milestone === 'started') {
+    // Update status based on milestone; late milestones of a cancelled
+    // operation are recorded but do not change its status
+    const statusLocked = operation.status === 'cancelled';
+    if (statusLocked) {
+      this.logger.debug('Milestone after cancellation', { operationId, milestone });
+    } else if (milestone === 'started') {
       operation.status = 'in_progress';
     } else if (milestone === 'completed' || milestone === 'response_completed') {
       operation.status = 'completed';
@@ -60,21 +88,113 @@ class MCPOperationManager extends EventEmitter {
       operation.status = 'failed';
       // Emit failure event
       this.emit('operation:failed', { operationId, operation, error: data });
+    } else if (milestone === 'cancelled') {
+      operation.status = 'cancelled';
+      // Emit cancellation event
+      this.emit('operation:cancelled', { operationId, operation, reason: data.reason });
     }
     
+    // Persist before notifying so listeners observe stored state
+    this.store.appendMilestone(operation, milestoneEntry);
+    
     // Emit general update event
     this.emit('operation:updated', { operationId, operation, milestone, data });
     
-    this.saveState();
-    
     console.error(`[OperationManager] Updated operation ${operationId}: ${milestone}`);
     return true;
   }
 
+  /**
+   * Subscribe to milestones of a single operation
+   * @param {string} operationId
+   * @param {function(string, Object): void} callback - Called with (milestone, data)
+   * @returns {function(): void} Detach function
+   */
+  onMilestone(operationId, callback) {
+    const listener = ({ operationId: id, milestone, data }) => {
+      if (id === operationId) {
+        callback(milestone, data);
+      }
+    };
+    this.on('operation:updated', listener);
+    return () => this.removeListener('operation:updated', listener);
+  }
+
+  /**
+   * Publish a streamed response delta for an operation
+   * Deltas arrive several times per second, so they are emitted to listeners
+   * only and never journaled as milestones.
+   * @param {string} operationId
+   * @param {Object} data - { offset, delta, responseLength }
+   */
+  emitDelta(operationId, data) {
+    this.emit('operation:delta', { operationId, data });
+  }
+
+  /**
+   * Subscribe to streamed response deltas of a single operation
+   * @param {string} operationId
+   * @param {function(Object): void} callback - Called with the delta data
+   * @returns {function(): void} Detach function
+   */
+  onDelta(operationId, callback) {
+    const listener = ({ operationId: id, data }) => {
+      if (id === operationId) {
+        callback(data);
+      }
+    };
+    this.on('operation:delta', listener);
+    return () => this.removeListener('operation:delta', listener);
+  }
+
+  /**
+   * Whether this process should record milestones for an operation
+   * Operations of other live MCP servers are visible (loaded from the shared
+   * journal) but belong to them; operations of exited servers are adopted.
+   * @param {string} operationId
+   * @returns {boolean}
+   */
+  ownsOperation(operationId) {
+    const operation = this.operations.get(operationId);
+    if (!operation) {
+      return false;
+    }
+    if (operation.ownerPid === process.pid || !operation.ownerPid) {
+      return true;
+    }
+    
+    try {
+      process.kill(operation.ownerPid, 0);
+      return false;
+    } catch (error) {
+      // ESRCH: owner exited; EPERM: pid reused by another user's process
+      return true;
+    }
+  }
+
   getOperation(operationId) {
     return this.operations.get(operationId);
   }
 
+  isFinished(operationId) {
+    const operation = this.operations.get(operationId);
+    return operation ? this.isFinishedStatus(operation.status) : false;
+  }
+
+  /**
+   * Move an operation into the cancelled state
+   * Does not stop any work itself; callers abort the underlying extension work.
+   * @param {string} operationId
+   * @param {string} reason - Why the operation was cancelled
+   * @returns {boolean} False if the operation is unknown or already finished
+   */
+  cancelOperation(operationId, reason = 'Cancelled') {
+    if (!this.operations.has(operationId) || this.isFinished(operationId)) {
+      return false;
+    }
+    return this.updateOperation(operationId, 'cancelled', { reason });
+  }
+
   isCompleted(operationId) {
     const operation = this.operations.get(operationId);
     return operation ? operation.status === 'completed' : false;
@@ -100,6 +220,11 @@ class MCPOperationManager extends EventEmitter {
         return;
       }
       
+      if (operation.status === 'cancelled') {
+        reject(new Error(`Operation ${operationId} was cancelled`));
+        return;
+      }
+      
       // Set up timeout
       const timeoutHandle = setTimeout(() => {
         cleanup();
@@ -121,19 +246,95 @@ class MCPOperationManager extends EventEmitter {
         }
       };
       
+      const onCancelled = ({ operationId: id, reason }) => {
+        if (id === operationId) {
+          cleanup();
+          reject(new Error(`Operation ${operationId} was cancelled: ${reason || 'no reason given'}`));
+        }
+      };
+      
       // Cleanup function to remove listeners and timeout
       const cleanup = () => {
         clearTimeout(timeoutHandle);
         this.removeListener('operation:completed', onCompleted);
         this.removeListener('operation:failed', onFailed);
+        this.removeListener('operation:cancelled', onCancelled);
       };
       
-      // Listen for completion or failure events
+      // Listen for completion, failure or cancellation events
       this.on('operation:completed', onCompleted);
       this.on('operation:failed', onFailed);
+      this.on('operation:cancelled', onCancelled);
     });
   }
 
+  /**
+   * List operations matching filters, newest first
+   * @param {Object} filters
+   * @param {string} [filters.type] - Operation type (tool name)
+   * @param {string} [filters.status] - pending, in_progress, completed, failed or cancelled
+   * @param {number} [filters.tabId] - Tab the operation targeted
+   * @param {number} [filters.since] - Only operations created at or after this timestamp
+   * @param {number} [filters.until] - Only operations created at or before this timestamp
+   * @param {number} [filters.offset=0] - Operations to skip
+   * @param {number} [filters.limit=20] - Maximum operations to return
+   * @param {number} [filters.milestoneLimit=5] - Most recent milestones included per operation
+   * @returns {Object} { operations, total, offset, hasMore }
+   */
+  listOperations(filters = {}) {
+    this.refreshState();
+    const { type, status, tabId, since, until, offset = 0, limit = 20, milestoneLimit = 5 } = filters;
+    
+    const matching = Array.from(this.operations.values())
+      .filter(op => !type || op.type === type)
+      .filter(op => !status || op.status === status)
+      .filter(op => tabId === undefined || op.params?.tabId === tabId)
+      .filter(op => since === undefined || op.createdAt >= since)
+      .filter(op => until === undefined || op.createdAt <= until)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    
+    const page = matching.slice(offset, offset + limit).map(op => {
+      const { milestones, ...summary } = op;
+      return {
+        ...summary,
+        milestoneCount: milestones.length,
+        milestones: milestoneLimit > 0 ? milestones.slice(-milestoneLimit) : []
+      };
+    });
+    
+    return {
+      operations: page,
+      total: matching.length,
+      offset,
+      hasMore: offset + page.length < matching.length
+    };
+  }
+
+  /**
+   * Get an operation with a page of its milestones, without waiting
+   * @param {string} operationId
+   * @param {number} milestoneOffset - Milestones to skip (oldest first)
+   * @param {number} milestoneLimit - Maximum milestones to return
+   * @returns {Object|null} Operation with paginated milestones, or null if unknown
+   */
+  getOperationPage(operationId, milestoneOffset = 0, milestoneLimit = 50) {
+    this.refreshState();
+    const operation = this.operations.get(operationId);
+    if (!operation) {
+      return null;
+    }
+    
+    const { milestones, ...summary } = operation;
+    const page = milestones.slice(milestoneOffset, milestoneOffset + milestoneLimit);
+    return {
+      ...summary,
+      milestoneCount: milestones.length,
+      milestoneOffset,
+      milestones: page,
+      hasMoreMilestones: milestoneOffset + page.length < milestones.length
+    };
+  }
+
   getPendingOperations() {
     const pending = [];
     for (const [id, operation] of this.operations) {
@@ -144,44 +345,63 @@ class MCPOperationManager extends EventEmitter {
     return pending;
   }
 
+  /**
+   * Expire operations not updated within maxAge and compact the shared journal
+   * Runs every OPERATION_COMPACTION_INTERVAL and covers operations of all processes.
+   */
   cleanup(maxAge = config.OPERATION_CLEANUP_AGE) {
     const cutoff = Date.now() - maxAge;
-    let cleanedCount = 0;
+    const isLive = (operation) => operation.lastUpdated >= cutoff;
     
+    let cleanedCount = 0;
     for (const [id, operation] of this.operations) {
-      if (operation.lastUpdated < cutoff) {
+      if (!isLive(operation)) {
         this.operations.delete(id);
         cleanedCount++;
       }
     }
     
-    if (cleanedCount > 0) {
-      this.saveState();
-      console.error(`[OperationManager] Cleaned up ${cleanedCount} old operations`);
+    try {
+      const { kept, removed } = this.store.compact(isLive);
+      this.logger.info('Compacted operation journal', { kept, removed, cleanedCount });
+    } catch (error) {
+      this.logger.warn('Failed to compact operation journal', { error: error.message });
     }
   }
 
+  isFinishedStatus(status) {
+    return ['completed', 'failed', 'cancelled'].includes(status);
+  }
+
+  /**
+   * Replay the journal, keeping this process's own operations where its copy is newer
+   * (their latest records may still be waiting for the journal lock)
+   */
   loadState() {
     try {
-      if (fs.existsSync(this.stateFile)) {
-        const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
-        this.operations = new Map(data.operations || []);
-        console.error(`[OperationManager] Loaded ${this.operations.size} operations from state`);
+      const version = this.store.version();
+      const operations = this.store.load();
+      for (const [id, operation] of this.operations) {
+        const journaled = operations.get(id);
+        const ownPending = !journaled && operation.ownerPid === process.pid;
+        if (ownPending || (journaled && operation.lastUpdated > journaled.lastUpdated)) {
+          operations.set(id, operation);
+        }
       }
+      this.operations = operations;
+      this.loadedVersion = version;
+      console.error(`[OperationManager] Loaded ${this.operations.size} operations from ${this.store.filePath}`);
     } catch (error) {
       console.warn('[OperationManager] Failed to load state:', error.message);
     }
   }
 
-  saveState() {
-    try {
-      const data = {
-        operations: Array.from(this.operations.entries()),
-        lastSaved: Date.now()
-      };
-      fs.writeFileSync(this.stateFile, JSON.stringify(data, null, 2));
-    } catch (error) {
-      this.logger.warn('Failed to save state', { error: error.message });
+  /**
+   * Pick up operations other MCP servers recorded since the journal was last replayed
+   */
+  refreshState() {
+    if (this.store.version() !== this.loadedVersion) {
+      this.loadState();
     }
   }
 }
@@ -0,0 +1,144 @@
+// Handles MCP resource registration, subscriptions and resources/updated notifications
+const { ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { SubscribeRequestSchema, UnsubscribeRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { createLogger } = require('./logger');
+const config = require('../config');
+
+class MCPResourceManager {
+  constructor(server, errorTracker = null) {
+    this.server = server;
+    this.errorTracker = errorTracker;
+    this.subscriptions = new Set();        // Subscribed resource URIs
+    this.tabConversations = new Map();     // tabId → conversationId (from navigation events)
+    this.logger = createLogger('MCPResourceManager');
+  }
+
+  /**
+   * Register resource definitions with the McpServer
+   * @param {Array} resources - Resource definitions (see resources/index.js)
+   * @param {Object} context - ChromeMCPServer instance passed to read/list callbacks
+   */
+  registerResources(resources, context) {
+    for (const resource of resources) {
+      const metadata = {
+        description: resource.description,
+        mimeType: 'application/json'
+      };
+
+      if (resource.uri) {
+        this.server.resource(resource.name, resource.uri, metadata, async (uri) => {
+          return await this.readResource(resource, uri, {}, context);
+        });
+      } else {
+        const template = new ResourceTemplate(resource.uriTemplate, {
+          list: resource.list ? async () => ({ resources: await resource.list(context) }) : undefined
+        });
+        this.server.resource(resource.name, template, metadata, async (uri, variables) => {
+          return await this.readResource(resource, uri, variables, context);
+        });
+      }
+    }
+
+    this.setupSubscriptionHandlers();
+    this.logger.info(`Registered ${resources.length} resources`);
+  }
+
+  setupSubscriptionHandlers() {
+    this.server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.subscriptions.add(request.params.uri);
+      this.logger.debug('Resource subscribed', { uri: request.params.uri });
+      return {};
+    });
+
+    this.server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.delete(request.params.uri);
+      this.logger.debug('Resource unsubscribed', { uri: request.params.uri });
+      return {};
+    });
+  }
+
+  async readResource(resource, uri, variables, context) {
+    const data = await resource.read(context, variables);
+    return {
+      contents: [{
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: JSON.stringify(data, null, 2)
+      }]
+    };
+  }
+
+  // MCP Standard: Send notifications/resources/updated for a subscribed URI
+  async notifyUpdated(uri) {
+    if (!this.subscriptions.has(uri)) {
+      return false;
+    }
+
+    try {
+      await this.server.server.sendResourceUpdated({ uri });
+      this.logger.debug('Sent resource update', { uri });
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to send resource update', error);
+      if (this.errorTracker) {
+        this.errorTracker.logError(error, {
+          component: 'ResourceManager',
+          method: 'notifyUpdated',
+          uri
+        });
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Notify subscribers whenever an operation milestone fires
+   * @param {MCPOperationManager} operationManager
+   */
+  attachOperationManager(operationManager) {
+    operationManager.on('operation:updated', ({ operationId, operation }) => {
+      this.notifyUpdated(config.RESOURCE_URIS.operation(operationId));
+
+      // A finished operation on a tab means the transcript has changed
+      const tabId = operation.params?.tabId;
+      if (tabId && operation.status === 'completed') {
+        this.notifyTabContentChanged(tabId);
+      }
+    });
+  }
+
+  /**
+   * Handle tab lifecycle events forwarded by the extension
+   * @param {Object} event - { event: 'created'|'navigated'|'removed', tabId, url }
+   */
+  handleTabEvent(event) {
+    const { tabId, url } = event;
+
+    if (event.event === 'removed') {
+      this.tabConversations.delete(tabId);
+    } else if (url) {
+      const match = url.match(/\/chat\/([a-f0-9-]{36})/);
+      if (match) {
+        this.tabConversations.set(tabId, match[1]);
+      } else {
+        this.tabConversations.delete(tabId);
+      }
+    }
+
+    this.notifyUpdated(config.RESOURCE_URIS.tabs());
+    if (event.event !== 'removed') {
+      this.notifyTabContentChanged(tabId);
+    }
+  }
+
+  notifyTabContentChanged(tabId) {
+    this.notifyUpdated(config.RESOURCE_URIS.tabTranscript(tabId));
+
+    const conversationId = this.tabConversations.get(tabId);
+    if (conversationId) {
+      this.notifyUpdated(config.RESOURCE_URIS.conversation(conversationId));
+    }
+  }
+}
+
+module.exports = { MCPResourceManager };
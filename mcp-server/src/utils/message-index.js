@@ -0,0 +1,146 @@
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 140;
+
+/**
+ * MessageIndex - In-memory full-text index of mirrored messages for api_search_messages
+ *
+ * The inverted index (term to messages) is built from the conversation mirror and
+ * kept in step with it before each search: only conversations whose updated_at
+ * differs from the indexed copy are indexed again.
+ */
+class MessageIndex {
+  /**
+   * @param {ConversationMirror} mirror
+   */
+  constructor(mirror) {
+    this.mirror = mirror;
+    this.indexed = new Map(); // conversationId -> updated_at it was indexed at
+    this.postings = new Map(); // term -> Map(conversationId#position -> occurrences)
+  }
+
+  /**
+   * Reindex conversations that changed in the mirror
+   */
+  sync() {
+    const mirrored = new Set();
+    for (const conversation of this.mirror.all()) {
+      mirrored.add(conversation.id);
+      if (this.indexed.get(conversation.id) !== conversation.updated_at) {
+        this.indexConversation(conversation);
+      }
+    }
+    for (const conversationId of [...this.indexed.keys()]) {
+      if (!mirrored.has(conversationId)) {
+        this.removeConversation(conversationId);
+      }
+    }
+  }
+
+  /**
+   * Find messages containing every term of the query
+   * @param {string} query
+   * @param {Object} filters
+   * @param {number} [filters.limit]
+   * @param {string} [filters.conversationId]
+   * @param {string} [filters.role] - 'user' or 'assistant'
+   * @returns {Object} { hits: [{ conversationId, title, messageIndex, messageUuid, role, snippet, score }], total }
+   */
+  search(query, { limit = 20, conversationId, role } = {}) {
+    this.sync();
+
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) {
+      return { hits: [], total: 0 };
+    }
+
+    // Start from the rarest term to keep the intersection small
+    const [rarest, ...others] = terms.map(term => this.postings.get(term) || new Map())
+      .sort((a, b) => a.size - b.size);
+    const hits = [];
+    for (const [key, count] of rarest) {
+      if (!others.every(postings => postings.has(key))) {
+        continue;
+      }
+      // Score is the number of query term occurrences in the message
+      const score = others.reduce((sum, postings) => sum + postings.get(key), count);
+
+      const [hitConversationId, position] = key.split('#');
+      const conversation = this.mirror.get(hitConversationId);
+      const message = conversation.messages[Number(position)];
+      if ((conversationId && hitConversationId !== conversationId) || (role && message.role !== role)) {
+        continue;
+      }
+
+      hits.push({
+        conversationId: hitConversationId,
+        title: conversation.title,
+        updatedAt: conversation.updated_at,
+        messageIndex: message.index,
+        messageUuid: message.uuid || null,
+        role: message.role,
+        snippet: makeSnippet(message.text, terms),
+        score
+      });
+    }
+
+    hits.sort((a, b) => b.score - a.score
+      || String(b.updatedAt).localeCompare(String(a.updatedAt))
+      || a.messageIndex - b.messageIndex);
+    return { hits: hits.slice(0, limit), total: hits.length };
+  }
+
+  indexConversation(conversation) {
+    this.removeConversation(conversation.id);
+    this.indexed.set(conversation.id, conversation.updated_at);
+
+    conversation.messages.forEach((message, position) => {
+      const key = `${conversation.id}#${position}`;
+      for (const term of tokenize(message.text)) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        const postings = this.postings.get(term);
+        postings.set(key, (postings.get(key) || 0) + 1);
+      }
+    });
+  }
+
+  removeConversation(conversationId) {
+    if (!this.indexed.delete(conversationId)) {
+      return;
+    }
+
+    // The mirror may already hold a newer copy, so postings are found by key prefix
+    const prefix = `${conversationId}#`;
+    for (const [term, postings] of this.postings) {
+      for (const key of postings.keys()) {
+        if (key.startsWith(prefix)) {
+          postings.delete(key);
+        }
+      }
+      if (postings.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+  }
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * @returns {string} Text around the first occurrence of any term
+ */
+function makeSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(position => position !== -1);
+  const match = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, match - SNIPPET_BEFORE);
+  const end = Math.min(text.length, match + SNIPPET_AFTER);
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = { MessageIndex, tokenize };
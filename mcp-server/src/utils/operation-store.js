@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { FileLock } = require('./file-lock');
+const config = require('../config');
+
+/**
+ * OperationStore - Append-only journal of operations shared by all MCP server processes
+ *
+ * Every process appends one JSON line per change ('put' for a new operation,
+ * 'milestone' for an update) so writers never rewrite each other's records.
+ * Compaction rewrites the journal as one 'put' per live operation via a temp
+ * file and atomic rename. Appends and compaction both hold an exclusive lock
+ * file so no append lands in a journal that is being replaced; while another
+ * process holds it, appends wait in order and compaction skips its round.
+ */
+class OperationStore {
+  constructor(filePath = config.OPERATIONS_FILE) {
+    this.filePath = filePath;
+    this.lock = new FileLock(`${filePath}.lock`, 'operation store');
+    this.logger = createLogger('OperationStore');
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * Identify the journal's current contents without reading it
+   * @returns {string|null} Modification time and size, or null if there is no journal
+   */
+  version() {
+    try {
+      const { mtimeMs, size } = fs.statSync(this.filePath);
+      return `${mtimeMs}:${size}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Replay the journal into a map of operations
+   * @returns {Map<string, Object>} operationId → operation
+   */
+  load() {
+    const operations = new Map();
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('Failed to read operation journal', { error: error.message });
+      }
+      return operations;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A torn trailing line from a crashed writer; skip it
+        continue;
+      }
+
+      if (record.t === 'put') {
+        operations.set(record.operation.id, record.operation);
+      } else if (record.t === 'milestone') {
+        const operation = operations.get(record.id);
+        if (operation) {
+          operation.milestones.push(record.milestone);
+          operation.status = record.status;
+          operation.lastUpdated = record.lastUpdated;
+        }
+      }
+    }
+
+    return operations;
+  }
+
+  appendOperation(operation) {
+    this.append({ t: 'put', operation });
+  }
+
+  appendMilestone(operation, milestone) {
+    this.append({
+      t: 'milestone',
+      id: operation.id,
+      milestone,
+      status: operation.status,
+      lastUpdated: operation.lastUpdated
+    });
+  }
+
+  append(record) {
+    const line = JSON.stringify(record) + '\n';
+    this.lock.withLockDeferred(() => {
+      fs.appendFileSync(this.filePath, line);
+    });
+  }
+
+  /**
+   * Rewrite the journal keeping only operations accepted by the filter
+   * Includes operations written by other processes.
+   * @param {function(Object): boolean} keep - Predicate on each replayed operation
+   * @returns {Object} { kept, removed }
+   * @throws {FileLockError} If another process holds the journal lock
+   */
+  compact(keep) {
+    return this.withLock(() => {
+      const operations = this.load();
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+      let kept = 0;
+      const lines = [];
+      for (const operation of operations.values()) {
+        if (keep(operation)) {
+          lines.push(JSON.stringify({ t: 'put', operation }));
+          kept++;
+        }
+      }
+
+      fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+      fs.renameSync(tmpPath, this.filePath);
+
+      return { kept, removed: operations.size - kept };
+    });
+  }
+
+  /**
+   * Run fn while holding the journal lock file
+   */
+  withLock(fn) {
+    return this.lock.withLock(fn);
+  }
+}
+
+module.exports = { OperationStore };
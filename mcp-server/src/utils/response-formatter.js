@@ -1,3 +1,5 @@
+const { PolicyError } = require('./tool-policy');
+
 /**
  * MCP Response Formatter Utility
  * Standardizes response formatting across all MCP tools
@@ -108,8 +110,63 @@ function formatMCPSuccess(data, message = null) {
   return formatMCPResponse(response);
 }
 
+/**
+ * Recovers the data behind a tool handler's return value
+ * Forwarding handlers return MCP-formatted JSON text; custom handlers return plain data.
+ * 
+ * @param {*} result - Handler return value
+ * @returns {*} Parsed data, or undefined when the content is not a single JSON text block
+ */
+function extractResultData(result) {
+  if (!result || typeof result !== 'object' || !Array.isArray(result.content)) {
+    return result;
+  }
+  
+  const [block] = result.content;
+  if (result.content.length !== 1 || block?.type !== 'text') {
+    return undefined;
+  }
+  
+  try {
+    return JSON.parse(block.text);
+  } catch (parseError) {
+    return undefined;
+  }
+}
+
+/**
+ * Creates an MCP tool error result
+ * Carries no structuredContent, which clients check against the tool's output schema;
+ * _meta.failure holds { success: false, error }, and policy errors add
+ * _meta.failure.policy ({ code, tool, client, ... }).
+ * 
+ * @param {Error|string} error - Error to report
+ * @returns {Object} CallToolResult flagged isError
+ */
+function formatMCPToolError(error) {
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  
+  return {
+    content: [{
+      type: 'text',
+      text: errorMessage
+    }],
+    isError: true,
+    _meta: {
+      failure: {
+        success: false,
+        error: errorMessage,
+        // Machine-readable reason for calls stopped by the permission policy
+        ...(error instanceof PolicyError && { policy: error.toJSON() })
+      }
+    }
+  };
+}
+
 module.exports = {
   formatMCPResponse,
   formatMCPError,
-  formatMCPSuccess
+  formatMCPSuccess,
+  extractResultData,
+  formatMCPToolError
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { FileLock } = require('./file-lock');
+const config = require('../config');
+
+/**
+ * ScheduleStore - Scheduled sends shared by all MCP server processes
+ *
+ * Schedules live in one JSON file next to the operation journal. Every change
+ * is a read-modify-write under a lock file, rewritten via a temp file and
+ * atomic rename, so a due schedule is claimed by exactly one server process.
+ */
+class ScheduleStore {
+  constructor(filePath = config.SCHEDULES_FILE) {
+    this.filePath = filePath;
+    this.lock = new FileLock(`${filePath}.lock`, 'schedule store');
+    this.logger = createLogger('ScheduleStore');
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  /**
+   * @returns {Array<Object>} Stored schedules
+   */
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn('Failed to read schedules', { error: error.message });
+      }
+      return [];
+    }
+
+    try {
+      return JSON.parse(content).schedules || [];
+    } catch (error) {
+      this.logger.error('Schedules file is corrupt; ignoring it', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Change the stored schedules while holding the lock
+   * @param {function(Array<Object>): *} change - Mutates the schedule list in place
+   * @returns {*} Whatever change returns
+   * @throws {FileLockError} If another process holds the lock; nothing is changed
+   */
+  update(change) {
+    return this.lock.withLock(() => {
+      const schedules = this.load();
+      const result = change(schedules);
+
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ schedules }, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+      return result;
+    });
+  }
+}
+
+module.exports = { ScheduleStore };
@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { ScheduleStore } = require('./schedule-store');
+const { isProcessAlive } = require('./file-lock');
+const config = require('../config');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIME_OF_DAY_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+/**
+ * Scheduler - Sends messages to conversations at set times or intervals
+ *
+ * Schedules target a conversationId; when they fire, the extension reopens the
+ * conversation (ensureConversationTab) if no tab has it, and the message is sent
+ * as a normal tab_send_message operation carrying the scheduleId. Every server
+ * process ticks once its relay is connected, but each due schedule is claimed by
+ * exactly one of them under the store lock. A claimed schedule stays stored,
+ * marked in flight, until its send settles: a sent one-off is removed, a failed
+ * send is retried with backoff. Claims of exited servers are taken over.
+ * Recurring schedules that were missed while no server ran fire once when the
+ * next server starts, then continue on their interval.
+ */
+class Scheduler {
+  constructor(server, store = new ScheduleStore()) {
+    this.server = server;
+    this.store = store;
+    this.logger = createLogger('Scheduler');
+    this.ticking = false;
+    // Outcomes not yet written because another process held the store lock
+    this.unsettled = [];
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), config.SCHEDULER_INTERVAL);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} params
+   * @param {string} params.conversationId - Conversation to send to
+   * @param {string} params.message
+   * @param {string} [params.at] - First (or only) send: ISO 8601 time, or HH:MM for the next local occurrence
+   * @param {number} [params.intervalMs] - Repeat interval; omit for a one-off send
+   * @param {string} [params.name]
+   * @param {string} [clientName] - clientInfo.name of the creating client
+   * @returns {Object} The stored schedule
+   */
+  create({ conversationId, message, at, intervalMs, name }, clientName = null) {
+    if (!UUID_PATTERN.test(conversationId)) {
+      throw new Error('conversationId must be a valid UUID');
+    }
+    if (at === undefined && intervalMs === undefined) {
+      throw new Error('Either at or intervalMs is required');
+    }
+    if (intervalMs !== undefined && intervalMs < config.SCHEDULE_MIN_INTERVAL) {
+      throw new Error(`intervalMs must be at least ${config.SCHEDULE_MIN_INTERVAL}`);
+    }
+
+    const now = Date.now();
+    const nextRunAt = at !== undefined ? parseTime(at, now) : now + intervalMs;
+    if (nextRunAt <= now && intervalMs === undefined) {
+      throw new Error(`at (${at}) is in the past`);
+    }
+
+    const schedule = {
+      id: `sch_${now}_${crypto.randomBytes(4).toString('hex')}`,
+      ...(name && { name }),
+      conversationId,
+      message,
+      intervalMs: intervalMs ?? null,
+      nextRunAt,
+      createdAt: now,
+      createdBy: clientName,
+      runCount: 0,
+      lastRunAt: null,
+      lastOperationId: null,
+      lastError: null,
+      failures: 0,
+      inFlight: null
+    };
+
+    this.store.update(schedules => schedules.push(schedule));
+    this.logger.info('Schedule created', { scheduleId: schedule.id, conversationId, nextRunAt });
+    return schedule;
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} [filters.conversationId]
+   * @returns {Array<Object>} Schedules, soonest first
+   */
+  list({ conversationId } = {}) {
+    return this.store.load()
+      .filter(schedule => !conversationId || schedule.conversationId === conversationId)
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+  }
+
+  /**
+   * @returns {Object} The deleted schedule
+   */
+  delete(scheduleId) {
+    const deleted = this.store.update(schedules => {
+      const index = schedules.findIndex(schedule => schedule.id === scheduleId);
+      return index === -1 ? null : schedules.splice(index, 1)[0];
+    });
+    if (!deleted) {
+      throw new Error(`Schedule ${scheduleId} not found`);
+    }
+    this.logger.info('Schedule deleted', { scheduleId });
+    return deleted;
+  }
+
+  /**
+   * Fire every schedule that is due and not yet claimed by another server
+   */
+  async tick() {
+    // Without a connected relay every send would fail and burn a retry
+    if (this.ticking || !this.server.relayClient?.connected) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      this.settlePending();
+      for (const schedule of this.claimDue(Date.now())) {
+        await this.fire(schedule);
+      }
+    } catch (error) {
+      this.logger.error('Scheduler tick failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Mark each due schedule in flight under the store lock
+   * Schedules in flight in a live server are skipped; claims of exited servers,
+   * or older than SCHEDULE_CLAIM_TIMEOUT, are taken over.
+   * @returns {Array<Object>} Schedules this process must fire
+   */
+  claimDue(now) {
+    return this.store.update(schedules => {
+      const due = [];
+      for (const schedule of schedules) {
+        if (schedule.nextRunAt > now) continue;
+        if (schedule.inFlight && !isClaimStale(schedule.inFlight, now)) continue;
+
+        schedule.inFlight = { pid: process.pid, claimedAt: now };
+        due.push({ ...schedule });
+      }
+      return due;
+    });
+  }
+
+  /**
+   * Send a schedule's message as a tab_send_message operation, then settle the schedule
+   */
+  async fire(schedule) {
+    const operations = this.server.operationManager;
+    const operationId = operations.createOperation('tab_send_message', {
+      conversationId: schedule.conversationId,
+      message: schedule.message,
+      scheduleId: schedule.id
+    });
+    operations.updateOperation(operationId, 'started', { phase: 'opening_conversation', scheduleId: schedule.id });
+
+    let error = null;
+    try {
+      // A conversation that is not open yet loads within this request
+      const tab = await this.server.sendToExtension('open_claude_conversation_tab', {
+        conversationId: schedule.conversationId,
+        activate: false,
+        waitForLoad: true,
+        loadTimeoutMs: config.SCHEDULE_TAB_LOAD_TIMEOUT,
+        injectContentScript: true
+      }, { timeoutMs: config.SCHEDULE_TAB_LOAD_TIMEOUT + config.RELAY_REQUEST_TIMEOUT });
+
+      // Cancelling the operation stops generation in this tab
+      operations.setOperationParams(operationId, { tabId: tab.tabId });
+
+      const result = await this.server.sendToExtension('tab_send_message', {
+        tabId: tab.tabId,
+        message: schedule.message,
+        operationId
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error');
+      }
+
+      operations.updateOperation(operationId, 'message_sent', {
+        phase: 'waiting_response',
+        tabId: tab.tabId,
+        reopened: !tab.wasExisting
+      });
+    } catch (sendError) {
+      error = sendError.message;
+      operations.updateOperation(operationId, 'error', { phase: 'schedule_send_failed', error });
+      this.logger.warn('Scheduled send failed', { scheduleId: schedule.id, error });
+    }
+
+    this.settle({ scheduleId: schedule.id, operationId, error, at: Date.now() });
+  }
+
+  /**
+   * Record a send's outcome and release the claim
+   * A sent one-off is removed; a sent recurring schedule moves to its next
+   * interval; a failed send is retried after SCHEDULE_RETRY_DELAY, doubled per
+   * consecutive failure (recurring schedules no later than their next interval).
+   * @param {Object} outcome - { scheduleId, operationId, error, at }
+   */
+  settle(outcome) {
+    try {
+      this.store.update(schedules => applyOutcome(schedules, outcome));
+    } catch (error) {
+      // Our claim keeps other servers off the schedule until this is written
+      this.logger.warn('Could not record scheduled send; retrying next tick', {
+        scheduleId: outcome.scheduleId,
+        error: error.message
+      });
+      this.unsettled.push(outcome);
+    }
+  }
+
+  settlePending() {
+    const pending = this.unsettled;
+    this.unsettled = [];
+    pending.forEach(outcome => this.settle(outcome));
+  }
+}
+
+function applyOutcome(schedules, { scheduleId, operationId, error, at }) {
+  const index = schedules.findIndex(candidate => candidate.id === scheduleId);
+  if (index === -1) {
+    // Deleted while in flight
+    return;
+  }
+  const schedule = schedules[index];
+  schedule.inFlight = null;
+  schedule.lastOperationId = operationId;
+  schedule.lastError = error;
+
+  let nextInterval = null;
+  if (schedule.intervalMs) {
+    // Missed runs collapse into the next one
+    nextInterval = schedule.nextRunAt;
+    while (nextInterval <= at) {
+      nextInterval += schedule.intervalMs;
+    }
+  }
+
+  if (!error) {
+    if (!schedule.intervalMs) {
+      schedules.splice(index, 1);
+      return;
+    }
+    schedule.nextRunAt = nextInterval;
+    schedule.runCount++;
+    schedule.lastRunAt = at;
+    schedule.failures = 0;
+    return;
+  }
+
+  schedule.failures = (schedule.failures || 0) + 1;
+  const retryDelay = Math.min(
+    config.SCHEDULE_RETRY_DELAY * 2 ** (schedule.failures - 1),
+    config.SCHEDULE_MAX_RETRY_DELAY
+  );
+  schedule.nextRunAt = nextInterval === null ? at + retryDelay : Math.min(at + retryDelay, nextInterval);
+}
+
+/**
+ * @returns {boolean} True if the claiming server exited or the claim outlived SCHEDULE_CLAIM_TIMEOUT
+ */
+function isClaimStale(inFlight, now) {
+  return !isProcessAlive(inFlight.pid) || now - inFlight.claimedAt > config.SCHEDULE_CLAIM_TIMEOUT;
+}
+
+/**
+ * @returns {number} Timestamp of an ISO 8601 time, or of the next local HH:MM
+ */
+function parseTime(at, now) {
+  const timeOfDay = at.match(TIME_OF_DAY_PATTERN);
+  if (timeOfDay) {
+    const [hours, minutes] = [Number(timeOfDay[1]), Number(timeOfDay[2])];
+    if (hours > 23 || minutes > 59) {
+      throw new Error(`Invalid time of day: ${at}`);
+    }
+    const next = new Date(now);
+    next.setHours(hours, minutes, 0, 0);
+    if (next.getTime() <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
+  }
+
+  const timestamp = Date.parse(at);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(`Invalid time: ${at} (use ISO 8601 or HH:MM)`);
+  }
+  return timestamp;
+}
+
+module.exports = { Scheduler };
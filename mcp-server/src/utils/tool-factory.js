@@ -96,7 +96,8 @@ function createForwardingToolWithCommand(name, description, zodSchema, commandNa
  * @param {string} name - Tool name
  * @param {string} description - Tool description
  * @param {object} zodSchema - Zod schema for validation
- * @param {function} customHandler - Custom handler function (async (server, args) => result)
+ * @param {function} customHandler - Custom handler function (async (server, args, context) => result)
+ *   where context carries request metadata such as { progressToken }
  * @returns {object} Tool definition and handler
  */
 function createCustomTool(name, description, zodSchema, customHandler) {
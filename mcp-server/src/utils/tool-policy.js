@@ -0,0 +1,218 @@
+const { z } = require('zod');
+const { createLogger } = require('./logger');
+
+const ACTIONS = ['allow', 'deny', 'confirm'];
+
+const paramConstraintSchema = z.object({
+  min: z.number().optional(),
+  max: z.number().optional(),
+  maxItems: z.number().optional(),
+  maxLength: z.number().optional(),
+  enum: z.array(z.any()).optional(),
+  pattern: z.string().optional(),
+  claudeTab: z.boolean().optional()
+}).strict();
+
+const ruleSchema = z.object({
+  action: z.enum(ACTIONS).optional(),
+  params: z.record(paramConstraintSchema).optional()
+}).strict();
+
+const rulesSchema = z.record(ruleSchema);
+
+const policySchema = z.object({
+  defaultAction: z.enum(ACTIONS).optional(),
+  tools: rulesSchema.optional(),
+  clients: z.record(z.object({
+    defaultAction: z.enum(ACTIONS).optional(),
+    tools: rulesSchema.optional()
+  }).strict()).optional()
+}).strict();
+
+/**
+ * PolicyError - A tool call stopped by the permission policy
+ * code is 'policy_denied' or 'confirmation_required'; details are returned
+ * to the client as structuredContent.policy.
+ */
+class PolicyError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PolicyError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { code: this.code, ...this.details };
+  }
+}
+
+/**
+ * ToolPolicy - Allow, deny or require confirmation per tool and per client
+ *
+ * Policy file format (JSON):
+ *   {
+ *     "defaultAction": "allow",
+ *     "tools": {
+ *       "chrome_execute_script": { "action": "confirm", "params": { "tabId": { "claudeTab": true } } },
+ *       "api_delete_conversations": { "params": { "conversationIds": { "maxItems": 10 } } },
+ *       "resource_*": { "action": "deny" }
+ *     },
+ *     "clients": {
+ *       "cursor": { "defaultAction": "deny", "tools": { "tab_*": { "action": "allow" } } }
+ *     }
+ *   }
+ *
+ * Client sections are matched on clientInfo.name and take precedence over the
+ * top-level rules. Within a section an exact tool name beats the longest
+ * matching '*' pattern, and the most specific rule applies as a whole.
+ */
+class ToolPolicy {
+  constructor(policy = null) {
+    this.logger = createLogger('ToolPolicy');
+    this.policy = this.validate(policy);
+  }
+
+  /**
+   * Check the policy document, failing closed if it is malformed
+   * @param {Object|null} policy - Parsed policy file (null = no policy)
+   * @returns {Object} Validated policy
+   */
+  validate(policy) {
+    if (!policy) {
+      return { defaultAction: 'allow' };
+    }
+    if (policy.loadError) {
+      this.logger.error('Policy file could not be loaded; denying all tools', { error: policy.loadError });
+      return { defaultAction: 'deny', invalid: policy.loadError };
+    }
+
+    const parsed = policySchema.safeParse(policy);
+    if (!parsed.success) {
+      const problem = parsed.error.issues
+        .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+        .join('; ');
+      this.logger.error('Policy file is invalid; denying all tools', { error: problem });
+      return { defaultAction: 'deny', invalid: problem };
+    }
+    return parsed.data;
+  }
+
+  /**
+   * Find the rule governing a tool for a client
+   * @param {string} toolName
+   * @param {string} clientName - clientInfo.name of the calling MCP client
+   * @returns {Object} { action, params, rule } where rule names the matching pattern
+   */
+  resolve(toolName, clientName) {
+    const client = clientName ? this.policy.clients?.[clientName] : undefined;
+    const defaultAction = client?.defaultAction || this.policy.defaultAction || 'allow';
+
+    const match = this.matchRule(client?.tools, toolName) || this.matchRule(this.policy.tools, toolName);
+    if (!match) {
+      return { action: defaultAction, params: {}, rule: null };
+    }
+    return {
+      action: match.rule.action || defaultAction,
+      params: match.rule.params || {},
+      rule: match.pattern
+    };
+  }
+
+  matchRule(rules, toolName) {
+    if (!rules) {
+      return null;
+    }
+    if (rules[toolName]) {
+      return { pattern: toolName, rule: rules[toolName] };
+    }
+
+    let best = null;
+    for (const pattern of Object.keys(rules)) {
+      if (!pattern.includes('*')) continue;
+      const regex = new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`);
+      if (regex.test(toolName) && (!best || pattern.length > best.pattern.length)) {
+        best = { pattern, rule: rules[pattern] };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Decide whether a tool call may run
+   * @param {string} toolName
+   * @param {Object} args - Validated tool arguments
+   * @param {string} clientName - clientInfo.name of the calling MCP client
+   * @param {Object} options
+   * @param {function(number): Promise<boolean>} options.isClaudeTab - Resolves whether a tab is open on claude.ai
+   * @returns {Promise<Object>} { action: 'allow'|'deny'|'confirm', reason, rule }
+   */
+  async check(toolName, args, clientName, { isClaudeTab } = {}) {
+    const { action, params, rule } = this.resolve(toolName, clientName);
+
+    if (action === 'deny') {
+      const reason = this.policy.invalid
+        ? `Policy file is invalid: ${this.policy.invalid}`
+        : `Tool ${toolName} is denied by policy`;
+      return { action, reason, rule };
+    }
+
+    for (const [param, constraint] of Object.entries(params)) {
+      const violation = await this.checkParam(param, args[param], constraint, isClaudeTab);
+      if (violation) {
+        return { action: 'deny', reason: `Parameter ${param} ${violation}`, rule };
+      }
+    }
+
+    return { action, rule };
+  }
+
+  /**
+   * @returns {Promise<string|null>} Description of the violation, or null
+   */
+  async checkParam(param, value, constraint, isClaudeTab) {
+    if (value === undefined) {
+      return null;
+    }
+
+    if (constraint.enum && !constraint.enum.some(allowed => allowed === value)) {
+      return `must be one of ${JSON.stringify(constraint.enum)}`;
+    }
+    if (typeof value === 'number') {
+      if (constraint.min !== undefined && value < constraint.min) {
+        return `must be at least ${constraint.min}`;
+      }
+      if (constraint.max !== undefined && value > constraint.max) {
+        return `must be at most ${constraint.max}`;
+      }
+    }
+    if (Array.isArray(value) && constraint.maxItems !== undefined && value.length > constraint.maxItems) {
+      return `may contain at most ${constraint.maxItems} items`;
+    }
+
+    // Strings, or each string in an array, must satisfy length and pattern limits
+    const strings = [].concat(value).filter(item => typeof item === 'string');
+    for (const item of strings) {
+      if (constraint.maxLength !== undefined && item.length > constraint.maxLength) {
+        return `must be at most ${constraint.maxLength} characters`;
+      }
+      if (constraint.pattern && !new RegExp(constraint.pattern).test(item)) {
+        return `must match ${constraint.pattern}`;
+      }
+    }
+
+    if (constraint.claudeTab) {
+      if (!isClaudeTab || !(await isClaudeTab(value))) {
+        return 'must be an open claude.ai tab';
+      }
+    }
+
+    return null;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { ToolPolicy, PolicyError };
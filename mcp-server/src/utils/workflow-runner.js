@@ -0,0 +1,339 @@
+const { createLogger } = require('./logger');
+const config = require('../config');
+
+/**
+ * WorkflowRunner - Executes a tab_run_workflow step list as one tracked operation
+ *
+ * Step types:
+ *   send     { tabId, message }                      - send a (templated) message
+ *   wait     { tabId, timeoutMs?, saveAs? }          - wait for the tab's response
+ *   forward  { sourceTabId, targetTabId, template? } - send the source's response to the target
+ *   branch   { if, then, else? }                     - run then or else depending on a condition
+ *   loop     { maxIterations, steps, until? }        - repeat steps until the condition holds
+ *   collect  { tabIds?, as? }                        - add latest responses to the result
+ *
+ * Templates substitute ${response} (latest response, or the source's for forward),
+ * ${tab.<tabId>}, ${vars.<name>} (saved by wait's saveAs) and ${iteration}.
+ * Each message is sent as its own tab_send_message operation so the content
+ * script's completion milestones never finish the workflow operation itself.
+ * Steps report step_started / step_completed milestones on the workflow
+ * operation, with their position as a dotted path (e.g. "2.then.0").
+ */
+class WorkflowRunner {
+  constructor(server, operationId, { reportProgress = async () => false } = {}) {
+    this.server = server;
+    this.operations = server.operationManager;
+    this.operationId = operationId;
+    this.reportProgress = reportProgress;
+    this.logger = createLogger('WorkflowRunner');
+
+    this.stepCount = 0;
+    this.iteration = 0;
+    this.responses = new Map();    // tabId → latest response text
+    this.lastResponse = null;      // { tabId, text }
+    this.vars = {};
+    this.collected = [];
+    this.pendingSends = new Map(); // tabId → operationId of a send not yet waited for
+    this.inFlight = new Set();     // Message operations whose response has not completed
+  }
+
+  /**
+   * Run the workflow to completion
+   * @param {Array<Object>} steps
+   * @returns {Promise<Object>} { stepsExecuted, responses, vars, collected }
+   */
+  async run(steps) {
+    const detachCancel = this.watchCancellation();
+    try {
+      await this.runSteps(steps, []);
+    } finally {
+      detachCancel();
+    }
+
+    return {
+      stepsExecuted: this.stepCount,
+      responses: Object.fromEntries(this.responses),
+      vars: this.vars,
+      collected: this.collected
+    };
+  }
+
+  /**
+   * Stop the messages Claude is answering when the workflow operation is cancelled
+   * @returns {function(): void} Detach function
+   */
+  watchCancellation() {
+    return this.operations.onMilestone(this.operationId, (milestone) => {
+      if (milestone !== 'cancelled') return;
+      for (const operationId of this.inFlight) {
+        this.server.cancelOperation(operationId, 'Workflow cancelled').catch(error => {
+          this.logger.warn('Failed to cancel workflow message', { operationId, error: error.message });
+        });
+      }
+    });
+  }
+
+  async runSteps(steps, path) {
+    for (const [index, step] of steps.entries()) {
+      await this.runStep(step, [...path, index]);
+    }
+  }
+
+  throwIfCancelled() {
+    if (this.operations.getOperation(this.operationId)?.status === 'cancelled') {
+      throw new Error('Workflow cancelled');
+    }
+  }
+
+  async runStep(step, path) {
+    this.throwIfCancelled();
+    if (++this.stepCount > config.WORKFLOW_MAX_STEPS) {
+      throw new Error(`Workflow exceeded ${config.WORKFLOW_MAX_STEPS} steps`);
+    }
+
+    const stepPath = path.join('.');
+    this.operations.updateOperation(this.operationId, 'step_started', { path: stepPath, type: step.type });
+    await this.reportProgress(this.stepCount, null, `Step ${stepPath}: ${step.type}`);
+
+    const summary = await this.executeStep(step, path);
+
+    this.operations.updateOperation(this.operationId, 'step_completed', {
+      path: stepPath,
+      type: step.type,
+      ...summary
+    });
+  }
+
+  /**
+   * @returns {Promise<Object>} Summary recorded on the step_completed milestone
+   */
+  async executeStep(step, path) {
+    switch (step.type) {
+      case 'send': {
+        const message = this.render(step.message);
+        await this.send(step.tabId, message);
+        return { tabId: step.tabId, messageLength: message.length };
+      }
+
+      case 'wait': {
+        const text = await this.wait(step.tabId, step.timeoutMs);
+        if (step.saveAs) {
+          this.vars[step.saveAs] = text;
+        }
+        return { tabId: step.tabId, responseLength: text.length };
+      }
+
+      case 'forward': {
+        const sourceText = await this.latestResponse(step.sourceTabId);
+        const message = this.render(step.template || '${response}', sourceText);
+        await this.send(step.targetTabId, message);
+        return { sourceTabId: step.sourceTabId, targetTabId: step.targetTabId, messageLength: message.length };
+      }
+
+      case 'branch': {
+        const matched = this.evaluate(step.if);
+        const branch = matched ? 'then' : 'else';
+        await this.runSteps((matched ? step.then : step.else) || [], [...path, branch]);
+        return { branch };
+      }
+
+      case 'loop': {
+        const outerIteration = this.iteration;
+        let iterations = 0;
+        let satisfied = false;
+        try {
+          while (iterations < step.maxIterations && !satisfied) {
+            this.iteration = ++iterations;
+            await this.runSteps(step.steps, [...path, iterations - 1]);
+            satisfied = step.until ? this.evaluate(step.until) : false;
+          }
+        } finally {
+          this.iteration = outerIteration;
+        }
+        return { iterations, conditionMet: satisfied };
+      }
+
+      case 'collect': {
+        const tabIds = step.tabIds || (this.lastResponse ? [this.lastResponse.tabId] : []);
+        for (const tabId of tabIds) {
+          this.collected.push({
+            ...(step.as && { as: step.as }),
+            tabId,
+            iteration: this.iteration,
+            response: await this.latestResponse(tabId)
+          });
+        }
+        return { collected: tabIds.length };
+      }
+
+      default:
+        throw new Error(`Unknown workflow step type: ${step.type}`);
+    }
+  }
+
+  /**
+   * Send a message as its own tab_send_message operation
+   * The response is picked up by the next wait (or forward) on the tab.
+   */
+  async send(tabId, message) {
+    const operationId = this.operations.createOperation('tab_send_message', {
+      tabId,
+      message,
+      workflowOperationId: this.operationId
+    });
+    this.operations.updateOperation(operationId, 'started', { phase: 'forwarding_to_extension' });
+
+    let result;
+    try {
+      result = await this.server.sendToExtension('tab_send_message', { tabId, message, operationId });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    if (!result.success) {
+      this.operations.updateOperation(operationId, 'error', {
+        phase: 'extension_failed',
+        error: result.error || 'Unknown error'
+      });
+      throw new Error(`Sending to tab ${tabId} failed: ${result.error || 'Unknown error'}`);
+    }
+
+    this.operations.updateOperation(operationId, 'message_sent', { phase: 'waiting_response' });
+    this.inFlight.add(operationId);
+    this.pendingSends.set(tabId, operationId);
+  }
+
+  /**
+   * Wait for the response to the last message sent to a tab (or its latest response)
+   * @returns {Promise<string>} Response text
+   */
+  async wait(tabId, timeoutMs = config.COMPLETION_TIMEOUT) {
+    const operationId = this.pendingSends.get(tabId);
+    this.pendingSends.delete(tabId);
+
+    if (operationId) {
+      try {
+        await this.operations.waitForCompletion(operationId, timeoutMs);
+      } catch (error) {
+        if (!this.operations.isFinished(operationId)) {
+          this.operations.updateOperation(operationId, 'error', { phase: 'response_timeout', error: error.message });
+        }
+        throw error;
+      } finally {
+        this.inFlight.delete(operationId);
+      }
+    }
+
+    const response = await this.server.sendToExtension('tab_get_response', { tabId, operationId, timeoutMs });
+    if (!response.success) {
+      throw new Error(`No response from tab ${tabId}: ${response.description || response.error || 'Unknown error'}`);
+    }
+
+    const text = responseText(response.response);
+    this.responses.set(tabId, text);
+    this.lastResponse = { tabId, text };
+    return text;
+  }
+
+  async latestResponse(tabId) {
+    if (this.pendingSends.has(tabId) || !this.responses.has(tabId)) {
+      return await this.wait(tabId);
+    }
+    return this.responses.get(tabId);
+  }
+
+  /**
+   * Substitute template variables
+   * @param {string} template
+   * @param {string} [response] - Value of ${response}; defaults to the latest response
+   */
+  render(template, response = this.lastResponse?.text) {
+    return template.replace(/\$\{([^}]+)\}/g, (placeholder, name) => {
+      if (name === 'response') {
+        return requireValue(response, placeholder);
+      }
+      if (name === 'iteration') {
+        return String(this.iteration);
+      }
+      if (name.startsWith('tab.')) {
+        return requireValue(this.responses.get(Number(name.slice(4))), placeholder);
+      }
+      if (name.startsWith('vars.')) {
+        return requireValue(this.vars[name.slice(5)], placeholder);
+      }
+      throw new Error(`Unknown template variable ${placeholder}`);
+    });
+  }
+
+  /**
+   * Test a branch or loop condition against a response
+   * { tabId?, regex?, flags?, json?: { path, equals?, exists? }, negate? }
+   * @returns {boolean}
+   */
+  evaluate(condition) {
+    const text = condition.tabId !== undefined
+      ? this.responses.get(condition.tabId)
+      : this.lastResponse?.text;
+    if (text === undefined) {
+      throw new Error(`Condition has no response to test${condition.tabId !== undefined ? ` for tab ${condition.tabId}` : ''}`);
+    }
+
+    let result;
+    if (condition.regex) {
+      result = new RegExp(condition.regex, condition.flags).test(text);
+    } else if (condition.json) {
+      const value = jsonPath(parseJsonResponse(text), condition.json.path);
+      if (condition.json.equals !== undefined) {
+        result = JSON.stringify(value) === JSON.stringify(condition.json.equals);
+      } else if (condition.json.exists !== undefined) {
+        result = (value !== undefined) === condition.json.exists;
+      } else {
+        result = Boolean(value);
+      }
+    } else {
+      throw new Error('Condition needs regex or json');
+    }
+
+    return condition.negate ? !result : result;
+  }
+}
+
+function responseText(response) {
+  if (typeof response === 'string') {
+    return response;
+  }
+  return response?.text || '';
+}
+
+function requireValue(value, placeholder) {
+  if (value === undefined) {
+    throw new Error(`Template variable ${placeholder} has no value yet`);
+  }
+  return value;
+}
+
+/**
+ * Parse a response as JSON: the whole text, a ```json fenced block, or the first {...}
+ * @returns {*} Parsed value, or undefined if no JSON was found
+ */
+function parseJsonResponse(text) {
+  const candidates = [
+    text,
+    text.match(/```(?:json)?\s*([\s\S]*?)```/)?.[1],
+    text.match(/\{[\s\S]*\}/)?.[0]
+  ];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return undefined;
+}
+
+function jsonPath(value, path) {
+  return path.split('.').filter(Boolean).reduce((current, key) => current?.[key], value);
+}
+
+module.exports = { WorkflowRunner, parseJsonResponse };
@@ -12,6 +12,7 @@
 export interface SpawnClaudeDotAiTabParams {
   url?: string;
   usePool?: boolean;
+  settings?: ConversationSettingsRequest;
 }
 
 export interface GetClaudeDotAiTabsParams {
@@ -19,16 +20,129 @@ export interface GetClaudeDotAiTabsParams {
 }
 
 export interface GetClaudeConversationsParams {
-  // No parameters
+  offset?: number;
+  limit?: number;
+  cursor?: string;
+  all?: boolean;
+  delayMs?: number;
+  source?: ConversationSource;
 }
 
+/** live fetches through a Claude tab; mirror reads the local conversation mirror */
+export type ConversationSource = 'live' | 'mirror';
+
 export interface SendMessageToClaudeDotAiTabParams {
   tabId: number;
   message: string;
+  attachments?: MessageAttachment[];
   waitForReady?: boolean;
   maxRetries?: number;
 }
 
+export interface TabEditMessageParams {
+  tabId: number;
+  /** Position among the displayed user and assistant messages, from 0 */
+  messageIndex: number;
+  message: string;
+  waitForCompletion?: boolean;
+}
+
+export interface TabRegenerateResponseParams {
+  tabId: number;
+  waitForCompletion?: boolean;
+}
+
+export interface TabGetBranchesParams {
+  tabId: number;
+}
+
+export interface TabSwitchBranchParams {
+  tabId: number;
+  messageIndex: number;
+  /** Numbered from 1 */
+  branch: number;
+}
+
+/** Exactly one of conversationId and tabId */
+export interface TabForkConversationParams {
+  conversationId?: string;
+  tabId?: number;
+  /** Last message kept, by position on the current branch from 0 */
+  messageIndex: number;
+  waitForCompletion?: boolean;
+}
+
+export interface TabForkConversationResponse {
+  success: boolean;
+  tabId: number;
+  /** null if the tab did not reach a saved conversation in time */
+  conversationId: string | null;
+  url: string | null;
+  operationId: string;
+  /** The fork's first user message: a transcript of the parent's messages, not copies of them */
+  seed: {
+    type: 'transcript';
+    /** Parent messages in the transcript */
+    transcriptMessages: number;
+  };
+  parent: {
+    conversationId: string;
+    title: string;
+    messageIndex: number;
+    messageUuid: string;
+    url: string;
+  };
+  response?: any;
+}
+
+export interface BranchMessage {
+  uuid: string;
+  parentUuid: string | null;
+  role: 'user' | 'assistant';
+  /** Position on the current branch, null off it */
+  position: number | null;
+  preview: string;
+  childUuids: string[];
+}
+
+export interface BranchPoint {
+  parentUuid: string | null;
+  position: number | null;
+  selected: number | null;
+  branches: Array<{
+    branch: number;
+    uuid: string;
+    role: 'user' | 'assistant';
+    preview: string;
+  }>;
+}
+
+export interface TabGetBranchesResponse {
+  success: boolean;
+  tabId: number;
+  conversationId: string;
+  currentLeafUuid: string | null;
+  messages: BranchMessage[];
+  branchPoints: BranchPoint[];
+}
+
+export interface TabSwitchBranchResponse {
+  success: boolean;
+  tabId: number;
+  messageIndex: number;
+  branch: number;
+  branchCount: number;
+  error?: string;
+}
+
+/** A local file (path) or a base64 blob (data, which requires mimeType) */
+export interface MessageAttachment {
+  path?: string;
+  data?: string;
+  mimeType?: string;
+  fileName?: string;
+}
+
 export interface GetClaudeDotAiResponseParams {
   tabId: number;
   waitForCompletion?: boolean;
@@ -45,8 +159,9 @@ export interface BatchSendMessagesParams {
 }
 
 export interface GetConversationMetadataParams {
-  tabId: number;
+  conversationId: string;
   includeMessages?: boolean;
+  source?: ConversationSource;
 }
 
 export interface ExportConversationTranscriptParams {
@@ -138,6 +253,346 @@ export interface SystemWaitOperationParams {
   timeoutMs?: number;
 }
 
+export type OperationStatus = 'pending' | 'in_progress' | 'completed' | 'failed' | 'cancelled';
+
+export interface OperationMilestone {
+  milestone: string;
+  timestamp: number;
+  data: Record<string, any>;
+}
+
+export interface OperationSummary {
+  id: string;
+  type: string;
+  params: Record<string, any>;
+  status: OperationStatus;
+  createdAt: number;
+  lastUpdated: number;
+  milestoneCount: number;
+  milestones: OperationMilestone[];
+}
+
+export interface TabStreamResponseParams {
+  tabId: number;
+  message: string;
+  timeoutMs?: number;
+}
+
+/** Payload of a response_delta notification: replace text from offset with delta */
+export interface ResponseDelta {
+  operationId: string;
+  tabId: number;
+  offset: number;
+  delta: string;
+  responseLength: number;
+}
+
+export interface TabStreamResponseResponse {
+  success: boolean;
+  operationId: string;
+  status: string;
+  response?: any;
+  duration?: number | null;
+  deltaCount: number;
+  streamedLength: number;
+  error?: string;
+}
+
+export interface WorkflowCondition {
+  tabId?: number;
+  regex?: string;
+  flags?: string;
+  json?: {
+    path: string;
+    equals?: any;
+    exists?: boolean;
+  };
+  negate?: boolean;
+}
+
+export type WorkflowStep =
+  | { type: 'send'; tabId: number; message: string }
+  | { type: 'wait'; tabId: number; timeoutMs?: number; saveAs?: string }
+  | { type: 'forward'; sourceTabId: number; targetTabId: number; template?: string }
+  | { type: 'branch'; if: WorkflowCondition; then: WorkflowStep[]; else?: WorkflowStep[] }
+  | { type: 'loop'; maxIterations: number; steps: WorkflowStep[]; until?: WorkflowCondition }
+  | { type: 'collect'; tabIds?: number[]; as?: string };
+
+export interface TabRunWorkflowParams {
+  steps: WorkflowStep[];
+  name?: string;
+  waitForCompletion?: boolean;
+}
+
+export interface WorkflowResult {
+  stepsExecuted: number;
+  responses: Record<string, string>;
+  vars: Record<string, string>;
+  collected: Array<{
+    as?: string;
+    tabId: number;
+    iteration: number;
+    response: string;
+  }>;
+}
+
+export interface TabRunWorkflowResponse {
+  success: boolean;
+  operationId: string;
+  status: string;
+  message?: string;
+  result?: WorkflowResult;
+  error?: string;
+}
+
+export interface TabDebateParams {
+  tabIds: number[];
+  topic: string;
+  rounds?: number;
+  roles?: string[];
+  critiqueTemplate?: string;
+  timeoutMs?: number;
+  waitForCompletion?: boolean;
+}
+
+export interface DebateResult {
+  participants: Array<{ participant: number; tabId: number; role: string }>;
+  rounds: Array<{
+    round: number;
+    phase: 'propose' | 'critique' | 'final';
+    entries: Array<{ participant: number; tabId: number; response: string }>;
+  }>;
+  summary: {
+    positions: Array<{
+      participant: number;
+      tabId: number;
+      position: string | null;
+      agreeWith: number[];
+      agreedPoints: string[];
+    }>;
+    agreeingPairs: Array<[number, number]>;
+    unanimous: boolean;
+    agreedPoints: Array<{ point: string; participants: number[] }>;
+    unparsed: number[];
+  };
+}
+
+export interface TabDebateResponse {
+  success: boolean;
+  operationId: string;
+  status: string;
+  message?: string;
+  result?: DebateResult;
+  error?: string;
+}
+
+export interface TabPoolStats {
+  ready: number;
+  leased: number;
+  warming: number;
+  targetSize: number;
+}
+
+export interface TabPoolLeaseParams {
+  leaseTtlMs?: number;
+  poolSize?: number;
+}
+
+export interface TabPoolLeaseResponse {
+  success: boolean;
+  tabId: number;
+  clientId: string | null;
+  clientName: string | null;
+  leasedAt: number;
+  expiresAt: number;
+  fromPool: boolean;
+  pool: TabPoolStats;
+  error?: string;
+}
+
+/** Model and style match by exact name, or by a fragment only one option contains; unset fields are left as they are */
+export interface ConversationSettingsRequest {
+  model?: string;
+  extendedThinking?: boolean;
+  webSearch?: boolean;
+  style?: string;
+}
+
+/** Settings read from the composer; null when the page does not offer the setting */
+export interface ConversationSettings {
+  model: string | null;
+  extendedThinking: boolean | null;
+  webSearch: boolean | null;
+  style: string | null;
+}
+
+export interface TabGetConversationSettingsParams {
+  tabId: number;
+}
+
+export interface TabSetConversationSettingsParams extends ConversationSettingsRequest {
+  tabId: number;
+}
+
+export interface ConversationSettingsMismatch {
+  setting: keyof ConversationSettingsRequest;
+  requested: string | boolean;
+  actual: string | boolean | null;
+}
+
+export interface TabConversationSettingsResponse {
+  success: boolean;
+  tabId: number;
+  settings: ConversationSettings;
+  requested?: ConversationSettingsRequest;
+  mismatches?: ConversationSettingsMismatch[];
+  error?: string;
+}
+
+export interface TabPoolReturnParams {
+  tabId: number;
+}
+
+export interface TabPoolReturnResponse {
+  success: boolean;
+  tabId: number;
+  returnedToPool: boolean;
+  pool: TabPoolStats;
+  error?: string;
+}
+
+export interface TabEnqueueMessagesParams {
+  tabId: number;
+  messages: string[];
+}
+
+export interface TabQueueItem {
+  operationId: string;
+  position: number;
+  status: 'pending' | 'delivering';
+  messagePreview: string;
+  clientId: string | null;
+  enqueuedAt: number;
+  deliveredAt?: number;
+}
+
+export interface TabQueueResponse {
+  success: boolean;
+  tabId: number;
+  items: TabQueueItem[];
+  queueLength: number;
+  error?: string;
+}
+
+export interface TabGetQueueParams {
+  tabId: number;
+}
+
+export interface TabReorderQueueParams {
+  tabId: number;
+  operationIds: string[];
+}
+
+export interface TabClearQueueParams {
+  tabId: number;
+  operationIds?: string[];
+}
+
+export interface TabClearQueueResponse extends TabQueueResponse {
+  removed: string[];
+}
+
+export interface SystemListOperationsParams {
+  type?: string;
+  status?: OperationStatus;
+  tabId?: number;
+  since?: number;
+  until?: number;
+  offset?: number;
+  limit?: number;
+  milestoneLimit?: number;
+}
+
+export interface SystemListOperationsResponse {
+  success: boolean;
+  operations: OperationSummary[];
+  total: number;
+  offset: number;
+  hasMore: boolean;
+}
+
+export interface SystemGetOperationParams {
+  operationId: string;
+  milestoneOffset?: number;
+  milestoneLimit?: number;
+}
+
+export interface SystemGetOperationResponse {
+  success: boolean;
+  operation: OperationSummary & {
+    milestoneOffset: number;
+    hasMoreMilestones: boolean;
+  };
+}
+
+export type AuditOutcome = 'success' | 'error' | 'policy_denied' | 'confirmation_required';
+
+export interface AuditEntry {
+  timestamp: number;
+  pid: number;
+  client: string | null;
+  tool: string;
+  args: Record<string, any>;
+  targets: {
+    tabIds: number[];
+    conversationIds: string[];
+  };
+  operationId?: string;
+  durationMs: number;
+  outcome: AuditOutcome;
+  error?: string;
+  confirmed?: boolean;
+}
+
+export interface SystemGetAuditLogParams {
+  since?: number;
+  until?: number;
+  client?: string;
+  tool?: string;
+  outcome?: AuditOutcome;
+  tabId?: number;
+  conversationId?: string;
+  offset?: number;
+  limit?: number;
+}
+
+export interface SystemGetAuditLogResponse {
+  success: boolean;
+  entries: AuditEntry[];
+  total: number;
+  offset: number;
+  hasMore: boolean;
+}
+
+export interface SystemCancelOperationParams {
+  operationId: string;
+  reason?: string;
+}
+
+export interface SystemCancelOperationResponse {
+  success: boolean;
+  operationId: string;
+  status: OperationStatus;
+  reason?: string;
+  error?: string;
+  extension?: {
+    success: boolean;
+    generationStopped?: boolean;
+    lockReleased?: boolean;
+    error?: string;
+  };
+}
+
 export interface TabForwardResponseParams {
   sourceTabId: number;
   targetTabId: number;
@@ -168,6 +623,22 @@ export interface ApiSearchConversationsParams {
   maxMessages?: number;
   openOnly?: boolean;
   limit?: number;
+  delayMs?: number;
+  source?: ConversationSource;
+}
+
+export interface ApiSearchMessagesParams {
+  query: string;
+  limit?: number;
+  conversationId?: string;
+  role?: 'user' | 'assistant';
+  refresh?: 'incremental' | 'full' | 'none';
+  delayMs?: number;
+}
+
+export interface ApiSyncConversationsParams {
+  full?: boolean;
+  delayMs?: number;
 }
 
 export interface ApiGetConversationUrlParams {
@@ -180,6 +651,31 @@ export interface ApiDeleteConversationsParams {
   delayMs?: number;
 }
 
+export interface ConversationBatchParams {
+  batchSize?: number;
+  delayMs?: number;
+}
+
+export interface ApiRenameConversationsParams extends ConversationBatchParams {
+  renames: Array<{ conversationId: string; name: string }>;
+}
+
+export interface ApiStarConversationsParams extends ConversationBatchParams {
+  conversationIds: string[];
+  starred?: boolean;
+}
+
+export interface ApiArchiveConversationsParams extends ConversationBatchParams {
+  conversationIds: string[];
+  archived?: boolean;
+}
+
+export interface ApiMoveConversationsParams extends ConversationBatchParams {
+  conversationIds: string[];
+  /** Target Project UUID, or null to take the conversations out of their Project */
+  projectId: string | null;
+}
+
 // Tab Pool specific parameters
 export interface GetTabPoolStatsParams {
   // No parameters
@@ -195,10 +691,78 @@ export interface ConfigureTabPoolParams {
   idleTimeout?: number;
 }
 
+export interface ScheduleCreateParams {
+  conversationId: string;
+  message: string;
+  at?: string;
+  intervalMs?: number;
+  name?: string;
+}
+
+export interface ScheduleListParams {
+  conversationId?: string;
+}
+
+export interface ScheduleDeleteParams {
+  scheduleId: string;
+}
+
 // ============================================================================
 // Response Types
 // ============================================================================
 
+/**
+ * Fields every tool's structuredContent may carry
+ */
+export interface ToolResultEnvelope {
+  success?: boolean;
+  error?: string;
+  reason?: string;
+}
+
+/**
+ * _meta.failure of an isError result; error results carry no structuredContent
+ */
+export interface ToolFailure {
+  success: false;
+  error?: string;
+  reason?: string;
+  policy?: PolicyErrorDetails;
+}
+
+/**
+ * Why the tool permission policy stopped a call
+ */
+export interface PolicyErrorDetails {
+  code: 'policy_denied' | 'confirmation_required';
+  tool: string;
+  client: string | null;
+  rule: string | null;
+  reason?: string;
+  confirmationToken?: string;
+  expiresAt?: number;
+}
+
+export interface SystemConfirmToolCallParams {
+  confirmationToken: string;
+}
+
+export interface SystemConfirmToolCallResponse extends ToolResultEnvelope {
+  tool?: string;
+  result?: Record<string, any>;
+}
+
+export interface SystemRelayTakeoverResponse extends ToolResultEnvelope {
+  status?: string;
+  message?: string;
+  currentClients?: number;
+  previousRelay?: {
+    version?: string;
+    uptime?: number;
+    clients?: number;
+  };
+}
+
 export interface SpawnClaudeDotAiTabResponse {
   success: boolean;
   id: number;
@@ -206,6 +770,7 @@ export interface SpawnClaudeDotAiTabResponse {
   message: string;
   poolStats?: TabPoolStats;
   poolError?: string;
+  settings?: ConversationSettings;
 }
 
 export interface ClaudeDotAiTab {
@@ -324,6 +889,9 @@ export interface ConversationSearchResult {
     tabId: number | null;
     isOpen: boolean;
   }>;
+  total: number;
+  scanned: number;
+  scannedAll: boolean;
   search_metadata: {
     total_found: number;
     returned: number;
@@ -476,6 +1044,27 @@ export interface TabBatchOperationsResponse {
   getResult?: BatchResponseResult;
   success?: boolean;
   error?: string;
+  operationId?: string;
+}
+
+export interface ApiListConversationsResponse {
+  success: boolean;
+  conversations: Array<{
+    id: string;
+    title: string;
+    created_at: string;
+    updated_at: string;
+    message_count: number;
+    tabId: number | null;
+    isOpen: boolean;
+  }>;
+  offset: number;
+  limit: number | null;
+  hasMore: boolean;
+  nextCursor: string | null;
+  pagesFetched: number;
+  source?: 'mirror';
+  syncedAt?: number | null;
 }
 
 export interface ApiSearchConversationsResponse {
@@ -497,6 +1086,40 @@ export interface ApiSearchConversationsResponse {
   };
 }
 
+export interface MessageSearchHit {
+  conversationId: string;
+  title: string;
+  updatedAt?: string | null;
+  messageIndex: number;
+  messageUuid: string | null;
+  role: 'user' | 'assistant';
+  snippet: string;
+  score: number;
+}
+
+export interface ApiSearchMessagesResponse {
+  success: boolean;
+  query: string;
+  hits: MessageSearchHit[];
+  total: number;
+  indexedConversations: number;
+  refreshed: ConversationSyncReport | null;
+}
+
+export interface ConversationSyncReport {
+  listed: number;
+  added: Array<{ id: string; title: string }>;
+  updated: Array<{ id: string; title: string }>;
+  removed: Array<{ id: string; title: string }>;
+  failed: Array<{ conversationId: string; error: string }>;
+  total: number;
+  syncedAt: number;
+}
+
+export interface ApiSyncConversationsResponse extends ConversationSyncReport {
+  success: boolean;
+}
+
 export interface ApiGetConversationUrlResponse {
   success: boolean;
   conversationId: string;
@@ -520,6 +1143,145 @@ export interface ApiDeleteConversationsResponse {
   message: string;
 }
 
+export interface ApiListProjectsParams {
+  includeArchived?: boolean;
+}
+
+export interface ApiGetProjectParams {
+  projectId: string;
+}
+
+export interface ApiCreateConversationInProjectParams {
+  projectId: string;
+  name?: string;
+  openTab?: boolean;
+  activate?: boolean;
+}
+
+export interface ApiListProjectDocsParams {
+  projectId: string;
+  includeContent?: boolean;
+}
+
+export interface ApiAddProjectDocsParams {
+  projectId: string;
+  /** Local UTF-8 text files; each becomes one knowledge document named after the file */
+  filePaths: string[];
+}
+
+export interface ApiRemoveProjectDocsParams {
+  projectId: string;
+  docIds: string[];
+}
+
+export interface ClaudeProject {
+  id: string;
+  name: string;
+  description: string;
+  isPrivate: boolean;
+  created_at: string | null;
+  updated_at: string | null;
+  archived: boolean;
+}
+
+export interface ProjectDoc {
+  id: string;
+  fileName: string;
+  created_at: string | null;
+  size: number;
+  content?: string;
+}
+
+export interface ApiListProjectsResponse {
+  success: boolean;
+  projects: ClaudeProject[];
+  total: number;
+}
+
+export interface ApiGetProjectResponse {
+  success: boolean;
+  project: ClaudeProject & { instructions: string };
+  docs: ProjectDoc[];
+}
+
+export interface ApiCreateConversationInProjectResponse {
+  success: boolean;
+  conversationId: string;
+  projectId: string;
+  name: string;
+  url: string | null;
+  tabId: number | null;
+}
+
+export interface ApiListProjectDocsResponse {
+  success: boolean;
+  projectId: string;
+  docs: ProjectDoc[];
+  total: number;
+}
+
+export interface ApiAddProjectDocsResponse {
+  success: boolean;
+  projectId: string;
+  added: ProjectDoc[];
+  failed: Array<{ fileName: string; error: string }>;
+}
+
+export interface ApiRemoveProjectDocsResponse {
+  success: boolean;
+  projectId: string;
+  removed: string[];
+  failed: Array<{ id: string; error: string }>;
+}
+
+export interface ConversationUpdateResult {
+  success: boolean;
+  updated: string[];
+  failed: Array<{ id: string; error: string }>;
+  updatedCount: number;
+  failedCount: number;
+  totalProcessed: number;
+  cancelled: boolean;
+}
+
+export interface ConversationUpdateResponse {
+  success: boolean;
+  operationId: string;
+  status: string;
+  message?: string;
+  /** Present when the call carried a progressToken and stayed open */
+  result?: ConversationUpdateResult;
+  timestamp: number;
+}
+
+export interface Schedule {
+  id: string;
+  name?: string;
+  conversationId: string;
+  message: string;
+  intervalMs: number | null;
+  nextRunAt: number;
+  createdAt: number;
+  createdBy: string | null;
+  runCount: number;
+  lastRunAt: number | null;
+  lastOperationId: string | null;
+  lastError: string | null;
+}
+
+export interface ScheduleResponse {
+  success: boolean;
+  schedule: Schedule;
+  error?: string;
+}
+
+export interface ScheduleListResponse {
+  success: boolean;
+  schedules: Schedule[];
+  count: number;
+  error?: string;
+}
+
 // ============================================================================
 // Union Types for Generic Handling
 // ============================================================================
@@ -556,6 +1318,11 @@ export type ToolParams =
   // System tools
   | { tool: 'system_health'; params: GetConnectionHealthParams }
   | { tool: 'system_wait_operation'; params: SystemWaitOperationParams }
+  | { tool: 'system_list_operations'; params: SystemListOperationsParams }
+  | { tool: 'system_get_operation'; params: SystemGetOperationParams }
+  | { tool: 'system_get_audit_log'; params: SystemGetAuditLogParams }
+  | { tool: 'system_cancel_operation'; params: SystemCancelOperationParams }
+  | { tool: 'system_confirm_tool_call'; params: SystemConfirmToolCallParams }
   // Chrome tools  
   | { tool: 'chrome_reload_extension'; params: ReloadExtensionParams }
   | { tool: 'chrome_debug_attach'; params: DebugAttachParams }
@@ -571,19 +1338,51 @@ export type ToolParams =
   | { tool: 'tab_list'; params: GetClaudeDotAiTabsParams }
   | { tool: 'tab_close'; params: CloseClaudeDotAiTabParams }
   | { tool: 'tab_send_message'; params: SendMessageToClaudeDotAiTabParams }
+  | { tool: 'tab_stream_response'; params: TabStreamResponseParams }
+  | { tool: 'tab_run_workflow'; params: TabRunWorkflowParams }
+  | { tool: 'tab_debate'; params: TabDebateParams }
+  | { tool: 'tab_pool_lease'; params: TabPoolLeaseParams }
+  | { tool: 'tab_pool_return'; params: TabPoolReturnParams }
+  | { tool: 'tab_enqueue_messages'; params: TabEnqueueMessagesParams }
+  | { tool: 'tab_get_queue'; params: TabGetQueueParams }
+  | { tool: 'tab_reorder_queue'; params: TabReorderQueueParams }
+  | { tool: 'tab_clear_queue'; params: TabClearQueueParams }
   | { tool: 'tab_get_response'; params: GetClaudeDotAiResponseParams }
   | { tool: 'tab_get_response_status'; params: GetClaudeDotAiResponseStatusParams }
   | { tool: 'tab_forward_response'; params: TabForwardResponseParams }
   | { tool: 'tab_extract_elements'; params: ExtractConversationElementsParams }
   | { tool: 'tab_export_conversation'; params: ExportConversationTranscriptParams }
+  | { tool: 'tab_edit_message'; params: TabEditMessageParams }
+  | { tool: 'tab_regenerate_response'; params: TabRegenerateResponseParams }
+  | { tool: 'tab_get_branches'; params: TabGetBranchesParams }
+  | { tool: 'tab_switch_branch'; params: TabSwitchBranchParams }
+  | { tool: 'tab_fork_conversation'; params: TabForkConversationParams }
+  | { tool: 'tab_get_conversation_settings'; params: TabGetConversationSettingsParams }
+  | { tool: 'tab_set_conversation_settings'; params: TabSetConversationSettingsParams }
   | { tool: 'tab_debug_page'; params: DebugClaudeDotAiPageParams }
   | { tool: 'tab_batch_operations'; params: TabBatchOperationsParams }
   // API tools
   | { tool: 'api_list_conversations'; params: GetClaudeConversationsParams }
   | { tool: 'api_search_conversations'; params: ApiSearchConversationsParams }
+  | { tool: 'api_search_messages'; params: ApiSearchMessagesParams }
+  | { tool: 'api_sync_conversations'; params: ApiSyncConversationsParams }
   | { tool: 'api_get_conversation_metadata'; params: GetConversationMetadataParams }
   | { tool: 'api_get_conversation_url'; params: ApiGetConversationUrlParams }
-  | { tool: 'api_delete_conversations'; params: ApiDeleteConversationsParams };
+  | { tool: 'api_delete_conversations'; params: ApiDeleteConversationsParams }
+  | { tool: 'api_rename_conversations'; params: ApiRenameConversationsParams }
+  | { tool: 'api_star_conversations'; params: ApiStarConversationsParams }
+  | { tool: 'api_archive_conversations'; params: ApiArchiveConversationsParams }
+  | { tool: 'api_move_conversations'; params: ApiMoveConversationsParams }
+  | { tool: 'api_list_projects'; params: ApiListProjectsParams }
+  | { tool: 'api_get_project'; params: ApiGetProjectParams }
+  | { tool: 'api_create_conversation_in_project'; params: ApiCreateConversationInProjectParams }
+  | { tool: 'api_list_project_docs'; params: ApiListProjectDocsParams }
+  | { tool: 'api_add_project_docs'; params: ApiAddProjectDocsParams }
+  | { tool: 'api_remove_project_docs'; params: ApiRemoveProjectDocsParams }
+  // Schedule tools
+  | { tool: 'schedule_create'; params: ScheduleCreateParams }
+  | { tool: 'schedule_list'; params: ScheduleListParams }
+  | { tool: 'schedule_delete'; params: ScheduleDeleteParams };
 
 export type ToolResponse =
   // LEGACY TOOLS (backward compatibility)
@@ -617,6 +1416,12 @@ export type ToolResponse =
   // System tools
   | { tool: 'system_health'; result: ConnectionHealth }
   | { tool: 'system_wait_operation'; result: { success: boolean; message?: string } }
+  | { tool: 'system_list_operations'; result: SystemListOperationsResponse }
+  | { tool: 'system_get_operation'; result: SystemGetOperationResponse }
+  | { tool: 'system_get_audit_log'; result: SystemGetAuditLogResponse }
+  | { tool: 'system_cancel_operation'; result: SystemCancelOperationResponse }
+  | { tool: 'system_confirm_tool_call'; result: SystemConfirmToolCallResponse }
+  | { tool: 'system_relay_takeover'; result: SystemRelayTakeoverResponse }
   // Chrome tools
   | { tool: 'chrome_reload_extension'; result: { success: boolean } }
   | { tool: 'chrome_debug_attach'; result: { success: boolean; alreadyAttached?: boolean; external?: boolean } }
@@ -633,18 +1438,50 @@ export type ToolResponse =
   | { tool: 'tab_close'; result: { success: boolean } }
   | { tool: 'tab_send_message'; result: SendMessageResponse }
   | { tool: 'tab_get_response'; result: ClaudeResponseData }
+  | { tool: 'tab_stream_response'; result: TabStreamResponseResponse }
+  | { tool: 'tab_run_workflow'; result: TabRunWorkflowResponse }
+  | { tool: 'tab_debate'; result: TabDebateResponse }
+  | { tool: 'tab_pool_lease'; result: TabPoolLeaseResponse }
+  | { tool: 'tab_pool_return'; result: TabPoolReturnResponse }
+  | { tool: 'tab_enqueue_messages'; result: TabQueueResponse }
+  | { tool: 'tab_get_queue'; result: TabQueueResponse }
+  | { tool: 'tab_reorder_queue'; result: TabQueueResponse }
+  | { tool: 'tab_clear_queue'; result: TabClearQueueResponse }
   | { tool: 'tab_get_response_status'; result: ResponseStatus }
   | { tool: 'tab_forward_response'; result: { success: boolean; message?: string } }
   | { tool: 'tab_extract_elements'; result: { elements: ConversationElement[] } }
   | { tool: 'tab_export_conversation'; result: ConversationTranscript }
+  | { tool: 'tab_edit_message'; result: SendMessageResponse }
+  | { tool: 'tab_regenerate_response'; result: SendMessageResponse }
+  | { tool: 'tab_get_branches'; result: TabGetBranchesResponse }
+  | { tool: 'tab_switch_branch'; result: TabSwitchBranchResponse }
+  | { tool: 'tab_fork_conversation'; result: TabForkConversationResponse }
+  | { tool: 'tab_get_conversation_settings'; result: TabConversationSettingsResponse }
+  | { tool: 'tab_set_conversation_settings'; result: TabConversationSettingsResponse }
   | { tool: 'tab_debug_page'; result: any }
   | { tool: 'tab_batch_operations'; result: TabBatchOperationsResponse }
   // API tools
-  | { tool: 'api_list_conversations'; result: ClaudeConversation[] }
+  | { tool: 'api_list_conversations'; result: ApiListConversationsResponse }
   | { tool: 'api_search_conversations'; result: ApiSearchConversationsResponse }
+  | { tool: 'api_search_messages'; result: ApiSearchMessagesResponse }
+  | { tool: 'api_sync_conversations'; result: ApiSyncConversationsResponse }
   | { tool: 'api_get_conversation_metadata'; result: ConversationMetadata }
   | { tool: 'api_get_conversation_url'; result: ApiGetConversationUrlResponse }
-  | { tool: 'api_delete_conversations'; result: ApiDeleteConversationsResponse };
+  | { tool: 'api_delete_conversations'; result: ApiDeleteConversationsResponse }
+  | { tool: 'api_rename_conversations'; result: ConversationUpdateResponse }
+  | { tool: 'api_star_conversations'; result: ConversationUpdateResponse }
+  | { tool: 'api_archive_conversations'; result: ConversationUpdateResponse }
+  | { tool: 'api_move_conversations'; result: ConversationUpdateResponse }
+  | { tool: 'api_list_projects'; result: ApiListProjectsResponse }
+  | { tool: 'api_get_project'; result: ApiGetProjectResponse }
+  | { tool: 'api_create_conversation_in_project'; result: ApiCreateConversationInProjectResponse }
+  | { tool: 'api_list_project_docs'; result: ApiListProjectDocsResponse }
+  | { tool: 'api_add_project_docs'; result: ApiAddProjectDocsResponse }
+  | { tool: 'api_remove_project_docs'; result: ApiRemoveProjectDocsResponse }
+  // Schedule tools
+  | { tool: 'schedule_create'; result: ScheduleResponse }
+  | { tool: 'schedule_list'; result: ScheduleListResponse }
+  | { tool: 'schedule_delete'; result: ScheduleResponse };
 
 // ============================================================================
 // Type Guards
@@ -0,0 +1,71 @@
+const WebSocket = require('ws');
+
+/**
+ * Stand-in for the Chrome extension on the relay
+ * Connects as an 'extension' client and answers the commands it has handlers for,
+ * so unit tests can drive server-side logic that talks to the extension.
+ */
+class FakeExtension {
+  /**
+   * @param {Object<string, function(Object): Object>} handlers - Result for each command type, by its params
+   * @param {Object} options
+   * @param {number} options.port - Relay port (default: MCP_WEBSOCKET_PORT or 54321)
+   */
+  constructor(handlers, options = {}) {
+    this.handlers = handlers;
+    this.port = options.port || parseInt(process.env.MCP_WEBSOCKET_PORT || '54321', 10);
+    this.requests = [];
+    this.ws = null;
+  }
+
+  /**
+   * Connect and identify, retrying while the server's relay starts
+   */
+  async connect(timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      try {
+        this.ws = await this.open();
+        break;
+      } catch (error) {
+        if (Date.now() > deadline) {
+          throw new Error(`Fake extension could not reach the relay: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    }
+
+    this.ws.on('message', data => this.handle(JSON.parse(data.toString())));
+    this.ws.send(JSON.stringify({ type: 'identify', clientType: 'extension', name: 'Fake Extension' }));
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://localhost:${this.port}`);
+      ws.once('open', () => resolve(ws));
+      ws.once('error', reject);
+    });
+  }
+
+  handle(message) {
+    if (!message._from || !message.id || !message.type) {
+      return;
+    }
+    this.requests.push({ type: message.type, params: message.params || {} });
+
+    const handler = this.handlers[message.type];
+    const data = handler
+      ? { id: message.id, type: 'response', result: handler(message.params || {}) }
+      : { id: message.id, type: 'error', error: `Fake extension does not handle ${message.type}` };
+    this.ws.send(JSON.stringify({ type: 'unicast', targetId: message._from, data: { ...data, timestamp: Date.now() } }));
+  }
+
+  async disconnect() {
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+  }
+}
+
+module.exports = { FakeExtension };
@@ -3,7 +3,12 @@ const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio
 const path = require('path');
 
 class MCPTestClient {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.env - Extra environment variables for the spawned server
+   */
+  constructor(options = {}) {
+    this.env = options.env || {};
     this.client = new Client({
       name: "test-client",
       version: "1.0.0"
@@ -30,7 +35,8 @@ class MCPTestClient {
         CCM_CLIENT_TYPE: 'test-suite',
         // Disable parent process monitoring for tests
         CCM_NO_STDIN_MONITOR: '1',
-        CCM_MAX_IDLE_TIME: '0' // Disable idle timeout
+        CCM_MAX_IDLE_TIME: '0', // Disable idle timeout
+        ...this.env
       }
     });
     
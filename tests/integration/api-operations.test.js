@@ -52,6 +52,40 @@ describe('API Operations (Requires Extension)', () => {
     }
   });
 
+  describe('Conversation Listing', () => {
+    test('Can page through conversations with a cursor', async () => {
+      const firstPage = await client.callTool('api_list_conversations', { limit: 2 });
+      
+      expect(firstPage.success).toBe(true);
+      expect(firstPage.offset).toBe(0);
+      expect(firstPage.conversations.length).toBeLessThanOrEqual(2);
+      
+      if (!firstPage.hasMore) {
+        expect(firstPage.nextCursor).toBeNull();
+        console.log('⚠️ Account has a single page of conversations');
+        return;
+      }
+      
+      const secondPage = await client.callTool('api_list_conversations', { limit: 2, cursor: firstPage.nextCursor });
+      expect(secondPage.offset).toBe(2);
+      const firstIds = firstPage.conversations.map(conv => conv.id);
+      secondPage.conversations.forEach(conv => expect(firstIds).not.toContain(conv.id));
+      
+      console.log(`✅ Paged to offset ${secondPage.offset} with cursor`);
+    }, 30000);
+    
+    test('Can list every conversation', async () => {
+      const result = await client.callTool('api_list_conversations', { all: true, delayMs: 200 });
+      
+      expect(result.success).toBe(true);
+      expect(result.hasMore).toBe(false);
+      expect(result.nextCursor).toBeNull();
+      expect(new Set(result.conversations.map(conv => conv.id)).size).toBe(result.conversations.length);
+      
+      console.log(`✅ Listed ${result.conversations.length} conversations in ${result.pagesFetched} page(s)`);
+    }, 120000);
+  });
+
   describe('Conversation Search', () => {
     test('Can search conversations by title', async () => {
       const searchResult = await client.callTool('api_search_conversations', {
@@ -233,6 +267,69 @@ describe('API Operations (Requires Extension)', () => {
     }, 10000);
   });
 
+  describe('Conversation Management', () => {
+    test('Can rename, star and unstar a conversation', async () => {
+      // Create a throwaway conversation to manage
+      const tabId = await globalTabHygiene.createDedicatedTab();
+      await client.callTool('tab_send_message', {
+        tabId: tabId,
+        message: "Test message for conversation management test",
+        waitForCompletion: true
+      });
+      const tabList = await client.callTool('tab_list');
+      const conversationId = tabList.tabs.find(t => t.id === tabId).conversationId;
+      await globalTabHygiene.cleanupTab(tabId);
+      expect(conversationId).toBeTruthy();
+      
+      const title = `Managed conversation ${Date.now()}`;
+      try {
+        for (const [tool, args] of [
+          ['api_rename_conversations', { renames: [{ conversationId, name: title }] }],
+          ['api_star_conversations', { conversationIds: [conversationId] }]
+        ]) {
+          const { operationId } = await client.callTool(tool, args);
+          const result = await client.callTool('system_wait_operation', { operationId, timeoutMs: 30000 });
+          expect(result.status).toBe('completed');
+        }
+        
+        const searchResult = await client.callTool('api_search_conversations', { titleSearch: title });
+        expect(searchResult.conversations.map(c => c.id)).toEqual([conversationId]);
+        
+        const { operationId } = await client.callTool('api_star_conversations', {
+          conversationIds: [conversationId],
+          starred: false
+        });
+        const unstarred = await client.callTool('system_wait_operation', { operationId, timeoutMs: 30000 });
+        expect(unstarred.status).toBe('completed');
+        
+        console.log(`✅ Renamed, starred and unstarred conversation ${conversationId}`);
+      } finally {
+        await client.callTool('api_delete_conversations', { conversationIds: [conversationId] });
+      }
+    }, 90000);
+  });
+
+  describe('Projects', () => {
+    test('Can list projects and read one with its documents', async () => {
+      const listResult = await client.callTool('api_list_projects');
+      expect(Array.isArray(listResult.projects)).toBe(true);
+      expect(listResult.total).toBe(listResult.projects.length);
+      
+      if (listResult.projects.length === 0) {
+        console.log('⚠️ No projects in this account, skipping project details');
+        return;
+      }
+      
+      const projectId = listResult.projects[0].id;
+      const projectResult = await client.callTool('api_get_project', { projectId });
+      expect(projectResult.project.id).toBe(projectId);
+      expect(typeof projectResult.project.instructions).toBe('string');
+      expect(Array.isArray(projectResult.docs)).toBe(true);
+      
+      console.log(`✅ Listed ${listResult.total} projects, project ${projectId} has ${projectResult.docs.length} documents`);
+    }, 30000);
+  });
+
   describe('Error Handling', () => {
     test('Handles invalid conversation ID format', async () => {
       try {
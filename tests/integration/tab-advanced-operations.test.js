@@ -91,6 +91,74 @@ describe('Advanced Tab Operations (Requires Extension)', () => {
     }, 45000);
   });
 
+  describe('Response Streaming', () => {
+    test('Streams response deltas while Claude generates', async () => {
+      const tabId = await globalTabHygiene.createDedicatedTab();
+      const deltas = [];
+      
+      try {
+        // onprogress makes the SDK attach a _meta.progressToken; deltas arrive as progress messages
+        const result = await client.client.callTool({
+          name: 'tab_stream_response',
+          arguments: {
+            tabId,
+            message: "Please count from 1 to 20, one number per line."
+          }
+        }, undefined, {
+          onprogress: (progress) => deltas.push(progress.message),
+          resetTimeoutOnProgress: true
+        });
+        
+        const streamed = result.structuredContent;
+        expect(streamed.operationId).toBeTruthy();
+        expect(streamed.deltaCount).toBeGreaterThan(1);
+        expect(deltas.length).toBe(streamed.deltaCount);
+        expect(streamed.streamedLength).toBeGreaterThan(0);
+        
+        console.log(`✅ Streamed ${streamed.deltaCount} deltas (${streamed.streamedLength} chars)`);
+      } finally {
+        await globalTabHygiene.cleanupTab(tabId);
+      }
+    }, 60000);
+  });
+
+  describe('Cancellation', () => {
+    test('Can cancel an in-flight message and stop generation', async () => {
+      const tabId = await globalTabHygiene.createDedicatedTab();
+      
+      try {
+        const sendResult = await client.callTool('tab_send_message', {
+          tabId,
+          message: "Write a 2000 word essay about the history of computing",
+          waitForCompletion: false
+        });
+        expect(sendResult.operationId).toBeTruthy();
+        
+        // Give Claude time to start streaming
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        
+        const cancelResult = await client.callTool('system_cancel_operation', {
+          operationId: sendResult.operationId,
+          reason: 'test cancellation'
+        });
+        
+        expect(cancelResult.success).toBe(true);
+        expect(cancelResult.status).toBe('cancelled');
+        expect(cancelResult.extension.success).toBe(true);
+        
+        // Waiters see the cancelled state
+        await expect(client.callTool('system_wait_operation', {
+          operationId: sendResult.operationId,
+          timeoutMs: 5000
+        })).rejects.toThrow(/cancelled/);
+        
+        console.log(`✅ Cancelled operation (generation stopped: ${cancelResult.extension.generationStopped})`);
+      } finally {
+        await globalTabHygiene.cleanupTab(tabId);
+      }
+    }, 30000);
+  });
+
   describe('Response Forwarding', () => {
     test('Can forward response between tabs', async () => {
       // Create a target tab
@@ -138,6 +206,147 @@ describe('Advanced Tab Operations (Requires Extension)', () => {
         await globalTabHygiene.cleanupTab(targetTabId);
       }
     }, 45000);
+    
+    test('Forwarded code keeps its fence and language', async () => {
+      const sourceTabId = await globalTabHygiene.createDedicatedTab();
+      const targetTabId = await globalTabHygiene.createDedicatedTab();
+      
+      try {
+        const sendResult = await client.callTool('tab_send_message', {
+          tabId: sourceTabId,
+          message: 'Reply with only a Python code block that prints "hi".',
+          waitForCompletion: true
+        });
+        expect(sendResult.success).toBe(true);
+        expect(sendResult.response.text).toMatch(/```python\n[\s\S]*print\([\s\S]*\n```/);
+        
+        const forwardResult = await client.callTool('tab_forward_response', {
+          sourceTabId,
+          targetTabId,
+          transformTemplate: 'Explain this code: ${response}'
+        });
+        
+        expect(forwardResult.success).toBe(true);
+        expect(forwardResult.transformedMessage).toContain('```python');
+        expect(forwardResult.transformedMessage).not.toContain('Copy');
+      } finally {
+        await globalTabHygiene.cleanupTab(sourceTabId);
+        await globalTabHygiene.cleanupTab(targetTabId);
+      }
+    }, 90000);
+  });
+
+  describe('Workflows', () => {
+    test('Runs a review/refine loop between two tabs in one call', async () => {
+      const writerTabId = await globalTabHygiene.createDedicatedTab();
+      const reviewerTabId = await globalTabHygiene.createDedicatedTab();
+      
+      try {
+        const result = await client.callTool('tab_run_workflow', {
+          name: 'review-refine',
+          waitForCompletion: true,
+          steps: [
+            { type: 'send', tabId: writerTabId, message: 'Write a one-line haiku about tabs.' },
+            { type: 'wait', tabId: writerTabId, saveAs: 'draft' },
+            {
+              type: 'loop',
+              maxIterations: 2,
+              until: { tabId: reviewerTabId, regex: 'APPROVED' },
+              steps: [
+                { type: 'forward', sourceTabId: writerTabId, targetTabId: reviewerTabId, template: 'Reply APPROVED if this is a haiku, otherwise one fix: ${response}' },
+                { type: 'wait', tabId: reviewerTabId },
+                {
+                  type: 'branch',
+                  if: { regex: 'APPROVED', negate: true },
+                  then: [
+                    { type: 'forward', sourceTabId: reviewerTabId, targetTabId: writerTabId, template: 'Revise (round ${iteration}): ${response}' },
+                    { type: 'wait', tabId: writerTabId }
+                  ]
+                }
+              ]
+            },
+            { type: 'collect', tabIds: [writerTabId], as: 'final' }
+          ]
+        });
+        
+        expect(result.success).toBe(true);
+        expect(result.status).toBe('completed');
+        expect(result.result.collected[0]).toMatchObject({ as: 'final', tabId: writerTabId });
+        expect(result.result.vars.draft).toBeTruthy();
+        
+        const { operation } = await client.callTool('system_get_operation', { operationId: result.operationId });
+        expect(operation.milestones.some(m => m.milestone === 'step_completed' && m.data.type === 'loop')).toBe(true);
+        console.log(`✅ Workflow ran ${result.result.stepsExecuted} steps`);
+      } finally {
+        await globalTabHygiene.cleanupTab(writerTabId);
+        await globalTabHygiene.cleanupTab(reviewerTabId);
+      }
+    }, 240000);
+  });
+
+  describe('Debates', () => {
+    test('Runs a two-tab debate and summarises agreement', async () => {
+      const firstTabId = await globalTabHygiene.createDedicatedTab();
+      const secondTabId = await globalTabHygiene.createDedicatedTab();
+      
+      try {
+        const result = await client.callTool('tab_debate', {
+          tabIds: [firstTabId, secondTabId],
+          topic: 'Should code comments explain why rather than what? Answer in two sentences.',
+          rounds: 2,
+          roles: ['You argue for.', 'You argue against.'],
+          waitForCompletion: true
+        });
+        
+        expect(result.status).toBe('completed');
+        expect(result.result.rounds.map(r => r.phase)).toEqual(['propose', 'final']);
+        expect(result.result.rounds[1].entries).toHaveLength(2);
+        expect(result.result.summary).toHaveProperty('unanimous');
+        console.log(`✅ Debate finished; agreeing pairs: ${JSON.stringify(result.result.summary.agreeingPairs)}`);
+      } finally {
+        await globalTabHygiene.cleanupTab(firstTabId);
+        await globalTabHygiene.cleanupTab(secondTabId);
+      }
+    }, 240000);
+  });
+
+  describe('Message Queues', () => {
+    test('Queued messages are delivered in order and can be reordered or removed', async () => {
+      const tabId = await globalTabHygiene.createDedicatedTab();
+      
+      try {
+        const enqueued = await client.callTool('tab_enqueue_messages', {
+          tabId,
+          messages: ['Reply with only the word ONE', 'Reply with only the word TWO', 'Reply with only the word THREE']
+        });
+        expect(enqueued.success).toBe(true);
+        expect(enqueued.items.length).toBe(3);
+        const [first, second, third] = enqueued.items.map(item => item.operationId);
+        
+        const reordered = await client.callTool('tab_reorder_queue', { tabId, operationIds: [third] });
+        expect(reordered.items.map(item => item.operationId)).toEqual([first, third, second]);
+        
+        const cleared = await client.callTool('tab_clear_queue', { tabId, operationIds: [second] });
+        expect(cleared.removed).toEqual([second]);
+        await expect(client.callTool('system_wait_operation', { operationId: second, timeoutMs: 5000 }))
+          .rejects.toThrow(/cancelled/);
+        
+        for (const operationId of [first, third]) {
+          const result = await client.callTool('system_wait_operation', { operationId, timeoutMs: 60000 });
+          expect(result.status).toBe('completed');
+        }
+        
+        const queue = await client.callTool('tab_get_queue', { tabId });
+        expect(queue.queueLength).toBe(0);
+        
+        const response = await client.callTool('tab_get_response', { tabId });
+        expect(response.content).toMatch(/THREE/);
+        
+        console.log('✅ Queue delivered 2 messages in order after reorder and removal');
+      } finally {
+        await globalTabHygiene.cleanupTab(tabId);
+      }
+    }, 180000);
   });
 
   describe('Content Extraction', () => {
@@ -276,6 +485,37 @@ describe('Advanced Tab Operations (Requires Extension)', () => {
         await globalTabHygiene.cleanupTab(extraTabId);
       }
     }, 30000);
+
+    test('Reports standard progress notifications per tab', async () => {
+      const tab1Id = await globalTabHygiene.createDedicatedTab();
+      const tab2Id = await globalTabHygiene.createDedicatedTab();
+      const progressEvents = [];
+
+      try {
+        // onprogress makes the SDK attach a _meta.progressToken to the request
+        await client.client.callTool({
+          name: 'tab_batch_operations',
+          arguments: {
+            operation: 'send_messages',
+            messages: [
+              { tabId: tab1Id, message: "What is 2 + 2?" },
+              { tabId: tab2Id, message: "What is 3 + 3?" }
+            ]
+          }
+        }, undefined, {
+          onprogress: (progress) => progressEvents.push(progress)
+        });
+
+        expect(progressEvents.length).toBe(2);
+        expect(progressEvents[1].progress).toBe(2);
+        expect(progressEvents[1].total).toBe(2);
+
+        console.log(`✅ Received ${progressEvents.length} progress notifications`);
+      } finally {
+        await globalTabHygiene.cleanupTab(tab1Id);
+        await globalTabHygiene.cleanupTab(tab2Id);
+      }
+    }, 60000);
   });
 
   describe('Error Handling', () => {
@@ -125,6 +125,146 @@ describe('Tab Operations Functionality (Requires Extension)', () => {
     }, 20000);
   });
 
+  describe('Tab Pool', () => {
+    test('Leased tabs are ready and can be returned', async () => {
+      const before = (await client.callTool('tab_list')).tabs.map(tab => tab.id);
+      
+      try {
+        const lease = await client.callTool('tab_pool_lease', { poolSize: 1 });
+        expect(lease.success).toBe(true);
+        expect(typeof lease.tabId).toBe('number');
+        expect(lease.expiresAt).toBeGreaterThan(Date.now());
+        
+        const tabs = await client.callTool('tab_list');
+        const leasedTab = tabs.tabs.find(tab => tab.id === lease.tabId);
+        expect(leasedTab.hasContentScript).toBe(true);
+        
+        const returned = await client.callTool('tab_pool_return', { tabId: lease.tabId });
+        expect(returned.success).toBe(true);
+        await expect(client.callTool('tab_pool_return', { tabId: lease.tabId }))
+          .rejects.toThrow(/not leased/);
+      } finally {
+        // Close the leased tab and any tabs the pool warmed
+        const after = (await client.callTool('tab_list')).tabs.map(tab => tab.id);
+        for (const tabId of after.filter(id => !before.includes(id))) {
+          await client.callTool('tab_close', { tabId, force: true });
+        }
+      }
+    }, 60000);
+  });
+
+  describe('Conversation Settings', () => {
+    test('Settings read back after they are set', async () => {
+      const current = await client.callTool('tab_get_conversation_settings', { tabId: sharedTabId });
+      expect(current.success).toBe(true);
+      expect(typeof current.settings.model).toBe('string');
+
+      // Toggle extended thinking and restore it, when the page offers it
+      if (current.settings.extendedThinking !== null) {
+        const toggled = await client.callTool('tab_set_conversation_settings', {
+          tabId: sharedTabId,
+          extendedThinking: !current.settings.extendedThinking
+        });
+        expect(toggled.mismatches).toEqual([]);
+        expect(toggled.settings.extendedThinking).toBe(!current.settings.extendedThinking);
+
+        await client.callTool('tab_set_conversation_settings', {
+          tabId: sharedTabId,
+          extendedThinking: current.settings.extendedThinking
+        });
+      }
+
+      await expect(client.callTool('tab_set_conversation_settings', {
+        tabId: sharedTabId,
+        model: 'no-such-model'
+      })).rejects.toThrow(/not applied/);
+    }, 60000);
+  });
+
+  describe('Attachments', () => {
+    test('A message is sent with a text file and an image blob attached', async () => {
+      const tabId = await globalTabHygiene.createDedicatedTab({
+        waitForLoad: true,
+        injectContentScript: true
+      });
+      // 1x1 transparent PNG
+      const pixel = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+      const result = await client.callTool('tab_send_message', {
+        tabId,
+        message: 'Reply with the word in the attached file.',
+        attachments: [
+          { data: Buffer.from('pineapple').toString('base64'), mimeType: 'text/plain', fileName: 'word.txt' },
+          { data: pixel, mimeType: 'image/png', fileName: 'pixel.png' }
+        ],
+        waitForCompletion: true
+      });
+
+      expect(result.success).toBe(true);
+      const response = await client.callTool('tab_get_response', { tabId });
+      expect(response.content.toLowerCase()).toContain('pineapple');
+    }, 120000);
+  });
+
+  describe('Branches', () => {
+    test('Regenerating, switching and editing build the branch tree', async () => {
+      const tabId = await globalTabHygiene.createDedicatedTab({
+        waitForLoad: true,
+        injectContentScript: true
+      });
+
+      await client.callTool('tab_send_message', { tabId, message: 'Name a color.', waitForCompletion: true });
+      const regenerated = await client.callTool('tab_regenerate_response', { tabId, waitForCompletion: true });
+      expect(regenerated.success).toBe(true);
+
+      let tree = await client.callTool('tab_get_branches', { tabId });
+      const [responses] = tree.branchPoints;
+      expect(responses).toMatchObject({ position: 1, selected: 2 });
+      expect(responses.branches).toHaveLength(2);
+
+      const switched = await client.callTool('tab_switch_branch', { tabId, messageIndex: 1, branch: 1 });
+      expect(switched).toMatchObject({ branch: 1, branchCount: 2 });
+
+      const edited = await client.callTool('tab_edit_message', {
+        tabId,
+        messageIndex: 0,
+        message: 'Name a fruit.',
+        waitForCompletion: true
+      });
+      expect(edited.success).toBe(true);
+
+      tree = await client.callTool('tab_get_branches', { tabId });
+      const prompts = tree.branchPoints.find(point => point.position === 0);
+      expect(prompts.selected).toBe(2);
+      expect(prompts.branches.map(branch => branch.preview)).toEqual(['Name a color.', 'Name a fruit.']);
+    }, 180000);
+
+    test('A fork seeds a new conversation with the transcript up to a message', async () => {
+      const tabId = await globalTabHygiene.createDedicatedTab({
+        waitForLoad: true,
+        injectContentScript: true
+      });
+      await client.callTool('tab_send_message', { tabId, message: 'Remember the number 41.', waitForCompletion: true });
+      const before = (await client.callTool('tab_get_branches', { tabId })).messages.length;
+
+      const fork = await client.callTool('tab_fork_conversation', { tabId, messageIndex: 1, waitForCompletion: true });
+      try {
+        expect(fork.parent).toMatchObject({ messageIndex: 1 });
+        expect(fork.conversationId).toMatch(/^[0-9a-f-]{36}$/);
+        expect(fork.conversationId).not.toBe(fork.parent.conversationId);
+        expect(fork.seed).toEqual({ type: 'transcript', transcriptMessages: 2 });
+
+        // The fork holds the seed message and its answer, not copies of the parent's messages
+        expect((await client.callTool('tab_get_branches', { tabId: fork.tabId })).messages).toHaveLength(2);
+
+        // The original is untouched
+        expect((await client.callTool('tab_get_branches', { tabId })).messages).toHaveLength(before);
+      } finally {
+        await client.callTool('tab_close', { tabId: fork.tabId, force: true });
+      }
+    }, 180000);
+  });
+
   describe('Content Interaction Operations', () => {
     test('extractConversationElements functionality works', async () => {
       // Create a tab with content script
@@ -212,6 +352,30 @@ describe('Tab Operations Functionality (Requires Extension)', () => {
         console.log(`✅ Response not ready yet: ${responseResult.error}`);
       }
     }, 40000);
+
+    test('The completion stream completes the operation with its stop reason', async () => {
+      const createResult = await client.callTool('tab_create', {
+        waitForLoad: true,
+        injectContentScript: true
+      });
+      expect(createResult.success).toBe(true);
+      createdTabs.push(createResult.tabId);
+      
+      const sendResult = await client.callTool('tab_send_message', {
+        tabId: createResult.tabId,
+        message: 'Reply with the single word: ready',
+        waitForReady: true,
+        waitForCompletion: true
+      });
+      expect(sendResult.success).toBe(true);
+      expect(sendResult.response.stopReason).toBe('end_turn');
+      
+      const { operation } = await client.callTool('system_get_operation', { operationId: sendResult.operationId });
+      const started = operation.milestones.find(m => m.milestone === 'response_started');
+      const completed = operation.milestones.find(m => m.milestone === 'response_completed');
+      expect(started.data.messageId).toBeTruthy();
+      expect(completed.data).toMatchObject({ source: 'stream', stopReason: 'end_turn' });
+    }, 60000);
   });
 
   describe('Error Handling with Real Extension', () => {
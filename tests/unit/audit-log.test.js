@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Audit Log', () => {
+  let client;
+  let auditDir;
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+  });
+
+  beforeEach(async () => {
+    auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-audit-'));
+    client = new MCPTestClient({
+      env: { MCP_AUDIT_LOG_FILE: path.join(auditDir, 'audit.jsonl') }
+    });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+    fs.rmSync(auditDir, { recursive: true, force: true });
+  });
+
+  test('Successful calls are recorded with client and targets', async () => {
+    const conversationId = '00000000-0000-0000-0000-000000000000';
+    await client.callTool('api_get_conversation_url', { conversationId });
+
+    const result = await client.callTool('system_get_audit_log', { tool: 'api_get_conversation_url' });
+
+    expect(result.total).toBe(1);
+    const [entry] = result.entries;
+    expect(entry).toMatchObject({
+      client: 'test-client',
+      tool: 'api_get_conversation_url',
+      args: { conversationId },
+      targets: { tabIds: [], conversationIds: [conversationId] },
+      outcome: 'success'
+    });
+    expect(typeof entry.durationMs).toBe('number');
+  });
+
+  test('Failed calls are recorded with truncated arguments', async () => {
+    const operationId = `op_missing_${'x'.repeat(500)}`;
+    await expect(client.callTool('system_get_operation', { operationId })).rejects.toThrow(/not found/);
+
+    const result = await client.callTool('system_get_audit_log', { outcome: 'error' });
+
+    expect(result.total).toBe(1);
+    const [entry] = result.entries;
+    expect(entry.tool).toBe('system_get_operation');
+    expect(entry.error).toMatch(/not found/);
+    expect(entry.args.operationId.length).toBeLessThan(operationId.length);
+    expect(entry.args.operationId).toMatch(/chars\]$/);
+  });
+
+  test('Entries filter by client and time, newest first', async () => {
+    const since = Date.now();
+    await client.callTool('system_list_operations', {});
+    await client.callTool('api_get_conversation_url', { conversationId: 'abc' });
+
+    const result = await client.callTool('system_get_audit_log', { client: 'test-client', since, limit: 1 });
+    expect(result.entries[0].tool).toBe('api_get_conversation_url');
+    expect(result.total).toBe(2);
+    expect(result.hasMore).toBe(true);
+
+    const other = await client.callTool('system_get_audit_log', { client: 'other-client' });
+    expect(other.total).toBe(0);
+  });
+});
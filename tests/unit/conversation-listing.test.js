@@ -0,0 +1,101 @@
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { FakeExtension } = require('../helpers/fake-extension');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Conversation Listing', () => {
+  const PAGE_SIZE = 50;
+  const ACCOUNT_SIZE = 575;
+  let client;
+  let extension;
+
+  // The account's conversations, newest first
+  const account = Array.from({ length: ACCOUNT_SIZE }, (_, index) => ({
+    id: `00000000-0000-0000-0000-${String(index).padStart(12, '0')}`,
+    title: index % 100 === 0 ? `Weekly report ${index}` : `Conversation ${index}`,
+    created_at: '2026-01-01T00:00:00Z',
+    updated_at: '2026-01-01T00:00:00Z',
+    message_count: 2,
+    tabId: null,
+    isOpen: false
+  }));
+
+  // Cursors are opaque to the server; the fake encodes the next offset
+  const pageAt = (params, limit) => {
+    const offset = params.cursor ? Number(params.cursor) : (params.offset || 0);
+    const conversations = account.slice(offset, offset + limit);
+    const hasMore = conversations.length === limit;
+    return { offset, conversations, hasMore, nextCursor: hasMore ? String(offset + limit) : null };
+  };
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+  });
+
+  beforeEach(async () => {
+    client = new MCPTestClient();
+    await client.connect();
+
+    extension = new FakeExtension({
+      api_list_conversations: params => {
+        const page = pageAt(params, params.limit);
+        return { success: true, ...page, limit: params.limit, pagesFetched: 1 };
+      },
+      api_search_conversations: params => {
+        const page = pageAt(params, PAGE_SIZE);
+        const matches = page.conversations.filter(conversation => conversation.title.includes(params.titleSearch));
+        return {
+          success: true,
+          conversations: matches,
+          total: matches.length,
+          scanned: page.conversations.length,
+          hasMore: page.hasMore,
+          nextCursor: page.nextCursor
+        };
+      }
+    });
+    await extension.connect();
+  });
+
+  afterEach(async () => {
+    if (extension) {
+      await extension.disconnect();
+    }
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  test('Listing every conversation pages for longer than a relay request may take', async () => {
+    const startedAt = Date.now();
+    const result = await client.callTool('api_list_conversations', { all: true, delayMs: 1000 });
+
+    // Eleven pauses between twelve pages outlast the 10 second relay timeout
+    expect(Date.now() - startedAt).toBeGreaterThan(10000);
+    expect(result).toMatchObject({ offset: 0, limit: null, hasMore: false, nextCursor: null, pagesFetched: 12 });
+    expect(result.conversations.map(conversation => conversation.id)).toEqual(account.map(conversation => conversation.id));
+
+    const pageRequests = extension.requests.filter(request => request.type === 'api_list_conversations');
+    expect(pageRequests).toHaveLength(12);
+    pageRequests.forEach(request => expect(request.params.limit).toBe(PAGE_SIZE));
+  }, 30000);
+
+  test('A single page is one request', async () => {
+    const result = await client.callTool('api_list_conversations', { limit: 10, offset: 20 });
+
+    expect(result).toMatchObject({ offset: 20, limit: 10, hasMore: true, pagesFetched: 1 });
+    expect(result.conversations.map(conversation => conversation.title)).toEqual(account.slice(20, 30).map(conversation => conversation.title));
+    expect(extension.requests.filter(request => request.type === 'api_list_conversations')).toHaveLength(1);
+  });
+
+  test('Search pages until enough conversations match', async () => {
+    const some = await client.callTool('api_search_conversations', { titleSearch: 'Weekly report', limit: 3, delayMs: 0 });
+    expect(some.conversations.map(conversation => conversation.title)).toEqual(['Weekly report 0', 'Weekly report 100', 'Weekly report 200']);
+    expect(some).toMatchObject({ total: 3, scanned: 250, scannedAll: false });
+
+    const every = await client.callTool('api_search_conversations', { titleSearch: 'Weekly report', limit: 10, delayMs: 0 });
+    expect(every).toMatchObject({ total: 6, scanned: ACCOUNT_SIZE, scannedAll: true });
+  });
+});
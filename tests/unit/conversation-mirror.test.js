@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { FakeExtension } = require('../helpers/fake-extension');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Conversation Mirror', () => {
+  const branchedId = '33333333-3333-3333-3333-333333333333';
+  const olderId = '44444444-4444-4444-4444-444444444444';
+  let client;
+  let mirrorDir;
+  let mirrorFile;
+
+  const message = (uuid, parentUuid, index, role, text) => ({
+    uuid,
+    parentUuid,
+    index,
+    role,
+    text,
+    created_at: '2026-02-01T00:00:00Z',
+    artifactCount: 0
+  });
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+  });
+
+  beforeEach(async () => {
+    mirrorDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-mirror-'));
+    mirrorFile = path.join(mirrorDir, 'conversations.json');
+
+    // The second answer was regenerated, so the tree has two branches
+    fs.writeFileSync(mirrorFile, JSON.stringify({
+      syncedAt: 1767225600000,
+      conversations: {
+        [olderId]: {
+          id: olderId,
+          title: 'Older notes',
+          created_at: '2026-01-01T00:00:00Z',
+          updated_at: '2026-01-01T00:00:00Z',
+          currentLeafUuid: 'o1',
+          messages: [message('o1', null, 0, 'user', 'Remember this')]
+        },
+        [branchedId]: {
+          id: branchedId,
+          title: 'Table formats',
+          created_at: '2026-02-01T00:00:00Z',
+          updated_at: '2026-02-02T00:00:00Z',
+          currentLeafUuid: 'b3',
+          messages: [
+            message('b1', null, 0, 'user', 'Show a table'),
+            message('b2', 'b1', 1, 'assistant', 'Here is a list:\n- one\n- two'),
+            message('b3', 'b1', 1, 'assistant', '| a | b |\n|---|---|\n| 1 | 2 |')
+          ]
+        }
+      }
+    }));
+
+    client = new MCPTestClient({ env: { MCP_CONVERSATION_MIRROR_FILE: mirrorFile } });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+    fs.rmSync(mirrorDir, { recursive: true, force: true });
+  });
+
+  test('Listing pages through the mirror, most recently updated first', async () => {
+    const first = await client.callTool('api_list_conversations', { limit: 1, source: 'mirror' });
+    expect(first).toMatchObject({ source: 'mirror', syncedAt: 1767225600000, offset: 0, hasMore: true });
+    expect(first.conversations).toEqual([{
+      id: branchedId,
+      title: 'Table formats',
+      created_at: '2026-02-01T00:00:00Z',
+      updated_at: '2026-02-02T00:00:00Z',
+      message_count: 2,
+      tabId: null,
+      isOpen: false
+    }]);
+
+    const second = await client.callTool('api_list_conversations', { cursor: first.nextCursor, source: 'mirror' });
+    expect(second.conversations.map(conversation => conversation.id)).toEqual([olderId]);
+    expect(second.hasMore).toBe(false);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('Search filters the mirror and refuses openOnly', async () => {
+    const result = await client.callTool('api_search_conversations', { titleSearch: 'notes', source: 'mirror' });
+    expect(result.conversations.map(conversation => conversation.id)).toEqual([olderId]);
+    expect(result).toMatchObject({ total: 1, scanned: 2, scannedAll: true });
+
+    await expect(
+      client.callTool('api_search_conversations', { openOnly: true, source: 'mirror' })
+    ).rejects.toThrow(/openOnly/);
+  });
+
+  test('Metadata follows the current branch of the message tree', async () => {
+    const metadata = await client.callTool('api_get_conversation_metadata', {
+      conversationId: branchedId,
+      includeMessages: true,
+      source: 'mirror'
+    });
+
+    expect(metadata).toMatchObject({
+      conversationId: branchedId,
+      title: 'Table formats',
+      messageCount: 2,
+      source: 'mirror',
+      features: { hasTables: true, hasLists: false }
+    });
+    expect(metadata.messages.map(summary => summary.type)).toEqual(['user', 'assistant']);
+
+    await expect(
+      client.callTool('api_get_conversation_metadata', {
+        conversationId: '55555555-5555-5555-5555-555555555555',
+        source: 'mirror'
+      })
+    ).rejects.toThrow(/not in the mirror/);
+  });
+
+  test('A sync saves its changes over conversations another process saved meanwhile', async () => {
+    const newId = '55555555-5555-5555-5555-555555555555';
+    const otherId = '66666666-6666-6666-6666-666666666666';
+    const extension = new FakeExtension({
+      api_list_conversations: () => ({
+        success: true,
+        conversations: [
+          { id: newId, title: 'New chat', created_at: '2026-03-01T00:00:00Z', updated_at: '2026-03-01T00:00:00Z', message_count: 1, tabId: null, isOpen: false },
+          { id: branchedId, title: 'Table formats', created_at: '2026-02-01T00:00:00Z', updated_at: '2026-02-02T00:00:00Z', message_count: 2, tabId: null, isOpen: false }
+        ],
+        hasMore: false
+      }),
+      get_conversation_trees: () => {
+        // Another server's sync lands while this one fetches its trees
+        const saved = JSON.parse(fs.readFileSync(mirrorFile, 'utf8'));
+        saved.conversations[otherId] = {
+          id: otherId,
+          title: 'Synced elsewhere',
+          created_at: '2026-02-15T00:00:00Z',
+          updated_at: '2026-02-15T00:00:00Z',
+          currentLeafUuid: 'x1',
+          messages: [message('x1', null, 0, 'user', 'Hello from another server')]
+        };
+        fs.writeFileSync(mirrorFile, JSON.stringify(saved));
+
+        return {
+          success: true,
+          conversations: [{
+            conversationId: newId,
+            title: 'New chat',
+            created_at: '2026-03-01T00:00:00Z',
+            currentLeafUuid: 'n1',
+            messages: [message('n1', null, 0, 'user', 'Start')]
+          }],
+          errors: []
+        };
+      }
+    });
+    await extension.connect();
+
+    try {
+      const result = await client.callTool('api_sync_conversations', { delayMs: 0 });
+      expect(result.added.map(conversation => conversation.id)).toEqual([newId]);
+
+      const saved = JSON.parse(fs.readFileSync(mirrorFile, 'utf8'));
+      expect(Object.keys(saved.conversations).sort()).toEqual([branchedId, olderId, newId, otherId].sort());
+
+      const listed = await client.callTool('api_list_conversations', { all: true, source: 'mirror' });
+      expect(listed.conversations.map(conversation => conversation.id)).toEqual([newId, otherId, branchedId, olderId]);
+    } finally {
+      await extension.disconnect();
+    }
+  });
+});
@@ -0,0 +1,46 @@
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Tab Debate', () => {
+  let client;
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+  });
+
+  beforeEach(async () => {
+    client = new MCPTestClient();
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  test('Requires at least two tabs', async () => {
+    await expect(client.callTool('tab_debate', {
+      tabIds: [1],
+      topic: 'Tabs or spaces?'
+    })).rejects.toThrow();
+  });
+
+  test('Requires one role per tab', async () => {
+    await expect(client.callTool('tab_debate', {
+      tabIds: [1, 2],
+      topic: 'Tabs or spaces?',
+      roles: ['Argue for tabs.']
+    })).rejects.toThrow(/roles has 1 entries but tabIds has 2/);
+  });
+
+  test('Rejects a tab taking part twice', async () => {
+    await expect(client.callTool('tab_debate', {
+      tabIds: [1, 1],
+      topic: 'Tabs or spaces?'
+    })).rejects.toThrow(/only once/);
+  });
+});
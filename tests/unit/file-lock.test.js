@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { FileLock } = require('../../mcp-server/src/utils/file-lock');
+const { OperationStore } = require('../../mcp-server/src/utils/operation-store');
+
+describe('File Lock', () => {
+  const storeModule = path.resolve(__dirname, '../../mcp-server/src/utils/operation-store');
+  let lockDir;
+  let journalPath;
+
+  // Append count operations to the journal from a separate process, starting at startAt
+  const appendFromProcess = (name, count, startAt) => new Promise((resolve, reject) => {
+    const script = `
+      const { OperationStore } = require(${JSON.stringify(storeModule)});
+      const store = new OperationStore(${JSON.stringify(journalPath)});
+      while (Date.now() < ${startAt});
+      for (let i = 0; i < ${count}; i++) {
+        store.appendOperation({ id: '${name}_' + i, type: 'test', status: 'pending', milestones: [], lastUpdated: Date.now() });
+      }
+      // Deferred appends run from a timer; exit once the queue is written
+      const timer = setInterval(() => {
+        if (store.lock.deferred.length === 0 && !store.lock.deferTimer) {
+          clearInterval(timer);
+        }
+      }, 10);
+    `;
+    const child = spawn(process.execPath, ['-e', script], { stdio: 'ignore' });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`${name} exited with ${code}`))));
+  });
+
+  beforeEach(() => {
+    lockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-lock-'));
+    journalPath = path.join(lockDir, 'operations.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(lockDir, { recursive: true, force: true });
+  });
+
+  test('Two processes appending to one journal lose no records', async () => {
+    const startAt = Date.now() + 1000;
+    await Promise.all([appendFromProcess('first', 1000, startAt), appendFromProcess('second', 1000, startAt)]);
+
+    const operations = new OperationStore(journalPath).load();
+    expect(operations.size).toBe(2000);
+    expect(fs.readdirSync(lockDir)).toEqual(['operations.jsonl']);
+  }, 30000);
+
+  test('Appends of one store wait for compaction by another', async () => {
+    const first = new OperationStore(journalPath);
+    const second = new OperationStore(journalPath);
+    first.appendOperation({ id: 'kept', type: 'test', status: 'pending', milestones: [], lastUpdated: Date.now() });
+
+    first.withLock(() => {
+      second.appendOperation({ id: 'appended', type: 'test', status: 'pending', milestones: [], lastUpdated: Date.now() });
+      expect(second.lock.deferred).toHaveLength(1);
+    });
+    // The deferred append retries on a timer
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    expect([...first.load().keys()]).toEqual(['kept', 'appended']);
+  });
+
+  test('A lock of an exited process is broken, and the lock taken after it is not', () => {
+    const lockPath = path.join(lockDir, 'store.lock');
+    const exited = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(lockPath, String(exited.pid));
+
+    const first = new FileLock(lockPath, 'first');
+    const second = new FileLock(lockPath, 'second');
+    expect(first.acquire()).toBe(true);
+    const taken = fs.readFileSync(lockPath, 'utf8');
+
+    // The second lock checks the lock it finds now, not the one the first broke
+    expect(second.breakIfStale()).toBe(false);
+    expect(fs.readFileSync(lockPath, 'utf8')).toBe(taken);
+    expect(fs.readdirSync(lockDir)).toEqual(['store.lock']);
+
+    first.release();
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('Releasing a lock that was broken and taken by another leaves the new lock', () => {
+    const lockPath = path.join(lockDir, 'store.lock');
+    const first = new FileLock(lockPath, 'first');
+    const second = new FileLock(lockPath, 'second');
+    expect(first.acquire()).toBe(true);
+
+    // As if first held the lock past STORE_LOCK_STALE_MS and second broke it
+    fs.unlinkSync(lockPath);
+    expect(second.acquire()).toBe(true);
+    first.release();
+
+    expect(fs.existsSync(lockPath)).toBe(true);
+    second.release();
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Message Attachments', () => {
+  const tabId = 999999;
+  let client;
+  let filesDir;
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+
+    filesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-attachments-'));
+    client = new MCPTestClient({ env: { MCP_ATTACHMENT_MAX_BYTES: '16' } });
+    await client.connect();
+  });
+
+  afterAll(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+    fs.rmSync(filesDir, { recursive: true, force: true });
+  });
+
+  // Attachments are checked on the server, before anything reaches the extension
+  test('Attaching a missing file fails', async () => {
+    await expect(client.callTool('tab_send_message', {
+      tabId,
+      message: 'Review this log',
+      attachments: [{ path: path.join(filesDir, 'missing.log') }]
+    })).rejects.toThrow(/ENOENT/);
+  });
+
+  test('Attaching a file over the size limit fails', async () => {
+    const filePath = path.join(filesDir, 'large.log');
+    fs.writeFileSync(filePath, 'x'.repeat(17));
+
+    await expect(client.callTool('tab_send_message', {
+      tabId,
+      message: 'Review this log',
+      attachments: [{ path: filePath }]
+    })).rejects.toThrow(/17 bytes; the limit is 16/);
+  });
+
+  test('A blob needs a MIME type and cannot also have a path', async () => {
+    const data = Buffer.from('screenshot').toString('base64');
+
+    await expect(client.callTool('tab_send_message', {
+      tabId,
+      message: 'What is on screen?',
+      attachments: [{ data, fileName: 'screen.png' }]
+    })).rejects.toThrow(/no mimeType/);
+
+    await expect(client.callTool('tab_send_message', {
+      tabId,
+      message: 'What is on screen?',
+      attachments: [{ data, path: 'screen.png', mimeType: 'image/png' }]
+    })).rejects.toThrow(/exactly one of path or data/);
+  });
+});
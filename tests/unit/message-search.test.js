@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Message Search', () => {
+  const retryId = '11111111-1111-1111-1111-111111111111';
+  const lunchId = '22222222-2222-2222-2222-222222222222';
+  let client;
+  let mirrorDir;
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+  });
+
+  beforeEach(async () => {
+    mirrorDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-mirror-'));
+    const mirrorFile = path.join(mirrorDir, 'conversations.json');
+    const message = (conversationId, index, role, text) => ({
+      uuid: `${conversationId.slice(0, 8)}-m${index}`,
+      parentUuid: index === 0 ? null : `${conversationId.slice(0, 8)}-m${index - 1}`,
+      index,
+      role,
+      text,
+      created_at: '2026-01-01T00:00:00Z',
+      artifactCount: 0
+    });
+
+    // A mirror as a previous sync would have left it
+    fs.writeFileSync(mirrorFile, JSON.stringify({
+      syncedAt: Date.now(),
+      conversations: {
+        [retryId]: {
+          id: retryId,
+          title: 'Client design',
+          created_at: '2026-01-02T00:00:00Z',
+          updated_at: '2026-01-02T00:00:00Z',
+          currentLeafUuid: '11111111-m2',
+          messages: [
+            message(retryId, 0, 'user', 'How should the HTTP client handle failures?'),
+            message(retryId, 1, 'assistant', 'Use a retry policy with exponential backoff. The retry policy should cap attempts at five.'),
+            message(retryId, 2, 'user', 'Great, write the retry code.')
+          ]
+        },
+        [lunchId]: {
+          id: lunchId,
+          title: 'Lunch',
+          created_at: '2026-01-01T00:00:00Z',
+          updated_at: '2026-01-01T00:00:00Z',
+          currentLeafUuid: '22222222-m0',
+          messages: [
+            message(lunchId, 0, 'user', 'Our office policy on lunch breaks is unclear.')
+          ]
+        }
+      }
+    }));
+
+    client = new MCPTestClient({ env: { MCP_CONVERSATION_MIRROR_FILE: mirrorFile } });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+    fs.rmSync(mirrorDir, { recursive: true, force: true });
+  });
+
+  test('Messages containing every query word are returned, best first', async () => {
+    const result = await client.callTool('api_search_messages', { query: 'Retry POLICY', refresh: 'none' });
+
+    expect(result.indexedConversations).toBe(2);
+    expect(result.refreshed).toBeNull();
+    expect(result.total).toBe(1);
+    expect(result.hits[0]).toMatchObject({
+      conversationId: retryId,
+      title: 'Client design',
+      messageIndex: 1,
+      messageUuid: '11111111-m1',
+      role: 'assistant',
+      score: 4
+    });
+    expect(result.hits[0].snippet).toContain('retry policy');
+  });
+
+  test('Hits can be limited to a role or a conversation', async () => {
+    const policy = await client.callTool('api_search_messages', { query: 'policy', refresh: 'none' });
+    expect(policy.total).toBe(2);
+    expect(policy.hits.map(hit => hit.conversationId)).toEqual([retryId, lunchId]);
+
+    const byUser = await client.callTool('api_search_messages', { query: 'policy', role: 'user', refresh: 'none' });
+    expect(byUser.hits.map(hit => hit.conversationId)).toEqual([lunchId]);
+
+    const inConversation = await client.callTool('api_search_messages', {
+      query: 'retry',
+      conversationId: retryId,
+      limit: 1,
+      refresh: 'none'
+    });
+    expect(inConversation.total).toBe(2);
+    expect(inConversation.hits).toHaveLength(1);
+  });
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Project Tools', () => {
+  const projectId = '66666666-6666-6666-6666-666666666666';
+  let client;
+  let docsDir;
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+
+    docsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-project-docs-'));
+    client = new MCPTestClient({ env: { MCP_PROJECT_DOC_MAX_BYTES: '16' } });
+    await client.connect();
+  });
+
+  afterAll(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+    fs.rmSync(docsDir, { recursive: true, force: true });
+  });
+
+  // Both checks happen on the server, before anything reaches the extension
+  test('Adding a missing file fails', async () => {
+    await expect(client.callTool('api_add_project_docs', {
+      projectId,
+      filePaths: [path.join(docsDir, 'missing.md')]
+    })).rejects.toThrow(/ENOENT/);
+  });
+
+  test('Adding a file over the size limit fails', async () => {
+    const filePath = path.join(docsDir, 'large.md');
+    fs.writeFileSync(filePath, 'x'.repeat(17));
+
+    await expect(client.callTool('api_add_project_docs', { projectId, filePaths: [filePath] }))
+      .rejects.toThrow(/17 bytes; the limit is 16/);
+  });
+});
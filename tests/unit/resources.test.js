@@ -0,0 +1,61 @@
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('MCP Resources', () => {
+  let client;
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+  });
+
+  beforeEach(async () => {
+    client = new MCPTestClient();
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  test('Server advertises resource subscriptions', () => {
+    const capabilities = client.client.getServerCapabilities();
+
+    expect(capabilities).toHaveProperty('resources');
+    expect(capabilities.resources.subscribe).toBe(true);
+  });
+
+  test('Tabs resource is listed', async () => {
+    const response = await client.client.listResources();
+
+    const tabsResource = response.resources.find(r => r.uri === 'ccm://tabs');
+    expect(tabsResource).toBeTruthy();
+    expect(tabsResource.mimeType).toBe('application/json');
+  });
+
+  test('Resource templates are listed', async () => {
+    const response = await client.client.listResourceTemplates();
+    const templates = response.resourceTemplates.map(t => t.uriTemplate);
+
+    expect(templates).toContain('ccm://tabs/{tabId}/transcript');
+    expect(templates).toContain('ccm://conversations/{conversationId}');
+    expect(templates).toContain('ccm://operations/{operationId}');
+  });
+
+  test('Reading an unknown operation fails', async () => {
+    await expect(
+      client.client.readResource({ uri: 'ccm://operations/op_unknown_0' })
+    ).rejects.toThrow(/not found/);
+  });
+
+  test('Subscribe and unsubscribe are accepted', async () => {
+    const uri = 'ccm://operations/op_unknown_0';
+
+    await expect(client.client.subscribeResource({ uri })).resolves.toBeDefined();
+    await expect(client.client.unsubscribeResource({ uri })).resolves.toBeDefined();
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Scheduler', () => {
+  const conversationId = '00000000-0000-0000-0000-000000000000';
+  let client;
+  let scheduleDir;
+
+  const connect = async (env = {}) => {
+    const scheduleClient = new MCPTestClient({
+      env: { MCP_SCHEDULES_FILE: path.join(scheduleDir, 'schedules.json'), ...env }
+    });
+    await scheduleClient.connect();
+    return scheduleClient;
+  };
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+  });
+
+  beforeEach(async () => {
+    scheduleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-schedules-'));
+    client = await connect();
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+    fs.rmSync(scheduleDir, { recursive: true, force: true });
+  });
+
+  test('Schedules are created, listed soonest first and deleted', async () => {
+    const at = new Date(Date.now() + 3600000).toISOString();
+    const once = await client.callTool('schedule_create', { conversationId, message: 'Once', at });
+    expect(once.schedule).toMatchObject({
+      conversationId,
+      message: 'Once',
+      intervalMs: null,
+      nextRunAt: Date.parse(at),
+      createdBy: 'test-client',
+      runCount: 0
+    });
+
+    const hourly = await client.callTool('schedule_create', {
+      conversationId,
+      message: 'Status summary please',
+      intervalMs: 1800000,
+      name: 'status'
+    });
+    expect(hourly.schedule.nextRunAt).toBeLessThan(once.schedule.nextRunAt);
+
+    const listed = await client.callTool('schedule_list', {});
+    expect(listed.count).toBe(2);
+    expect(listed.schedules.map(schedule => schedule.id)).toEqual([hourly.schedule.id, once.schedule.id]);
+
+    await client.callTool('schedule_delete', { scheduleId: once.schedule.id });
+    const remaining = await client.callTool('schedule_list', { conversationId });
+    expect(remaining.schedules.map(schedule => schedule.id)).toEqual([hourly.schedule.id]);
+
+    await expect(client.callTool('schedule_delete', { scheduleId: once.schedule.id }))
+      .rejects.toThrow(/not found/);
+  });
+
+  test('Time of day schedules run at the next local occurrence', async () => {
+    const { schedule } = await client.callTool('schedule_create', {
+      conversationId,
+      message: 'Good morning',
+      at: '09:00',
+      intervalMs: 86400000
+    });
+
+    const next = new Date(schedule.nextRunAt);
+    expect(next.getHours()).toBe(9);
+    expect(next.getMinutes()).toBe(0);
+    expect(schedule.nextRunAt).toBeGreaterThan(Date.now());
+    expect(schedule.nextRunAt - Date.now()).toBeLessThanOrEqual(86400000);
+  });
+
+  test('Invalid schedules are rejected', async () => {
+    await expect(client.callTool('schedule_create', { conversationId, message: 'x' }))
+      .rejects.toThrow(/at or intervalMs/);
+    await expect(client.callTool('schedule_create', { conversationId: 'abc', message: 'x', intervalMs: 3600000 }))
+      .rejects.toThrow(/UUID/);
+    await expect(client.callTool('schedule_create', { conversationId, message: 'x', intervalMs: 1000 }))
+      .rejects.toThrow(/at least/);
+    await expect(client.callTool('schedule_create', { conversationId, message: 'x', at: '2020-01-01T00:00:00Z' }))
+      .rejects.toThrow(/in the past/);
+    await expect(client.callTool('schedule_create', { conversationId, message: 'x', at: 'tomorrow' }))
+      .rejects.toThrow(/Invalid time/);
+  });
+
+  test('Schedules persist across server processes', async () => {
+    const { schedule } = await client.callTool('schedule_create', {
+      conversationId,
+      message: 'Persisted',
+      intervalMs: 3600000
+    });
+
+    const other = await connect();
+    try {
+      const listed = await other.callTool('schedule_list', {});
+      expect(listed.schedules.map(entry => entry.id)).toEqual([schedule.id]);
+    } finally {
+      await other.disconnect();
+    }
+  });
+
+  test('A change is refused, not written unlocked, while another process holds the lock', async () => {
+    const lockPath = path.join(scheduleDir, 'schedules.json.lock');
+    fs.writeFileSync(lockPath, String(process.pid));
+
+    await expect(client.callTool('schedule_create', { conversationId, message: 'Blocked', intervalMs: 3600000 }))
+      .rejects.toThrow(/lock/);
+    expect(fs.existsSync(lockPath)).toBe(true);
+
+    fs.unlinkSync(lockPath);
+    await client.callTool('schedule_create', { conversationId, message: 'Allowed', intervalMs: 3600000 });
+    const listed = await client.callTool('schedule_list', {});
+    expect(listed.schedules.map(schedule => schedule.message)).toEqual(['Allowed']);
+  });
+
+  test('A lock left by a process that exited is broken', async () => {
+    const exited = spawnSync(process.execPath, ['-e', '']);
+    const lockPath = path.join(scheduleDir, 'schedules.json.lock');
+    fs.writeFileSync(lockPath, String(exited.pid));
+
+    await client.callTool('schedule_create', { conversationId, message: 'After crash', intervalMs: 3600000 });
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('A one-off send that fails stays scheduled with its error and retries later', async () => {
+    // No extension answers in unit tests, so every send fails quickly
+    const failing = await connect({
+      MCP_SCHEDULER_INTERVAL: '250',
+      MCP_RELAY_REQUEST_TIMEOUT: '500',
+      MCP_SCHEDULE_TAB_LOAD_TIMEOUT: '250'
+    });
+    try {
+      const at = new Date(Date.now() + 1000).toISOString();
+      const { schedule } = await failing.callTool('schedule_create', { conversationId, message: 'Later', at });
+
+      let stored;
+      const deadline = Date.now() + 8000;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 250));
+        [stored] = (await failing.callTool('schedule_list', {})).schedules;
+      } while (!stored?.lastError && Date.now() < deadline);
+
+      expect(stored).toMatchObject({ id: schedule.id, failures: 1, inFlight: null, runCount: 0 });
+      expect(stored.lastError).toMatch(/timeout/i);
+      expect(stored.lastOperationId).toMatch(/^op_tab_send_message_/);
+      expect(stored.nextRunAt).toBeGreaterThan(Date.now() + 30000);
+    } finally {
+      await failing.disconnect();
+    }
+  });
+});
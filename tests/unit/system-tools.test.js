@@ -75,6 +75,83 @@ describe('System Tools', () => {
         console.log('⚠️ Operation completed synchronously, no wait needed');
       }
     }, 20000);
+
+    test('Can list operations with filters', async () => {
+      const listResult = await client.callTool('system_list_operations', {
+        status: 'completed',
+        limit: 5,
+        milestoneLimit: 1
+      });
+      
+      expect(listResult.success).toBe(true);
+      expect(Array.isArray(listResult.operations)).toBe(true);
+      expect(listResult.operations.length).toBeLessThanOrEqual(5);
+      listResult.operations.forEach(op => {
+        expect(op.status).toBe('completed');
+        expect(op.milestones.length).toBeLessThanOrEqual(1);
+      });
+      
+      console.log(`✅ Listed ${listResult.operations.length} of ${listResult.total} completed operations`);
+    }, 10000);
+
+    test('Operations started together get unique IDs', async () => {
+      // Empty deletions return an operation ID immediately without touching conversations
+      const results = await Promise.all([1, 2, 3].map(() => 
+        client.callTool('api_delete_conversations', { conversationIds: [] })
+      ));
+      
+      const operationIds = results.map(r => r.operationId);
+      expect(new Set(operationIds).size).toBe(operationIds.length);
+      
+      // Each operation is persisted and can be looked up
+      for (const operationId of operationIds) {
+        const getResult = await client.callTool('system_get_operation', { operationId });
+        expect(getResult.operation.id).toBe(operationId);
+      }
+      
+      console.log(`✅ ${operationIds.length} concurrent operations got unique IDs`);
+    }, 10000);
+
+    test('Getting an unknown operation fails immediately', async () => {
+      await expect(
+        client.callTool('system_get_operation', { operationId: 'op_unknown_0' })
+      ).rejects.toThrow(/not found/);
+      
+      console.log('✅ Unknown operation lookup rejected');
+    }, 10000);
+
+    test('Cancelling an unknown operation fails', async () => {
+      await expect(
+        client.callTool('system_cancel_operation', { operationId: 'op_unknown_0' })
+      ).rejects.toThrow(/not found/);
+      
+      console.log('✅ Unknown operation cancellation rejected');
+    }, 10000);
+    
+    test('Operation results carry structured content', async () => {
+      const result = await client.client.callTool({
+        name: 'system_list_operations',
+        arguments: { limit: 2 }
+      });
+      
+      expect(result.isError).toBeFalsy();
+      expect(result.structuredContent.success).toBe(true);
+      expect(Array.isArray(result.structuredContent.operations)).toBe(true);
+      expect(typeof result.structuredContent.total).toBe('number');
+      
+      // Failures are errors, described outside the tool's output schema
+      const failure = await client.client.callTool({
+        name: 'system_get_operation',
+        arguments: { operationId: 'op_unknown_0' }
+      });
+      
+      expect(failure.isError).toBe(true);
+      expect(failure.structuredContent).toBeUndefined();
+      expect(failure._meta.failure.success).toBe(false);
+      expect(failure._meta.failure.error).toMatch(/not found/);
+      
+      console.log('✅ Structured content returned for success and failure');
+    }, 10000);
   });
 
   describe('Debug Mode Management', () => {
@@ -0,0 +1,61 @@
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { FakeExtension } = require('../helpers/fake-extension');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Tab Create', () => {
+  const tabId = 4242;
+  const settings = { model: 'Opus', extendedThinking: true, webSearch: false, style: null };
+  let client;
+  let extension;
+  let offeredModel;
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+  });
+
+  beforeEach(async () => {
+    offeredModel = 'Claude Opus 4.1';
+    client = new MCPTestClient();
+    await client.connect();
+
+    extension = new FakeExtension({
+      tab_create: () => ({ success: true, tabId, tab: { id: tabId } }),
+      tab_set_conversation_settings: params => (params.model && !offeredModel.includes(params.model)
+        ? { success: false, tabId, error: `Conversation settings not applied: model ${params.model} is not offered` }
+        : { success: true, tabId, settings: { ...settings, model: offeredModel } }),
+      tab_close: () => ({ success: true, tabId })
+    });
+    await extension.connect();
+  });
+
+  afterEach(async () => {
+    if (extension) {
+      await extension.disconnect();
+    }
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  test('Settings are applied in a request of their own after the tab loads', async () => {
+    const result = await client.callTool('tab_create', { waitForLoad: false, settings: { model: 'Opus', extendedThinking: true } });
+
+    expect(result).toMatchObject({ success: true, tabId, settings: { model: 'Claude Opus 4.1', extendedThinking: true } });
+    expect(extension.requests.map(request => request.type)).toEqual(['tab_create', 'tab_set_conversation_settings']);
+    expect(extension.requests[0].params).toMatchObject({ waitForLoad: true });
+    expect(extension.requests[0].params.settings).toBeUndefined();
+    expect(extension.requests[1].params).toMatchObject({ tabId, model: 'Opus', extendedThinking: true });
+  });
+
+  test('A tab whose settings do not take is closed', async () => {
+    offeredModel = 'Claude Sonnet 4';
+
+    await expect(client.callTool('tab_create', { settings: { model: 'Opus' } }))
+      .rejects.toThrow(new RegExp(`model Opus is not offered \\(tab ${tabId} closed\\)`));
+    expect(extension.requests.map(request => request.type)).toEqual(['tab_create', 'tab_set_conversation_settings', 'tab_close']);
+    expect(extension.requests[2].params).toMatchObject({ tabId, force: true });
+  });
+});
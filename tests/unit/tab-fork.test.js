@@ -0,0 +1,113 @@
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { FakeExtension } = require('../helpers/fake-extension');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Conversation Forks', () => {
+  const parentTabId = 7;
+  const forkTabId = 8;
+  const parentId = '77777777-7777-7777-7777-777777777777';
+  const forkId = '88888888-8888-8888-8888-888888888888';
+  let client;
+  let extension;
+  let seedSent;
+
+  // The parent's second question was edited: the current branch runs through the edit
+  const parent = {
+    uuid: parentId,
+    title: 'Version control',
+    currentLeafUuid: 'm4',
+    messages: [
+      { uuid: 'm0', parentUuid: null, index: 0, role: 'user', text: 'What is a fork?', created_at: '2026-01-01T00:00:00Z' },
+      { uuid: 'm1', parentUuid: 'm0', index: 1, role: 'assistant', text: 'A copy of a repository.', created_at: '2026-01-01T00:00:01Z' },
+      { uuid: 'm2', parentUuid: 'm1', index: 2, role: 'user', text: 'And a branch?', created_at: '2026-01-01T00:00:02Z' },
+      { uuid: 'm3', parentUuid: 'm1', index: 3, role: 'user', text: 'And a clone?', created_at: '2026-01-01T00:00:03Z' },
+      { uuid: 'm4', parentUuid: 'm3', index: 4, role: 'assistant', text: 'A local copy.', created_at: '2026-01-01T00:00:04Z' }
+    ]
+  };
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+
+    client = new MCPTestClient();
+    await client.connect();
+  });
+
+  beforeEach(async () => {
+    seedSent = false;
+    extension = new FakeExtension({
+      // The fork tab moves to its conversation once the seed is sent
+      tab_list: () => ({
+        success: true,
+        tabs: [
+          { id: parentTabId, url: `https://claude.ai/chat/${parentId}` },
+          { id: forkTabId, url: seedSent ? `https://claude.ai/chat/${forkId}` : 'https://claude.ai/new' }
+        ]
+      }),
+      get_conversation_trees: () => ({ success: true, conversations: [parent], errors: [] }),
+      tab_create: () => ({ success: true, tabId: forkTabId, tab: { id: forkTabId } }),
+      tab_send_message: params => {
+        seedSent = true;
+        return { success: true, tabId: forkTabId, operationId: params.operationId };
+      }
+    });
+    await extension.connect();
+  });
+
+  afterEach(async () => {
+    if (extension) {
+      await extension.disconnect();
+    }
+  });
+
+  afterAll(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  // Checked on the server, before anything reaches the extension
+  test('A fork needs exactly one of conversationId and tabId', async () => {
+    await expect(client.callTool('tab_fork_conversation', { messageIndex: 0 }))
+      .rejects.toThrow(/exactly one of conversationId or tabId/);
+
+    await expect(client.callTool('tab_fork_conversation', {
+      conversationId: '77777777-7777-7777-7777-777777777777',
+      tabId: 1,
+      messageIndex: 0
+    })).rejects.toThrow(/exactly one of conversationId or tabId/);
+  });
+
+  test('A fork is seeded with the transcript of the current branch up to the message', async () => {
+    const result = await client.callTool('tab_fork_conversation', { tabId: parentTabId, messageIndex: 2 });
+
+    const send = extension.requests.find(request => request.type === 'tab_send_message');
+    expect(send.params).toMatchObject({ tabId: forkTabId, waitForCompletion: false });
+    expect(send.params.message).toBe([
+      'This conversation is a fork of an earlier one ("Version control"). Its transcript up to the fork point:',
+      '<transcript>\n[User]\nWhat is a fork?\n\n[Assistant]\nA copy of a repository.\n\n[User]\nAnd a clone?\n</transcript>',
+      'Continue from here by answering the last user message.'
+    ].join('\n\n'));
+    expect(extension.requests.find(request => request.type === 'get_conversation_trees').params)
+      .toEqual({ conversationIds: [parentId] });
+
+    expect(result).toMatchObject({
+      success: true,
+      tabId: forkTabId,
+      conversationId: forkId,
+      operationId: send.params.operationId,
+      seed: { type: 'transcript', transcriptMessages: 3 },
+      parent: { conversationId: parentId, title: 'Version control', messageIndex: 2, messageUuid: 'm3' }
+    });
+    expect(result.url).toContain(`/chat/${forkId}`);
+    expect(result.parent.url).toContain(`/chat/${parentId}`);
+  });
+
+  test('A fork point past the current branch is refused before a tab is opened', async () => {
+    await expect(client.callTool('tab_fork_conversation', { conversationId: parentId, messageIndex: 4 }))
+      .rejects.toThrow(new RegExp(`${parentId} has 4 messages on its current branch`));
+    expect(extension.requests.map(request => request.type)).toEqual(['get_conversation_trees']);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Tool Permission Policy', () => {
+  let client;
+  let policyDir;
+  let policyFile;
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+
+    policyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccm-policy-'));
+    policyFile = path.join(policyDir, 'policy.json');
+    fs.writeFileSync(policyFile, JSON.stringify({
+      defaultAction: 'allow',
+      tools: {
+        'resource_state_*': { action: 'deny' },
+        api_delete_conversations: { params: { conversationIds: { maxItems: 2 } } },
+        api_get_conversation_url: { action: 'confirm' }
+      },
+      clients: {
+        'test-client': {
+          tools: { system_list_operations: { params: { limit: { max: 5 } } } }
+        },
+        'other-client': { defaultAction: 'deny' }
+      }
+    }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(policyDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    client = new MCPTestClient({ env: { MCP_POLICY_FILE: policyFile } });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  test('Denied tool returns a policy_denied error', async () => {
+    const result = await client.client.callTool({
+      name: 'resource_state_summary',
+      arguments: {}
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result._meta.failure.success).toBe(false);
+    expect(result._meta.failure.policy).toMatchObject({
+      code: 'policy_denied',
+      tool: 'resource_state_summary',
+      client: 'test-client',
+      rule: 'resource_state_*'
+    });
+  });
+
+  test('Parameter constraints deny calls outside the limit', async () => {
+    const result = await client.client.callTool({
+      name: 'api_delete_conversations',
+      arguments: { conversationIds: ['a', 'b', 'c'] }
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result._meta.failure.policy.code).toBe('policy_denied');
+    expect(result._meta.failure.policy.reason).toMatch(/conversationIds may contain at most 2 items/);
+  });
+
+  test('Client rules apply to the connected client only', async () => {
+    const denied = await client.client.callTool({
+      name: 'system_list_operations',
+      arguments: { limit: 10 }
+    });
+    expect(denied.isError).toBe(true);
+    expect(denied._meta.failure.policy.reason).toMatch(/limit must be at most 5/);
+
+    // The other-client section denies everything, but does not apply to test-client
+    const allowed = await client.callTool('system_list_operations', { limit: 5 });
+    expect(allowed).toHaveProperty('operations');
+  });
+
+  test('Confirmed tool runs after system_confirm_tool_call', async () => {
+    const conversationId = '00000000-0000-0000-0000-000000000000';
+    const held = await client.client.callTool({
+      name: 'api_get_conversation_url',
+      arguments: { conversationId }
+    });
+
+    expect(held.isError).toBe(true);
+    const { policy } = held._meta.failure;
+    expect(policy.code).toBe('confirmation_required');
+    expect(typeof policy.confirmationToken).toBe('string');
+    expect(policy.expiresAt).toBeGreaterThan(Date.now());
+
+    const confirmed = await client.callTool('system_confirm_tool_call', {
+      confirmationToken: policy.confirmationToken
+    });
+    expect(confirmed.success).toBe(true);
+    expect(confirmed.tool).toBe('api_get_conversation_url');
+    expect(confirmed.result.url).toContain(conversationId);
+
+    // Tokens are single use
+    await expect(client.callTool('system_confirm_tool_call', {
+      confirmationToken: policy.confirmationToken
+    })).rejects.toThrow(/not found or expired/);
+  });
+});
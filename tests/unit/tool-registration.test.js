@@ -41,6 +41,22 @@ describe('Tool Registration', () => {
       'tab_list', 
       'tab_close',
       'tab_send_message',
+      'tab_stream_response',
+      'tab_run_workflow',
+      'tab_debate',
+      'tab_pool_lease',
+      'tab_pool_return',
+      'tab_enqueue_messages',
+      'tab_get_queue',
+      'tab_reorder_queue',
+      'tab_clear_queue',
+      'tab_get_conversation_settings',
+      'tab_set_conversation_settings',
+      'tab_edit_message',
+      'tab_regenerate_response',
+      'tab_get_branches',
+      'tab_switch_branch',
+      'tab_fork_conversation',
       'tab_get_response'
     ];
     
@@ -76,7 +92,19 @@ describe('Tool Registration', () => {
     
     const expectedApiTools = [
       'api_list_conversations',
-      'api_get_conversation_metadata'
+      'api_get_conversation_metadata',
+      'api_search_messages',
+      'api_sync_conversations',
+      'api_rename_conversations',
+      'api_star_conversations',
+      'api_archive_conversations',
+      'api_move_conversations',
+      'api_list_projects',
+      'api_get_project',
+      'api_create_conversation_in_project',
+      'api_list_project_docs',
+      'api_add_project_docs',
+      'api_remove_project_docs'
     ];
     
     for (const expectedTool of expectedApiTools) {
@@ -86,4 +114,34 @@ describe('Tool Registration', () => {
     
     console.log(`✅ Found ${apiTools.length} API tools`);
   });
-});
\ No newline at end of file
+
+  test('All schedule tools are registered', async () => {
+    const response = await client.client.listTools();
+    
+    const expectedScheduleTools = [
+      'schedule_create',
+      'schedule_list',
+      'schedule_delete'
+    ];
+    
+    for (const expectedTool of expectedScheduleTools) {
+      const found = response.tools.find(t => t.name === expectedTool);
+      expect(found).toBeTruthy();
+    }
+    
+    console.log(`✅ All ${expectedScheduleTools.length} schedule tools are registered`);
+  });
+
+  test('Every tool declares an output schema', async () => {
+    const response = await client.client.listTools();
+    
+    for (const tool of response.tools) {
+      expect(tool.outputSchema).toBeDefined();
+      expect(tool.outputSchema.type).toBe('object');
+      expect(tool.outputSchema.properties).toHaveProperty('success');
+      expect(tool.outputSchema.properties).toHaveProperty('error');
+    }
+    
+    console.log(`✅ All ${response.tools.length} tools declare output schemas`);
+  });
+});
@@ -0,0 +1,59 @@
+const { MCPTestClient } = require('../helpers/mcp-test-client');
+const { PreFlightCheck } = require('../helpers/pre-flight-check');
+
+describe('Workflow Runner', () => {
+  let client;
+
+  beforeAll(async () => {
+    // Fail-early check for unit test prerequisites
+    const preFlightCheck = new PreFlightCheck();
+    const result = await preFlightCheck.forUnitTests();
+    console.log(result.message);
+  });
+
+  beforeEach(async () => {
+    client = new MCPTestClient();
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    if (client) {
+      await client.disconnect();
+    }
+  });
+
+  test('Rejects unknown step types', async () => {
+    await expect(client.callTool('tab_run_workflow', {
+      steps: [{ type: 'teleport', tabId: 1 }]
+    })).rejects.toThrow();
+  });
+
+  test('Runs a workflow as an operation with step milestones', async () => {
+    const result = await client.callTool('tab_run_workflow', {
+      name: 'empty-collect',
+      waitForCompletion: true,
+      steps: [
+        { type: 'loop', maxIterations: 3, steps: [{ type: 'collect' }] }
+      ]
+    });
+
+    expect(result.status).toBe('completed');
+    expect(result.result).toEqual({ stepsExecuted: 4, responses: {}, vars: {}, collected: [] });
+
+    const { operation } = await client.callTool('system_get_operation', { operationId: result.operationId });
+    const steps = operation.milestones.filter(m => m.milestone === 'step_completed');
+    expect(steps.map(m => m.data.path)).toEqual(['0.0.0', '0.1.0', '0.2.0', '0']);
+    expect(steps[3].data).toMatchObject({ type: 'loop', iterations: 3, conditionMet: false });
+  });
+
+  test('Records a failed step on the workflow operation', async () => {
+    // A branch needs a response to test; none has been received yet
+    await expect(client.callTool('tab_run_workflow', {
+      waitForCompletion: true,
+      steps: [{ type: 'branch', if: { regex: 'yes' }, then: [] }]
+    })).rejects.toThrow(/Condition has no response/);
+
+    const { operations } = await client.callTool('system_list_operations', { type: 'tab_run_workflow', limit: 1 });
+    expect(operations[0].status).toBe('failed');
+  });
+});